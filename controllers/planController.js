@@ -1821,15 +1821,7 @@ export const forceMissedSessionDetection = async (req, res) => {
 export const updateSessionProgressRealtime = async (req, res) => {
   try {
     const userId = req.user?.userId;
-    const {
-      distance,
-      speed,
-      sessionTime,
-      watts,
-      voltage,
-      intensity = 2,
-      sessionActive = true
-    } = req.body;
+    const { distance, speed, sessionTime, watts, sessionActive = true } = req.body;
 
     if (!userId) {
       return errorResponse(res, 401, 'Authentication required');
@@ -1839,124 +1831,21 @@ export const updateSessionProgressRealtime = async (req, res) => {
       distance, speed, sessionTime, watts, sessionActive
     });
 
-    // Find active plan
-    const plan = await CyclingPlan.findOne({ user: userId, isActive: true });
-    if (!plan) {
-      logger.warn(`No active plan found for user ${userId}`);
+    const result = await SessionTrackerService.updateRealtimeProgress(userId, req.body);
+    if (!result.updated) {
       return res.json({
         success: true,
-        message: 'No active plan - update ignored',
-        data: { ignored: true }
+        message: result.message,
+        data: result.reason === 'inactive' ? { sessionActive: false } : { ignored: true }
       });
     }
 
-    // Find today's session
-    const today = new Date().toISOString().split('T')[0];
-    const todaySession = plan.dailySessions.find(session =>
-      session.date.toISOString().split('T')[0] === today
-    );
-
-    if (!todaySession) {
-      logger.warn(`No session found for today (${today}) for user ${userId}`);
-      return res.json({
-        success: true,
-        message: 'No session for today - update ignored',
-        data: { ignored: true }
-      });
-    }
-
-    // Only update if session is active (ESP32 indicates workout in progress)
-    if (sessionActive && sessionTime > 0) {
-      // Update session with real-time data
-      todaySession.currentDistance = Math.max(todaySession.currentDistance || 0, distance);
-      todaySession.currentSpeed = speed;
-      todaySession.sessionTime = sessionTime;
-
-      // Calculate calories burned in real-time using proper service
-      const user = await User.findById(userId);
-      const weight = user?.profile?.weight || 70;
-      const sessionTimeHours = sessionTime / 3600; // Convert seconds to hours
-      
-      // Use the proper calculateCyclingCalories function that returns a result object
-      const calcResult = await calculateCyclingCalories(userId, sessionTimeHours, intensity);
-      const caloriesBurned = calcResult.success ? calcResult.caloriesBurned : 0;
-
-      todaySession.caloriesBurned = Math.max(todaySession.caloriesBurned || 0, caloriesBurned);
-
-      // **NEW**: Enhanced session status handling based on firmware data
-      const { sessionStatus, autoSession, cadence } = req.body;
-      
-      if (sessionStatus) {
-        // Map firmware session status to plan session status
-        switch(sessionStatus) {
-          case 'IN_PROGRESS':
-            todaySession.status = 'in_progress';
-            todaySession.autoManaged = autoSession || false;
-            break;
-          case 'PAUSED':
-            todaySession.status = 'paused';
-            break;
-          case 'COMPLETED':
-            if (todaySession.status !== 'completed') {
-              todaySession.status = 'completed';
-              todaySession.completedAt = new Date();
-            }
-            break;
-          case 'IDLE':
-            // Don't change status if already in progress
-            if (todaySession.status === 'pending') {
-              todaySession.status = 'pending';
-            }
-            break;
-        }
-      } else {
-        // Legacy behavior - update status if not already completed
-        if (todaySession.status === 'pending') {
-          todaySession.status = 'in_progress';
-        }
-      }
-
-      // **NEW**: Store additional metrics from enhanced firmware
-      if (cadence) {
-        todaySession.currentCadence = parseFloat(cadence);
-      }
-      
-      todaySession.lastUpdate = new Date();
-
-      await plan.save();
-
-      logger.info(`Session updated successfully for user ${userId}`, {
-        sessionId: todaySession._id,
-        distance: todaySession.currentDistance,
-        calories: todaySession.caloriesBurned,
-        status: todaySession.status,
-        autoManaged: todaySession.autoManaged,
-        cadence: todaySession.currentCadence
-      });
-
-      res.json({
-        success: true,
-        message: 'Session progress updated successfully',
-        data: {
-          sessionId: todaySession._id,
-          distance: todaySession.currentDistance,
-          speed: todaySession.currentSpeed,
-          caloriesBurned: todaySession.caloriesBurned,
-          sessionTime: todaySession.sessionTime,
-          status: todaySession.status,
-          autoManaged: todaySession.autoManaged || false,
-          cadence: todaySession.currentCadence || 0,
-          lastUpdate: todaySession.lastUpdate
-        }
-      });
-    } else {
-      // Session not active - just acknowledge
-      res.json({
-        success: true,
-        message: 'Session not active - no update needed',
-        data: { sessionActive: false }
-      });
-    }
+    logger.info(`Session updated successfully for user ${userId}`, result.session);
+    res.json({
+      success: true,
+      message: result.message,
+      data: result.session
+    });
 
   } catch (error) {
     logger.error(' Real-time session update error:', error);
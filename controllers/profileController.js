@@ -2,6 +2,13 @@ import User from '../models/User.js';
 // import { v2 as cloudinary } from 'cloudinary';
 import { Readable } from 'stream';
 
+// Training inputs must be plausible: they drive power and heart rate analytics
+const TRAINING_FIELD_RANGES = {
+  ftp: { min: 50, max: 600, label: 'FTP', unit: 'watts' },
+  maxHeartRate: { min: 100, max: 230, label: 'Max heart rate', unit: 'bpm' },
+  restingHeartRate: { min: 30, max: 120, label: 'Resting heart rate', unit: 'bpm' },
+};
+
 // Helper function to check if profile is complete
 const checkProfileComplete = (profile) => {
   return !!(profile.gender && profile.birthDate && profile.weight && profile.height && profile.activityLevel);
@@ -120,7 +127,7 @@ export const updateProfile = async (req, res) => {
     }
 
     // Allow partial updates - only validate provided fields
-    const allowedFields = ['gender', 'birthDate', 'weight', 'height', 'activityLevel'];
+    const allowedFields = ['gender', 'birthDate', 'weight', 'height', 'activityLevel', 'ftp', 'maxHeartRate', 'restingHeartRate'];
     const profileUpdates = {};
     
     for (const field of allowedFields) {
@@ -129,6 +136,16 @@ export const updateProfile = async (req, res) => {
           profileUpdates[field] = new Date(updates[field]);
         } else if (field === 'weight' || field === 'height') {
           profileUpdates[field] = Number(updates[field]);
+        } else if (TRAINING_FIELD_RANGES[field]) {
+          const { min, max, label, unit } = TRAINING_FIELD_RANGES[field];
+          const value = Number(updates[field]);
+          if (!Number.isFinite(value) || value < min || value > max) {
+            return res.status(400).json({
+              success: false,
+              error: `${label} must be between ${min} and ${max} ${unit}`,
+            });
+          }
+          profileUpdates[field] = Math.round(value);
         } else {
           profileUpdates[field] = updates[field];
         }
@@ -158,10 +175,18 @@ export const updateProfile = async (req, res) => {
       updateObject.profileCompleted = true;
     }
 
+    // Manual FTP changes are kept alongside automatic estimates
+    const update = { $set: updateObject };
+    if (profileUpdates.ftp !== undefined) {
+      update.$push = {
+        'profile.ftpHistory': { ftp: profileUpdates.ftp, source: 'manual', recordedAt: new Date() }
+      };
+    }
+
     // Update user with new profile data
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { $set: updateObject },
+      update,
       { new: true }
     );
 
@@ -1,5 +1,7 @@
 import WorkoutHistory from '../models/WorkoutHistory.js';
 import CyclingPlan from '../models/CyclingPlan.js';
+import { RideSession } from '../models/Telemetry.js';
+import { summarizePowerMetrics } from '../services/powerAnalyticsService.js';
 import { errorResponse } from '../utils/responseHelpers.js';
 
 // Archive a plan to workout history
@@ -24,6 +26,11 @@ export const archivePlan = async (req, res) => {
     const missedSessions = plan.dailySessions.filter(s => s.status === 'missed');
     const totalCaloriesBurned = plan.dailySessions.reduce((sum, s) => sum + (s.caloriesBurned || 0), 0);
 
+    // Training load from the rides recorded against this plan
+    const planRides = await RideSession.find({ planId, status: 'completed' })
+      .select('_id duration normalizedPower intensityFactor trainingStressScore workKj');
+    const powerSummary = summarizePowerMetrics(planRides);
+
     // Create workout history entry
     const workoutHistory = new WorkoutHistory({
       user: userId,
@@ -41,6 +48,10 @@ export const archivePlan = async (req, res) => {
         completedHours: plan.completedHours || 0,
         caloriesBurned: totalCaloriesBurned,
         averageIntensity: plan.planSummary.averageIntensity || 2,
+        totalTss: powerSummary.totalTss,
+        totalWorkKj: powerSummary.totalWorkKj,
+        avgNormalizedPower: powerSummary.avgNormalizedPower,
+        avgIntensityFactor: powerSummary.avgIntensityFactor,
         originalGoal: {
           type: plan.goal.type,
           targetValue: plan.goal.targetValue,
@@ -141,6 +152,8 @@ export const getHistoryAnalytics = async (req, res) => {
           totalMissedSessions: { $sum: '$statistics.missedSessions' },
           totalHours: { $sum: '$statistics.completedHours' },
           totalCaloriesBurned: { $sum: '$statistics.caloriesBurned' },
+          totalTss: { $sum: '$statistics.totalTss' },
+          totalWorkKj: { $sum: '$statistics.totalWorkKj' },
           averageCompletionRate: { $avg: '$planSummary.completionRate' }
         }
       }
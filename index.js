@@ -38,8 +38,12 @@ import userRoutes from './routes/userRoutes.js'; // Achievement system routes
 import tutorialRoutes from './routes/tutorialRoutes.js'; // Tutorial system (email-based tracking)
 import activityHistoryRoutes from './routes/activityHistoryRoutes.js'; // Activity history and stats
 import contactRoutes from './routes/contactRoutes.js'; // Contact form and feedback
+import workoutRoutes from './routes/workoutRoutes.js'; // Structured interval workouts
+import firmwareRoutes from './routes/firmwareRoutes.js'; // Firmware registry and OTA rollout (admin)
+import organizationRoutes from './routes/organizationRoutes.js'; // Organizations and kiosk bike fleets
 import RealTimeTelemetryService from './services/realTimeTelemetryService.js';
 import ScheduledTasksService from './services/scheduledTasksService.js';
+import MqttIngestionService from './services/mqttIngestionService.js';
 import SessionManager from './services/sessionManager.js';
 import simpleRedisClient from './services/simpleRedisClient.js'; //  Simple Redis client for comparison
 import User from './models/User.js';
@@ -127,6 +131,8 @@ if (IS_RENDER) {
 
 // 🔒 CRITICAL FIX: Body parsing MUST come before security middleware
 // This is required because rate limiting middleware accesses req.body.email
+// Offline telemetry batches carry hundreds of points, more than the default 100kb
+app.use(['/api/v1/esp32/telemetry/batch', '/api/esp32/telemetry/batch'], express.json({ limit: '1mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -223,6 +229,9 @@ v1Router.use('/profile', profileRoutes);
 v1Router.use('/goals', goalsRoutes);
 v1Router.use('/esp32', esp32Routes);
 v1Router.use('/workout-history', workoutHistoryRoutes);
+v1Router.use('/workouts', workoutRoutes);
+v1Router.use('/firmware', firmwareRoutes);
+v1Router.use('/organizations', organizationRoutes);
 v1Router.use('/progress', progressRoutes);
 v1Router.use('/health-screening', healthScreeningRoutes); // Fixed duplicate profile route
 v1Router.use('/activity-history', activityHistoryRoutes); // Activity history and chart data
@@ -256,6 +265,9 @@ app.use('/api/profile', deprecationWarning, profileRoutes);
 app.use('/api/goals', deprecationWarning, goalsRoutes);
 app.use('/api/esp32', deprecationWarning, esp32Routes);
 app.use('/api/workout-history', deprecationWarning, workoutHistoryRoutes);
+app.use('/api/workouts', deprecationWarning, workoutRoutes);
+app.use('/api/firmware', deprecationWarning, firmwareRoutes);
+app.use('/api/organizations', deprecationWarning, organizationRoutes);
 app.use('/api/progress', deprecationWarning, progressRoutes);
 app.use('/api/activity-history', deprecationWarning, activityHistoryRoutes); // Activity history and stats
 app.use('/api/notifications', deprecationWarning, notificationRoutes);
@@ -640,6 +652,7 @@ initWebSocket(server);
 
 // Initialize real-time telemetry service
 const telemetryService = new RealTimeTelemetryService();
+const mqttIngestion = new MqttIngestionService(telemetryService);
 
 // Legacy WebSocket server for backward compatibility
 const legacyWss = new WebSocketServer({ 
@@ -819,6 +832,14 @@ const startServer = async () => {
           // Make telemetry service available to routes
           app.locals.telemetryService = telemetryService;
 
+          // MQTT devices publish into the same telemetry pipeline (off unless MQTT_URL is set)
+          try {
+            await mqttIngestion.start();
+            app.locals.mqttIngestion = mqttIngestion;
+          } catch (mqttError) {
+            logger.warn('⚠️ MQTT ingestion failed to start (non-critical):', mqttError.message);
+          }
+
           logger.info('Post-deployment initialization completed (Redis status logged above)');
         } catch (initError) {
           logger.error(' Post-deployment initialization failed:', initError);
@@ -852,7 +873,7 @@ const startServer = async () => {
       // **ENHANCED**: Initialize scheduled tasks for real-time notifications (non-blocking)
       setTimeout(async () => {
         try {
-          await ScheduledTasksService.initialize();
+          await ScheduledTasksService.initialize({ telemetryService, mqttIngestion });
           logger.info('Real-time notification system initialized successfully');
         } catch (taskError) {
           logger.error(' Failed to initialize scheduled tasks:', taskError);
@@ -922,6 +943,7 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM received, shutting down gracefully');
+      await mqttIngestion.stop();
       await telemetryService.shutdown();
       server.close(() => {
         mongoose.connection.close();
@@ -931,6 +953,7 @@ const startServer = async () => {
 
     process.on('SIGINT', async () => {
       logger.info('SIGINT received, shutting down gracefully');
+      await mqttIngestion.stop();
       await telemetryService.shutdown();
       server.close(() => {
         mongoose.connection.close();
@@ -0,0 +1,70 @@
+import authenticateToken from './authenticateToken.js';
+import { ESP32Device } from '../models/Telemetry.js';
+import { authenticateDeviceKey } from '../services/deviceCredentialService.js';
+import { getActiveRider, isDeviceRider } from '../services/householdService.js';
+import { getPrimaryDevice } from '../services/multiDeviceService.js';
+import logger from '../utils/logger.js';
+
+// Devices send their key as `Authorization: Device <key>` or `X-Device-Key: <key>`
+export const getDeviceKey = (req) => {
+  const [scheme, key] = (req.headers['authorization'] || '').split(' ');
+  if (scheme === 'Device' && key) return key;
+  return req.headers['x-device-key'] || null;
+};
+
+// Authenticates a device by its own key (see deviceCredentialService). The
+// request acts for the device's active rider (see householdService), and its
+// body's deviceId is the device's.
+const authenticateDevice = async (req, res, next) => {
+  const key = getDeviceKey(req);
+  if (!key) return res.status(401).json({ error: 'No device key provided' });
+
+  try {
+    const device = await authenticateDeviceKey(key);
+    if (req.body?.deviceId && req.body.deviceId !== device.deviceId) {
+      return res.status(403).json({ error: 'Device key does not match deviceId' });
+    }
+    if (req.body && typeof req.body === 'object') req.body.deviceId = device.deviceId;
+
+    req.device = device;
+    req.user = { userId: getActiveRider(device).toString(), deviceId: device.deviceId };
+    next();
+  } catch (err) {
+    if (err.status === 401) return res.status(401).json({ error: err.message });
+    logger.error('Device authentication error:', err);
+    return res.status(500).json({ error: 'Device authentication failed' });
+  }
+};
+
+// Device endpoints take the device's key or, for readings relayed by the app,
+// the rider's JWT. With a JWT the request is for a registered device the rider
+// owns, shares or has checked out (their primary device when it names none), and
+// its body's deviceId is that device's. Readings relayed for a shared device are
+// the active rider's.
+export const authenticateDeviceOrUser = (req, res, next) => {
+  if (getDeviceKey(req)) return authenticateDevice(req, res, next);
+
+  authenticateToken(req, res, async () => {
+    try {
+      const deviceId = req.body?.deviceId || (await getPrimaryDevice(req.user.userId))?.deviceId;
+      const device = deviceId
+        ? await ESP32Device.findOne({ deviceId }).select('userId members activeRider kiosk.binding').lean()
+        : null;
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found; pair it with a claim code first' });
+      }
+      if (!isDeviceRider(device, req.user.userId)) {
+        return res.status(403).json({ error: 'Device belongs to another account' });
+      }
+      if (req.body && typeof req.body === 'object') req.body.deviceId = deviceId;
+
+      req.user.userId = getActiveRider(device).toString();
+      next();
+    } catch (err) {
+      logger.error('Device ownership check error:', err);
+      return res.status(500).json({ error: 'Device authentication failed' });
+    }
+  });
+};
+
+export default authenticateDevice;
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+const sameKey = (given, expected) => {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Middleware: Admin authentication with the X-Admin-Key header. Admin routes
+ * are refused outright when ADMIN_KEY is not set.
+ */
+const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_KEY;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'ADMIN_DISABLED',
+      message: 'Admin routes are disabled until ADMIN_KEY is set'
+    });
+  }
+
+  const adminKey = req.headers['x-admin-key'];
+  if (!adminKey || !sameKey(adminKey, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Admin authentication required'
+    });
+  }
+
+  next();
+};
+
+export default requireAdmin;
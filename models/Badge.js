@@ -10,7 +10,7 @@ const badgeSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['distance', 'speed', 'streak', 'challenge', 'special']
+    enum: ['distance', 'speed', 'streak', 'challenge', 'special', 'energy']
   },
   name: {
     type: String,
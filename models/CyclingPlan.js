@@ -40,7 +40,10 @@ const sessionSchema = new mongoose.Schema({
     // NEW: Original session tracking (for rescheduled sessions)
     originalSessionId: { type: mongoose.Schema.Types.ObjectId },
     isRescheduled: { type: Boolean, default: false },
-    isRedistributed: { type: Boolean, default: false }
+    isRedistributed: { type: Boolean, default: false },
+
+    // Structured workout to ride on this day (see workoutService)
+    workout: { type: mongoose.Schema.Types.ObjectId, ref: 'Workout', default: null }
   });
   
   const cyclingPlanSchema = new mongoose.Schema({
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Short-lived code the app shows so a device can pair itself to the rider's
+// account (see deviceCredentialService). Only the code's hash is stored.
+const deviceClaimSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  codeHash: { type: String, required: true, unique: true },
+  deviceName: { type: String, trim: true, maxlength: 60 },
+  expiresAt: { type: Date, required: true },
+  // Set when a device redeems the code; each code works once
+  claimedAt: { type: Date, default: null },
+  deviceId: { type: String, default: null }
+}, { timestamps: true });
+
+// Expired codes are removed by MongoDB
+deviceClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('DeviceClaim', deviceClaimSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A firmware build devices can be updated to (see firmwareService). Uploaded
+// builds are stored in the `firmware` GridFS bucket; builds hosted elsewhere
+// only have a url. Devices check sha256 (or md5, which the ESP32 Update
+// library verifies natively) before flashing.
+const firmwareReleaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d+\.\d+\.\d+$/
+  },
+  notes: { type: String, trim: true, maxlength: 2000 },
+  size: { type: Number, required: true, min: 1 }, // bytes
+  sha256: { type: String, required: true, match: /^[0-9a-f]{64}$/ },
+  md5: { type: String, match: /^[0-9a-f]{32}$/ },
+  fileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  url: { type: String, default: null },
+  // Which devices are offered the build: every allowlisted device, plus a
+  // stable percentage of the rest. Draft and paused releases are offered to none
+  rollout: {
+    status: { type: String, enum: ['draft', 'active', 'paused'], default: 'draft' },
+    percentage: { type: Number, min: 0, max: 100, default: 0 },
+    allowlist: { type: [String], default: [] },
+    startedAt: { type: Date, default: null }
+  }
+}, { timestamps: true });
+
+firmwareReleaseSchema.index({ 'rollout.status': 1 });
+
+export default mongoose.model('FirmwareRelease', firmwareReleaseSchema);
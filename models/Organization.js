@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A gym, campus program or other group that runs a fleet of shared bikes
+// (ESP32Device.organizationId). Members check a bike out by scanning its kiosk
+// QR code (see organizationService); admins manage members and the fleet.
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  members: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['admin', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  // Riders an admin invited; they become members when they accept
+  invites: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['admin', 'member'], default: 'member' },
+    invitedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date }
+  }],
+  // How long a checked-out bike stays bound to a member before the ride is ended
+  kiosk: {
+    maxRideMinutes: { type: Number, min: 5, max: 480, default: 90 },
+    idleMinutes: { type: Number, min: 1, max: 60, default: 10 } // no readings for this long ends the ride
+  }
+}, { timestamps: true });
+
+organizationSchema.index({ 'members.userId': 1 });
+organizationSchema.index({ 'invites.userId': 1 }, { sparse: true });
+
+export default mongoose.model('Organization', organizationSchema);
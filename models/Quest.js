@@ -23,7 +23,7 @@ const questSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['distance', 'time', 'calories', 'streak', 'social', 'health']
+    enum: ['distance', 'time', 'calories', 'streak', 'social', 'health', 'energy']
   },
   progress: {
     current: {
@@ -164,4 +164,25 @@ questSchema.statics.createDailyQuests = async function(userId) {
   return await this.insertMany(dailyQuests);
 };
 
+// Static method to create this week's energy quest, progressed by the Wh each ride generates
+questSchema.statics.createWeeklyEnergyQuest = async function(userId) {
+  const endOfWeek = new Date();
+  endOfWeek.setDate(endOfWeek.getDate() + ((7 - endOfWeek.getDay()) % 7)); // Sunday
+  endOfWeek.setHours(23, 59, 59, 999);
+
+  return await this.create({
+    userId,
+    title: 'Power the Week',
+    description: 'Generate 50 Wh on your bike this week',
+    type: 'weekly',
+    category: 'energy',
+    progress: { current: 0, target: 50 },
+    endDate: endOfWeek,
+    rewards: { xp: 150 },
+    difficulty: 'medium',
+    icon: '⚡',
+    color: '#FFC107'
+  });
+};
+
 export default mongoose.model('Quest', questSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Spectator link for a live ride (see rideShareService). Only the token's hash
+// is stored; the token itself is shown to the rider once.
+const rideShareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sessionId: { type: String, required: true, index: true },
+  deviceId: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Spectators see a coarse position instead of the exact one
+  fuzzLocation: { type: Boolean, default: false },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Expired links are removed by MongoDB
+rideShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RideShare', rideShareSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLLUP_RESOLUTIONS, mergeTelemetryTiers } from '../utils/telemetryRollup.js';
 
 // Individual telemetry data point schema
 const telemetrySchema = new mongoose.Schema({
@@ -29,7 +30,9 @@ const telemetrySchema = new mongoose.Schema({
     distance: { type: Number, min: 0, default: 0 }, // km
     sessionTime: { type: Number, min: 0, default: 0 }, // seconds
     watts: { type: Number, min: 0, max: 2000, default: 0 }, // watts
-    pulseCount: { type: Number, min: 0, default: 0 }
+    pulseCount: { type: Number, min: 0, default: 0 }, // cumulative wheel revolutions this session
+    cadence: { type: Number, min: 0, max: 250, default: 0 }, // crank rpm
+    heartRate: { type: Number, min: 30, max: 250, default: null } // bpm, null without a HR strap
   },
   // Device status
   battery: {
@@ -37,6 +40,13 @@ const telemetrySchema = new mongoose.Schema({
     level: { type: Number, min: 0, max: 100, default: 0 }
   },
   workoutActive: { type: Boolean, default: false },
+  // Client sequence number of points uploaded in offline batches, used to drop replays
+  sequence: { type: Number, min: 0 },
+  // Sanity filter result (see telemetryQualityService); flagged points had bad values replaced
+  quality: {
+    flagged: { type: Boolean, default: false },
+    issues: { type: [String], default: undefined }
+  },
   // Raw data for debugging
   rawData: { type: mongoose.Schema.Types.Mixed },
   timestamp: { type: Date, default: Date.now, index: true }
@@ -48,6 +58,60 @@ const telemetrySchema = new mongoose.Schema({
   timestamps: true 
 });
 
+// Downsampled telemetry, written by telemetryRetentionService once raw points age
+// out. Same shape as a raw point: `metrics` holds bucket averages (cumulative
+// counters keep their last value) and `max` the peaks.
+const telemetryRollupSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  sessionId: { type: String, required: true },
+  resolution: { type: Number, enum: ROLLUP_RESOLUTIONS, required: true }, // seconds per bucket
+  timestamp: { type: Date, required: true }, // bucket start
+  sampleCount: { type: Number, min: 0, default: 0 }, // raw points in the bucket
+  coordinates: {
+    type: { type: String },
+    coordinates: { type: [Number], default: undefined }
+  },
+  metrics: {
+    speed: { type: Number, default: 0 }, // km/h
+    distance: { type: Number, default: 0 }, // km
+    sessionTime: { type: Number, default: 0 }, // seconds
+    watts: { type: Number, default: 0 },
+    pulseCount: { type: Number, default: 0 },
+    cadence: { type: Number, default: 0 }, // rpm
+    heartRate: { type: Number, default: null } // bpm
+  },
+  max: {
+    speed: { type: Number, default: 0 },
+    watts: { type: Number, default: 0 },
+    cadence: { type: Number, default: 0 },
+    heartRate: { type: Number, default: null }
+  },
+  battery: {
+    voltage: { type: Number, default: 0 },
+    level: { type: Number, default: 0 }
+  },
+  workoutActive: { type: Boolean, default: false },
+  quality: {
+    flaggedPoints: { type: Number, default: 0 } // raw points the sanity filter flagged
+  }
+}, { timestamps: true });
+
+// One per offline batch point already stored (see telemetrySyncService). Telemetry
+// is a time series collection, which can't have unique indexes, and its raw points
+// are rolled up after a while; claiming a receipt first keeps a retried batch from
+// being stored twice either way.
+const telemetryReceiptSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  timestamp: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 90 } // 90 days
+});
+
 // Ride session schema for aggregated data
 const rideSessionSchema = new mongoose.Schema({
   userId: { 
@@ -66,10 +130,31 @@ const rideSessionSchema = new mongoose.Schema({
     unique: true,
     index: true 
   },
+  // Devices the ride moved between (see multiDeviceService); empty for single-device rides.
+  // A device's readings start from 0 km, so its distanceOffset is the ride's distance when it took over
+  deviceHistory: [{
+    _id: false,
+    deviceId: String,
+    startedAt: Date,
+    distanceOffset: { type: Number, default: 0 } // km
+  }],
+  mergedFrom: { type: [String], default: undefined }, // sessionIds merged into this ride
+  splitFrom: { type: String, default: null }, // sessionId this ride was split off
   // Session summary
   startTime: { type: Date, required: true },
   endTime: { type: Date },
   duration: { type: Number, default: 0 }, // seconds
+  // Auto-pause (see movingTimeService): stops longer than the device's window are
+  // excluded from moving time, which avgSpeed, calories and plan hours are based on
+  elapsedTime: { type: Number, min: 0, default: 0 }, // seconds
+  movingTime: { type: Number, min: 0, default: 0 }, // seconds
+  pausedIntervals: [{
+    _id: false,
+    start: Date,
+    end: Date,
+    duration: Number // seconds
+  }],
+  stoppedSince: { type: Date, default: null }, // start of the current stop while riding
   // Aggregated metrics
   totalDistance: { type: Number, min: 0, default: 0 }, // km
   maxSpeed: { type: Number, min: 0, default: 0 }, // km/h
@@ -77,6 +162,137 @@ const rideSessionSchema = new mongoose.Schema({
   totalCalories: { type: Number, min: 0, default: 0 }, // kcal
   avgPower: { type: Number, min: 0, default: 0 }, // watts
   maxPower: { type: Number, min: 0, default: 0 }, // watts
+  // Cadence averages only cover readings where the rider was pedalling
+  avgCadence: { type: Number, min: 0, default: 0 }, // rpm
+  maxCadence: { type: Number, min: 0, default: 0 }, // rpm
+  cadenceSamples: { type: Number, default: 0 },
+  // 'pulses' once speed and distance are derived from the wheel sensor (see pulseMetricsService)
+  speedSource: {
+    type: String,
+    enum: ['device', 'pulses'],
+    default: 'device'
+  },
+  // Laps closed manually or by auto-lap (see lapService); empty for single-lap rides
+  autoLap: {
+    mode: { type: String, enum: ['off', 'distance', 'time'], default: 'off' },
+    interval: { type: Number, min: 0, default: null } // km or minutes
+  },
+  laps: [{
+    _id: false,
+    number: Number,
+    trigger: { type: String, enum: ['manual', 'distance', 'time', 'end'] },
+    startTime: Date,
+    endTime: Date,
+    startDistance: Number, // km into the ride
+    distance: Number, // km
+    duration: Number, // seconds
+    movingTime: Number, // seconds
+    avgSpeed: Number, // km/h
+    maxSpeed: Number, // km/h
+    avgPower: Number, // watts
+    maxPower: Number, // watts
+    calories: Number // kcal
+  }],
+  // Structured workout ridden, and how closely the ride held its step targets (see workoutService)
+  workoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout',
+    default: null
+  },
+  workoutStartedAt: { type: Date, default: null },
+  workoutCompliance: {
+    score: { type: Number, min: 0, max: 100, default: null },
+    ftpUsed: { type: Number, default: null }, // watts, for intensity targets
+    steps: [{
+      _id: false,
+      index: Number,
+      name: String,
+      targetType: { type: String, enum: ['power', 'cadence', 'intensity'] },
+      low: Number, // watts or rpm
+      high: Number,
+      duration: Number, // seconds planned
+      samples: Number,
+      inTarget: Number, // samples within the target range
+      actualAvg: Number, // watts or rpm
+      score: Number // 0-100, null when the target couldn't be resolved
+    }]
+  },
+  // Electricity generated, from the ride's work (see energyService); null until counted
+  energyWh: { type: Number, min: 0, default: null },
+  // What completing the ride added to the rider's plan, goal and XP (see
+  // SessionTrackerService.completeSession), so it can be taken back when the ride is merged away
+  credited: {
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'CyclingPlan', default: null }, // set when plan hours were added
+    planDay: { type: Date, default: null }, // the plan day the hours counted toward
+    planDayCompleted: { type: Boolean, default: false }, // the ride completed that day
+    goalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal', default: null },
+    hours: { type: Number, default: 0 },
+    calories: { type: Number, default: 0 },
+    distance: { type: Number, default: 0 }, // km
+    xp: { type: Number, default: 0 },
+    at: { type: Date, default: null }
+  },
+  // Battery drain over the ride, for battery health (see batteryService)
+  battery: {
+    startLevel: { type: Number, default: null }, // percentage
+    endLevel: { type: Number, default: null },
+    startVoltage: { type: Number, default: null },
+    endVoltage: { type: Number, default: null },
+    hours: { type: Number, default: null }, // between the first and last battery reading
+    drainPerHour: { type: Number, default: null } // percentage points, null for short or charging rides
+  },
+  // Share of clean points and what the sanity filter flagged (see telemetryQualityService).
+  // XP and badges leave the flagged distance and time out
+  dataQuality: {
+    score: { type: Number, min: 0, max: 100, default: 100 },
+    totalPoints: { type: Number, default: 0 },
+    flaggedPoints: { type: Number, default: 0 },
+    flaggedDistance: { type: Number, default: 0 }, // km
+    flaggedTime: { type: Number, default: 0 }, // seconds
+    issues: {
+      speedSpike: { type: Number, default: 0 },
+      powerSurge: { type: Number, default: 0 },
+      distanceRegression: { type: Number, default: 0 },
+      distanceJump: { type: Number, default: 0 }
+    }
+  },
+  // Training load, calculated when the ride completes (see powerAnalyticsService)
+  normalizedPower: { type: Number, min: 0, default: null }, // watts
+  variabilityIndex: { type: Number, min: 0, default: null },
+  workKj: { type: Number, min: 0, default: null }, // kJ
+  intensityFactor: { type: Number, min: 0, default: null }, // null without an FTP
+  trainingStressScore: { type: Number, min: 0, default: null }, // null without an FTP
+  ftpUsed: { type: Number, min: 0, default: null }, // watts, FTP at the time of the ride
+  // Mean-maximal power: best average watts per duration (seconds)
+  powerCurve: [{
+    _id: false,
+    duration: Number,
+    watts: Number
+  }],
+  // Heart rate, only from readings where a strap was paired
+  avgHeartRate: { type: Number, min: 0, default: null }, // bpm
+  maxHeartRate: { type: Number, min: 0, default: null }, // bpm
+  heartRateSamples: { type: Number, default: 0 },
+  timeInHeartRateZones: [{
+    _id: false,
+    zone: Number,
+    name: String,
+    seconds: Number
+  }],
+  // Seconds spent in each Coggan power zone (see trainingZonesService)
+  timeInZones: [{
+    _id: false,
+    zone: Number,
+    name: String,
+    seconds: Number,
+    intensity: String
+  }],
+  // Ramp tests set FTP directly; regular rides can only raise it
+  rideType: {
+    type: String,
+    enum: ['ride', 'ramp_test'],
+    default: 'ride'
+  },
   // Status
   status: {
     type: String,
@@ -99,7 +315,19 @@ const rideSessionSchema = new mongoose.Schema({
     index: true
   },
   // ========== END NEW FIELD ==========
-  
+
+  // Where the ride came from: live ESP32 telemetry or an uploaded activity file
+  source: {
+    type: String,
+    enum: ['esp32', 'import'],
+    default: 'esp32'
+  },
+  importedFrom: {
+    format: { type: String, enum: ['gpx', 'tcx', 'fit'] },
+    filename: String,
+    importedAt: Date
+  },
+
   // Route data
   route: [{
     lat: Number,
@@ -130,13 +358,92 @@ const esp32DeviceSchema = new mongoose.Schema({
   firmwareVersion: { type: String, default: '1.0.0' },
   lastSeen: { type: Date, default: Date.now },
   isActive: { type: Boolean, default: true },
+  // Readings and rides that don't name a device go to the rider's primary one (see multiDeviceService)
+  isPrimary: { type: Boolean, default: false },
+  // Household sharing (see householdService): riders besides the owner (userId), and
+  // who is riding now. The device's readings and rides are the active rider's
+  members: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Riders the owner invited; they become members when they accept
+  invites: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    invitedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date }
+  }],
+  activeRider: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for the owner
+    selectedAt: Date,
+    source: { type: String, enum: ['app', 'button'] }
+  },
+  // Kiosk mode (see organizationService): a fleet bike is checked out by scanning
+  // its QR code, which binds it to the member for one ride
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
+  kiosk: {
+    codeHash: String,
+    codeIssuedAt: Date,
+    binding: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      sessionId: String,
+      boundAt: Date,
+      expiresAt: Date
+    }
+  },
   // Device configuration
   wheelCircumference: { type: Number, default: 2.07 }, // meters
   batteryThreshold: { type: Number, default: 20 }, // percentage
+  autoPauseSeconds: { type: Number, min: 0, default: 10 }, // stop length before auto-pause, 0 disables
+  sampleIntervalMs: { type: Number, default: 1000 }, // time between readings
+  displayUnits: { type: String, enum: ['metric', 'imperial'], default: 'metric' },
+  // The settings above are versioned for the device (see deviceConfigService):
+  // every change bumps version, and the device reports the version it applied
+  configSync: {
+    version: { type: Number, default: 1 },
+    updatedAt: Date,
+    appliedVersion: { type: Number, default: 0 },
+    appliedAt: Date,
+    rejectedVersion: Number,
+    rejectedReason: String
+  },
+  // Per-device key issued when the device is claimed (see deviceCredentialService).
+  // Only hashes are stored; after a rotation the previous key works for a grace period
+  credential: {
+    keyId: String,
+    keyHash: String,
+    previousKeyHash: String,
+    previousKeyExpiresAt: Date,
+    issuedAt: Date,
+    rotatedAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date,
+    releasedAt: Date // the owner gave the device up; another account may claim it
+  },
+  // Latest battery reading and alert state (see batteryService)
+  battery: {
+    level: Number, // percentage
+    voltage: Number,
+    updatedAt: Date,
+    drainPerHour: Number, // typical percentage points per ride hour, from recent rides
+    lowAlertAt: Date, // set when below batteryThreshold was notified, cleared once recharged
+    rideAlertSessionId: String // last ride warned it might not finish on the charge left
+  },
+  // OTA update to the firmware release the device was last offered (see firmwareService)
+  firmwareUpdate: {
+    targetVersion: String,
+    status: { type: String, enum: ['offered', 'downloading', 'installing', 'succeeded', 'failed'] },
+    attempts: { type: Number, default: 0 }, // failed installs of targetVersion
+    error: String,
+    offeredAt: Date,
+    updatedAt: Date
+  },
   // Statistics
   totalSessions: { type: Number, default: 0 },
   totalDistance: { type: Number, default: 0 },
-  totalTime: { type: Number, default: 0 }
+  totalTime: { type: Number, default: 0 },
+  totalEnergy: { type: Number, default: 0 } // Wh generated
 }, { timestamps: true });
 
 // Indexes for performance
@@ -147,12 +454,32 @@ telemetrySchema.index({ deviceId: 1, timestamp: -1 });
 rideSessionSchema.index({ userId: 1, startTime: -1 });
 rideSessionSchema.index({ status: 1, userId: 1 });
 rideSessionSchema.index({ planId: 1, startTime: -1 });
+rideSessionSchema.index({ userId: 1, source: 1, startTime: 1 });
 
 esp32DeviceSchema.index({ userId: 1, isActive: 1 });
+esp32DeviceSchema.index({ userId: 1, isPrimary: 1 });
+esp32DeviceSchema.index({ 'members.userId': 1 });
+esp32DeviceSchema.index({ 'invites.userId': 1 }, { sparse: true });
+esp32DeviceSchema.index({ organizationId: 1 });
+esp32DeviceSchema.index({ 'kiosk.binding.userId': 1 }, { sparse: true });
+esp32DeviceSchema.index({ 'kiosk.binding.sessionId': 1 }, { sparse: true });
+esp32DeviceSchema.index({ 'credential.keyId': 1 }, { unique: true, sparse: true });
+esp32DeviceSchema.index({ 'firmwareUpdate.targetVersion': 1, 'firmwareUpdate.status': 1 });
+
+telemetryRollupSchema.index({ sessionId: 1, resolution: 1, timestamp: 1 }, { unique: true });
+telemetryRollupSchema.index({ resolution: 1, timestamp: 1 });
+
+telemetryReceiptSchema.index({ deviceId: 1, sequence: 1, timestamp: 1 }, { unique: true });
 
 // Static methods for Telemetry
+// Reads the best tier available: raw points, then 10-second and 1-minute rollups
+// for time whose raw points have been rolled up
 telemetrySchema.statics.getSessionData = async function(sessionId) {
-  return this.find({ sessionId }).sort({ timestamp: 1 });
+  const [raw, rollups] = await Promise.all([
+    this.find({ sessionId }).sort({ timestamp: 1 }),
+    TelemetryRollup.find({ sessionId }).sort({ timestamp: 1 }).lean()
+  ]);
+  return rollups.length > 0 ? mergeTelemetryTiers(raw, rollups) : raw;
 };
 
 telemetrySchema.statics.getUserRecentData = async function(userId, hours = 24) {
@@ -186,19 +513,24 @@ rideSessionSchema.statics.getUserActiveSessions = async function(userId) {
 };
 
 rideSessionSchema.statics.completeSession = async function(sessionId, finalMetrics) {
-  const session = await this.findOne({ sessionId });
+  // Only the call that moves the ride out of 'active' completes it
+  const session = await this.findOneAndUpdate(
+    { sessionId, status: 'active' },
+    { $set: { status: 'completed', endTime: new Date() } },
+    { new: true }
+  );
   if (!session) return null;
   
-  session.status = 'completed';
-  session.endTime = new Date();
   session.duration = Math.floor((session.endTime - session.startTime) / 1000);
   session.actualHours = session.duration / 3600;
   
-  // Update metrics
+  // Update metrics; pulse-derived speed and distance take priority over the app's totals
   if (finalMetrics) {
-    session.totalDistance = finalMetrics.distance || session.totalDistance;
-    session.maxSpeed = finalMetrics.maxSpeed || session.maxSpeed;
-    session.avgSpeed = finalMetrics.avgSpeed || session.avgSpeed;
+    if (session.speedSource !== 'pulses') {
+      session.totalDistance = finalMetrics.distance || session.totalDistance;
+      session.maxSpeed = finalMetrics.maxSpeed || session.maxSpeed;
+      session.avgSpeed = finalMetrics.avgSpeed || session.avgSpeed;
+    }
     session.totalCalories = finalMetrics.calories || session.totalCalories;
     session.avgPower = finalMetrics.avgPower || session.avgPower;
     session.maxPower = finalMetrics.maxPower || session.maxPower;
@@ -218,7 +550,26 @@ rideSessionSchema.methods.updateMetrics = function(telemetryData) {
     // Calculate running averages
     this.dataPoints = (this.dataPoints || 0) + 1;
     this.avgSpeed = ((this.avgSpeed * (this.dataPoints - 1)) + (telemetryData.metrics.speed || 0)) / this.dataPoints;
+    // Once moving time is tracked, average speed excludes stops
+    if (this.movingTime > 0 && this.totalDistance > 0) {
+      this.avgSpeed = this.totalDistance / (this.movingTime / 3600);
+    }
     this.avgPower = ((this.avgPower * (this.dataPoints - 1)) + (telemetryData.metrics.watts || 0)) / this.dataPoints;
+
+    // Heart rate averages only cover readings that have one
+    const heartRate = telemetryData.metrics.heartRate;
+    if (heartRate > 0) {
+      this.heartRateSamples = (this.heartRateSamples || 0) + 1;
+      this.maxHeartRate = Math.max(this.maxHeartRate || 0, heartRate);
+      this.avgHeartRate = (((this.avgHeartRate || 0) * (this.heartRateSamples - 1)) + heartRate) / this.heartRateSamples;
+    }
+
+    const cadence = telemetryData.metrics.cadence;
+    if (cadence > 0) {
+      this.cadenceSamples = (this.cadenceSamples || 0) + 1;
+      this.maxCadence = Math.max(this.maxCadence || 0, cadence);
+      this.avgCadence = (((this.avgCadence || 0) * (this.cadenceSamples - 1)) + cadence) / this.cadenceSamples;
+    }
   }
   
   this.lastUpdate = new Date();
@@ -229,6 +580,8 @@ rideSessionSchema.methods.updateMetrics = function(telemetryData) {
 const Telemetry = mongoose.model('Telemetry', telemetrySchema);
 const RideSession = mongoose.model('RideSession', rideSessionSchema);
 const ESP32Device = mongoose.model('ESP32Device', esp32DeviceSchema);
+const TelemetryRollup = mongoose.model('TelemetryRollup', telemetryRollupSchema);
+const TelemetryReceipt = mongoose.model('TelemetryReceipt', telemetryReceiptSchema);
 
-export { Telemetry, RideSession, ESP32Device };
+export { Telemetry, RideSession, ESP32Device, TelemetryRollup, TelemetryReceipt };
 export default Telemetry;
\ No newline at end of file
@@ -37,6 +37,14 @@ const activityLogSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// One point of a power-duration curve and the ride it came from
+const powerCurveEntrySchema = new mongoose.Schema({
+  duration: { type: Number, required: true }, // seconds
+  watts: { type: Number, required: true },
+  sessionId: { type: String },
+  date: { type: Date }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: false, select: false }, // Optional for Google users
@@ -57,6 +65,16 @@ const userSchema = new mongoose.Schema({
       default: 'moderate'
     },
     dailyCalorieGoal: { type: Number, min: 1000, max: 10000 },
+    ftp: { type: Number, min: 50, max: 600 }, // Functional Threshold Power, watts
+    maxHeartRate: { type: Number, min: 100, max: 230 }, // bpm, estimated from age when unset
+    restingHeartRate: { type: Number, min: 30, max: 120 }, // bpm
+    ftpHistory: [{
+      _id: false,
+      ftp: { type: Number, required: true },
+      source: { type: String, enum: ['manual', 'best_20min', 'ramp_test'], default: 'manual' },
+      sessionId: { type: String }, // ride the estimate came from
+      recordedAt: { type: Date, default: Date.now }
+    }],
     weightGoal: {
       targetWeight: { type: Number },
       targetDate: { type: Date },
@@ -64,6 +82,19 @@ const userSchema = new mongoose.Schema({
     }
   },
   activityLog: [activityLogSchema],
+  // Best average watts per duration, across all rides and the last 90 days
+  powerProfile: {
+    allTime: [powerCurveEntrySchema],
+    last90Days: [powerCurveEntrySchema],
+    updatedAt: { type: Date }
+  },
+  // Electricity generated on SikadVoltz generator bikes (see energyService)
+  energy: {
+    totalWh: { type: Number, min: 0, default: 0 },
+    rides: { type: Number, min: 0, default: 0 }, // rides that generated any
+    bestRideWh: { type: Number, min: 0, default: 0 },
+    updatedAt: { type: Date }
+  },
   profileCompleted: { type: Boolean, default: false },
   
   // Health screening fields
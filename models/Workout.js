@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A structured workout (see workoutService): steps ridden in order, each with a
+// duration and a target range. Plans reference workouts from their dailySessions.
+const workoutStepSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 60 },
+  kind: {
+    type: String,
+    enum: ['warmup', 'work', 'recovery', 'cooldown'],
+    default: 'work'
+  },
+  duration: { type: Number, required: true, min: 10, max: 4 * 60 * 60 }, // seconds
+  // power in watts, cadence in rpm, intensity in percent of FTP
+  target: {
+    type: { type: String, enum: ['power', 'cadence', 'intensity'], required: true },
+    low: { type: Number, required: true, min: 0 },
+    high: { type: Number, required: true, min: 0 }
+  }
+}, { _id: false });
+
+const workoutSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  steps: {
+    type: [workoutStepSchema],
+    validate: [steps => steps.length > 0, 'A workout needs at least one step']
+  },
+  totalDuration: { type: Number, default: 0 } // seconds
+}, { timestamps: true });
+
+workoutSchema.pre('save', function(next) {
+  this.totalDuration = this.steps.reduce((sum, step) => sum + step.duration, 0);
+  next();
+});
+
+export default mongoose.model('Workout', workoutSchema);
@@ -47,6 +47,11 @@ const workoutHistorySchema = new mongoose.Schema({
     completedHours: { type: Number, default: 0 },
     caloriesBurned: { type: Number, default: 0 },
     averageIntensity: { type: Number, default: 0 },
+    // Power-based training load of the linked rides (see powerAnalyticsService)
+    totalTss: { type: Number, default: 0 },
+    totalWorkKj: { type: Number, default: 0 },
+    avgNormalizedPower: { type: Number, default: null },
+    avgIntensityFactor: { type: Number, default: null },
     originalGoal: {
       type: { type: String },
       targetValue: Number,
@@ -9,29 +9,10 @@ import express from 'express';
 import User from '../models/User.js';
 import logger from '../utils/logger.js';
 import { body, validationResult } from 'express-validator';
+import requireAdmin from '../middleware/requireAdmin.js';
 
 const router = express.Router();
 
-// Simple admin authentication (replace with proper auth in production)
-const ADMIN_KEY = process.env.ADMIN_KEY || 'sikadvoltz-admin-2025';
-
-/**
- * Middleware: Admin authentication
- */
-const requireAdmin = (req, res, next) => {
-  const adminKey = req.headers['x-admin-key'] || req.query.adminKey;
-  
-  if (!adminKey || adminKey !== ADMIN_KEY) {
-    return res.status(401).json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Admin authentication required'
-    });
-  }
-  
-  next();
-};
-
 /**
  * GET /api/admin/reset-token/:email
  * Retrieve active reset token for a user (when email fails)
@@ -13,6 +13,7 @@ import Goal from '../models/Goal.js';
 import { Telemetry } from '../models/Telemetry.js';
 import logger from '../utils/logger.js';
 import SessionManager from '../services/sessionManager.js';
+import { toEnergySummary } from '../services/energyService.js';
 
 const router = express.Router();
 
@@ -74,7 +75,7 @@ router.get('/home', authenticateToken, async (req, res) => {
     
     const [user, activePlan, recentTelemetry] = await Promise.all([
       // Get user with minimal fields
-      User.findById(userId).select('profile email').lean(),
+      User.findById(userId).select('profile email energy').lean(),
       
       // Get active plan with populated sessions
       CyclingPlan.findOne({ user: userId, isActive: true })
@@ -183,6 +184,13 @@ async function _processDashboardData({ user, activePlan, recentTelemetry, curren
     // Chart data
     chartData: [],
     
+    // Lifetime energy generated, with everyday equivalents
+    energy: {
+      ...toEnergySummary(user.energy?.totalWh),
+      rides: user.energy?.rides || 0,
+      bestRideWh: user.energy?.bestRideWh || 0
+    },
+    
     // User info
     userProfile: {
       name: user.profile?.firstName || 'User',
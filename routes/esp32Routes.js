@@ -1,16 +1,154 @@
 import express from 'express';
+import multer from 'multer';
 import authenticateToken from '../middleware/authenticateToken.js';
+import authenticateDevice, { authenticateDeviceOrUser } from '../middleware/authenticateDevice.js';
 import { body, validationResult } from 'express-validator';
 import logger from '../utils/logger.js';
+import { sendRouteError } from '../utils/responseHelpers.js';
 
 // Import models
 import { Telemetry, RideSession, ESP32Device } from '../models/Telemetry.js';
 import User from '../models/User.js';
 import CyclingPlan from '../models/CyclingPlan.js';
-import { calculateCyclingCalories } from '../services/calorieService.js';
+import SessionTrackerService from '../services/session_tracker_service.js';
+import {
+  calculateCyclingCalories,
+  calculateCyclingCaloriesDirect,
+  calculateHeartRateCalories
+} from '../services/calorieService.js';
+import { exportSession, EXPORT_FORMATS } from '../services/activityExportService.js';
+import { importActivityFile } from '../services/activityImportService.js';
+import {
+  applySessionPowerMetrics,
+  summarizePowerMetrics,
+  getUserPowerCurves,
+  POWER_CURVE_DURATIONS
+} from '../services/powerAnalyticsService.js';
+import {
+  getPowerZones,
+  getZoneForWatts,
+  getHeartRateZones,
+  getHeartRateLimits,
+  normalizeHeartRate
+} from '../services/trainingZonesService.js';
+import { applyPulseDerivation } from '../services/pulseMetricsService.js';
+import { ingestTelemetryBatch, MAX_BATCH_POINTS } from '../services/telemetrySyncService.js';
+import { applyQualityFilter, recordPointQuality } from '../services/telemetryQualityService.js';
+import { parseAutoLap, updateLaps } from '../services/lapService.js';
+import { findPlannedWorkoutId } from '../services/workoutService.js';
+import { TELEMETRY_CONTENT_TYPES, formatForContentType, decodeTelemetry } from '../utils/telemetryCodec.js';
+import {
+  createClaimCode,
+  claimDevice,
+  rotateDeviceKey,
+  revokeDeviceCredential,
+  releaseDevice,
+  toCredentialStatus
+} from '../services/deviceCredentialService.js';
+import {
+  toDeviceConfig,
+  getDeviceConfig,
+  updateDeviceConfig,
+  acknowledgeDeviceConfig
+} from '../services/deviceConfigService.js';
+import {
+  checkForUpdate,
+  reportFirmwareStatus,
+  openFirmwareDownload,
+  recordReportedFirmware,
+  toFirmwareUpdateStatus
+} from '../services/firmwareService.js';
+import {
+  estimateBatteryLevel,
+  recordBatteryReading,
+  getBatteryHealth
+} from '../services/batteryService.js';
+import {
+  summarizeSessionEnergy,
+  energyWhFromWork,
+  getLifetimeEnergy,
+  toEnergySummary
+} from '../services/energyService.js';
+import {
+  listUserDevices,
+  setPrimaryDevice,
+  rideDistance,
+  switchSessionDevice,
+  switchActiveDevice,
+  mergeSessions,
+  splitSession,
+  toRideSummary
+} from '../services/multiDeviceService.js';
+import {
+  deviceAccessFilter,
+  getHousehold,
+  inviteMember,
+  listInvites,
+  acceptInvite,
+  declineInvite,
+  removeMember,
+  setActiveRider,
+  selectNextRider
+} from '../services/householdService.js';
+import { releaseSessionBinding } from '../services/organizationService.js';
+import { finishRide } from '../services/rideCompletionService.js';
+import esp32BLEBridge from '../services/esp32_ble_bridge.js';
+import {
+  createRideShare,
+  listRideShares,
+  revokeRideShare,
+  MAX_SHARE_MINUTES
+} from '../services/rideShareService.js';
+import {
+  trackAutoPause,
+  getAutoPauseSeconds
+} from '../services/movingTimeService.js';
 
 const router = express.Router();
 
+// Activity file uploads (GPX/TCX/FIT) are parsed in memory
+const activityUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB limit
+  }
+});
+
+// GeoJSON point for a reading's GPS position, when the app sent one
+const toGeoPoint = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  return Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? { type: 'Point', coordinates: [longitude, latitude] }
+    : undefined;
+};
+
+// Send a stored reading to the rider's live subscribers and spectators. Only
+// readings for the ride they were stored in, confirmed to be the rider's own,
+// are published, so nobody can feed another rider's share link.
+const publishLiveTelemetry = (req, telemetry, session) => {
+  const ownRide = session?.sessionId === telemetry.sessionId &&
+    String(session.userId) === String(telemetry.userId);
+  if (!ownRide) {
+    logger.warn('⚠️ Not publishing a reading outside the rider\'s own ride', { sessionId: telemetry.sessionId });
+    return;
+  }
+
+  const telemetryService = req.app.locals.telemetryService;
+  if (telemetryService) {
+    telemetryService.publishTelemetry(telemetry.deviceId, telemetry.toObject ? telemetry.toObject() : telemetry);
+  }
+};
+
+// Keep the device's latest battery level and alert the rider when it runs low
+const trackBattery = async (reading) => {
+  try {
+    await recordBatteryReading(reading);
+  } catch (batteryError) {
+    logger.warn('⚠️ Failed to record battery reading (non-critical)', { error: batteryError.message });
+  }
+};
+
 // Validation middleware
 const validateRideData = [
   body('speed').isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
@@ -19,7 +157,50 @@ const validateRideData = [
   body('voltage').isFloat({ min: 0 }).withMessage('Voltage must be a positive number'),
   body('sessionTime').isInt({ min: 0 }).withMessage('Session time must be a positive integer'),
   body('timestamp').isInt({ min: 0 }).withMessage('Timestamp must be a positive integer'),
-  body('intensity').optional().isInt({ min: 0, max: 4 }).withMessage('Intensity must be between 0-4')
+  body('intensity').optional().isInt({ min: 0, max: 4 }).withMessage('Intensity must be between 0-4'),
+  // 0 or missing means no heart rate strap is paired
+  body('heartRate').optional({ values: 'falsy' }).isInt({ min: 30, max: 250 }).withMessage('Heart rate must be between 30-250 bpm'),
+  body('pulseCount').optional().isInt({ min: 0 }).withMessage('Pulse count must be a positive integer'),
+  body('cadence').optional().isFloat({ min: 0, max: 250 }).withMessage('Cadence must be between 0-250 rpm'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+const validateRideShare = [
+  body('expiresInMinutes').optional().isInt({ min: 1, max: MAX_SHARE_MINUTES }).withMessage(`Expiry must be 1-${MAX_SHARE_MINUTES} minutes`),
+  body('fuzzLocation').optional().isBoolean().withMessage('fuzzLocation must be a boolean')
+];
+
+const validateTelemetryData = [
+  body('data.pulse_count').optional().isInt({ min: 0 }).withMessage('Pulse count must be a positive integer'),
+  body('data.pulseCount').optional().isInt({ min: 0 }).withMessage('Pulse count must be a positive integer'),
+  body('data.heart_rate').optional({ values: 'falsy' }).isInt({ min: 30, max: 250 }).withMessage('Heart rate must be between 30-250 bpm'),
+  body('data.heartRate').optional({ values: 'falsy' }).isInt({ min: 30, max: 250 }).withMessage('Heart rate must be between 30-250 bpm')
+];
+
+// CBOR and MessagePack bodies arrive raw and are decoded into the JSON request shape
+const parseBinaryTelemetry = [
+  express.raw({ type: [...TELEMETRY_CONTENT_TYPES.cbor, ...TELEMETRY_CONTENT_TYPES.msgpack], limit: '100kb' }),
+  (req, res, next) => {
+    const format = formatForContentType(req.headers['content-type']);
+    if (format === 'json' || !Buffer.isBuffer(req.body)) return next();
+
+    try {
+      req.body = decodeTelemetry(req.body, format);
+      next();
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+];
+
+const validateTelemetryBatch = [
+  body('deviceId').notEmpty().withMessage('Device ID is required'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  body('points').isArray({ min: 1, max: MAX_BATCH_POINTS }).withMessage(`Points must be an array of 1-${MAX_BATCH_POINTS} items`)
 ];
 
 const validateSessionData = [
@@ -33,7 +214,7 @@ const validateSessionData = [
 ];
 
 // POST /api/esp32/ride-data - Receive real-time data from ESP32 via app
-router.post('/ride-data', authenticateToken, validateRideData, async (req, res) => {
+router.post('/ride-data', authenticateDeviceOrUser, validateRideData, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -54,11 +235,26 @@ router.post('/ride-data', authenticateToken, validateRideData, async (req, res)
       sessionTime,
       state,
       intensity = 2, // Default to light cycling if not provided
+      heartRate,
+      pulseCount,
+      cadence,
+      lat,
+      lng,
       timestamp
     } = req.body;
 
     const userId = req.user?.userId;
 
+    // Readings from older app builds don't name their device; authenticateDeviceOrUser
+    // fills in the rider's primary one
+    const { deviceId } = req.body;
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device ID is required'
+      });
+    }
+
     // Log the received data with intensity
     logger.info('ESP32 ride data received', {
       userId,
@@ -67,16 +263,18 @@ router.post('/ride-data', authenticateToken, validateRideData, async (req, res)
       power,
       sessionTime,
       state,
-      intensity
+      intensity,
+      heartRate,
+      pulseCount
     });
 
     // STORE DATA: Save telemetry data to database
     try {
       // Get or create device registration
-      let device = await ESP32Device.findOne({ deviceId: req.body.deviceId || 'DEFAULT_DEVICE', userId });
+      let device = await ESP32Device.findOne({ deviceId, ...deviceAccessFilter(userId) });
       if (!device) {
         device = await ESP32Device.create({
-          deviceId: req.body.deviceId || 'DEFAULT_DEVICE',
+          deviceId,
           userId,
           deviceName: 'SIKAD-VOLTZ',
           lastSeen: new Date()
@@ -87,12 +285,18 @@ router.post('/ride-data', authenticateToken, validateRideData, async (req, res)
         await device.save();
       }
 
-      // Get or create active ride session
-      let session = await RideSession.findOne({
-        userId,
-        deviceId: device.deviceId,
-        status: 'active'
-      });
+      // Get or create active ride session. A rider has one ride at a time: riding
+      // another of their devices moves the ride to it, idle devices are ignored
+      let session = await RideSession.findOne({ userId, status: 'active' });
+      if (session && session.deviceId !== device.deviceId) {
+        if (state === 'active') {
+          switchSessionDevice(session, device.deviceId, new Date(timestamp || Date.now()));
+          await session.save();
+          logger.info('Ride moved to another device', { sessionId: session.sessionId, deviceId: device.deviceId });
+        } else {
+          session = null;
+        }
+      }
 
       if (!session && state === 'active') {
         // Create new session
@@ -139,56 +343,97 @@ router.post('/ride-data', authenticateToken, validateRideData, async (req, res)
 
       // Store telemetry data point
       if (session) {
+        const readingTime = new Date(timestamp || Date.now());
+
+        // Wheel sensor pulses give speed, distance and cadence that override the reported values
+        const { metrics: rideMetrics, derived } = await applyPulseDerivation({
+          sessionId: session.sessionId,
+          deviceId: device.deviceId,
+          metrics: { speed, distance: rideDistance(session, distance), cadence, pulseCount },
+          timestamp: readingTime,
+          wheelCircumference: device.wheelCircumference
+        });
+        if (derived) session.speedSource = 'pulses';
+
+        // Speed spikes, power surges and distance glitches are flagged and replaced
+        const { metrics: cleanMetrics, quality, segment } = await applyQualityFilter({
+          sessionId: session.sessionId,
+          metrics: { ...rideMetrics, watts: power },
+          timestamp: readingTime
+        });
+        recordPointQuality(session, { quality, segment });
+        const { paused } = trackAutoPause(session, { speed: cleanMetrics.speed, timestamp: readingTime }, device.autoPauseSeconds);
+
         const telemetry = await Telemetry.create({
           deviceId: device.deviceId,
           userId,
           sessionId: session.sessionId,
+          coordinates: toGeoPoint(lat, lng),
           metrics: {
-            speed,
-            distance,
+            speed: cleanMetrics.speed,
+            distance: cleanMetrics.distance,
             sessionTime,
-            watts: power,
-            pulseCount: 0
+            watts: cleanMetrics.watts,
+            pulseCount: cleanMetrics.pulseCount || 0,
+            cadence: parseFloat(cleanMetrics.cadence) || 0,
+            heartRate: normalizeHeartRate(heartRate)
           },
+          quality,
           battery: {
             voltage,
-            level: 0
+            level: estimateBatteryLevel(voltage) ?? 0
           },
           workoutActive: state === 'active',
           rawData: req.body,
-          timestamp: new Date(timestamp || Date.now())
+          timestamp: readingTime
         });
 
         // Update session metrics in real-time
         await session.updateMetrics(telemetry);
+        publishLiveTelemetry(req, telemetry, session);
 
         // Calculate calories burned
         const user = await User.findById(userId);
         if (user) {
-          const caloriesBurned = calculateCyclingCalories({
-            weight: user.weight || 70,
-            duration: sessionTime / 60, // Convert seconds to minutes
-            avgSpeed: speed,
-            intensity: intensity || 2
-          });
+          const weight = user.profile?.weight || 70;
+          // Stops past the auto-pause window don't burn riding calories
+          const hours = (session.movingTime || sessionTime || 0) / 3600;
+          // Heart rate when a strap is paired, then the session's power zone when FTP is
+          // known, otherwise the ESP32 intensity code
+          const heartRateCalories = calculateHeartRateCalories(
+            session.avgHeartRate, weight, user.profile?.birthDate, user.profile?.gender, hours
+          );
+          const zone = getZoneForWatts(session.avgPower, user.profile?.ftp);
+          const caloriesBurned = heartRateCalories ?? calculateCyclingCaloriesDirect(
+            weight,
+            hours,
+            zone ? zone.intensity : intensity
+          );
           
           session.totalCalories = caloriesBurned;
           await session.save();
         }
 
+        // Auto-laps close once the session's lap distance or time is reached
+        const lap = await updateLaps(session, { time: readingTime });
+        if (lap) await session.save();
+
         // Update device statistics
         device.totalSessions = await RideSession.countDocuments({ 
           deviceId: device.deviceId, 
           status: { $in: ['completed', 'active'] } 
         });
-        device.totalDistance += (distance - (session.totalDistance || 0));
+        device.totalDistance += (telemetry.metrics.distance - (session.totalDistance || 0));
         device.totalTime = sessionTime;
         await device.save();
+        await trackBattery({ deviceId: device.deviceId, voltage, session });
 
         logger.info(' Telemetry data stored', {
           sessionId: session.sessionId,
-          speed,
-          distance,
+          speed: telemetry.metrics.speed,
+          distance: telemetry.metrics.distance,
+          derivedFromPulses: derived,
+          flagged: quality.flagged,
           calories: session.totalCalories
         });
 
@@ -200,23 +445,36 @@ router.post('/ride-data', authenticateToken, validateRideData, async (req, res)
             sessionId: session.sessionId,
             receivedAt: new Date().toISOString(),
             metrics: {
-              speed,
-              distance,
-              power,
+              speed: telemetry.metrics.speed,
+              distance: telemetry.metrics.distance,
+              cadence: telemetry.metrics.cadence,
+              power: telemetry.metrics.watts,
               avgPower,
               maxPower,
               voltage,
               sessionTime,
               state,
               intensity,
+              heartRate: normalizeHeartRate(heartRate),
+              derivedFromPulses: derived,
+              quality,
               calories: session.totalCalories
             },
             session: {
               totalDistance: session.totalDistance,
               maxSpeed: session.maxSpeed,
               avgSpeed: session.avgSpeed,
+              movingTime: session.movingTime,
+              elapsedTime: session.elapsedTime,
+              paused,
+              avgCadence: session.avgCadence,
+              avgHeartRate: session.avgHeartRate,
+              maxHeartRate: session.maxHeartRate,
+              dataQualityScore: session.dataQuality?.score,
+              laps: session.laps.length,
               duration: session.duration
-            }
+            },
+            lap
           }
         });
       } else {
@@ -288,11 +546,385 @@ router.post('/register', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================================================
+// 🔑 DEVICE PAIRING: claim codes and per-device keys
+// ============================================================================
+
+// POST /api/esp32/devices/claim-codes - Short code the rider enters on a new device
+router.post('/devices/claim-codes', authenticateToken, async (req, res) => {
+  try {
+    const claim = await createClaimCode(req.user?.userId, { deviceName: req.body?.deviceName });
+
+    res.status(201).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to create claim code');
+  }
+});
+
+// POST /api/esp32/devices/claim - Device redeems a claim code for its key (no login)
+router.post('/devices/claim', async (req, res) => {
+  try {
+    const { code, deviceId, firmwareVersion } = req.body || {};
+    const credential = await claimDevice({ code, deviceId, firmwareVersion });
+
+    logger.info('🔑 Device claimed', { deviceId });
+    res.status(201).json({
+      success: true,
+      data: credential,
+      message: 'Store the device key; it is only shown once'
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to claim device');
+  }
+});
+
+// POST /api/esp32/devices/credentials/rotate - Device replaces its own key
+router.post('/devices/credentials/rotate', authenticateDevice, async (req, res) => {
+  try {
+    const credential = await rotateDeviceKey(req.device);
+
+    logger.info('🔑 Device key rotated', { deviceId: credential.deviceId });
+    res.json({
+      success: true,
+      data: credential
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to rotate device key');
+  }
+});
+
+// DELETE /api/esp32/devices/:deviceId/credentials - Rider revokes a device's key
+router.delete('/devices/:deviceId/credentials', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeDeviceCredential(req.user?.userId, req.params.deviceId);
+
+    logger.info('🔑 Device key revoked', { deviceId: revoked.deviceId });
+    res.json({
+      success: true,
+      data: revoked,
+      message: 'Device key revoked; the device must be claimed again'
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to revoke device key');
+  }
+});
+
+// POST /api/esp32/devices/:deviceId/release - Owner gives a device up so another account can claim it
+router.post('/devices/:deviceId/release', authenticateToken, async (req, res) => {
+  try {
+    const released = await releaseDevice(req.user?.userId, req.params.deviceId);
+
+    logger.info('🔑 Device released', { deviceId: released.deviceId });
+    res.json({
+      success: true,
+      data: released,
+      message: 'Device released; another account can now claim it'
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to release device');
+  }
+});
+
+// ============================================================================
+// ⚙️ DEVICE CONFIG: versioned settings synced to the hardware
+// ============================================================================
+
+// GET /api/esp32/devices/config - Device pulls its config when it connects
+router.get('/devices/config', authenticateDevice, (req, res) => {
+  res.json({
+    success: true,
+    data: toDeviceConfig(req.device)
+  });
+});
+
+// POST /api/esp32/devices/config/ack - Device reports the config version it applied
+router.post('/devices/config/ack', authenticateDevice, async (req, res) => {
+  try {
+    const { version, status, reason } = req.body;
+    // The config belongs to the device's owner, whoever is riding it now
+    const config = await acknowledgeDeviceConfig(req.device.userId, req.device.deviceId, { version, status, reason });
+
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to acknowledge device config');
+  }
+});
+
+// ============================================================================
+// 📦 FIRMWARE UPDATES: devices poll for OTA builds and report progress
+// ============================================================================
+
+// GET /api/esp32/devices/firmware/update?currentVersion= - The build this device should install
+router.get('/devices/firmware/update', authenticateDevice, async (req, res) => {
+  try {
+    const offer = await checkForUpdate(req.device, { currentVersion: req.query.currentVersion });
+
+    res.json({
+      success: true,
+      updateAvailable: !!offer,
+      data: offer && {
+        ...offer,
+        url: offer.url || `${req.baseUrl}/devices/firmware/${offer.version}/download`
+      }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to check for firmware update');
+  }
+});
+
+// POST /api/esp32/devices/firmware/status - { version, status, error? } as the device installs
+router.post('/devices/firmware/status', authenticateDevice, async (req, res) => {
+  try {
+    const { version, status, error: installError } = req.body;
+    const update = await reportFirmwareStatus(req.device, { version, status, error: installError });
+
+    if (status === 'failed') {
+      logger.warn('⚠️ Firmware install failed', { deviceId: req.device.deviceId, version, error: update.error });
+    }
+    res.json({
+      success: true,
+      data: update
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to report firmware status');
+  }
+});
+
+// GET /api/esp32/devices/firmware/:version/download - Uploaded build, for devices it is rolled out to
+router.get('/devices/firmware/:version/download', authenticateDevice, async (req, res) => {
+  try {
+    const { release, stream } = await openFirmwareDownload(req.device, req.params.version);
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': release.size,
+      'Content-Disposition': `attachment; filename="sikadvoltz-${release.version}.bin"`,
+      // Checked by the ESP32 HTTP update client before it flashes
+      'x-MD5': release.md5,
+      'x-SHA256': release.sha256
+    });
+    stream.once('error', (streamError) => {
+      logger.error('Error streaming firmware build:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to download firmware');
+  }
+});
+
+// GET /api/esp32/devices/:deviceId/config - Rider reads a device's config and sync state
+router.get('/devices/:deviceId/config', authenticateToken, async (req, res) => {
+  try {
+    const config = await getDeviceConfig(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get device config');
+  }
+});
+
+// PUT /api/esp32/devices/:deviceId/config - Rider changes settings; the new version
+// is pushed to the rider's bridge clients to relay over BLE
+router.put('/devices/:deviceId/config', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const { settings, expectedVersion } = req.body || {};
+    const { config, changed } = await updateDeviceConfig(userId, req.params.deviceId, settings, { expectedVersion });
+
+    if (changed) {
+      esp32BLEBridge.broadcastToUser(String(userId), {
+        type: 'device_config',
+        deviceId: config.deviceId,
+        config,
+        timestamp: new Date().toISOString()
+      });
+      logger.info('⚙️ Device config updated', { deviceId: config.deviceId, version: config.version });
+    }
+
+    res.json({
+      success: true,
+      data: config,
+      changed
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to update device config');
+  }
+});
+
+// GET /api/esp32/devices/:deviceId/battery - Battery health and per-ride drain history
+router.get('/devices/:deviceId/battery', authenticateToken, async (req, res) => {
+  try {
+    const battery = await getBatteryHealth(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      data: battery
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get battery health');
+  }
+});
+
+// ============================================================================
+// 🚲 MULTIPLE DEVICES: primary device and moving rides between devices
+// ============================================================================
+
+// GET /api/esp32/devices - The rider's devices, primary first
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const devices = await listUserDevices(req.user?.userId);
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list devices');
+  }
+});
+
+// PUT /api/esp32/devices/:deviceId/primary - Device that rides and readings without a deviceId go to
+router.put('/devices/:deviceId/primary', authenticateToken, async (req, res) => {
+  try {
+    const devices = await setPrimaryDevice(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Primary device updated',
+      data: { devices }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to set primary device');
+  }
+});
+
+// ============================================================================
+// 🏠 SHARED DEVICES: household riders and who is riding now
+// ============================================================================
+
+// GET /api/esp32/devices/:deviceId/household - Riders of a shared device and the active rider
+router.get('/devices/:deviceId/household', authenticateToken, async (req, res) => {
+  try {
+    const household = await getHousehold(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      data: household
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get device riders');
+  }
+});
+
+// POST /api/esp32/devices/:deviceId/members - Owner invites another rider to share the device ({ email })
+router.post('/devices/:deviceId/members', authenticateToken, async (req, res) => {
+  try {
+    await inviteMember(req.user?.userId, req.params.deviceId, req.body);
+
+    // The same answer whether or not the email has an account
+    res.status(202).json({
+      success: true,
+      message: 'If that email belongs to a rider, they have been invited'
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to invite rider');
+  }
+});
+
+// GET /api/esp32/devices/invites - Devices the rider has been invited to share
+router.get('/devices/invites', authenticateToken, async (req, res) => {
+  try {
+    const invites = await listInvites(req.user?.userId);
+
+    res.json({
+      success: true,
+      data: invites
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get invites');
+  }
+});
+
+// POST /api/esp32/devices/:deviceId/invite/accept - Join the riders of a device the rider was invited to
+router.post('/devices/:deviceId/invite/accept', authenticateToken, async (req, res) => {
+  try {
+    const household = await acceptInvite(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Invite accepted',
+      data: household
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to accept invite');
+  }
+});
+
+// DELETE /api/esp32/devices/:deviceId/invite - Turn down an invite
+router.delete('/devices/:deviceId/invite', authenticateToken, async (req, res) => {
+  try {
+    await declineInvite(req.user?.userId, req.params.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Invite declined'
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to decline invite');
+  }
+});
+
+// DELETE /api/esp32/devices/:deviceId/members/:userId - Stop sharing with a rider (or leave)
+router.delete('/devices/:deviceId/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const household = await removeMember(req.user?.userId, req.params.deviceId, req.params.userId);
+    req.app.locals.mqttIngestion?.clearDevice(household.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Rider removed',
+      data: household
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to remove rider');
+  }
+});
+
+// PUT /api/esp32/devices/:deviceId/rider - Pick who is riding ({ userId }, or { next: true })
+router.put('/devices/:deviceId/rider', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const household = req.body.next
+      ? await selectNextRider(userId, req.params.deviceId)
+      : await setActiveRider(userId, req.params.deviceId, req.body.userId);
+    req.app.locals.mqttIngestion?.clearDevice(household.deviceId);
+    esp32BLEBridge.broadcastActiveRider(household);
+
+    res.json({
+      success: true,
+      message: 'Active rider updated',
+      data: household
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to switch rider');
+  }
+});
+
 // Start new ride session
-router.post('/session/start', authenticateToken, async (req, res) => {
+router.post('/session/start', authenticateDeviceOrUser, async (req, res) => {
   try {
     const userId = req.user?.userId;
-    const { deviceId, startTime } = req.body;
+    const { deviceId, startTime, rideType = 'ride', autoLapKm, autoLapMinutes } = req.body;
     
     if (!deviceId) {
       return res.status(400).json({
@@ -300,6 +932,23 @@ router.post('/session/start', authenticateToken, async (req, res) => {
         error: 'Device ID is required'
       });
     }
+
+    if (!['ride', 'ramp_test'].includes(rideType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rideType must be "ride" or "ramp_test"'
+      });
+    }
+
+    let autoLap;
+    try {
+      autoLap = parseAutoLap({ autoLapKm, autoLapMinutes });
+    } catch (autoLapError) {
+      return res.status(autoLapError.status || 400).json({
+        success: false,
+        error: autoLapError.message
+      });
+    }
     
     // Check if there's already an active session
     const existingSession = await RideSession.findOne({
@@ -309,6 +958,12 @@ router.post('/session/start', authenticateToken, async (req, res) => {
     
     if (existingSession) {
       logger.info(`User ${userId} already has active session: ${existingSession.sessionId}`);
+      // Starting on another of the rider's bikes carries the ride over to it
+      const ridesDevice = await ESP32Device.exists({ deviceId, ...deviceAccessFilter(userId) });
+      if (ridesDevice && switchSessionDevice(existingSession, deviceId)) {
+        await existingSession.save();
+        req.app.locals.mqttIngestion?.clearDevice(deviceId);
+      }
       return res.json({
         success: true,
         data: {
@@ -323,7 +978,7 @@ router.post('/session/start', authenticateToken, async (req, res) => {
     }
     
     // Register or update device
-    let device = await ESP32Device.findOne({ deviceId, userId });
+    let device = await ESP32Device.findOne({ deviceId, ...deviceAccessFilter(userId) });
     if (!device) {
       device = await ESP32Device.create({
         deviceId,
@@ -342,16 +997,18 @@ router.post('/session/start', authenticateToken, async (req, res) => {
     // Find active plan to link session to goal
     let goalId = null;
     let planId = null;
+    let workoutId = null;
     
     try {
       const activePlan = await CyclingPlan.findOne({
         user: userId,
         isActive: true
-      }).select('_id goal');
+      }).select('_id goal dailySessions.date dailySessions.workout');
       
       if (activePlan) {
         planId = activePlan._id;
         goalId = activePlan.goal;
+        workoutId = findPlannedWorkoutId(activePlan, startTime ? new Date(startTime) : new Date());
         logger.info('🔗 Linking session to plan and goal', { 
           planId: planId?.toString(), 
           goalId: goalId?.toString() 
@@ -380,9 +1037,14 @@ router.post('/session/start', authenticateToken, async (req, res) => {
       sessionId,
       startTime: startTime ? new Date(startTime) : new Date(),
       status: 'active',
+      rideType,
+      autoLap,
       planId,
-      goalId
+      goalId,
+      workoutId
     });
+    // MQTT readings without a sessionId now belong to this ride
+    req.app.locals.mqttIngestion?.clearDevice(deviceId);
     
     logger.info(`✅ New ride session started: ${session.sessionId} for user ${userId}`, {
       sessionDbId: session._id?.toString(),
@@ -408,7 +1070,9 @@ router.post('/session/start', authenticateToken, async (req, res) => {
         startTime: session.startTime,
         status: session.status,
         planId: session.planId,
-        goalId: session.goalId
+        goalId: session.goalId,
+        autoLap: session.autoLap,
+        workoutId: session.workoutId
       },
       message: 'Ride session started successfully'
     });
@@ -424,8 +1088,17 @@ router.post('/session/start', authenticateToken, async (req, res) => {
 });
 
 // Receive telemetry data from ESP32
-router.post('/telemetry', authenticateToken, async (req, res) => {
+router.post('/telemetry', parseBinaryTelemetry, authenticateDeviceOrUser, validateTelemetryData, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const userId = req.user?.userId;
     const { deviceId, sessionId, data } = req.body;
     
@@ -455,6 +1128,8 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
       voltage: parseFloat(data.voltage) || 0,
       intensity: parseInt(data.intensity) || 0,
       gear_ratio: parseFloat(data.gear_ratio) || 4.33,
+      pulse_count: data.pulse_count ?? data.pulseCount,
+      heart_rate: normalizeHeartRate(data.heart_rate ?? data.heartRate),
       // **NEW FIELDS** from firmware update
       session_status: data.session_status || 'IDLE',
       auto_session: data.auto_session === 'true' || data.auto_session === true,
@@ -474,30 +1149,20 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
                            telemetryData.session_status === 'PAUSED';
     
     if (isSessionActive && telemetryData.auto_session) {
-      try {
-        const updateResponse = await fetch(`${req.protocol}://${req.get('host')}/api/plans/update-session-progress-realtime`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': req.headers.authorization
-          },
-          body: JSON.stringify({
-            distance: telemetryData.distance,
-            speed: telemetryData.speed,
-            sessionTime: telemetryData.session_duration,
-            watts: telemetryData.power,
-            voltage: telemetryData.voltage,
-            intensity: telemetryData.intensity,
-            cadence: telemetryData.cadence,
-            sessionStatus: telemetryData.session_status,
-            autoSession: telemetryData.auto_session
-          })
+      try {
+        // Progress goes to the plan of the rider the readings are for (the device's active rider)
+        const updateResult = await SessionTrackerService.updateRealtimeProgress(userId, {
+          distance: telemetryData.distance,
+          speed: telemetryData.speed,
+          sessionTime: telemetryData.session_duration,
+          intensity: telemetryData.intensity,
+          cadence: telemetryData.cadence,
+          sessionStatus: telemetryData.session_status,
+          autoSession: telemetryData.auto_session
         });
         
-        const updateResult = await updateResponse.json();
-        
-        if (updateResult.success) {
-          logger.info(`Auto-session progress updated`, updateResult.data);
+        if (updateResult.updated) {
+          logger.info(`Auto-session progress updated`, updateResult.session);
         } else {
           logger.info(` Session update response:`, updateResult.message);
         }
@@ -509,25 +1174,59 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
 
     // **CRITICAL FIX**: Save telemetry data to database
     let savedTelemetry = null;
-    let effectiveSessionId = sessionId;
-    
-    // If no sessionId provided, find active session for this user
-    if (!effectiveSessionId) {
-      try {
-        const activeSession = await RideSession.findOne({ userId, status: 'active' });
-        if (activeSession) {
-          effectiveSessionId = activeSession.sessionId;
-          logger.info(`📍 Found active session: ${effectiveSessionId}`);
-        } else {
-          logger.warn(`⚠️ No sessionId provided and no active session found for user ${userId}`);
-        }
-      } catch (findError) {
-        logger.error('❌ Error finding active session:', findError);
-      }
+
+    // Readings only go into the rider's own active ride on this device; without
+    // a sessionId, whichever that is
+    let session = null;
+    try {
+      session = await RideSession.findOne({
+        ...(sessionId && { sessionId }),
+        userId,
+        deviceId,
+        status: 'active'
+      });
+    } catch (findError) {
+      logger.error('❌ Error finding active session:', findError);
     }
+    const effectiveSessionId = session?.sessionId;
     
-    if (effectiveSessionId) {
+    if (session) {
       try {
+        // Wheel sensor pulses give speed, distance and cadence that override the reported values
+        const { metrics: pulseMetrics, derived } = await applyPulseDerivation({
+          sessionId: effectiveSessionId,
+          deviceId,
+          metrics: {
+            speed: telemetryData.speed,
+            distance: telemetryData.distance,
+            cadence: telemetryData.cadence,
+            pulseCount: telemetryData.pulse_count
+          },
+          gearRatio: telemetryData.gear_ratio
+        });
+        if (derived) {
+          Object.assign(telemetryData, {
+            speed: pulseMetrics.speed,
+            distance: pulseMetrics.distance,
+            cadence: pulseMetrics.cadence,
+            pulse_count: pulseMetrics.pulseCount
+          });
+        }
+
+        // Speed spikes, power surges and distance glitches are flagged and replaced
+        const readingTime = new Date();
+        const { metrics: cleanMetrics, quality, segment } = await applyQualityFilter({
+          sessionId: effectiveSessionId,
+          metrics: { speed: telemetryData.speed, distance: telemetryData.distance, watts: telemetryData.power },
+          timestamp: readingTime
+        });
+        Object.assign(telemetryData, {
+          speed: cleanMetrics.speed,
+          distance: cleanMetrics.distance,
+          power: cleanMetrics.watts,
+          quality
+        });
+
         savedTelemetry = await Telemetry.create({
           deviceId,
           userId,
@@ -537,14 +1236,16 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
             cadence: telemetryData.cadence,
             distance: telemetryData.distance,
             watts: telemetryData.power,
-            pulseCount: 0
+            pulseCount: derived ? pulseMetrics.pulseCount : 0,
+            heartRate: telemetryData.heart_rate
           },
           battery: {
             voltage: telemetryData.voltage,
-            level: 0
+            level: estimateBatteryLevel(telemetryData.voltage) ?? 0
           },
           workoutActive: isSessionActive,
-          timestamp: new Date()
+          quality,
+          timestamp: readingTime
         });
         
         logger.info(`✅ Telemetry saved to database`, {
@@ -553,29 +1254,30 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
           metrics: savedTelemetry.metrics
         });
         
-        // Update session metrics if session exists
-        const session = await RideSession.findOne({ sessionId: effectiveSessionId, status: 'active' });
-        if (session) {
-          await session.updateMetrics({ metrics: savedTelemetry.metrics });
-          logger.info(`✅ Session metrics updated`, { sessionId: effectiveSessionId });
-        } else {
-          logger.warn(`⚠️ Session ${effectiveSessionId} not found for metrics update`);
+        // Update session metrics
+        if (derived) session.speedSource = 'pulses';
+        recordPointQuality(session, { quality, segment });
+        trackAutoPause(
+          session,
+          { speed: savedTelemetry.metrics.speed, timestamp: savedTelemetry.timestamp },
+          await getAutoPauseSeconds(deviceId)
+        );
+        await session.updateMetrics({ metrics: savedTelemetry.metrics });
+        if (await updateLaps(session, { time: readingTime })) {
+          await session.save();
         }
+        await trackBattery({ deviceId, voltage: telemetryData.voltage, session });
+        logger.info(`✅ Session metrics updated`, { sessionId: effectiveSessionId });
       } catch (dbError) {
         logger.error('❌ Failed to save telemetry to database:', dbError);
       }
     } else {
-      logger.warn(`⚠️ Cannot save telemetry: no sessionId available`);
+      logger.warn(`⚠️ Cannot save telemetry: no active session for user ${userId} on device ${deviceId}`, { sessionId });
     }
 
-    // Publish to real-time service if available
-    const telemetryService = req.app.locals.telemetryService;
-    if (telemetryService) {
-      try {
-        telemetryService.processTelemetryData(userId, deviceId, telemetryData);
-      } catch (serviceError) {
-        logger.error(' Telemetry service error:', serviceError);
-      }
+    // Publish the stored reading to live subscribers and spectators
+    if (savedTelemetry) {
+      publishLiveTelemetry(req, savedTelemetry, session);
     }
 
     res.json({
@@ -601,6 +1303,35 @@ router.post('/telemetry', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/esp32/telemetry/batch - Upload telemetry buffered while offline
+// Replayed points (same device, seq and timestamp) are skipped, so retries are safe
+router.post('/telemetry/batch', authenticateDeviceOrUser, validateTelemetryBatch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user?.userId;
+    const { deviceId, sessionId, points } = req.body;
+
+    const result = await ingestTelemetryBatch(userId, { deviceId, sessionId, points });
+
+    res.status(result.accepted > 0 ? 201 : 200).json({
+      success: true,
+      message: 'Telemetry batch processed',
+      data: result
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to process telemetry batch');
+  }
+});
+
 // ============================================================================
 // 📡 REALTIME SESSION UPDATE (Auto-save every 5 seconds from Flutter)
 // ============================================================================
@@ -630,43 +1361,78 @@ router.post('/realtime', authenticateToken, async (req, res) => {
       });
     }
     
+    const readingTime = new Date(metrics.timestamp || Date.now());
+
+    // Wheel sensor pulses give speed, distance and cadence that override the app's values
+    const { metrics: rideMetrics, derived } = await applyPulseDerivation({
+      sessionId,
+      deviceId: session.deviceId,
+      metrics: {
+        speed: metrics.currentKPH || 0,
+        distance: metrics.totalDistance || 0,
+        cadence: metrics.currentRPM || 0,
+        pulseCount: metrics.pulseCount
+      },
+      timestamp: readingTime
+    });
+    if (derived) session.speedSource = 'pulses';
+
+    // Speed spikes and distance glitches are flagged and replaced
+    const { metrics: cleanMetrics, quality, segment } = await applyQualityFilter({
+      sessionId,
+      metrics: rideMetrics,
+      timestamp: readingTime
+    });
+    recordPointQuality(session, { quality, segment });
+    const { paused } = trackAutoPause(
+      session,
+      { speed: cleanMetrics.speed, timestamp: readingTime },
+      await getAutoPauseSeconds(session.deviceId)
+    );
+
     // Create telemetry data point
     const telemetry = await Telemetry.create({
       deviceId: session.deviceId,
       userId,
       sessionId,
+      coordinates: toGeoPoint(metrics.lat, metrics.lng),
       metrics: {
-        speed: metrics.currentKPH || 0,
-        cadence: metrics.currentRPM || 0,
-        distance: metrics.totalDistance || 0,
+        speed: cleanMetrics.speed,
+        cadence: cleanMetrics.cadence,
+        distance: cleanMetrics.distance,
         watts: 0,
-        pulseCount: 0
+        pulseCount: cleanMetrics.pulseCount || 0,
+        heartRate: normalizeHeartRate(metrics.heartRate)
       },
+      quality,
       battery: {
         voltage: 0,
         level: 0
       },
       workoutActive: true,
-      timestamp: new Date(metrics.timestamp || Date.now())
+      timestamp: readingTime
     });
     
     // Update session metrics in real-time
     await session.updateMetrics(telemetry);
+    publishLiveTelemetry(req, telemetry, session);
     
-    // Calculate calories burned
+    // Calculate calories burned over moving time
     const user = await User.findById(userId).select('profile');
     if (user?.profile) {
-      const caloriesBurned = await calculateCyclingCalories(
-        userId,
-        metrics.totalDistance || 0,
-        0, // duration in minutes (calculated from session start)
-        metrics.currentKPH || 0
-      );
+      const caloriesBurned = await calculateCyclingCalories(userId, session.movingTime / 3600);
       
       // Update session calories
-      session.caloriesBurned = caloriesBurned;
+      session.totalCalories = caloriesBurned;
       await session.save();
     }
+
+    // The rider's lap button, or an auto-lap once its distance or time is reached
+    const lap = await updateLaps(session, {
+      time: readingTime,
+      manual: req.body.lap === true || metrics.lap === true
+    });
+    if (lap) await session.save();
     
     res.json({
       success: true,
@@ -674,11 +1440,17 @@ router.post('/realtime', authenticateToken, async (req, res) => {
         sessionId,
         updated: true,
         currentMetrics: {
-          speed: metrics.currentKPH,
-          rpm: metrics.currentRPM,
-          distance: metrics.totalDistance,
-          calories: session.caloriesBurned
-        }
+          speed: telemetry.metrics.speed,
+          rpm: telemetry.metrics.cadence,
+          distance: telemetry.metrics.distance,
+          calories: session.totalCalories,
+          movingTime: session.movingTime,
+          elapsedTime: session.elapsedTime,
+          paused,
+          derivedFromPulses: derived,
+          quality
+        },
+        lap
       }
     });
     
@@ -726,10 +1498,214 @@ router.get('/sessions', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/esp32/sessions/import - Import a GPX, TCX or FIT file as a completed ride
+router.post('/sessions/import', authenticateToken, (req, res, next) => {
+  activityUpload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid activity file upload',
+        details: uploadError.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    const result = await importActivityFile(userId, req.file);
+    const { session } = result;
+
+    res.status(201).json({
+      success: true,
+      message: 'Activity imported successfully',
+      data: {
+        sessionId: session.sessionId,
+        format: result.format,
+        telemetryPoints: result.telemetryPoints,
+        startTime: session.startTime,
+        duration: session.duration,
+        totalDistance: session.totalDistance,
+        totalCalories: session.totalCalories,
+        avgSpeed: session.avgSpeed,
+        avgPower: session.avgPower,
+        normalizedPower: session.normalizedPower,
+        intensityFactor: session.intensityFactor,
+        trainingStressScore: session.trainingStressScore,
+        avgHeartRate: session.avgHeartRate,
+        maxHeartRate: session.maxHeartRate,
+        planId: session.planId,
+        goalId: session.goalId,
+        credited: result.completion?.success === true
+      }
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to import activity');
+  }
+});
+
+// GET /api/esp32/sessions/:sessionId/export - Download a ride as GPX, TCX or FIT
+router.get('/sessions/:sessionId/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const { sessionId } = req.params;
+    const format = String(req.query.format || 'gpx').toLowerCase();
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const session = await RideSession.findOne({ sessionId, userId });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const file = await exportSession(session, format);
+
+    logger.info('Ride session exported', { userId, sessionId, format });
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.status(200).send(file.body);
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to export session');
+  }
+});
+
+// POST /api/esp32/sessions/:sessionId/share - Create a spectator link for an active ride
+// Spectators connect to /ws/telemetry?share=<token> without logging in
+router.post('/sessions/:sessionId/share', authenticateToken, validateRideShare, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user?.userId;
+    const { expiresInMinutes, fuzzLocation } = req.body;
+
+    const share = await createRideShare(userId, req.params.sessionId, {
+      expiresInMinutes,
+      fuzzLocation: fuzzLocation === true || fuzzLocation === 'true'
+    });
+
+    logger.info('Ride share created', { userId, sessionId: share.sessionId, expiresAt: share.expiresAt });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      data: share
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to create share link');
+  }
+});
+
+// GET /api/esp32/sessions/:sessionId/shares - List a ride's spectator links
+router.get('/sessions/:sessionId/shares', authenticateToken, async (req, res) => {
+  try {
+    const shares = await listRideShares(req.user?.userId, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: { shares }
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list share links');
+  }
+});
+
+// DELETE /api/esp32/shares/:shareId - Revoke a spectator link and disconnect its spectators
+router.delete('/shares/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const share = await revokeRideShare(req.user?.userId, req.params.shareId);
+    req.app.locals.telemetryService?.closeSpectators({ shareId: share.shareId }, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      data: share
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to revoke share link');
+  }
+});
+
+// PUT /api/esp32/sessions/:sessionId/device - Move an active ride to another of the rider's devices
+router.put('/sessions/:sessionId/device', authenticateToken, async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device ID is required'
+      });
+    }
+
+    const session = await switchActiveDevice(req.user?.userId, req.params.sessionId, deviceId);
+    req.app.locals.mqttIngestion?.clearDevice(deviceId);
+
+    res.json({
+      success: true,
+      message: 'Ride moved to device',
+      data: toRideSummary(session)
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to switch device');
+  }
+});
+
+// POST /api/esp32/sessions/:sessionId/merge - Merge an overlapping ride ({ mergeWith: sessionId }) into one
+router.post('/sessions/:sessionId/merge', authenticateToken, async (req, res) => {
+  try {
+    const session = await mergeSessions(req.user?.userId, req.params.sessionId, req.body.mergeWith);
+    req.app.locals.mqttIngestion?.clearDevice(session.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Rides merged',
+      data: toRideSummary(session)
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to merge rides');
+  }
+});
+
+// POST /api/esp32/sessions/:sessionId/split - Split a completed ride in two ({ at: timestamp })
+router.post('/sessions/:sessionId/split', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await splitSession(req.user?.userId, req.params.sessionId, req.body.at);
+
+    res.json({
+      success: true,
+      message: 'Ride split',
+      data: { sessions: sessions.map(toRideSummary) }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to split ride');
+  }
+});
+
 // POST /api/esp32/device-status - Update device status/connectivity
-router.post('/device-status', authenticateToken, async (req, res) => {
+router.post('/device-status', authenticateDeviceOrUser, async (req, res) => {
   try {
-    const { deviceId, status, batteryLevel, signalStrength } = req.body;
+    const { deviceId, status, batteryLevel, signalStrength, firmwareVersion } = req.body;
     const userId = req.user?.userId;
 
     logger.info('ESP32 device status update', {
@@ -741,7 +1717,7 @@ router.post('/device-status', authenticateToken, async (req, res) => {
     });
 
     // STORE DEVICE STATUS: Update device in database
-    let device = await ESP32Device.findOne({ deviceId, userId });
+    let device = await ESP32Device.findOne({ deviceId, ...deviceAccessFilter(userId) });
     
     if (!device) {
       // Create new device if not exists
@@ -749,6 +1725,7 @@ router.post('/device-status', authenticateToken, async (req, res) => {
         deviceId,
         userId,
         deviceName: 'SIKAD-VOLTZ',
+        firmwareVersion,
         lastSeen: new Date(),
         isActive: status === 'connected'
       });
@@ -757,9 +1734,12 @@ router.post('/device-status', authenticateToken, async (req, res) => {
       // Update existing device
       device.lastSeen = new Date();
       device.isActive = status === 'connected';
+      // Reporting the offered version completes an OTA update
+      recordReportedFirmware(device, firmwareVersion);
       await device.save();
       logger.info('Device status updated', { deviceId, status });
     }
+    await trackBattery({ deviceId, level: batteryLevel });
     
     res.status(200).json({
       success: true,
@@ -767,6 +1747,8 @@ router.post('/device-status', authenticateToken, async (req, res) => {
       data: {
         deviceId,
         status,
+        // Devices pull their config again when this is ahead of what they applied
+        configVersion: device.configSync?.version || 1,
         lastUpdate: new Date().toISOString()
       }
     });
@@ -782,7 +1764,7 @@ router.post('/device-status', authenticateToken, async (req, res) => {
 });
 
 // POST /api/esp32/session/end - End active session
-router.post('/session/end', authenticateToken, async (req, res) => {
+router.post('/session/end', authenticateDeviceOrUser, async (req, res) => {
   try {
     const userId = req.user?.userId;
     const { sessionId, finalMetrics } = req.body;
@@ -791,7 +1773,7 @@ router.post('/session/end', authenticateToken, async (req, res) => {
     
     if (sessionId) {
       // End specific session
-      session = await RideSession.findOne({ sessionId, userId });
+      session = await RideSession.findOne({ sessionId, userId, status: 'active' });
     } else {
       // End any active session for this user
       session = await RideSession.findOne({ userId, status: 'active' });
@@ -804,30 +1786,33 @@ router.post('/session/end', authenticateToken, async (req, res) => {
       });
     }
 
-    // Complete the session in RideSession collection
-    await RideSession.completeSession(session.sessionId, finalMetrics);
+    const finished = await finishRide(session, {
+      finalMetrics,
+      telemetryService: req.app.locals.telemetryService,
+      mqttIngestion: req.app.locals.mqttIngestion
+    });
+    // Another request ended the ride first
+    if (!finished) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session already ended'
+      });
+    }
+    const { session: completedSession, movingTime, ftpUpdate, energy } = finished;
 
-    // Get updated session with final metrics
-    const completedSession = await RideSession.findOne({ sessionId: session.sessionId });
-    
-    // 🔥 CRITICAL FIX: Also update CyclingPlan to link ESP32 workout with daily session
+    // A kiosk bike checked out for this ride is free for the next member
     try {
-      const SessionTrackerService = (await import('../services/session_tracker_service.js')).default;
-      await SessionTrackerService.completeSession(userId, {
-        sessionId: completedSession.sessionId,
-        finalCalories: completedSession.totalCalories || 0,
-        finalHours: (completedSession.duration || 0) / 60, // Convert minutes to hours
-        finalDistance: completedSession.totalDistance || 0
-      });
-      logger.info('✅ Linked ESP32 session to cycling plan', { sessionId: completedSession.sessionId });
-    } catch (linkError) {
-      // Don't fail the request if linking fails - session is still saved
-      logger.warn('⚠️ Failed to link ESP32 session to plan (non-critical)', { error: linkError.message });
+      if (await releaseSessionBinding(session.sessionId)) {
+        logger.info('🔓 Kiosk bike released', { sessionId: session.sessionId, reason: 'ended' });
+      }
+    } catch (releaseError) {
+      logger.warn('⚠️ Failed to release kiosk bike (non-critical)', { error: releaseError.message });
     }
 
     logger.info('Session completed', {
       sessionId: session.sessionId,
       duration: completedSession.duration,
+      movingTime,
       distance: completedSession.totalDistance,
       calories: completedSession.totalCalories
     });
@@ -838,10 +1823,31 @@ router.post('/session/end', authenticateToken, async (req, res) => {
       data: {
         sessionId: completedSession.sessionId,
         duration: completedSession.duration,
+        elapsedTime: completedSession.elapsedTime,
+        movingTime,
+        pausedIntervals: completedSession.pausedIntervals,
         totalDistance: completedSession.totalDistance,
         totalCalories: completedSession.totalCalories,
         avgSpeed: completedSession.avgSpeed,
-        maxSpeed: completedSession.maxSpeed
+        maxSpeed: completedSession.maxSpeed,
+        speedSource: completedSession.speedSource,
+        avgCadence: completedSession.avgCadence,
+        maxCadence: completedSession.maxCadence,
+        avgPower: completedSession.avgPower,
+        normalizedPower: completedSession.normalizedPower,
+        variabilityIndex: completedSession.variabilityIndex,
+        workKj: completedSession.workKj,
+        intensityFactor: completedSession.intensityFactor,
+        trainingStressScore: completedSession.trainingStressScore,
+        timeInZones: completedSession.timeInZones,
+        avgHeartRate: completedSession.avgHeartRate,
+        maxHeartRate: completedSession.maxHeartRate,
+        timeInHeartRateZones: completedSession.timeInHeartRateZones,
+        dataQuality: completedSession.dataQuality,
+        laps: completedSession.laps,
+        workoutCompliance: completedSession.workoutId ? completedSession.workoutCompliance : null,
+        ftpUpdate,
+        energy
       }
     });
 
@@ -903,18 +1909,24 @@ router.get('/analytics', authenticateToken, async (req, res) => {
           distance: 0,
           calories: 0,
           duration: 0,
-          sessions: 0
+          sessions: 0,
+          tss: 0,
+          energyWh: 0
         };
       }
       dailyData[day].distance += session.totalDistance || 0;
       dailyData[day].calories += session.totalCalories || 0;
       dailyData[day].duration += session.duration || 0;
       dailyData[day].sessions += 1;
+      dailyData[day].tss += session.trainingStressScore || 0;
+      const energyWh = session.energyWh ?? energyWhFromWork(session.workKj);
+      dailyData[day].energyWh = parseFloat((dailyData[day].energyWh + energyWh).toFixed(2));
     });
 
     const chartData = Object.values(dailyData).sort((a, b) => 
       new Date(a.date).getTime() - new Date(b.date).getTime()
     );
+    const lifetimeEnergy = await getLifetimeEnergy(userId);
 
     logger.info(' Analytics retrieved', { 
       userId, 
@@ -931,8 +1943,11 @@ router.get('/analytics', authenticateToken, async (req, res) => {
           totalDistance: parseFloat(totalDistance.toFixed(2)),
           totalCalories: Math.round(totalCalories),
           totalDuration: Math.round(totalDuration),
-          avgSpeed: parseFloat(avgSpeed.toFixed(2))
+          avgSpeed: parseFloat(avgSpeed.toFixed(2)),
+          power: summarizePowerMetrics(sessions),
+          energy: summarizeSessionEnergy(sessions)
         },
+        lifetimeEnergy,
         chartData,
         sessions: sessions.slice(-10).map(s => ({
           sessionId: s.sessionId,
@@ -941,7 +1956,16 @@ router.get('/analytics', authenticateToken, async (req, res) => {
           calories: s.totalCalories,
           duration: s.duration,
           avgSpeed: s.avgSpeed,
-          maxSpeed: s.maxSpeed
+          maxSpeed: s.maxSpeed,
+          avgCadence: s.avgCadence,
+          maxCadence: s.maxCadence,
+          avgPower: s.avgPower,
+          normalizedPower: s.normalizedPower,
+          intensityFactor: s.intensityFactor,
+          trainingStressScore: s.trainingStressScore,
+          avgHeartRate: s.avgHeartRate,
+          maxHeartRate: s.maxHeartRate,
+          energyWh: s.energyWh ?? energyWhFromWork(s.workKj)
         }))
       }
     });
@@ -956,6 +1980,125 @@ router.get('/analytics', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/esp32/analytics/power-curve - Best average watts per duration (all-time and 90 days)
+router.get('/analytics/power-curve', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const { sessionId } = req.query;
+
+    const powerProfile = await getUserPowerCurves(userId);
+    if (!powerProfile) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Optionally include one ride's curve to compare against the user's bests
+    let session = null;
+    if (sessionId) {
+      const ride = await RideSession.findOne({ sessionId, userId });
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      // Rides completed before power curves existed are backfilled on demand
+      if (ride.status === 'completed' && !ride.powerCurve?.length) {
+        await applySessionPowerMetrics(ride);
+      }
+
+      session = {
+        sessionId: ride.sessionId,
+        date: ride.startTime,
+        powerCurve: ride.powerCurve || []
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        durations: POWER_CURVE_DURATIONS,
+        allTime: powerProfile.allTime || [],
+        last90Days: powerProfile.last90Days || [],
+        updatedAt: powerProfile.updatedAt,
+        session
+      }
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to retrieve power curve');
+  }
+});
+
+// GET /api/esp32/analytics/zones - FTP, FTP history, power and heart rate zones, time in zone
+router.get('/analytics/zones', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const { period = 'month' } = req.query;
+
+    const user = await User.findById(userId).select('profile');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const days = { week: 7, month: 30, year: 365 }[period] || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sessions = await RideSession.find({
+      userId,
+      status: 'completed',
+      startTime: { $gte: since },
+      $or: [
+        { 'timeInZones.0': { $exists: true } },
+        { 'timeInHeartRateZones.0': { $exists: true } }
+      ]
+    }).select('timeInZones timeInHeartRateZones');
+
+    // Total seconds per zone over the period
+    const sumZones = (field) => {
+      const totals = new Map();
+      sessions.forEach(session => {
+        (session[field] || []).forEach(({ zone, name, seconds }) => {
+          const total = totals.get(zone) || { zone, name, seconds: 0 };
+          total.seconds += seconds || 0;
+          totals.set(zone, total);
+        });
+      });
+      return [...totals.values()].sort((a, b) => a.zone - b.zone);
+    };
+
+    const ftp = user.profile?.ftp || null;
+    const heartRateLimits = getHeartRateLimits(user.profile);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ftp,
+        ftpHistory: user.profile?.ftpHistory || [],
+        zones: getPowerZones(ftp),
+        heartRate: {
+          ...heartRateLimits,
+          zones: getHeartRateZones(user.profile)
+        },
+        timeInZones: {
+          period,
+          sessions: sessions.length,
+          zones: sumZones('timeInZones'),
+          heartRateZones: sumZones('timeInHeartRateZones')
+        }
+      }
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to retrieve training zones');
+  }
+});
+
 // Get device status
 router.get('/device/:deviceId', authenticateToken, async (req, res) => {
   try {
@@ -963,7 +2106,7 @@ router.get('/device/:deviceId', authenticateToken, async (req, res) => {
     const { deviceId } = req.params;
     
     // RETRIEVE DEVICE: Get device from database
-    const device = await ESP32Device.findOne({ deviceId, userId });
+    const device = await ESP32Device.findOne({ deviceId, ...deviceAccessFilter(userId) });
 
     if (!device) {
       return res.status(404).json({
@@ -979,10 +2122,14 @@ router.get('/device/:deviceId', authenticateToken, async (req, res) => {
       isActive: device.isActive,
       lastSeen: device.lastSeen,
       firmwareVersion: device.firmwareVersion,
+      firmwareUpdate: toFirmwareUpdateStatus(device),
+      credential: toCredentialStatus(device),
+      config: toDeviceConfig(device),
       statistics: {
         totalSessions: device.totalSessions,
         totalDistance: device.totalDistance,
-        totalTime: device.totalTime
+        totalTime: device.totalTime,
+        totalEnergy: toEnergySummary(device.totalEnergy)
       }
     };
     
@@ -1001,16 +2148,4 @@ router.get('/device/:deviceId', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate battery level percentage
-function calculateBatteryLevel(voltage) {
-  // Typical Li-ion battery: 4.2V (100%) to 3.0V (0%)
-  const maxVoltage = 4.2;
-  const minVoltage = 3.0;
-  
-  if (voltage >= maxVoltage) return 100;
-  if (voltage <= minVoltage) return 0;
-  
-  return Math.round(((voltage - minVoltage) / (maxVoltage - minVoltage)) * 100);
-}
-
 export default router;
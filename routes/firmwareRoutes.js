@@ -0,0 +1,92 @@
+import express from 'express';
+import multer from 'multer';
+import requireAdmin from '../middleware/requireAdmin.js';
+import logger from '../utils/logger.js';
+import { sendRouteError } from '../utils/responseHelpers.js';
+import {
+  registerFirmware,
+  listFirmware,
+  getFirmware,
+  updateRollout,
+  listReleaseDevices,
+  MAX_FIRMWARE_BYTES
+} from '../services/firmwareService.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Builds are checksummed in memory before they are stored
+const firmwareUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FIRMWARE_BYTES }
+});
+
+// POST /api/v1/firmware - Register a build: multipart `file` plus `version`, or `url`, `sha256` and `size`
+router.post('/', (req, res, next) => {
+  firmwareUpload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid firmware upload',
+        details: uploadError.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { version, notes, sha256, md5, size, url } = req.body || {};
+    const release = await registerFirmware({ version, notes, sha256, md5, size, url, file: req.file });
+
+    logger.info('📦 Firmware registered', { version: release.version, size: release.size });
+    res.status(201).json({ success: true, data: release });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to register firmware');
+  }
+});
+
+// GET /api/v1/firmware - Releases with how many devices run or are updating to each
+router.get('/', async (req, res) => {
+  try {
+    const releases = await listFirmware();
+    res.json({ success: true, data: releases });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list firmware');
+  }
+});
+
+// GET /api/v1/firmware/:version
+router.get('/:version', async (req, res) => {
+  try {
+    const release = await getFirmware(req.params.version);
+    res.json({ success: true, data: release });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get firmware');
+  }
+});
+
+// PUT /api/v1/firmware/:version/rollout - { status?, percentage?, allowlist? }
+router.put('/:version/rollout', async (req, res) => {
+  try {
+    const { status, percentage, allowlist } = req.body || {};
+    const release = await updateRollout(req.params.version, { status, percentage, allowlist });
+
+    logger.info('📦 Firmware rollout updated', { version: release.version, rollout: release.rollout });
+    res.json({ success: true, data: release });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to update rollout');
+  }
+});
+
+// GET /api/v1/firmware/:version/devices - Per-device update status
+router.get('/:version/devices', async (req, res) => {
+  try {
+    const devices = await listReleaseDevices(req.params.version);
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list firmware devices');
+  }
+});
+
+export default router;
@@ -0,0 +1,194 @@
+import express from 'express';
+import authenticateToken from '../middleware/authenticateToken.js';
+import { sendRouteError } from '../utils/responseHelpers.js';
+import {
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  updateOrganization,
+  inviteOrganizationMember,
+  listOrganizationInvites,
+  acceptOrganizationInvite,
+  declineOrganizationInvite,
+  removeOrganizationMember,
+  listFleet,
+  addFleetDevice,
+  rotateKioskCode,
+  removeFleetDevice,
+  releaseFleetDevice,
+  checkOutDevice
+} from '../services/organizationService.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// POST /api/v1/organizations/kiosk/checkout - Check out a fleet bike by its scanned
+// QR code (`qr`, or `deviceId` and `code`) and start a ride on it
+router.post('/kiosk/checkout', async (req, res) => {
+  try {
+    const { qr, deviceId, code } = req.body || {};
+    const checkout = await checkOutDevice(req.user.userId, { qr, deviceId, code });
+    req.app.locals.mqttIngestion?.clearDevice(checkout.deviceId);
+    res.status(201).json({ success: true, data: checkout });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to check out bike');
+  }
+});
+
+// POST /api/v1/organizations - Create an organization; the rider becomes its admin
+router.post('/', async (req, res) => {
+  try {
+    const { name, maxRideMinutes, idleMinutes } = req.body || {};
+    const organization = await createOrganization(req.user.userId, { name, maxRideMinutes, idleMinutes });
+    res.status(201).json({ success: true, data: organization });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to create organization');
+  }
+});
+
+// GET /api/v1/organizations - Organizations the rider belongs to
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.user.userId);
+    res.json({ success: true, data: organizations });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list organizations');
+  }
+});
+
+// GET /api/v1/organizations/invites - Organizations the rider has been invited to
+router.get('/invites', async (req, res) => {
+  try {
+    const invites = await listOrganizationInvites(req.user.userId);
+    res.json({ success: true, data: invites });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get invites');
+  }
+});
+
+// GET /api/v1/organizations/:organizationId - An organization, with its members for admins
+router.get('/:organizationId', async (req, res) => {
+  try {
+    const organization = await getOrganization(req.user.userId, req.params.organizationId);
+    res.json({ success: true, data: organization });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get organization');
+  }
+});
+
+// PUT /api/v1/organizations/:organizationId - Rename or change kiosk settings (admin)
+router.put('/:organizationId', async (req, res) => {
+  try {
+    const { name, maxRideMinutes, idleMinutes } = req.body || {};
+    const organization = await updateOrganization(req.user.userId, req.params.organizationId, {
+      name,
+      maxRideMinutes,
+      idleMinutes
+    });
+    res.json({ success: true, data: organization });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to update organization');
+  }
+});
+
+// POST /api/v1/organizations/:organizationId/members - Invite a rider by email (admin).
+// The same answer whether or not the email has an account
+router.post('/:organizationId/members', async (req, res) => {
+  try {
+    const { email, role } = req.body || {};
+    await inviteOrganizationMember(req.user.userId, req.params.organizationId, { email, role });
+    res.status(202).json({ success: true, message: 'If that email belongs to a rider, they have been invited' });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to invite member');
+  }
+});
+
+// POST /api/v1/organizations/:organizationId/invite/accept - Join an organization the rider was invited to
+router.post('/:organizationId/invite/accept', async (req, res) => {
+  try {
+    const organization = await acceptOrganizationInvite(req.user.userId, req.params.organizationId);
+    res.json({ success: true, data: organization });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to accept invite');
+  }
+});
+
+// DELETE /api/v1/organizations/:organizationId/invite - Turn down an invite
+router.delete('/:organizationId/invite', async (req, res) => {
+  try {
+    await declineOrganizationInvite(req.user.userId, req.params.organizationId);
+    res.json({ success: true, message: 'Invite declined' });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to decline invite');
+  }
+});
+
+// DELETE /api/v1/organizations/:organizationId/members/:userId - Remove a member, or leave
+router.delete('/:organizationId/members/:userId', async (req, res) => {
+  try {
+    const result = await removeOrganizationMember(req.user.userId, req.params.organizationId, req.params.userId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to remove member');
+  }
+});
+
+// GET /api/v1/organizations/:organizationId/devices - The fleet and who is riding each bike (admin)
+router.get('/:organizationId/devices', async (req, res) => {
+  try {
+    const devices = await listFleet(req.user.userId, req.params.organizationId);
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list fleet');
+  }
+});
+
+// POST /api/v1/organizations/:organizationId/devices - Add one of the admin's bikes to the
+// fleet; returns its kiosk code and QR payload, which are not shown again
+router.post('/:organizationId/devices', async (req, res) => {
+  try {
+    const device = await addFleetDevice(req.user.userId, req.params.organizationId, req.body?.deviceId);
+    res.status(201).json({ success: true, data: device });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to add bike to fleet');
+  }
+});
+
+// POST /api/v1/organizations/:organizationId/devices/:deviceId/kiosk-code - Replace a bike's kiosk code (admin)
+router.post('/:organizationId/devices/:deviceId/kiosk-code', async (req, res) => {
+  try {
+    const device = await rotateKioskCode(req.user.userId, req.params.organizationId, req.params.deviceId);
+    res.json({ success: true, data: device });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to rotate kiosk code');
+  }
+});
+
+// DELETE /api/v1/organizations/:organizationId/devices/:deviceId/binding - End the ride on
+// a checked-out bike and release it (admin)
+router.delete('/:organizationId/devices/:deviceId/binding', async (req, res) => {
+  try {
+    const { telemetryService, mqttIngestion } = req.app.locals;
+    const device = await releaseFleetDevice(req.user.userId, req.params.organizationId, req.params.deviceId, {
+      telemetryService,
+      mqttIngestion
+    });
+    mqttIngestion?.clearDevice(device.deviceId);
+    res.json({ success: true, data: device });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to release bike');
+  }
+});
+
+// DELETE /api/v1/organizations/:organizationId/devices/:deviceId - Take a bike out of the fleet (admin)
+router.delete('/:organizationId/devices/:deviceId', async (req, res) => {
+  try {
+    const result = await removeFleetDevice(req.user.userId, req.params.organizationId, req.params.deviceId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to remove bike from fleet');
+  }
+});
+
+export default router;
@@ -42,6 +42,8 @@ import { validateRequest, planValidation } from '../middleware/validation.js';
 import { requireCompleteProfile } from '../middleware/profileValidation.js';
 import { realtimeMissedSessionCheck } from '../services/missedSessionDetector.js';
 import CyclingPlan from '../models/CyclingPlan.js';
+import { assignPlanWorkout } from '../services/workoutService.js';
+import { sendRouteError } from '../utils/responseHelpers.js';
 
 const router = express.Router();
 
@@ -171,6 +173,21 @@ router.get('/check-missed-sessions', authenticateToken, async (req, res) => {
   }
 });
 
+// Attach a structured workout to a day of the active plan (workoutId null detaches it)
+router.put('/sessions/:sessionId/workout', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const session = await assignPlanWorkout(userId, req.params.sessionId, req.body.workoutId || null);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to assign workout');
+  }
+});
+
 // Manual trigger for missed session detection (for testing)
 router.post('/manual-detect-missed', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,55 @@
+import express from 'express';
+import authenticateToken from '../middleware/authenticateToken.js';
+import { sendRouteError } from '../utils/responseHelpers.js';
+import {
+  createWorkout,
+  listWorkouts,
+  getWorkout,
+  deleteWorkout
+} from '../services/workoutService.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// POST /api/v1/workouts - Create a structured workout
+router.post('/', async (req, res) => {
+  try {
+    const workout = await createWorkout(req.user.userId, req.body);
+    res.status(201).json({ success: true, data: workout });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to create workout');
+  }
+});
+
+// GET /api/v1/workouts - The rider's workouts
+router.get('/', async (req, res) => {
+  try {
+    const workouts = await listWorkouts(req.user.userId);
+    res.json({ success: true, data: workouts });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to list workouts');
+  }
+});
+
+// GET /api/v1/workouts/:workoutId
+router.get('/:workoutId', async (req, res) => {
+  try {
+    const workout = await getWorkout(req.user.userId, req.params.workoutId);
+    res.json({ success: true, data: workout });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to get workout');
+  }
+});
+
+// DELETE /api/v1/workouts/:workoutId - Also unlinks it from plan days
+router.delete('/:workoutId', async (req, res) => {
+  try {
+    await deleteWorkout(req.user.userId, req.params.workoutId);
+    res.json({ success: true, message: 'Workout deleted' });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to delete workout');
+  }
+});
+
+export default router;
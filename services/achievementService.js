@@ -80,6 +80,28 @@ class AchievementService {
     }
   }
 
+  /**
+   * Take back XP a workout earned, e.g. when its ride is merged into another
+   * @param {ObjectId} userId - User ID
+   * @param {Number} xp - XP the workout earned
+   * @returns {Object} the user's XP and level afterwards
+   */
+  async revokeWorkoutXP(userId, xp) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    user.xp = Math.max(0, (user.xp || 0) - xp);
+    user.level = this._calculateLevel(user.xp);
+    user.rank = this._calculateRank(user.level);
+    await user.save();
+
+    console.log(`[AchievementService] ↩️ Revoked ${xp} XP from user ${userId}`);
+
+    return { totalXP: user.xp, level: user.level, rank: user.rank };
+  }
+
   /**
    * Calculate XP earned from a workout session
    * @param {Object} sessionData - Session metrics
@@ -0,0 +1,385 @@
+/**
+ * Activity Export Service
+ *
+ * Builds standard activity files (GPX, TCX, FIT) from a RideSession and its
+ * Telemetry points so riders can move their rides into other training tools.
+ */
+
+import { Telemetry } from '../models/Telemetry.js';
+import { FitEncoder, FIT_ENUMS } from '../utils/fitFile.js';
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  tcx: { contentType: 'application/vnd.garmin.tcx+xml', extension: 'tcx' },
+  fit: { contentType: 'application/vnd.ant.fit', extension: 'fit' }
+};
+
+// Route points further than this from a telemetry sample are not matched to it
+const ROUTE_MATCH_WINDOW_MS = 10000;
+
+const CREATOR = 'SikadVoltz';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function kmhToMetersPerSecond(kmh) {
+  return kmh / 3.6;
+}
+
+/**
+ * Find the route point closest in time to a timestamp
+ */
+function findNearestRoutePoint(route, time) {
+  let nearest = null;
+  let nearestGap = Infinity;
+
+  for (const point of route) {
+    const gap = Math.abs(new Date(point.timestamp).getTime() - time);
+    if (gap < nearestGap) {
+      nearest = point;
+      nearestGap = gap;
+    }
+  }
+
+  return nearestGap <= ROUTE_MATCH_WINDOW_MS ? nearest : null;
+}
+
+/**
+ * Merge Telemetry samples and RideSession.route into a single ordered track
+ * @param {Array} telemetry - Telemetry documents for the session
+ * @param {Array} route - RideSession.route entries
+ * @returns {Array} Track points ({ time, lat, lng, altitude, speed, distance, watts, heartRate })
+ */
+export function buildTrackPoints(telemetry = [], route = []) {
+  const routePoints = (route || [])
+    .filter(point => point.timestamp && isFiniteNumber(point.lat) && isFiniteNumber(point.lng));
+
+  // Sessions recorded without the sensor only have GPS route data
+  if (telemetry.length === 0) {
+    return routePoints
+      .map(point => ({
+        time: new Date(point.timestamp),
+        lat: point.lat,
+        lng: point.lng,
+        altitude: point.altitude,
+        speed: point.speed
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  return telemetry
+    .map(sample => {
+      const time = new Date(sample.timestamp);
+      const metrics = sample.metrics || {};
+      const point = {
+        time,
+        speed: metrics.speed,
+        distance: metrics.distance,
+        watts: metrics.watts,
+        heartRate: metrics.heartRate
+      };
+
+      // Telemetry coordinates are GeoJSON, i.e. [lng, lat]
+      const coordinates = sample.coordinates?.coordinates;
+      if (Array.isArray(coordinates) && coordinates.length === 2) {
+        point.lng = coordinates[0];
+        point.lat = coordinates[1];
+      } else {
+        const routePoint = findNearestRoutePoint(routePoints, time.getTime());
+        if (routePoint) {
+          point.lat = routePoint.lat;
+          point.lng = routePoint.lng;
+          point.altitude = routePoint.altitude;
+        }
+      }
+
+      return point;
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Summary figures for the activity, falling back to the track when the
+ * session has not been completed yet
+ */
+function getActivitySummary(session, points) {
+  const startTime = new Date(session.startTime || points[0]?.time || Date.now());
+  const endTime = session.endTime
+    ? new Date(session.endTime)
+    : new Date(points[points.length - 1]?.time || startTime);
+  const duration = session.duration || Math.max(0, (endTime - startTime) / 1000);
+  const lastDistance = [...points].reverse().find(p => isFiniteNumber(p.distance))?.distance;
+
+  return {
+    startTime,
+    endTime,
+    duration,
+    distanceKm: session.totalDistance || lastDistance || 0,
+    maxSpeed: session.maxSpeed || 0,
+    avgSpeed: session.avgSpeed || 0,
+    avgPower: session.avgPower || 0,
+    maxPower: session.maxPower || 0,
+    avgHeartRate: session.avgHeartRate || null,
+    maxHeartRate: session.maxHeartRate || null,
+    calories: session.totalCalories || 0
+  };
+}
+
+/**
+ * Build a GPX 1.1 document. GPX only carries positioned points, so samples
+ * without coordinates (e.g. stationary trainer rides) are left out.
+ */
+export function buildGpx(session, points) {
+  const summary = getActivitySummary(session, points);
+  const trackPoints = points
+    .filter(point => isFiniteNumber(point.lat) && isFiniteNumber(point.lng))
+    .map(point => {
+      const parts = [`      <trkpt lat="${point.lat}" lon="${point.lng}">`];
+      if (isFiniteNumber(point.altitude)) {
+        parts.push(`        <ele>${point.altitude}</ele>`);
+      }
+      parts.push(`        <time>${point.time.toISOString()}</time>`);
+
+      const extensions = [];
+      if (isFiniteNumber(point.watts)) {
+        extensions.push(`          <power>${Math.round(point.watts)}</power>`);
+      }
+      // TrackPointExtension children must follow the schema order (hr before speed)
+      const trackPointExtension = [];
+      if (isFiniteNumber(point.heartRate)) {
+        trackPointExtension.push(`            <gpxtpx:hr>${Math.round(point.heartRate)}</gpxtpx:hr>`);
+      }
+      if (isFiniteNumber(point.speed)) {
+        trackPointExtension.push(`            <gpxtpx:speed>${kmhToMetersPerSecond(point.speed).toFixed(3)}</gpxtpx:speed>`);
+      }
+      if (trackPointExtension.length > 0) {
+        extensions.push('          <gpxtpx:TrackPointExtension>', ...trackPointExtension, '          </gpxtpx:TrackPointExtension>');
+      }
+      if (extensions.length > 0) {
+        parts.push('        <extensions>', ...extensions, '        </extensions>');
+      }
+
+      parts.push('      </trkpt>');
+      return parts.join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1"` +
+      ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+    '  <metadata>',
+    `    <name>${escapeXml(`${CREATOR} ride ${session.sessionId}`)}</name>`,
+    `    <time>${summary.startTime.toISOString()}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(`${CREATOR} ride ${session.sessionId}`)}</name>`,
+    '    <type>cycling</type>',
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a Garmin Training Center (TCX) document with a single lap
+ */
+export function buildTcx(session, points) {
+  const summary = getActivitySummary(session, points);
+
+  const trackPoints = points.map(point => {
+    const parts = ['            <Trackpoint>', `              <Time>${point.time.toISOString()}</Time>`];
+    if (isFiniteNumber(point.lat) && isFiniteNumber(point.lng)) {
+      parts.push(
+        '              <Position>',
+        `                <LatitudeDegrees>${point.lat}</LatitudeDegrees>`,
+        `                <LongitudeDegrees>${point.lng}</LongitudeDegrees>`,
+        '              </Position>'
+      );
+    }
+    if (isFiniteNumber(point.altitude)) {
+      parts.push(`              <AltitudeMeters>${point.altitude}</AltitudeMeters>`);
+    }
+    if (isFiniteNumber(point.distance)) {
+      parts.push(`              <DistanceMeters>${(point.distance * 1000).toFixed(1)}</DistanceMeters>`);
+    }
+    if (isFiniteNumber(point.heartRate)) {
+      parts.push(`              <HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>`);
+    }
+
+    const extensions = [];
+    if (isFiniteNumber(point.speed)) {
+      extensions.push(`                  <ns3:Speed>${kmhToMetersPerSecond(point.speed).toFixed(3)}</ns3:Speed>`);
+    }
+    if (isFiniteNumber(point.watts)) {
+      extensions.push(`                  <ns3:Watts>${Math.round(point.watts)}</ns3:Watts>`);
+    }
+    if (extensions.length > 0) {
+      parts.push(
+        '              <Extensions>',
+        '                <ns3:TPX>',
+        ...extensions,
+        '                </ns3:TPX>',
+        '              </Extensions>'
+      );
+    }
+
+    parts.push('            </Trackpoint>');
+    return parts.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"' +
+      ' xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+    '  <Activities>',
+    '    <Activity Sport="Biking">',
+    `      <Id>${summary.startTime.toISOString()}</Id>`,
+    `      <Lap StartTime="${summary.startTime.toISOString()}">`,
+    `        <TotalTimeSeconds>${summary.duration.toFixed(1)}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${(summary.distanceKm * 1000).toFixed(1)}</DistanceMeters>`,
+    `        <MaximumSpeed>${kmhToMetersPerSecond(summary.maxSpeed).toFixed(3)}</MaximumSpeed>`,
+    `        <Calories>${Math.round(summary.calories)}</Calories>`,
+    ...(summary.avgHeartRate ? [
+      `        <AverageHeartRateBpm><Value>${Math.round(summary.avgHeartRate)}</Value></AverageHeartRateBpm>`,
+      `        <MaximumHeartRateBpm><Value>${Math.round(summary.maxHeartRate || summary.avgHeartRate)}</Value></MaximumHeartRateBpm>`
+    ] : []),
+    '        <Intensity>Active</Intensity>',
+    '        <TriggerMethod>Manual</TriggerMethod>',
+    '        <Track>',
+    ...trackPoints,
+    '        </Track>',
+    '        <Extensions>',
+    '          <ns3:LX>',
+    `            <ns3:AvgSpeed>${kmhToMetersPerSecond(summary.avgSpeed).toFixed(3)}</ns3:AvgSpeed>`,
+    `            <ns3:AvgWatts>${Math.round(summary.avgPower)}</ns3:AvgWatts>`,
+    `            <ns3:MaxWatts>${Math.round(summary.maxPower)}</ns3:MaxWatts>`,
+    '          </ns3:LX>',
+    '        </Extensions>',
+    '      </Lap>',
+    `      <Notes>${escapeXml(`Exported from ${CREATOR} session ${session.sessionId}`)}</Notes>`,
+    '    </Activity>',
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a binary FIT activity file
+ * @returns {Buffer}
+ */
+export function buildFit(session, points) {
+  const summary = getActivitySummary(session, points);
+  const encoder = new FitEncoder();
+
+  encoder.write('file_id', {
+    type: FIT_ENUMS.file.activity,
+    manufacturer: FIT_ENUMS.manufacturer.development,
+    product: 0,
+    time_created: summary.startTime
+  });
+
+  points.forEach(point => {
+    encoder.write('record', {
+      timestamp: point.time,
+      position_lat: point.lat,
+      position_long: point.lng,
+      altitude: point.altitude,
+      distance: isFiniteNumber(point.distance) ? point.distance * 1000 : null,
+      speed: isFiniteNumber(point.speed) ? kmhToMetersPerSecond(point.speed) : null,
+      power: point.watts,
+      heart_rate: point.heartRate
+    });
+  });
+
+  const totals = {
+    start_time: summary.startTime,
+    total_elapsed_time: summary.duration,
+    total_timer_time: summary.duration,
+    total_distance: summary.distanceKm * 1000,
+    total_calories: summary.calories,
+    avg_speed: kmhToMetersPerSecond(summary.avgSpeed),
+    max_speed: kmhToMetersPerSecond(summary.maxSpeed),
+    avg_power: summary.avgPower,
+    max_power: summary.maxPower,
+    avg_heart_rate: summary.avgHeartRate,
+    max_heart_rate: summary.maxHeartRate
+  };
+
+  encoder.write('lap', {
+    timestamp: summary.endTime,
+    event: FIT_ENUMS.event.lap,
+    event_type: FIT_ENUMS.eventType.stop,
+    ...totals
+  });
+
+  encoder.write('session', {
+    timestamp: summary.endTime,
+    event: FIT_ENUMS.event.session,
+    event_type: FIT_ENUMS.eventType.stop,
+    sport: FIT_ENUMS.sport.cycling,
+    sub_sport: 0,
+    first_lap_index: 0,
+    num_laps: 1,
+    ...totals
+  });
+
+  encoder.write('activity', {
+    timestamp: summary.endTime,
+    total_timer_time: summary.duration,
+    num_sessions: 1,
+    type: FIT_ENUMS.activityType.manual,
+    event: FIT_ENUMS.event.activity,
+    event_type: FIT_ENUMS.eventType.stop
+  });
+
+  return encoder.toBuffer();
+}
+
+/**
+ * Export a ride session in the requested format
+ * @param {Object} session - RideSession document
+ * @param {string} format - gpx | tcx | fit
+ * @returns {Object} { filename, contentType, body }
+ */
+export async function exportSession(session, format) {
+  const exportFormat = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const telemetry = await Telemetry.getSessionData(session.sessionId);
+  const points = buildTrackPoints(telemetry, session.route);
+
+  let body;
+  switch (format) {
+    case 'gpx':
+      body = buildGpx(session, points);
+      break;
+    case 'tcx':
+      body = buildTcx(session, points);
+      break;
+    case 'fit':
+      body = buildFit(session, points);
+      break;
+  }
+
+  return {
+    filename: `${session.sessionId}.${exportFormat.extension}`,
+    contentType: exportFormat.contentType,
+    body
+  };
+}
@@ -0,0 +1,480 @@
+/**
+ * Activity Import Service
+ *
+ * Parses GPX, TCX and FIT files into RideSession + Telemetry documents and
+ * runs them through the same completion pipeline as a live ESP32 ride, so
+ * rides recorded without the sensor still count toward plans, goals and XP.
+ */
+
+import { Telemetry, RideSession } from '../models/Telemetry.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+import Goal from '../models/Goal.js';
+import User from '../models/User.js';
+import SessionTrackerService from './session_tracker_service.js';
+import goalProgressService from './goalProgressService.js';
+import achievementService from './achievementService.js';
+import { calculateCyclingCaloriesDirect, estimateSessionCalories } from './calorieService.js';
+import { calculatePowerMetrics, updateUserPowerProfile } from './powerAnalyticsService.js';
+import {
+  updateFtpFromSession,
+  calculateHeartRateMetrics,
+  normalizeHeartRate
+} from './trainingZonesService.js';
+import {
+  detectPausedIntervals,
+  calculateMovingTime,
+  movingAverageSpeed
+} from './movingTimeService.js';
+import { filterTelemetrySeries, excludeFlaggedSegments } from './telemetryQualityService.js';
+import { decodeFit } from '../utils/fitFile.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+export const IMPORT_FORMATS = ['gpx', 'tcx', 'fit'];
+
+// Imported rides are not tied to a physical SikadVoltz device
+export const IMPORT_DEVICE_ID = 'IMPORTED_FILE';
+
+// Telemetry schema limits
+const MAX_SPEED_KMH = 120;
+const MAX_WATTS = 2000;
+
+const EARTH_RADIUS_KM = 6371;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+// Matches <tag>, <ns:tag> and ignores attributes
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([^<]*)</(?:[\\w-]+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function haversineKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function hasPosition(point) {
+  return Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+/**
+ * Parse a GPX document
+ * @returns {Object} { points } with speed in km/h and distance in km
+ */
+export function parseGpx(xml) {
+  const points = [];
+  const trackPointPattern = /<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g;
+  let match;
+
+  while ((match = trackPointPattern.exec(xml)) !== null) {
+    const [, attributes, body] = match;
+    const time = readTag(body, 'time');
+    if (!time) continue;
+
+    const speed = toNumber(readTag(body, 'speed')); // m/s (TrackPointExtension)
+    points.push({
+      time: new Date(time),
+      lat: toNumber(readAttribute(attributes, 'lat')),
+      lng: toNumber(readAttribute(attributes, 'lon')),
+      altitude: toNumber(readTag(body, 'ele')),
+      speed: speed !== undefined ? speed * 3.6 : undefined,
+      watts: toNumber(readTag(body, 'power') ?? readTag(body, 'PowerInWatts')),
+      heartRate: toNumber(readTag(body, 'hr')) // TrackPointExtension
+    });
+  }
+
+  return { points };
+}
+
+/**
+ * Parse a Garmin Training Center (TCX) document
+ * @returns {Object} { points, calories }
+ */
+export function parseTcx(xml) {
+  const points = [];
+  const trackPointPattern = /<Trackpoint\b[^>]*>([\s\S]*?)<\/Trackpoint>/g;
+  let match;
+
+  while ((match = trackPointPattern.exec(xml)) !== null) {
+    const body = match[1];
+    const time = readTag(body, 'Time');
+    if (!time) continue;
+
+    const distance = toNumber(readTag(body, 'DistanceMeters'));
+    const speed = toNumber(readTag(body, 'Speed'));
+    points.push({
+      time: new Date(time),
+      lat: toNumber(readTag(body, 'LatitudeDegrees')),
+      lng: toNumber(readTag(body, 'LongitudeDegrees')),
+      altitude: toNumber(readTag(body, 'AltitudeMeters')),
+      distance: distance !== undefined ? distance / 1000 : undefined,
+      speed: speed !== undefined ? speed * 3.6 : undefined,
+      watts: toNumber(readTag(body, 'Watts')),
+      heartRate: toNumber(body.match(/<HeartRateBpm\b[^>]*>\s*<Value>([^<]*)<\/Value>/)?.[1])
+    });
+  }
+
+  // Lap calories are totals for the whole lap
+  let calories;
+  const lapCaloriesPattern = /<Lap\b[\s\S]*?<Calories>([^<]*)<\/Calories>/g;
+  while ((match = lapCaloriesPattern.exec(xml)) !== null) {
+    calories = (calories || 0) + (toNumber(match[1]) || 0);
+  }
+
+  return { points, calories };
+}
+
+/**
+ * Parse a binary FIT activity
+ * @returns {Object} { points, calories }
+ */
+export function parseFit(buffer) {
+  const messages = decodeFit(buffer);
+
+  const points = messages.record
+    .filter(record => record.timestamp)
+    .map(record => {
+      const speed = record.enhanced_speed ?? record.speed; // m/s
+      return {
+        time: record.timestamp,
+        lat: record.position_lat,
+        lng: record.position_long,
+        altitude: record.enhanced_altitude ?? record.altitude,
+        distance: record.distance !== undefined ? record.distance / 1000 : undefined,
+        speed: speed !== undefined ? speed * 3.6 : undefined,
+        watts: record.power,
+        heartRate: record.heart_rate
+      };
+    });
+
+  const calories = messages.session.reduce(
+    (sum, session) => (session.total_calories !== undefined ? (sum || 0) + session.total_calories : sum),
+    undefined
+  );
+
+  return { points, calories };
+}
+
+/**
+ * Work out the file format from its contents, falling back to the extension
+ */
+export function detectActivityFormat(buffer, filename = '') {
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') {
+    return 'fit';
+  }
+
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 2048));
+  if (/<gpx\b/i.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase\b/i.test(head)) return 'tcx';
+
+  const extension = filename.split('.').pop()?.toLowerCase();
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Sort points and fill in distance and speed where the file did not record
+ * them, using GPS positions and timestamps
+ */
+export function normalizeTrackPoints(points) {
+  const sorted = points
+    .filter(point => point.time instanceof Date && !Number.isNaN(point.time.getTime()))
+    .sort((a, b) => a.time - b.time);
+
+  const hasRecordedDistance = sorted.some(point => point.distance !== undefined);
+  let cumulativeDistance = 0;
+
+  sorted.forEach((point, index) => {
+    const previous = sorted[index - 1];
+
+    if (!hasRecordedDistance) {
+      if (previous && hasPosition(previous) && hasPosition(point)) {
+        cumulativeDistance += haversineKm(previous, point);
+      }
+      point.distance = cumulativeDistance;
+    } else if (point.distance === undefined) {
+      point.distance = previous?.distance ?? 0;
+    }
+
+    if (point.speed === undefined) {
+      const elapsedHours = previous ? (point.time - previous.time) / 3600000 : 0;
+      point.speed = elapsedHours > 0
+        ? Math.max(0, (point.distance - previous.distance) / elapsedHours)
+        : 0;
+    }
+  });
+
+  return sorted;
+}
+
+/**
+ * Aggregate ride metrics from normalized track points. Stops are detected with
+ * the default auto-pause window, as for live rides.
+ */
+export function summarizeTrack(points) {
+  const startTime = points[0].time;
+  const endTime = points[points.length - 1].time;
+  const duration = Math.round((endTime - startTime) / 1000);
+  const totalDistance = Math.max(0, points[points.length - 1].distance - (points[0].distance || 0));
+  const powerSamples = points.filter(point => Number.isFinite(point.watts)).map(point => point.watts);
+  const pausedIntervals = detectPausedIntervals(points);
+  const { elapsedTime, movingTime } = calculateMovingTime(startTime, endTime, pausedIntervals);
+
+  return {
+    startTime,
+    endTime,
+    duration,
+    elapsedTime,
+    movingTime,
+    pausedIntervals,
+    totalDistance,
+    maxSpeed: Math.min(MAX_SPEED_KMH, Math.max(0, ...points.map(point => point.speed || 0))),
+    avgSpeed: movingAverageSpeed(totalDistance, movingTime),
+    avgPower: powerSamples.length > 0
+      ? powerSamples.reduce((sum, watts) => sum + watts, 0) / powerSamples.length
+      : 0,
+    maxPower: powerSamples.length > 0 ? Math.min(MAX_WATTS, Math.max(...powerSamples)) : 0
+  };
+}
+
+/**
+ * Parse an uploaded file into normalized track points
+ * @returns {Object} { format, points, calories }
+ */
+export function parseActivityFile(buffer, filename) {
+  const format = detectActivityFormat(buffer, filename);
+  if (!format) {
+    throw httpError(`Unsupported file type. Upload one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let parsed;
+  try {
+    if (format === 'fit') {
+      parsed = parseFit(buffer);
+    } else {
+      const xml = buffer.toString('utf8');
+      parsed = format === 'gpx' ? parseGpx(xml) : parseTcx(xml);
+    }
+  } catch (error) {
+    throw httpError(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  const points = normalizeTrackPoints(parsed.points);
+  if (points.length < 2) {
+    throw httpError('Activity file does not contain enough timestamped track points');
+  }
+
+  return { format, points, calories: parsed.calories };
+}
+
+/**
+ * Credit an imported ride to the rider's plan, goal and achievements, the
+ * same way SessionTrackerService does when a live ride ends
+ */
+async function completeImportedSession(userId, session, plan) {
+  const finalHours = (session.movingTime || session.duration) / 3600;
+  const sessionDate = session.startTime;
+
+  if (plan) {
+    await SessionTrackerService.updateSessionProgress(userId, {
+      sessionId: session.sessionId,
+      completedHours: finalHours,
+      caloriesBurned: session.totalCalories,
+      distance: session.totalDistance,
+      planId: plan._id,
+      sessionDate
+    });
+
+    // Also updates the linked goal and awards XP, streaks, milestones and badges
+    return SessionTrackerService.completeSession(userId, {
+      sessionId: session.sessionId,
+      finalCalories: session.totalCalories,
+      finalHours,
+      finalDistance: session.totalDistance,
+      dataQuality: session.dataQuality,
+      sessionDate
+    });
+  }
+
+  // Without an active plan, update the goal and achievements directly
+  if (session.goalId) {
+    await goalProgressService.updateGoalFromSession(session.goalId, {
+      _id: session._id,
+      sessionId: session.sessionId,
+      totalDistance: session.totalDistance,
+      totalCalories: session.totalCalories,
+      duration: session.movingTime || session.duration,
+      avgSpeed: session.avgSpeed,
+      avgPower: session.avgPower,
+      endTime: session.endTime
+    });
+  }
+
+  const xpResult = await achievementService.awardWorkoutXP(userId, excludeFlaggedSegments({
+    totalDistance: session.totalDistance,
+    totalCalories: session.totalCalories,
+    duration: session.movingTime || session.duration,
+    avgSpeed: session.avgSpeed,
+    avgPower: session.avgPower,
+    maxSpeed: session.maxSpeed,
+    maxPower: session.maxPower
+  }, session.dataQuality));
+  await achievementService.updateStreak(userId);
+
+  return {
+    success: true,
+    data: { xpEarned: xpResult.xpEarned }
+  };
+}
+
+/**
+ * Import an uploaded activity file as a completed ride session
+ * @param {ObjectId} userId - Owner of the ride
+ * @param {Object} file - Multer file ({ buffer, originalname })
+ * @returns {Object} { session, format, telemetryPoints, completion }
+ */
+export async function importActivityFile(userId, file) {
+  if (!file?.buffer?.length) {
+    throw httpError('An activity file is required');
+  }
+
+  const parsed = parseActivityFile(file.buffer, file.originalname);
+  const { format, calories } = parsed;
+
+  // GPS glitches are flagged and smoothed out, as for live telemetry
+  const { readings: points, dataQuality } = filterTelemetrySeries(
+    parsed.points.map(point => ({ ...point, timestamp: point.time }))
+  );
+  const summary = summarizeTrack(points);
+
+  if (summary.duration <= 0) {
+    throw httpError('Activity file has no elapsed time');
+  }
+
+  // Re-uploading the same file must not credit the ride twice
+  const existing = await RideSession.findOne({
+    userId,
+    source: 'import',
+    startTime: summary.startTime
+  });
+  if (existing) {
+    throw httpError(`This ride was already imported as session ${existing.sessionId}`, 409);
+  }
+
+  const user = await User.findById(userId).select('profile');
+  const powerMetrics = calculatePowerMetrics(points, user?.profile?.ftp);
+  const heartRateMetrics = calculateHeartRateMetrics(points, user?.profile);
+  // Prefer the file's own calories, then heart rate or power zones, then a moderate-effort estimate
+  const totalCalories = calories ??
+    estimateSessionCalories({ duration: summary.duration, movingTime: summary.movingTime, ...powerMetrics, ...heartRateMetrics }, user?.profile) ??
+    calculateCyclingCaloriesDirect(user?.profile?.weight || 70, summary.movingTime / 3600, 'moderate');
+
+  // Link to the active plan and goal, as live sessions do
+  const plan = await CyclingPlan.findOne({ user: userId, isActive: true });
+  let goalId = plan?.goal || null;
+  if (!goalId) {
+    const activeGoal = await Goal.findOne({ user: userId, status: 'active' }).select('_id');
+    goalId = activeGoal?._id || null;
+  }
+
+  const sessionId = `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const session = await RideSession.create({
+    userId,
+    deviceId: IMPORT_DEVICE_ID,
+    sessionId,
+    startTime: summary.startTime,
+    endTime: summary.endTime,
+    duration: summary.duration,
+    elapsedTime: summary.elapsedTime,
+    movingTime: summary.movingTime,
+    pausedIntervals: summary.pausedIntervals,
+    actualHours: summary.movingTime / 3600,
+    totalDistance: summary.totalDistance,
+    maxSpeed: summary.maxSpeed,
+    avgSpeed: summary.avgSpeed,
+    totalCalories,
+    avgPower: summary.avgPower,
+    maxPower: summary.maxPower,
+    ...powerMetrics,
+    ...heartRateMetrics,
+    status: 'completed',
+    planId: plan?._id,
+    goalId,
+    source: 'import',
+    importedFrom: {
+      format,
+      filename: file.originalname,
+      importedAt: new Date()
+    },
+    dataQuality,
+    dataPoints: points.length,
+    lastUpdate: new Date()
+  });
+
+  await Telemetry.insertMany(points.map(point => ({
+    deviceId: IMPORT_DEVICE_ID,
+    userId,
+    sessionId,
+    ...(hasPosition(point) && {
+      coordinates: { type: 'Point', coordinates: [point.lng, point.lat] }
+    }),
+    metrics: {
+      speed: Math.min(MAX_SPEED_KMH, point.speed || 0),
+      distance: point.distance || 0,
+      sessionTime: Math.round((point.time - summary.startTime) / 1000),
+      watts: Math.min(MAX_WATTS, Math.max(0, point.watts || 0)),
+      pulseCount: 0,
+      heartRate: normalizeHeartRate(point.heartRate)
+    },
+    workoutActive: true,
+    quality: point.quality,
+    timestamp: point.time
+  })));
+
+  if (powerMetrics) {
+    try {
+      await updateUserPowerProfile(userId, session);
+      await updateFtpFromSession(session);
+    } catch (profileError) {
+      logger.warn('Power curves or FTP not updated for imported ride', { sessionId, error: profileError.message });
+    }
+  }
+
+  logger.info('Activity file imported', {
+    userId,
+    sessionId,
+    format,
+    points: points.length,
+    distance: summary.totalDistance
+  });
+
+  let completion;
+  try {
+    completion = await completeImportedSession(userId, session, plan);
+  } catch (completionError) {
+    // The ride itself is stored; plan/goal/XP crediting is best effort as for live rides
+    logger.warn('Imported ride could not be fully credited', { sessionId, error: completionError.message });
+    completion = { success: false, error: completionError.message };
+  }
+
+  return {
+    session,
+    format,
+    telemetryPoints: points.length,
+    completion
+  };
+}
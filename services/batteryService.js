@@ -0,0 +1,307 @@
+/**
+ * Battery Service
+ *
+ * Battery history and health per ESP32Device. Each ride keeps the battery
+ * level it started and ended at; the drain per ride hour across recent rides
+ * gives the device's discharge rate, and comparing it with the device's first
+ * rides estimates capacity fade. Readings as they arrive update the device's
+ * latest level and send a `device_status` notification when it drops below
+ * the device's batteryThreshold, or when a planned ride is unlikely to finish
+ * on the charge left.
+ */
+
+import { Telemetry, RideSession, ESP32Device } from '../models/Telemetry.js';
+import Workout from '../models/Workout.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+import NotificationService from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Readings closer together than this don't touch the database
+export const BATTERY_SAMPLE_SECONDS = 60;
+// After a low battery alert, the level has to recover this far above the threshold to re-arm it
+export const LOW_BATTERY_RESET_MARGIN = 5;
+// Rides in each of the recent and baseline medians
+export const HEALTH_WINDOW_RIDES = 5;
+// Shorter rides drain too little to give a discharge rate
+const MIN_RIDE_HOURS = 0.25;
+const HISTORY_RIDES = 100;
+
+// Typical Li-ion battery: 4.2V (100%) to 3.0V (0%)
+const MAX_VOLTAGE = 4.2;
+const MIN_VOLTAGE = 3.0;
+
+const MAX_TRACKED = 1000;
+const lastSamples = new Map(); // deviceId -> time of the last stored reading
+const plannedRides = new Map(); // sessionId -> planned ride seconds, null when nothing is planned
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const remember = (map, key, value) => {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_TRACKED) map.delete(map.keys().next().value);
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Battery percentage from a cell voltage.
+ * @returns {number|null} null when there is no voltage reading
+ */
+export function estimateBatteryLevel(voltage) {
+  const volts = Number(voltage);
+  if (!(volts > 0)) return null;
+  if (volts >= MAX_VOLTAGE) return 100;
+  if (volts <= MIN_VOLTAGE) return 0;
+  return Math.round(((volts - MIN_VOLTAGE) / (MAX_VOLTAGE - MIN_VOLTAGE)) * 100);
+}
+
+/**
+ * A reading's battery level, falling back to its voltage when the device
+ * reports no level (firmwares without a fuel gauge send 0).
+ * @returns {{level: number, voltage: number|null}|null} null without either
+ */
+export function normalizeBatteryReading({ level, voltage } = {}) {
+  const volts = Number(voltage) > 0 ? Number(voltage) : null;
+  const reported = Number(level);
+  const percentage = reported > 0 && reported <= 100 ? reported : estimateBatteryLevel(volts);
+  return percentage === null ? null : { level: percentage, voltage: volts };
+}
+
+/**
+ * Battery drain over a ride's readings.
+ * @param {Object[]} points - readings in time order, with timestamp and battery
+ * @returns {Object|null} null with fewer than two battery readings
+ */
+export function summarizeSessionBattery(points) {
+  const readings = points
+    .map(point => ({ timestamp: new Date(point.timestamp), ...normalizeBatteryReading(point.battery) }))
+    .filter(reading => reading.level !== undefined);
+  if (readings.length < 2) return null;
+
+  const first = readings[0];
+  const last = readings[readings.length - 1];
+  const hours = (last.timestamp - first.timestamp) / 3600000;
+  const drain = first.level - last.level;
+
+  return {
+    startLevel: first.level,
+    endLevel: last.level,
+    startVoltage: first.voltage,
+    endVoltage: last.voltage,
+    hours: round(hours, 2),
+    // Charging during the ride says nothing about the battery's capacity
+    drainPerHour: hours >= MIN_RIDE_HOURS && drain >= 0 ? round(drain / hours, 2) : null
+  };
+}
+
+/**
+ * Battery health from rides in time order.
+ * @param {Object[]} rides - RideSession.battery summaries, oldest first
+ * @returns {{status, capacityPercent, dischargeRatePerHour, fullChargeRideHours, ridesAnalyzed}}
+ */
+export function calculateBatteryHealth(rides) {
+  const rates = rides.map(ride => ride?.drainPerHour).filter(rate => rate > 0);
+  const recent = median(rates.slice(-HEALTH_WINDOW_RIDES));
+
+  // Capacity fade shows as the same riding draining the battery faster than it used to
+  let capacityPercent = null;
+  if (rates.length >= HEALTH_WINDOW_RIDES * 2) {
+    const baseline = median(rates.slice(0, HEALTH_WINDOW_RIDES));
+    capacityPercent = Math.min(100, Math.round((baseline / recent) * 100));
+  }
+
+  let status = 'unknown';
+  if (capacityPercent !== null) {
+    status = capacityPercent >= 80 ? 'good' : capacityPercent >= 60 ? 'fair' : 'replace';
+  }
+
+  return {
+    status,
+    capacityPercent,
+    dischargeRatePerHour: recent === null ? null : round(recent, 2),
+    fullChargeRideHours: recent ? round(100 / recent) : null,
+    ridesAnalyzed: rates.length
+  };
+}
+
+/**
+ * Summarize a completed ride's battery drain. The caller saves the session.
+ * @returns {Promise<Object|null>} the summary, null without battery readings
+ */
+export async function applySessionBattery(session) {
+  const summary = summarizeSessionBattery(await Telemetry.getSessionData(session.sessionId));
+  if (summary) session.battery = summary;
+  return summary;
+}
+
+async function loadRideBatteries(deviceId, limit = HISTORY_RIDES) {
+  const rides = await RideSession.find({ deviceId, 'battery.startLevel': { $ne: null } })
+    .sort({ startTime: -1 })
+    .limit(limit)
+    .select('sessionId startTime battery')
+    .lean();
+  return rides.reverse();
+}
+
+/**
+ * Refresh the discharge rate ride alerts are predicted from, after a ride.
+ */
+export async function updateDeviceBatteryHealth(deviceId) {
+  const rides = await loadRideBatteries(deviceId, HEALTH_WINDOW_RIDES);
+  const { dischargeRatePerHour } = calculateBatteryHealth(rides.map(ride => ride.battery));
+  if (dischargeRatePerHour !== null) {
+    await ESP32Device.updateOne({ deviceId }, { $set: { 'battery.drainPerHour': dischargeRatePerHour } });
+  }
+  return dischargeRatePerHour;
+}
+
+/**
+ * A device's battery health and per-ride history for its owner.
+ */
+export async function getBatteryHealth(userId, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, userId })
+    .select('deviceId deviceName batteryThreshold battery')
+    .lean();
+  if (!device) throw httpError('Device not found', 404);
+
+  const rides = await loadRideBatteries(deviceId);
+  return {
+    deviceId,
+    batteryThreshold: device.batteryThreshold,
+    current: {
+      level: device.battery?.level ?? null,
+      voltage: device.battery?.voltage ?? null,
+      updatedAt: device.battery?.updatedAt || null
+    },
+    health: calculateBatteryHealth(rides.map(ride => ride.battery)),
+    history: rides.map(ride => ({ sessionId: ride.sessionId, startTime: ride.startTime, ...ride.battery }))
+  };
+}
+
+// Seconds the rider planned for this ride: its structured workout, else today's plan session
+async function loadPlannedRideSeconds(session) {
+  if (session.workoutId) {
+    const workout = await Workout.findById(session.workoutId).select('totalDuration').lean();
+    if (workout?.totalDuration) return workout.totalDuration;
+  }
+  if (session.planId) {
+    const plan = await CyclingPlan.findById(session.planId).select('dailySessions').lean();
+    const day = new Date(session.startTime).toDateString();
+    const planned = plan?.dailySessions?.find(daily => new Date(daily.date).toDateString() === day);
+    if (planned?.plannedHours > 0) return planned.plannedHours * 3600;
+  }
+  return null;
+}
+
+async function getRemainingRideSeconds(session, now) {
+  if (!plannedRides.has(session.sessionId)) {
+    remember(plannedRides, session.sessionId, await loadPlannedRideSeconds(session));
+  }
+  const planned = plannedRides.get(session.sessionId);
+  if (!planned) return null;
+
+  const startedAt = session.workoutId && session.workoutStartedAt ? session.workoutStartedAt : session.startTime;
+  return Math.max(0, planned - (now - new Date(startedAt)) / 1000);
+}
+
+function buildBatteryNotification(device, reading, alert) {
+  const name = device.deviceName || device.deviceId;
+  const lowBattery = alert.kind === 'low_battery';
+
+  return {
+    type: 'device_status',
+    title: lowBattery ? 'Low Battery' : 'Battery May Not Last This Ride',
+    message: lowBattery
+      ? `${name} is at ${reading.level}%, below your ${device.batteryThreshold}% alert. Charge it before your next ride.`
+      : `${name} has about ${alert.availableMinutes} min of charge left, but ${alert.remainingMinutes} min of riding is planned.`,
+    priority: 'high',
+    actions: [
+      {
+        type: 'navigation',
+        label: 'View Device',
+        data: { route: '/devices', deviceId: device.deviceId },
+        isPrimary: true
+      }
+    ],
+    data: {
+      ...alert,
+      deviceId: device.deviceId,
+      level: reading.level,
+      voltage: reading.voltage
+    },
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+  };
+}
+
+/**
+ * Record a battery reading as the device's latest and send any alerts it
+ * triggers. Readings within BATTERY_SAMPLE_SECONDS of the last are skipped.
+ * @param {Object} reading
+ * @param {string} reading.deviceId
+ * @param {number} [reading.level] - percentage
+ * @param {number} [reading.voltage]
+ * @param {Object} [reading.session] - active RideSession, to check the ride can finish
+ * @returns {Promise<Object[]>} the alerts sent
+ */
+export async function recordBatteryReading({ deviceId, level, voltage, session }) {
+  const reading = normalizeBatteryReading({ level, voltage });
+  if (!deviceId || !reading) return [];
+
+  const now = new Date();
+  const lastSample = lastSamples.get(deviceId);
+  if (lastSample && now - lastSample < BATTERY_SAMPLE_SECONDS * 1000) return [];
+  remember(lastSamples, deviceId, now);
+
+  const device = await ESP32Device.findOne({ deviceId })
+    .select('deviceId deviceName userId batteryThreshold battery')
+    .lean();
+  if (!device) return [];
+
+  const state = device.battery || {};
+  const threshold = device.batteryThreshold ?? 20;
+  const updates = { 'battery.level': reading.level, 'battery.voltage': reading.voltage, 'battery.updatedAt': now };
+  const alerts = [];
+
+  if (reading.level < threshold) {
+    if (!state.lowAlertAt) {
+      alerts.push({ kind: 'low_battery', threshold });
+      updates['battery.lowAlertAt'] = now;
+    }
+  } else if (state.lowAlertAt && reading.level >= threshold + LOW_BATTERY_RESET_MARGIN) {
+    updates['battery.lowAlertAt'] = null;
+  }
+
+  // One warning per ride, once the charge left won't cover the planned time at the usual drain
+  if (session && state.drainPerHour > 0 && state.rideAlertSessionId !== session.sessionId) {
+    const remainingSeconds = await getRemainingRideSeconds(session, now);
+    const availableSeconds = (reading.level / state.drainPerHour) * 3600;
+    if (remainingSeconds !== null && remainingSeconds > availableSeconds) {
+      alerts.push({
+        kind: 'ride_at_risk',
+        sessionId: session.sessionId,
+        remainingMinutes: Math.round(remainingSeconds / 60),
+        availableMinutes: Math.round(availableSeconds / 60)
+      });
+      updates['battery.rideAlertSessionId'] = session.sessionId;
+    }
+  }
+
+  await ESP32Device.updateOne({ _id: device._id }, { $set: updates });
+  for (const alert of alerts) {
+    await NotificationService.createNotification(device.userId, buildBatteryNotification(device, reading, alert));
+  }
+  return alerts;
+}
+
+/**
+ * Forget a ride's planned duration once it ends.
+ */
+export function clearBatteryState(sessionId) {
+  plannedRides.delete(sessionId);
+}
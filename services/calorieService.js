@@ -32,6 +32,9 @@ export function calculateOptimalCalories(weight, hours, intensity) {
   return calculateCyclingCaloriesDirect(weight, hours, intensity);
 }
 
+// Intensity can be a level name, the ESP32 0-5 code, or a power zone
+// breakdown from trainingZonesService.calculateTimeInZones. Zones reflect
+// the rider's real effort, so prefer them whenever power and FTP are known.
 export function calculateCyclingCaloriesDirect(weight, hours, intensity = 'moderate') {
   // Enhanced 6-level intensity system matching frontend (0-5)
   const metValues = { 
@@ -42,6 +45,19 @@ export function calculateCyclingCaloriesDirect(weight, hours, intensity = 'moder
     'vigorous': 12.0,  // Vigorous cycling, racing pace
     'maximum': 16.0    // Maximum effort
   };
+
+  // Time-in-zone breakdown: MET weighted by the time spent in each zone
+  if (Array.isArray(intensity)) {
+    const zoneSeconds = intensity.reduce((sum, zone) => sum + (zone.seconds || 0), 0);
+    if (zoneSeconds > 0) {
+      const met = intensity.reduce(
+        (sum, zone) => sum + (metValues[zone.intensity] ?? metValues.moderate) * (zone.seconds || 0),
+        0
+      ) / zoneSeconds;
+      return parseFloat((met * weight * hours).toFixed(2));
+    }
+    intensity = 'moderate';
+  }
   
   // Handle numeric intensity levels from ESP32 (0-5)
   if (typeof intensity === 'number') {
@@ -60,6 +76,46 @@ export function calculateCyclingCaloriesDirect(weight, hours, intensity = 'moder
   return parseFloat((met * weight * hours).toFixed(2));
 }
 
+// Heart-rate-based energy expenditure (Keytel et al., 2005), in kcal.
+// Returns null when the inputs fall outside what the formula covers.
+export function calculateHeartRateCalories(avgHeartRate, weight, birthDate, gender, hours) {
+  if (!(avgHeartRate > 0) || !(weight > 0) || !(hours > 0) || !birthDate) return null;
+
+  const age = new Date().getFullYear() - new Date(birthDate).getFullYear();
+  const male = (-55.0969 + 0.6309 * avgHeartRate + 0.1988 * weight + 0.2017 * age) / 4.184;
+  const female = (-20.4022 + 0.4472 * avgHeartRate - 0.1263 * weight + 0.074 * age) / 4.184;
+
+  let kcalPerMinute;
+  if (gender === 'male') kcalPerMinute = male;
+  else if (gender === 'female') kcalPerMinute = female;
+  else kcalPerMinute = (male + female) / 2;
+
+  if (!(kcalPerMinute > 0)) return null;
+  return parseFloat((kcalPerMinute * hours * 60).toFixed(2));
+}
+
+// Best available calorie estimate for a completed ride: heart rate first,
+// then time in power zones. Returns null when the ride has neither, so the
+// caller can keep its own estimate.
+export function estimateSessionCalories(session, profile = {}) {
+  // Moving time when auto-pause found stops, otherwise the whole ride
+  const hours = (session.movingTime || session.duration || 0) / 3600;
+  const weight = profile?.weight || 70;
+
+  if (session.avgHeartRate > 0) {
+    const heartRateCalories = calculateHeartRateCalories(
+      session.avgHeartRate, weight, profile?.birthDate, profile?.gender, hours
+    );
+    if (heartRateCalories !== null) return heartRateCalories;
+  }
+
+  if (session.timeInZones?.length) {
+    return calculateCyclingCaloriesDirect(weight, hours, session.timeInZones);
+  }
+
+  return null;
+}
+
 // Calculate TDEE based on activity level (as per CALORIE.MD specification)
 export function calculateTDEE(bmr, activityLevel) {
     const activityMultipliers = {
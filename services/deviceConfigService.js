@@ -0,0 +1,162 @@
+/**
+ * Device Configuration Service
+ *
+ * Settings the hardware needs (wheel circumference, battery threshold,
+ * sampling interval, display units...) live on the ESP32Device and are
+ * versioned. Every change through the API bumps configSync.version; the device
+ * pulls the config when it connects, or the app relays it over BLE when the
+ * bridge pushes it, and the device acknowledges the version it applied.
+ */
+
+import { ESP32Device } from '../models/Telemetry.js';
+import { clearDevicePulseState } from './pulseMetricsService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Editable settings and their limits
+export const DEVICE_CONFIG_FIELDS = {
+  wheelCircumference: { min: 1, max: 3.5 }, // meters
+  batteryThreshold: { min: 0, max: 100, integer: true }, // percentage
+  autoPauseSeconds: { min: 0, max: 600, integer: true },
+  sampleIntervalMs: { min: 100, max: 60000, integer: true },
+  displayUnits: { values: ['metric', 'imperial'] }
+};
+
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Check a partial settings update against DEVICE_CONFIG_FIELDS.
+ * @param {Object} changes
+ * @returns {Object} the settings to set
+ * @throws {Error} 400 listing every invalid or unknown setting
+ */
+export function validateConfigChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw httpError('Configuration settings must be an object');
+  }
+
+  const updates = {};
+  const errors = [];
+  for (const [field, value] of Object.entries(changes)) {
+    const rule = DEVICE_CONFIG_FIELDS[field];
+    if (!rule) {
+      errors.push(`${field} is not a device setting`);
+    } else if (rule.values) {
+      if (rule.values.includes(value)) updates[field] = value;
+      else errors.push(`${field} must be one of ${rule.values.join(', ')}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+      (rule.integer && !Number.isInteger(value)) || value < rule.min || value > rule.max) {
+      errors.push(`${field} must be ${rule.integer ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+    } else {
+      updates[field] = value;
+    }
+  }
+
+  if (errors.length > 0) throw httpError('Invalid device configuration', 400, errors);
+  if (Object.keys(updates).length === 0) throw httpError('No configuration settings provided');
+  return updates;
+}
+
+/**
+ * The versioned configuration document of a device.
+ * @param {Object} device - ESP32Device
+ */
+export function toDeviceConfig(device) {
+  const sync = device.configSync || {};
+  const version = sync.version || 1;
+  const appliedVersion = sync.appliedVersion || 0;
+
+  return {
+    deviceId: device.deviceId,
+    version,
+    settings: Object.fromEntries(Object.keys(DEVICE_CONFIG_FIELDS).map(field => [field, device[field]])),
+    updatedAt: sync.updatedAt || null,
+    appliedVersion,
+    appliedAt: sync.appliedAt || null,
+    pending: appliedVersion < version,
+    rejectedVersion: sync.rejectedVersion || null,
+    rejectedReason: sync.rejectedReason || null
+  };
+}
+
+async function findUserDevice(userId, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, userId });
+  if (!device) throw httpError('Device not found', 404);
+  return device;
+}
+
+export async function getDeviceConfig(userId, deviceId) {
+  return toDeviceConfig(await findUserDevice(userId, deviceId));
+}
+
+/**
+ * Change a device's settings and bump its config version.
+ * @param {ObjectId} userId - the device's owner
+ * @param {string} deviceId
+ * @param {Object} changes - settings to change
+ * @param {Object} [options]
+ * @param {number} [options.expectedVersion] - reject the change if the config has moved on
+ * @returns {Promise<{config: Object, changed: boolean}>} unchanged settings don't bump the version
+ */
+export async function updateDeviceConfig(userId, deviceId, changes, { expectedVersion } = {}) {
+  const updates = validateConfigChanges(changes);
+  const device = await findUserDevice(userId, deviceId);
+  const version = device.configSync?.version || 1;
+
+  if (expectedVersion !== undefined && expectedVersion !== version) {
+    throw httpError(`Device configuration is at version ${version}; reload it and retry`, 409);
+  }
+  if (Object.entries(updates).every(([field, value]) => device[field] === value)) {
+    return { config: toDeviceConfig(device), changed: false };
+  }
+
+  // Conditional on the version read, so two concurrent edits can't both become
+  // the same version. Devices registered before versioning have none stored
+  const updated = await ESP32Device.findOneAndUpdate(
+    { _id: device._id, 'configSync.version': version === 1 ? { $in: [1, null] } : version },
+    { $set: { ...updates, 'configSync.version': version + 1, 'configSync.updatedAt': new Date() } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw httpError('Device configuration changed while saving; reload it and retry', 409);
+
+  // A ride in progress measures its next pulses with the new wheel size
+  if (updates.wheelCircumference !== undefined) clearDevicePulseState(updated.deviceId);
+
+  return { config: toDeviceConfig(updated), changed: true };
+}
+
+/**
+ * Record the device's acknowledgement of a config version.
+ * @param {ObjectId} userId - the device's owner
+ * @param {string} deviceId
+ * @param {Object} ack
+ * @param {number} ack.version
+ * @param {string} [ack.status] - 'applied' (default) or 'rejected'
+ * @param {string} [ack.reason] - why the device rejected it
+ * @returns {Promise<Object>} the device config
+ */
+export async function acknowledgeDeviceConfig(userId, deviceId, { version, status = 'applied', reason } = {}) {
+  if (!Number.isInteger(version) || version < 1) throw httpError('version must be a positive integer');
+  if (!['applied', 'rejected'].includes(status)) throw httpError('status must be applied or rejected');
+
+  const device = await findUserDevice(userId, deviceId);
+  const sync = toDeviceConfig(device);
+  if (version > sync.version) {
+    throw httpError(`Device configuration version ${version} does not exist`, 409);
+  }
+
+  if (status === 'rejected') {
+    device.set({
+      'configSync.rejectedVersion': version,
+      'configSync.rejectedReason': String(reason || 'Rejected by device').slice(0, MAX_REASON_LENGTH)
+    });
+  } else if (version > sync.appliedVersion) {
+    // Late acknowledgements of older versions don't move appliedVersion back
+    device.set({ 'configSync.appliedVersion': version, 'configSync.appliedAt': new Date() });
+    if (sync.rejectedVersion && sync.rejectedVersion <= version) {
+      device.set({ 'configSync.rejectedVersion': null, 'configSync.rejectedReason': null });
+    }
+  }
+
+  if (device.isModified()) await device.save();
+  return toDeviceConfig(device);
+}
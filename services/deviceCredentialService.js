@@ -0,0 +1,282 @@
+/**
+ * Device Credential Service
+ *
+ * Pairing and per-device keys, so devices authenticate as themselves instead
+ * of with the rider's JWT. The app requests a short claim code; the device
+ * sends it with its deviceId to /esp32/devices/claim and gets a device key
+ * bound to its ESP32Device record. Keys look like `<keyId>.<secret>`: the
+ * keyId finds the device, the secret is checked against a stored hash. Devices
+ * rotate their own key; the previous one keeps working for a grace period so
+ * a device that loses the response isn't locked out. The rider can revoke a
+ * device's key, after which it has to be claimed again. A device registered to
+ * one account can only be claimed by another once its owner releases it.
+ */
+
+import crypto from 'crypto';
+import DeviceClaim from '../models/DeviceClaim.js';
+import { ESP32Device } from '../models/Telemetry.js';
+import { httpError } from '../utils/httpError.js';
+
+export const CLAIM_CODE_MINUTES = 10;
+export const CLAIM_CODE_LENGTH = 8;
+// No 0/O, 1/I/L, so codes survive being read off a screen and typed on a device
+export const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const MAX_OPEN_CLAIM_CODES = 5;
+export const ROTATION_GRACE_MINUTES = 10;
+
+// lastUsedAt is only written when it is this stale, not on every reading
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+export const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+export function generateClaimCode() {
+  const bytes = crypto.randomBytes(CLAIM_CODE_LENGTH);
+  return Array.from(bytes, byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Codes are case-insensitive and may be typed with spaces or dashes.
+ */
+export const normalizeClaimCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Split a device key into its keyId and secret.
+ * @returns {{keyId: string, secret: string}|null}
+ */
+export function parseDeviceKey(key) {
+  const match = /^([0-9a-f]{16})\.([0-9a-f]{64})$/.exec(String(key || '').trim());
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+export const timingSafeMatch = (hash, expected) => !!expected &&
+  crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expected, 'hex'));
+
+/**
+ * Which of a device's keys a secret matches.
+ * @param {Object} credential - ESP32Device.credential
+ * @param {string} secret
+ * @param {Date} [now]
+ * @returns {'current'|'previous'|null}
+ */
+export function matchDeviceKey(credential, secret, now = new Date()) {
+  if (!credential?.keyHash || credential.revokedAt) return null;
+
+  const hash = hashSecret(secret);
+  if (timingSafeMatch(hash, credential.keyHash)) return 'current';
+  if (credential.previousKeyExpiresAt > now && timingSafeMatch(hash, credential.previousKeyHash)) {
+    return 'previous';
+  }
+  return null;
+}
+
+// New secret for a device; the caller saves the device
+function issueKey(device, keyId = crypto.randomBytes(8).toString('hex')) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  device.set({
+    'credential.keyId': keyId,
+    'credential.keyHash': hashSecret(secret),
+    'credential.revokedAt': null
+  });
+  return `${keyId}.${secret}`;
+}
+
+/**
+ * Create a claim code for pairing a device to the rider's account.
+ * @param {ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.deviceName] - name given to the device when it claims
+ * @returns {Promise<{code: string, expiresAt: Date}>}
+ */
+export async function createClaimCode(userId, { deviceName } = {}) {
+  const open = await DeviceClaim.countDocuments({ userId, claimedAt: null, expiresAt: { $gt: new Date() } });
+  if (open >= MAX_OPEN_CLAIM_CODES) {
+    throw httpError('Too many open claim codes; use or wait for one to expire', 429);
+  }
+
+  const code = generateClaimCode();
+  const claim = await DeviceClaim.create({
+    userId,
+    codeHash: hashSecret(code),
+    deviceName,
+    expiresAt: new Date(Date.now() + CLAIM_CODE_MINUTES * 60 * 1000)
+  });
+
+  return { code, expiresAt: claim.expiresAt };
+}
+
+/**
+ * Redeem a claim code from the device and issue its key.
+ * @param {Object} request
+ * @param {string} request.code
+ * @param {string} request.deviceId
+ * @param {string} [request.firmwareVersion]
+ * @returns {Promise<{deviceId: string, deviceKey: string}>} the key is only returned here
+ */
+export async function claimDevice({ code, deviceId, firmwareVersion }) {
+  if (!deviceId || typeof deviceId !== 'string') throw httpError('deviceId is required');
+  const normalized = normalizeClaimCode(code);
+  if (normalized.length !== CLAIM_CODE_LENGTH) throw httpError('Claim code is invalid or has expired', 404);
+
+  const claim = await DeviceClaim.findOne({
+    codeHash: hashSecret(normalized),
+    claimedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (!claim) throw httpError('Claim code is invalid or has expired', 404);
+
+  let device = await ESP32Device.findOne({ deviceId });
+  const ownedElsewhere = device && !device.userId.equals(claim.userId) && !device.credential?.releasedAt;
+  if (ownedElsewhere) {
+    throw httpError('Device is registered to another account; it must be released there first', 409);
+  }
+
+  // Each code works once, even when two devices race for it
+  const redeemed = await DeviceClaim.updateOne(
+    { _id: claim._id, claimedAt: null },
+    { $set: { claimedAt: new Date(), deviceId } }
+  );
+  if (redeemed.modifiedCount === 0) throw httpError('Claim code is invalid or has expired', 404);
+
+  if (!device) {
+    device = new ESP32Device({ deviceId, userId: claim.userId });
+  }
+  if (!device.userId.equals(claim.userId)) {
+    // The previous owner's household doesn't come with the device
+    device.members = [];
+    device.activeRider = { userId: null };
+    device.isPrimary = false;
+  }
+  device.userId = claim.userId;
+  device.isActive = true;
+  device.lastSeen = new Date();
+  if (claim.deviceName) device.deviceName = claim.deviceName;
+  if (firmwareVersion) device.firmwareVersion = firmwareVersion;
+
+  const deviceKey = issueKey(device);
+  device.credential.issuedAt = new Date();
+  device.credential.rotatedAt = null;
+  device.credential.previousKeyHash = null;
+  device.credential.previousKeyExpiresAt = null;
+  device.credential.releasedAt = null;
+  await device.save();
+
+  return { deviceId, deviceKey };
+}
+
+/**
+ * The device a key belongs to.
+ * @param {string} key - `<keyId>.<secret>`
+ * @returns {Promise<Object>} the ESP32Device
+ * @throws {Error} 401 for unknown, wrong or revoked keys
+ */
+export async function authenticateDeviceKey(key) {
+  const parsed = parseDeviceKey(key);
+  if (!parsed) throw httpError('Invalid device key', 401);
+
+  const device = await ESP32Device.findOne({ 'credential.keyId': parsed.keyId });
+  const match = device && matchDeviceKey(device.credential, parsed.secret);
+  if (!match) throw httpError('Invalid device key', 401);
+
+  const now = new Date();
+  const updates = {};
+  if (!device.credential.lastUsedAt || now - device.credential.lastUsedAt > LAST_USED_WRITE_MS) {
+    updates['credential.lastUsedAt'] = now;
+  }
+  // Once the device uses its new key, the old one is no longer needed
+  if (match === 'current' && device.credential.previousKeyHash) {
+    updates['credential.previousKeyHash'] = null;
+    updates['credential.previousKeyExpiresAt'] = null;
+  }
+  if (Object.keys(updates).length > 0) {
+    await ESP32Device.updateOne({ _id: device._id }, { $set: updates });
+  }
+
+  device.$locals.keyMatch = match;
+  return device;
+}
+
+/**
+ * Replace an authenticated device's key. The key the device authenticated
+ * with stays valid for ROTATION_GRACE_MINUTES, or until the new one is used.
+ * @param {Object} device - ESP32Device from authenticateDeviceKey
+ * @returns {Promise<{deviceId, deviceKey, previousKeyExpiresAt}>}
+ */
+export async function rotateDeviceKey(device) {
+  // A device retrying a rotation whose response it lost still holds the previous key
+  const previousKeyHash = device.$locals.keyMatch === 'previous'
+    ? device.credential.previousKeyHash
+    : device.credential.keyHash;
+  const deviceKey = issueKey(device, device.credential.keyId);
+  device.credential.previousKeyHash = previousKeyHash;
+  device.credential.previousKeyExpiresAt = new Date(Date.now() + ROTATION_GRACE_MINUTES * 60 * 1000);
+  device.credential.rotatedAt = new Date();
+  await device.save();
+
+  return {
+    deviceId: device.deviceId,
+    deviceKey,
+    previousKeyExpiresAt: device.credential.previousKeyExpiresAt
+  };
+}
+
+/**
+ * Revoke a device's key. The device can't send telemetry until it is claimed again.
+ * @param {ObjectId} userId - the device's owner
+ * @param {string} deviceId
+ */
+export async function revokeDeviceCredential(userId, deviceId) {
+  const device = await ESP32Device.findOneAndUpdate(
+    { deviceId, userId, 'credential.keyHash': { $ne: null } },
+    {
+      $set: {
+        'credential.revokedAt': new Date(),
+        'credential.keyHash': null,
+        'credential.previousKeyHash': null,
+        'credential.previousKeyExpiresAt': null
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!device) throw httpError('Paired device not found', 404);
+
+  return { deviceId: device.deviceId, revokedAt: device.credential.revokedAt };
+}
+
+/**
+ * Give a device up so another account can claim it, e.g. when selling it. Its
+ * key is revoked; it stays registered to the owner until someone claims it.
+ * @param {ObjectId} userId - the device's owner
+ * @param {string} deviceId
+ */
+export async function releaseDevice(userId, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, userId }).select('organizationId').lean();
+  if (!device) throw httpError('Device not found', 404);
+  if (device.organizationId) throw httpError('Remove the bike from its organization\'s fleet first', 409);
+
+  const releasedAt = new Date();
+  await ESP32Device.updateOne({ _id: device._id }, {
+    $set: {
+      'credential.releasedAt': releasedAt,
+      'credential.revokedAt': releasedAt,
+      'credential.keyHash': null,
+      'credential.previousKeyHash': null,
+      'credential.previousKeyExpiresAt': null
+    }
+  });
+
+  return { deviceId, releasedAt };
+}
+
+/**
+ * Pairing state of a device for its owner, without any key material.
+ */
+export function toCredentialStatus(device) {
+  const credential = device.credential || {};
+  return {
+    paired: !!credential.keyHash && !credential.revokedAt,
+    issuedAt: credential.issuedAt || null,
+    rotatedAt: credential.rotatedAt || null,
+    revokedAt: credential.revokedAt || null,
+    lastUsedAt: credential.lastUsedAt || null
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Energy Service
+ *
+ * Electricity generated on SikadVoltz generator bikes. The watts a bike
+ * reports are its generator's output, so a ride's work (workKj, see
+ * powerAnalyticsService) is the energy it generated: 1 Wh = 3.6 kJ. Each
+ * completed ride is counted once into lifetime totals on the rider
+ * (User.energy) and the bike (ESP32Device.totalEnergy), and progresses energy
+ * badges and quests. Totals come with everyday equivalents so riders can
+ * picture what they generated.
+ */
+
+import User from '../models/User.js';
+import Badge from '../models/Badge.js';
+import Quest from '../models/Quest.js';
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+import NotificationService from './notificationService.js';
+
+const KJ_PER_WH = 3.6;
+
+// What a Wh figure compares to: Wh per full charge, or watts drawn per hour
+export const ENERGY_EQUIVALENTS = {
+  phoneCharges: 12, // smartphone battery, ~3,200 mAh at 3.85 V
+  ledBulbHours: 9, // 9 W LED bulb (60 W incandescent equivalent)
+  laptopCharges: 50 // ultrabook battery
+};
+
+// Lifetime Wh (or Wh in one ride, for `perRide`) that unlock each badge
+export const ENERGY_BADGES = [
+  { name: 'First Spark', target: 1, icon: '⚡', rarity: 'common', xpReward: 50, description: 'Generate your first watt-hour' },
+  { name: 'Phone Charger', target: 12, icon: '🔋', rarity: 'common', xpReward: 100, description: 'Generate enough to charge a phone' },
+  { name: 'Bright Idea', target: 100, icon: '💡', rarity: 'rare', xpReward: 250, description: 'Generate 100 Wh in total' },
+  { name: 'Kilowatt Club', target: 1000, icon: '🏭', rarity: 'epic', xpReward: 1000, description: 'Generate 1 kWh in total' },
+  { name: 'Power Plant', target: 50, perRide: true, icon: '⚙️', rarity: 'rare', xpReward: 300, description: 'Generate 50 Wh in a single ride' }
+];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Wh generated by a ride's work.
+ * @param {number} workKj
+ */
+export const energyWhFromWork = (workKj) => (workKj > 0 ? round(workKj / KJ_PER_WH) : 0);
+
+// Rides completed before energy was tracked fall back to their work
+const rideEnergyWh = (session) => session.energyWh ?? energyWhFromWork(session.workKj);
+
+export function calculateEnergyEquivalents(wh) {
+  const energy = wh > 0 ? wh : 0;
+  return Object.fromEntries(Object.entries(ENERGY_EQUIVALENTS).map(([key, perUnit]) => [key, round(energy / perUnit, 1)]));
+}
+
+/**
+ * A Wh total with its kWh and equivalents.
+ */
+export function toEnergySummary(wh) {
+  const energy = round(wh || 0);
+  return { wh: energy, kwh: round(energy / 1000, 3), equivalents: calculateEnergyEquivalents(energy) };
+}
+
+/**
+ * Energy across a set of rides, e.g. an analytics period.
+ * @param {Object[]} sessions - RideSessions
+ */
+export function summarizeSessionEnergy(sessions) {
+  const generating = sessions.map(rideEnergyWh).filter(wh => wh > 0);
+  const totalWh = generating.reduce((sum, wh) => sum + wh, 0);
+
+  return {
+    ...toEnergySummary(totalWh),
+    rides: generating.length,
+    avgWhPerRide: generating.length > 0 ? round(totalWh / generating.length) : 0,
+    bestRideWh: round(Math.max(0, ...generating))
+  };
+}
+
+/**
+ * Count a completed ride's energy into the rider's and bike's lifetime totals.
+ * Run after power metrics; each ride is only counted once.
+ * @param {Object} session - completed RideSession
+ * @returns {Promise<{energyWh: number, lifetimeWh: number}|null>} null when already counted
+ */
+export async function applySessionEnergy(session) {
+  const energyWh = energyWhFromWork(session.workKj);
+
+  // Claim the ride first, so ending it twice doesn't count it twice
+  const claimed = await RideSession.updateOne({ _id: session._id, energyWh: null }, { $set: { energyWh } });
+  if (claimed.modifiedCount === 0) return null;
+  session.energyWh = energyWh;
+  if (energyWh === 0) return { energyWh, lifetimeWh: null };
+
+  const [user] = await Promise.all([
+    User.findByIdAndUpdate(
+      session.userId,
+      {
+        $inc: { 'energy.totalWh': energyWh, 'energy.rides': 1 },
+        $max: { 'energy.bestRideWh': energyWh },
+        $set: { 'energy.updatedAt': new Date() }
+      },
+      { new: true }
+    ).select('energy').lean(),
+    ESP32Device.updateOne({ deviceId: session.deviceId }, { $inc: { totalEnergy: energyWh } })
+  ]);
+
+  return { energyWh, lifetimeWh: round(user?.energy?.totalWh || energyWh) };
+}
+
+/**
+ * Take a ride's energy back out of the lifetime totals, so it can be counted
+ * again once the ride changes (merged or split). The caller saves the session.
+ * Best-ride records and badges already earned are kept.
+ */
+export async function removeSessionEnergy(session) {
+  const energyWh = session.energyWh;
+  session.energyWh = null;
+  if (!(energyWh > 0)) return;
+
+  await Promise.all([
+    User.updateOne(
+      { _id: session.userId },
+      { $inc: { 'energy.totalWh': -energyWh, 'energy.rides': -1 }, $set: { 'energy.updatedAt': new Date() } }
+    ),
+    ESP32Device.updateOne({ deviceId: session.deviceId }, { $inc: { totalEnergy: -energyWh } })
+  ]);
+}
+
+/**
+ * Award energy badges the ride unlocked and progress active energy quests.
+ * @param {ObjectId} userId
+ * @param {Object} energy
+ * @param {number} energy.rideWh - generated this ride
+ * @param {number} energy.lifetimeWh - rider's total including this ride
+ * @returns {Promise<{badges: string[], quests: Object[], xpEarned: number}>}
+ */
+export async function awardEnergyAchievements(userId, { rideWh, lifetimeWh }) {
+  const badges = [];
+  let xpEarned = 0;
+
+  const earned = new Set((await Badge.find({ userId, type: 'energy' }).select('name').lean()).map(badge => badge.name));
+  for (const badge of ENERGY_BADGES) {
+    const value = badge.perRide ? rideWh : lifetimeWh;
+    if (earned.has(badge.name) || !(value >= badge.target)) continue;
+
+    await Badge.awardBadge(userId, {
+      type: 'energy',
+      name: badge.name,
+      description: badge.description,
+      icon: badge.icon,
+      color: '#FFC107',
+      rarity: badge.rarity,
+      xpReward: badge.xpReward,
+      progress: { target: badge.target }
+    });
+    badges.push(badge.name);
+    xpEarned += badge.xpReward;
+
+    await NotificationService.createNotification(userId, {
+      type: 'milestone_reached',
+      title: `${badge.icon} Badge Unlocked!`,
+      message: `You've earned the "${badge.name}" badge! ${badge.description}.`,
+      priority: 'medium',
+      data: { badgeName: badge.name, badgeType: 'energy', energyWh: round(value) }
+    });
+  }
+
+  // Each rider gets one energy quest per week; a completed one isn't replaced until the week ends
+  const now = new Date();
+  const currentQuests = await Quest.find({ userId, category: 'energy', endDate: { $gte: now } });
+  if (!currentQuests.some(quest => quest.type === 'weekly')) {
+    currentQuests.push(await Quest.createWeeklyEnergyQuest(userId));
+  }
+  const activeQuests = currentQuests.filter(quest => quest.status === 'active');
+
+  const quests = [];
+  for (const quest of activeQuests) {
+    await quest.updateProgress(rideWh);
+    quests.push({ title: quest.title, status: quest.status, progress: quest.progress });
+    if (quest.status === 'completed') {
+      xpEarned += quest.rewards?.xp || 0;
+      await NotificationService.createNotification(userId, {
+        type: 'milestone_reached',
+        title: `${quest.icon} Quest Complete!`,
+        message: `You completed "${quest.title}" and earned ${quest.rewards?.xp || 0} XP.`,
+        priority: 'medium',
+        data: { questId: quest._id, questCategory: 'energy' }
+      });
+    }
+  }
+
+  if (xpEarned > 0) {
+    await User.updateOne({ _id: userId }, { $inc: { xp: xpEarned } });
+  }
+
+  return { badges, quests, xpEarned };
+}
+
+/**
+ * A rider's lifetime energy, overall and per bike.
+ */
+export async function getLifetimeEnergy(userId) {
+  const [user, devices] = await Promise.all([
+    User.findById(userId).select('energy').lean(),
+    ESP32Device.find({ userId }).select('deviceId deviceName totalEnergy').lean()
+  ]);
+
+  return {
+    ...toEnergySummary(user?.energy?.totalWh),
+    rides: user?.energy?.rides || 0,
+    bestRideWh: user?.energy?.bestRideWh || 0,
+    devices: devices.map(device => ({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      ...toEnergySummary(device.totalEnergy)
+    }))
+  };
+}
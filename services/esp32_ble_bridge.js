@@ -1,5 +1,17 @@
 import { WebSocketServer } from 'ws';
+import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { normalizeHeartRate } from './trainingZonesService.js';
+import { markManualLap } from './lapService.js';
+import { startSessionWorkout } from './workoutService.js';
+import { getDeviceConfig, acknowledgeDeviceConfig } from './deviceConfigService.js';
+import { setActiveRider, selectNextRider } from './householdService.js';
+import {
+  selectSubprotocol,
+  formatForSubprotocol,
+  encodeTelemetry,
+  decodeTelemetry
+} from '../utils/telemetryCodec.js';
 
 /**
  * ESP32 BLE Bridge Service
@@ -10,6 +22,7 @@ class ESP32BLEBridge {
   constructor() {
     this.clients = new Map(); // Store connected clients with metadata
     this.esp32Devices = new Map(); // Store ESP32 device connections
+    this.workoutRuns = new Map(); // clientId -> structured workout being pushed to the trainer
     this.wss = null;
   }
 
@@ -26,7 +39,8 @@ class ESP32BLEBridge {
         this.wss = new WebSocketServer({ 
           server,  // Use existing HTTP server
           path: '/esp32-bridge',  // Specific path for ESP32 WebSocket connections
-          perMessageDeflate: false
+          perMessageDeflate: false,
+          handleProtocols: selectSubprotocol // sikadvoltz.cbor / .msgpack / .json
         });
         logger.info(`ESP32 BLE Bridge attached to main server on path /esp32-bridge`);
         console.log(` ESP32 BLE Bridge WebSocket server running on main server path /esp32-bridge`);
@@ -34,7 +48,8 @@ class ESP32BLEBridge {
         // Local development: Create separate WebSocket server
         this.wss = new WebSocketServer({ 
           port,
-          perMessageDeflate: false
+          perMessageDeflate: false,
+          handleProtocols: selectSubprotocol
         });
         logger.info(`ESP32 BLE Bridge started on port ${port}`);
         console.log(` ESP32 BLE Bridge WebSocket server running on port ${port}`);
@@ -63,7 +78,8 @@ class ESP32BLEBridge {
       ip: clientIP,
       connectedAt: new Date(),
       userId: null, // Will be set after authentication
-      deviceId: null // ESP32 device ID if connected
+      deviceId: null, // ESP32 device ID if connected
+      encoding: formatForSubprotocol(ws.protocol) // json, cbor or msgpack, both ways
     });
 
     logger.info(`ESP32 BLE Bridge client connected: ${clientId} from ${clientIP}`);
@@ -77,8 +93,8 @@ class ESP32BLEBridge {
     });
 
     // Handle incoming messages from Flutter app
-    ws.on('message', (message) => {
-      this.handleClientMessage(clientId, message);
+    ws.on('message', (message, isBinary) => {
+      this.handleClientMessage(clientId, message, isBinary);
     });
 
     // Handle client disconnection
@@ -96,13 +112,15 @@ class ESP32BLEBridge {
   /**
    * Handle messages from Flutter app clients
    */
-  handleClientMessage(clientId, message) {
+  handleClientMessage(clientId, message, isBinary = false) {
     try {
-      const data = JSON.parse(message.toString());
       const client = this.clients.get(clientId);
 
       if (!client) return;
 
+      // Binary frames use the encoding negotiated by subprotocol; text frames are always JSON
+      const data = decodeTelemetry(message, isBinary ? client.encoding : 'json');
+
       logger.debug(`Message from client ${clientId}:`, data);
 
       switch (data.type) {
@@ -141,16 +159,21 @@ class ESP32BLEBridge {
   }
 
   /**
-   * Handle client authentication
+   * Handle client authentication. The rider is taken from their verified JWT,
+   * never from the message, since commands write to that rider's rides.
    */
   handleAuthentication(clientId, data) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    // TODO: Implement proper authentication with JWT token validation
-    const { userId, token } = data;
-    
-    if (userId && token) {
+    let userId = null;
+    try {
+      userId = data.token ? jwt.verify(data.token, process.env.JWT_SECRET).userId : null;
+    } catch (error) {
+      logger.warn(`Client ${clientId} authentication failed: ${error.message}`);
+    }
+
+    if (userId) {
       client.userId = userId;
       
       this.sendToClient(clientId, {
@@ -161,6 +184,7 @@ class ESP32BLEBridge {
       
       logger.info(`Client ${clientId} authenticated as user ${userId}`);
     } else {
+      client.userId = null;
       this.sendToClient(clientId, {
         type: 'authentication_failed',
         message: 'Invalid credentials',
@@ -187,6 +211,42 @@ class ESP32BLEBridge {
 
     logger.info(`ESP32 command from client ${clientId}:`, { command, deviceId, parameters });
 
+    // The device's lap button marks a lap on the rider's active session
+    if (command === 'lap') {
+      this.handleLapCommand(clientId, client.userId, { deviceId, parameters });
+      return;
+    }
+
+    // Structured workouts: step targets are pushed to the trainer as each step begins
+    if (command === 'workout_start') {
+      this.handleWorkoutStart(clientId, client.userId, { deviceId, parameters });
+      return;
+    }
+    if (command === 'workout_stop') {
+      const stopped = this.stopWorkout(clientId);
+      this.sendToClient(clientId, {
+        type: 'command_response',
+        command,
+        deviceId,
+        status: stopped ? 'success' : 'error',
+        response: stopped ? 'Workout stopped' : 'No workout is running',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    // Device config: the app fetches it to write over BLE, then reports what the device applied
+    if (command === 'config_sync' || command === 'config_ack') {
+      this.handleConfigCommand(clientId, client.userId, { command, deviceId, parameters });
+      return;
+    }
+
+    // Shared devices: the app picks who is riding, or the device's button moves to the next rider
+    if (command === 'rider_select' || command === 'rider_next') {
+      this.handleRiderCommand(clientId, client.userId, { command, deviceId, parameters });
+      return;
+    }
+
     // In a real implementation, this would forward the command to the ESP32 device
     // For now, we'll simulate command acknowledgment
     
@@ -203,6 +263,169 @@ class ESP32BLEBridge {
     }, 100);
   }
 
+  /**
+   * Mark a manual lap and report it back to the client
+   */
+  async handleLapCommand(clientId, userId, { deviceId, parameters }) {
+    try {
+      const { sessionId, lap } = await markManualLap(userId, parameters.sessionId);
+      this.sendToClient(clientId, {
+        type: 'command_response',
+        command: 'lap',
+        deviceId,
+        status: 'success',
+        sessionId,
+        lap,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendCommandError(clientId, 'lap', deviceId, error, 'Failed to mark lap');
+    }
+  }
+
+  /**
+   * Send a device's config for the app to write to it, or record the app's
+   * report of the version the device applied
+   */
+  async handleConfigCommand(clientId, userId, { command, deviceId, parameters }) {
+    try {
+      const config = command === 'config_ack'
+        ? await acknowledgeDeviceConfig(userId, deviceId, parameters)
+        : await getDeviceConfig(userId, deviceId);
+      this.sendToClient(clientId, {
+        type: 'command_response',
+        command,
+        deviceId,
+        status: 'success',
+        config,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendCommandError(clientId, command, deviceId, error, 'Failed to sync device config');
+    }
+  }
+
+  /**
+   * Change a shared device's active rider and tell every rider of the device
+   */
+  async handleRiderCommand(clientId, userId, { command, deviceId, parameters }) {
+    try {
+      const household = command === 'rider_next'
+        ? await selectNextRider(userId, deviceId)
+        : await setActiveRider(userId, deviceId, parameters.userId);
+      this.sendToClient(clientId, {
+        type: 'command_response',
+        command,
+        deviceId,
+        status: 'success',
+        activeRider: household.activeRider,
+        timestamp: new Date().toISOString()
+      });
+      this.broadcastActiveRider(household, clientId);
+    } catch (error) {
+      this.sendCommandError(clientId, command, deviceId, error, 'Failed to switch rider');
+    }
+  }
+
+  /**
+   * Start a structured workout on the rider's active session and push its
+   * first step's targets
+   */
+  async handleWorkoutStart(clientId, userId, { deviceId, parameters }) {
+    try {
+      const run = await startSessionWorkout(userId, {
+        sessionId: parameters.sessionId,
+        workoutId: parameters.workoutId
+      });
+
+      this.stopWorkout(clientId);
+      this.workoutRuns.set(clientId, {
+        deviceId,
+        sessionId: run.sessionId,
+        schedule: run.schedule,
+        timer: null
+      });
+
+      this.sendToClient(clientId, {
+        type: 'command_response',
+        command: 'workout_start',
+        deviceId,
+        status: 'success',
+        sessionId: run.sessionId,
+        workout: {
+          workoutId: run.workout._id,
+          name: run.workout.name,
+          totalDuration: run.workout.totalDuration,
+          steps: run.schedule
+        },
+        timestamp: new Date().toISOString()
+      });
+      this.pushWorkoutStep(clientId, 0);
+    } catch (error) {
+      this.sendCommandError(clientId, 'workout_start', deviceId, error, 'Failed to start workout');
+    }
+  }
+
+  /**
+   * Send a step's targets for the app to write to the trainer, then schedule
+   * the next step
+   */
+  pushWorkoutStep(clientId, index) {
+    const run = this.workoutRuns.get(clientId);
+    if (!run) return;
+
+    const step = run.schedule[index];
+    if (!step) {
+      this.workoutRuns.delete(clientId);
+      this.sendToClient(clientId, {
+        type: 'workout_complete',
+        deviceId: run.deviceId,
+        sessionId: run.sessionId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    this.sendToClient(clientId, {
+      type: 'workout_step',
+      deviceId: run.deviceId,
+      sessionId: run.sessionId,
+      step,
+      nextStep: run.schedule[index + 1] || null,
+      timestamp: new Date().toISOString()
+    });
+    run.timer = setTimeout(() => this.pushWorkoutStep(clientId, index + 1), step.duration * 1000);
+  }
+
+  /**
+   * Stop pushing a client's workout steps
+   * @returns {boolean} whether a workout was running
+   */
+  stopWorkout(clientId) {
+    const run = this.workoutRuns.get(clientId);
+    if (!run) return false;
+    clearTimeout(run.timer);
+    this.workoutRuns.delete(clientId);
+    return true;
+  }
+
+  /**
+   * Report a failed command; service errors with a status are the client's to see
+   */
+  sendCommandError(clientId, command, deviceId, error, fallbackMessage) {
+    if (!error.status) {
+      logger.error(`Error handling ${command} for client ${clientId}:`, error);
+    }
+    this.sendToClient(clientId, {
+      type: 'command_response',
+      command,
+      deviceId,
+      status: 'error',
+      response: error.status ? error.message : fallbackMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Handle ESP32 data from Flutter app (data to be forwarded to backend)
    */
@@ -210,7 +433,14 @@ class ESP32BLEBridge {
     const client = this.clients.get(clientId);
     if (!client || !client.userId) return;
 
-    const { deviceData } = data;
+    const { deviceData: rawDeviceData = {} } = data;
+
+    // Heart rate arrives from paired straps under different keys; forward one
+    // validated bpm value (null when no strap is paired)
+    const deviceData = {
+      ...rawDeviceData,
+      heartRate: normalizeHeartRate(rawDeviceData.heartRate ?? rawDeviceData.heart_rate ?? rawDeviceData.hr)
+    };
 
     // Log the ESP32 data
     logger.info(`ESP32 data from client ${clientId}:`, deviceData);
@@ -259,6 +489,7 @@ class ESP32BLEBridge {
     const client = this.clients.get(clientId);
     if (client) {
       logger.info(`ESP32 BLE Bridge client disconnected: ${clientId}`);
+      this.stopWorkout(clientId);
       this.clients.delete(clientId);
     }
   }
@@ -270,7 +501,7 @@ class ESP32BLEBridge {
     const client = this.clients.get(clientId);
     if (client && client.ws.readyState === 1) { // WebSocket.OPEN
       try {
-        client.ws.send(JSON.stringify(message));
+        client.ws.send(encodeTelemetry(message, client.encoding));
       } catch (error) {
         logger.error(`Failed to send message to client ${clientId}:`, error);
       }
@@ -288,6 +519,22 @@ class ESP32BLEBridge {
     }
   }
 
+  /**
+   * Tell each rider of a shared device who is riding it now
+   */
+  broadcastActiveRider(household, excludeClientId = null) {
+    const message = {
+      type: 'active_rider',
+      deviceId: household.deviceId,
+      activeRider: household.activeRider,
+      riders: household.riders,
+      timestamp: new Date().toISOString()
+    };
+    for (const rider of household.riders) {
+      this.broadcastToUser(String(rider.userId), message, excludeClientId);
+    }
+  }
+
   /**
    * Broadcast to all connected clients
    */
@@ -0,0 +1,394 @@
+/**
+ * Firmware Service
+ *
+ * Registry of firmware builds and their OTA rollout. Admins upload a build
+ * (or register one hosted elsewhere) with its checksums, then roll it out to
+ * allowlisted devices and/or a percentage of the fleet. Devices poll
+ * /esp32/devices/firmware/update with their running version and are offered
+ * the newest build targeted at them; they report download and install
+ * progress, and the update succeeds once they report running the new version.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import FirmwareRelease from '../models/FirmwareRelease.js';
+import { ESP32Device } from '../models/Telemetry.js';
+import { httpError } from '../utils/httpError.js';
+
+export const ROLLOUT_STATUSES = ['draft', 'active', 'paused'];
+export const FIRMWARE_UPDATE_STATUSES = ['offered', 'downloading', 'installing', 'succeeded', 'failed'];
+// Statuses a device reports itself; 'offered' is set when it polls
+export const DEVICE_REPORTED_STATUSES = ['downloading', 'installing', 'succeeded', 'failed'];
+// A build that failed to install this often is no longer offered to that device
+export const MAX_INSTALL_ATTEMPTS = 3;
+export const MAX_FIRMWARE_BYTES = 4 * 1024 * 1024;
+export const MAX_ALLOWLIST_DEVICES = 1000;
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)$/;
+const MAX_ERROR_LENGTH = 200;
+const DEVICE_LIST_LIMIT = 500;
+
+/**
+ * Origins hosted builds may be served from, from FIRMWARE_URL_ORIGINS (comma
+ * separated). Devices install whatever the url serves, so with none set only
+ * uploaded builds are accepted.
+ */
+export function hostedFirmwareOrigins() {
+  return (process.env.FIRMWARE_URL_ORIGINS || '').split(',').flatMap((origin) => {
+    try {
+      return [new URL(origin.trim()).origin];
+    } catch {
+      return [];
+    }
+  });
+}
+
+const urlOrigin = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+const firmwareBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'firmware' });
+
+/**
+ * Compare MAJOR.MINOR.PATCH versions. Versions that don't parse (e.g. the
+ * 'unknown' some old firmwares report) sort before every release.
+ * @returns {number} negative, zero or positive like a sort comparator
+ */
+export function compareFirmwareVersions(a, b) {
+  const parse = (version) => {
+    const match = VERSION_PATTERN.exec(String(version || '').trim());
+    return match ? match.slice(1).map(Number) : [-1, 0, 0];
+  };
+  const [left, right] = [parse(a), parse(b)];
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+/**
+ * Stable 0-99 bucket for a device within a release, so raising the rollout
+ * percentage only adds devices. Each release samples a different slice.
+ */
+export function rolloutBucket(deviceId, version) {
+  return crypto.createHash('sha256').update(`${version}:${deviceId}`).digest().readUInt32BE(0) % 100;
+}
+
+/**
+ * Whether a release is being offered to a device.
+ */
+export function isTargeted(release, deviceId) {
+  const rollout = release.rollout || {};
+  if (rollout.status !== 'active') return false;
+  return (rollout.allowlist || []).includes(deviceId) ||
+    rolloutBucket(deviceId, release.version) < (rollout.percentage || 0);
+}
+
+/**
+ * The newest targeted release the device isn't running yet, skipping one it
+ * has already failed to install MAX_INSTALL_ATTEMPTS times.
+ * @param {Object[]} releases - active FirmwareReleases
+ * @param {Object} device - ESP32Device
+ * @returns {Object|null}
+ */
+export function selectFirmwareUpdate(releases, device) {
+  const update = device.firmwareUpdate || {};
+  const exhausted = (release) => update.targetVersion === release.version &&
+    update.status === 'failed' && update.attempts >= MAX_INSTALL_ATTEMPTS;
+
+  return releases
+    .filter(release => compareFirmwareVersions(release.version, device.firmwareVersion) > 0 &&
+      isTargeted(release, device.deviceId) && !exhausted(release))
+    .sort((a, b) => compareFirmwareVersions(b.version, a.version))[0] || null;
+}
+
+function uploadToBucket(buffer, filename, metadata) {
+  return new Promise((resolve, reject) => {
+    const upload = firmwareBucket().openUploadStream(filename, { metadata });
+    upload.once('finish', () => resolve(upload.id));
+    upload.once('error', reject);
+    upload.end(buffer);
+  });
+}
+
+/**
+ * Register a firmware build, either uploaded or hosted at a url.
+ * @param {Object} build
+ * @param {string} build.version - MAJOR.MINOR.PATCH
+ * @param {string} [build.notes]
+ * @param {{buffer: Buffer}} [build.file] - uploaded build; its checksums are computed
+ * @param {string} [build.sha256] - required for hosted builds; checked against uploads
+ * @param {string} [build.md5]
+ * @param {number} [build.size] - bytes, required for hosted builds
+ * @param {string} [build.url] - where a hosted build is downloaded from
+ * @returns {Promise<Object>} the release, as a draft
+ */
+export async function registerFirmware({ version, notes, file, sha256, md5, size, url }) {
+  const match = VERSION_PATTERN.exec(String(version || '').trim());
+  if (!match) throw httpError('version must look like MAJOR.MINOR.PATCH');
+  version = match.slice(1).join('.');
+  sha256 = sha256 ? String(sha256).toLowerCase() : undefined;
+
+  if (await FirmwareRelease.exists({ version })) {
+    throw httpError(`Firmware ${version} is already registered`, 409);
+  }
+
+  const release = { version, notes, rollout: { status: 'draft' } };
+  if (file) {
+    if (file.buffer.length > MAX_FIRMWARE_BYTES) {
+      throw httpError(`Firmware builds are limited to ${MAX_FIRMWARE_BYTES / 1024 / 1024} MB`);
+    }
+    release.size = file.buffer.length;
+    release.sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    release.md5 = crypto.createHash('md5').update(file.buffer).digest('hex');
+    if (sha256 && sha256 !== release.sha256) {
+      throw httpError('Uploaded build does not match the given sha256');
+    }
+  } else {
+    if (!/^https?:\/\//.test(url || '')) throw httpError('Upload a build file or give the url it is hosted at');
+    if (!hostedFirmwareOrigins().includes(urlOrigin(url))) {
+      throw httpError('Hosted builds must be served from an origin listed in FIRMWARE_URL_ORIGINS');
+    }
+    if (!/^[0-9a-f]{64}$/.test(sha256 || '')) throw httpError('sha256 is required for hosted builds');
+    if (!Number.isInteger(Number(size)) || Number(size) <= 0) throw httpError('size is required for hosted builds');
+    Object.assign(release, { url, sha256, md5: md5 ? String(md5).toLowerCase() : undefined, size: Number(size) });
+  }
+
+  if (file) {
+    release.fileId = await uploadToBucket(file.buffer, `sikadvoltz-${version}.bin`, { version, sha256: release.sha256 });
+  }
+  try {
+    return (await FirmwareRelease.create(release)).toObject();
+  } catch (error) {
+    if (release.fileId) await firmwareBucket().delete(release.fileId).catch(() => {});
+    if (error.name === 'ValidationError') throw httpError(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Devices running or being updated to each version.
+ * @param {string[]} versions
+ * @returns {Promise<Map<string, Object>>} version -> {installed, offered, downloading, ...}
+ */
+async function getRolloutStats(versions) {
+  const [updates, installed] = await Promise.all([
+    ESP32Device.aggregate([
+      { $match: { 'firmwareUpdate.targetVersion': { $in: versions } } },
+      {
+        $group: {
+          _id: { version: '$firmwareUpdate.targetVersion', status: '$firmwareUpdate.status' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    ESP32Device.aggregate([
+      { $match: { firmwareVersion: { $in: versions } } },
+      { $group: { _id: '$firmwareVersion', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = new Map(versions.map(version => [version, {
+    installed: 0,
+    ...Object.fromEntries(FIRMWARE_UPDATE_STATUSES.map(status => [status, 0]))
+  }]));
+  for (const { _id, count } of updates) {
+    if (_id.status) stats.get(_id.version)[_id.status] = count;
+  }
+  for (const { _id, count } of installed) {
+    stats.get(_id).installed = count;
+  }
+  return stats;
+}
+
+export async function listFirmware() {
+  const releases = await FirmwareRelease.find().sort({ createdAt: -1 }).lean();
+  const stats = await getRolloutStats(releases.map(release => release.version));
+  return releases.map(release => ({ ...release, stats: stats.get(release.version) }));
+}
+
+async function findRelease(version) {
+  const release = await FirmwareRelease.findOne({ version }).lean();
+  if (!release) throw httpError('Firmware release not found', 404);
+  return release;
+}
+
+export async function getFirmware(version) {
+  const release = await findRelease(version);
+  const stats = await getRolloutStats([release.version]);
+  return { ...release, stats: stats.get(release.version) };
+}
+
+/**
+ * Change who a release is offered to.
+ * @param {string} version
+ * @param {Object} rollout
+ * @param {string} [rollout.status] - one of ROLLOUT_STATUSES
+ * @param {number} [rollout.percentage] - 0-100 of the fleet
+ * @param {string[]} [rollout.allowlist] - deviceIds offered the build regardless of percentage
+ */
+export async function updateRollout(version, { status, percentage, allowlist } = {}) {
+  const updates = {};
+  if (status !== undefined) {
+    if (!ROLLOUT_STATUSES.includes(status)) throw httpError(`status must be one of ${ROLLOUT_STATUSES.join(', ')}`);
+    updates['rollout.status'] = status;
+  }
+  if (percentage !== undefined) {
+    if (typeof percentage !== 'number' || !(percentage >= 0 && percentage <= 100)) {
+      throw httpError('percentage must be a number from 0 to 100');
+    }
+    updates['rollout.percentage'] = percentage;
+  }
+  if (allowlist !== undefined) {
+    if (!Array.isArray(allowlist) || allowlist.some(deviceId => typeof deviceId !== 'string')) {
+      throw httpError('allowlist must be a list of deviceIds');
+    }
+    const deviceIds = [...new Set(allowlist.map(deviceId => deviceId.trim()).filter(Boolean))];
+    if (deviceIds.length > MAX_ALLOWLIST_DEVICES) {
+      throw httpError(`allowlist is limited to ${MAX_ALLOWLIST_DEVICES} devices`);
+    }
+    updates['rollout.allowlist'] = deviceIds;
+  }
+  if (Object.keys(updates).length === 0) throw httpError('No rollout changes provided');
+
+  const release = await findRelease(version);
+  if (updates['rollout.status'] === 'active' && !release.rollout?.startedAt) {
+    updates['rollout.startedAt'] = new Date();
+  }
+  await FirmwareRelease.updateOne({ _id: release._id }, { $set: updates });
+  return getFirmware(release.version);
+}
+
+/**
+ * Devices offered a release, with their update status.
+ */
+export async function listReleaseDevices(version) {
+  const release = await findRelease(version);
+  const devices = await ESP32Device.find({ 'firmwareUpdate.targetVersion': release.version })
+    .select('deviceId deviceName firmwareVersion firmwareUpdate lastSeen')
+    .sort({ 'firmwareUpdate.updatedAt': -1 })
+    .limit(DEVICE_LIST_LIMIT)
+    .lean();
+  return devices.map(device => ({
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    lastSeen: device.lastSeen,
+    ...toFirmwareUpdateStatus(device)
+  }));
+}
+
+/**
+ * A device's firmware and the state of its latest offered update.
+ */
+export function toFirmwareUpdateStatus(device) {
+  const update = device.firmwareUpdate || {};
+  return {
+    firmwareVersion: device.firmwareVersion,
+    targetVersion: update.targetVersion || null,
+    status: update.status || null,
+    attempts: update.attempts || 0,
+    error: update.error || null,
+    offeredAt: update.offeredAt || null,
+    updatedAt: update.updatedAt || null
+  };
+}
+
+/**
+ * Record the firmware version a device reports running; reaching the offered
+ * version completes its update. The caller saves the device.
+ * @returns {boolean} whether anything changed
+ */
+export function recordReportedFirmware(device, version) {
+  if (!version || typeof version !== 'string') return false;
+
+  const update = device.firmwareUpdate;
+  const completed = update?.targetVersion && update.status !== 'succeeded' &&
+    compareFirmwareVersions(version, update.targetVersion) >= 0;
+  if (device.firmwareVersion === version && !completed) return false;
+
+  device.firmwareVersion = version;
+  if (completed) {
+    device.set({ 'firmwareUpdate.status': 'succeeded', 'firmwareUpdate.error': null, 'firmwareUpdate.updatedAt': new Date() });
+  }
+  return true;
+}
+
+/**
+ * The update a polling device should install, if any.
+ * @param {Object} device - ESP32Device from authenticateDevice
+ * @param {Object} [options]
+ * @param {string} [options.currentVersion] - the version it is running
+ * @returns {Promise<Object|null>} the build to install; url is null for uploaded builds
+ */
+export async function checkForUpdate(device, { currentVersion } = {}) {
+  recordReportedFirmware(device, currentVersion);
+
+  const releases = await FirmwareRelease.find({ 'rollout.status': 'active' }).lean();
+  const release = selectFirmwareUpdate(releases, device);
+  if (release && device.firmwareUpdate?.targetVersion !== release.version) {
+    const now = new Date();
+    device.set('firmwareUpdate', {
+      targetVersion: release.version,
+      status: 'offered',
+      attempts: 0,
+      error: null,
+      offeredAt: now,
+      updatedAt: now
+    });
+  }
+  if (device.isModified()) await device.save();
+
+  return release && {
+    version: release.version,
+    size: release.size,
+    sha256: release.sha256,
+    md5: release.md5 || null,
+    notes: release.notes || null,
+    url: release.fileId ? null : release.url
+  };
+}
+
+/**
+ * Progress a device reports on the update it was offered.
+ * @param {Object} device - ESP32Device from authenticateDevice
+ * @param {Object} report
+ * @param {string} report.version - the offered version
+ * @param {string} report.status - one of DEVICE_REPORTED_STATUSES
+ * @param {string} [report.error] - why it failed
+ */
+export async function reportFirmwareStatus(device, { version, status, error } = {}) {
+  if (!DEVICE_REPORTED_STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${DEVICE_REPORTED_STATUSES.join(', ')}`);
+  }
+  if (!version || version !== device.firmwareUpdate?.targetVersion) {
+    throw httpError(`No update to ${version} was offered to this device`, 409);
+  }
+
+  if (status === 'succeeded') {
+    recordReportedFirmware(device, version);
+  } else {
+    device.set({ 'firmwareUpdate.status': status, 'firmwareUpdate.updatedAt': new Date() });
+    if (status === 'failed') {
+      device.set({
+        'firmwareUpdate.attempts': (device.firmwareUpdate.attempts || 0) + 1,
+        'firmwareUpdate.error': String(error || 'Install failed').slice(0, MAX_ERROR_LENGTH)
+      });
+    }
+  }
+
+  if (device.isModified()) await device.save();
+  return toFirmwareUpdateStatus(device);
+}
+
+/**
+ * Stream an uploaded build to a device it is targeted at.
+ * @returns {Promise<{release: Object, stream: ReadableStream}>}
+ */
+export async function openFirmwareDownload(device, version) {
+  const release = await FirmwareRelease.findOne({ version }).lean();
+  if (!release?.fileId || !isTargeted(release, device.deviceId)) {
+    throw httpError('Firmware build not found', 404);
+  }
+  return { release, stream: firmwareBucket().openDownloadStream(release.fileId) };
+}
@@ -132,6 +132,40 @@ class GoalProgressService {
     }
   }
 
+  /**
+   * Take a session's progress back out of a goal, e.g. when its ride is merged into another
+   * @param {ObjectId} goalId - The goal the session counted toward
+   * @param {Object} sessionData - What updateGoalFromSession added (sessionId, distance, calories, endTime)
+   * @returns {Object|null} Updated goal
+   */
+  async removeSessionFromGoal(goalId, sessionData) {
+    const goal = await Goal.findById(goalId);
+    if (!goal) return null;
+
+    goal.linkedSessions = goal.linkedSessions.filter(id => String(id) !== String(sessionData.sessionId));
+
+    if (goal.progressData) {
+      goal.progressData.totalDistance = Math.max(0, goal.progressData.totalDistance - (sessionData.totalDistance || 0));
+      goal.progressData.totalCalories = Math.max(0, goal.progressData.totalCalories - (sessionData.totalCalories || 0));
+      goal.progressData.totalWorkouts = Math.max(0, goal.progressData.totalWorkouts - 1);
+      goal.progressData.lastUpdated = new Date();
+      goal.progressData.completionPercentage = this._calculateCompletion(goal);
+    }
+
+    const sessionDate = sessionData.endTime ? new Date(sessionData.endTime) : null;
+    const weekNumber = sessionDate && Math.floor((sessionDate - goal.startDate) / (1000 * 60 * 60 * 24 * 7));
+    const weekEntry = sessionDate && goal.weeklyProgress?.find(w => w.weekNumber === weekNumber);
+    if (weekEntry) {
+      weekEntry.totalDistance = Math.max(0, weekEntry.totalDistance - (sessionData.totalDistance || 0));
+      weekEntry.totalCalories = Math.max(0, weekEntry.totalCalories - (sessionData.totalCalories || 0));
+      weekEntry.workoutCount = Math.max(0, weekEntry.workoutCount - 1);
+    }
+
+    await goal.save();
+    console.log(`[GoalProgressService] ↩️ Session ${sessionData.sessionId} removed from goal ${goalId}`);
+    return goal;
+  }
+
   /**
    * Calculate goal completion percentage based on goal type
    * @param {Object} goal - Goal document
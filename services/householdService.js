@@ -0,0 +1,264 @@
+/**
+ * Household Service
+ *
+ * One ESP32Device shared by a household. The owner (ESP32Device.userId) invites
+ * other riders by email, and they become members once they accept. One of the
+ * riders is the active rider, picked from
+ * the app or by cycling through the riders with the device's button. Readings
+ * the device sends, and the rides they create, are the active rider's, so
+ * each family member's rides count towards their own plan.
+ *
+ * Organization fleet bikes aren't shared this way: whoever has checked one out
+ * at its kiosk (see organizationService) rides it until the binding is released.
+ */
+
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+import User from '../models/User.js';
+import NotificationService from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const MAX_HOUSEHOLD_MEMBERS = 6;
+
+export const INVITE_DAYS = 7;
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+// The member a kiosk bike is checked out to, if any
+const boundRider = (device) => device.kiosk?.binding?.userId || null;
+
+/**
+ * Query filter for the devices a rider owns, shares or has checked out.
+ */
+export const deviceAccessFilter = (userId) => ({
+  $or: [{ userId }, { 'members.userId': userId }, { 'kiosk.binding.userId': userId }]
+});
+
+/**
+ * Whether a rider owns, shares or has checked out a device.
+ */
+export function isDeviceRider(device, userId) {
+  return sameId(device.userId, userId)
+    || (device.members || []).some(member => sameId(member.userId, userId))
+    || sameId(boundRider(device), userId);
+}
+
+// The owner first, then members in the order they were added
+const ridersOf = (device) => [device.userId, ...(device.members || []).map(member => member.userId)];
+
+/**
+ * The rider a device's readings are attributed to: the member a kiosk bike is
+ * checked out to, the active rider while they are still a member, otherwise
+ * the owner.
+ * @param {Object} device - ESP32Device with userId, members, activeRider and kiosk.binding
+ * @returns {ObjectId}
+ */
+export function getActiveRider(device) {
+  const bound = boundRider(device);
+  if (bound) return bound;
+  const selected = device.activeRider?.userId;
+  return selected && isDeviceRider(device, selected) ? selected : device.userId;
+}
+
+async function loadDevice(deviceId, userId) {
+  const device = await ESP32Device.findOne({ deviceId, ...deviceAccessFilter(userId) });
+  if (!device) throw httpError('Device not found', 404);
+  return device;
+}
+
+function ensureNotFleetDevice(device) {
+  if (device.organizationId) throw httpError('Organization bikes are checked out with their kiosk code', 409);
+}
+
+/**
+ * A shared device's riders, with who is riding now.
+ */
+export async function getHousehold(userId, deviceId) {
+  const device = await loadDevice(deviceId, userId);
+  return toHousehold(device);
+}
+
+async function toHousehold(device) {
+  const riderIds = ridersOf(device);
+  const users = await User.find({ _id: { $in: riderIds } }).select('firstName lastName').lean();
+  const activeRider = getActiveRider(device);
+
+  return {
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    riders: riderIds.map(riderId => {
+      const user = users.find(candidate => sameId(candidate._id, riderId));
+      return {
+        userId: riderId,
+        name: user ? `${user.firstName} ${user.lastName}` : null,
+        role: sameId(riderId, device.userId) ? 'owner' : 'member',
+        active: sameId(riderId, activeRider)
+      };
+    }),
+    activeRider: {
+      userId: activeRider,
+      selectedAt: device.activeRider?.selectedAt || null,
+      source: device.activeRider?.source || null
+    }
+  };
+}
+
+const ensureRoom = (device) => {
+  if (device.members.length >= MAX_HOUSEHOLD_MEMBERS) {
+    throw httpError(`A device can be shared with at most ${MAX_HOUSEHOLD_MEMBERS} riders`);
+  }
+};
+
+const openInvites = (device, now = new Date()) => (device.invites || []).filter(invite => invite.expiresAt > now);
+
+/**
+ * Invite another rider to share a device, by their email. Owner only. The
+ * outcome is the same whether or not the email belongs to a rider, so the
+ * owner can't use it to find out who has an account.
+ */
+export async function inviteMember(ownerId, deviceId, { email } = {}) {
+  if (!email || typeof email !== 'string') throw httpError('email is required');
+
+  const device = await loadDevice(deviceId, ownerId);
+  if (!sameId(device.userId, ownerId)) throw httpError('Only the device owner can invite riders', 403);
+  ensureNotFleetDevice(device);
+  ensureRoom(device);
+
+  const user = await User.findOne({ email: email.trim() }).select('_id').lean();
+  if (!user || isDeviceRider(device, user._id)) return;
+
+  const now = new Date();
+  device.invites = [
+    ...openInvites(device, now).filter(invite => !sameId(invite.userId, user._id)),
+    { userId: user._id, invitedAt: now, expiresAt: new Date(now.getTime() + INVITE_DAYS * 24 * 60 * 60 * 1000) }
+  ];
+  await device.save();
+
+  await NotificationService.createNotification(user._id, {
+    type: 'device_status',
+    title: 'Bike Shared With You',
+    message: `You've been invited to ride ${device.deviceName || device.deviceId}. Accept the invite to join its riders.`,
+    priority: 'medium',
+    data: { deviceId: device.deviceId }
+  });
+}
+
+/**
+ * Devices a rider has been invited to share and hasn't answered yet.
+ */
+export async function listInvites(userId) {
+  const now = new Date();
+  const devices = await ESP32Device.find({ invites: { $elemMatch: { userId, expiresAt: { $gt: now } } } })
+    .select('deviceId deviceName userId invites')
+    .lean();
+  const owners = await User.find({ _id: { $in: devices.map(device => device.userId) } }).select('firstName lastName').lean();
+
+  return devices.map(device => {
+    const invite = openInvites(device, now).find(candidate => sameId(candidate.userId, userId));
+    const owner = owners.find(candidate => sameId(candidate._id, device.userId));
+    return {
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      owner: owner ? `${owner.firstName} ${owner.lastName}` : null,
+      invitedAt: invite.invitedAt,
+      expiresAt: invite.expiresAt
+    };
+  });
+}
+
+async function loadInvite(userId, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, 'invites.userId': userId });
+  const invite = device && openInvites(device).find(candidate => sameId(candidate.userId, userId));
+  if (!invite) throw httpError('Invite not found', 404);
+  return device;
+}
+
+const withoutInvite = (device, userId) => (device.invites || []).filter(invite => !sameId(invite.userId, userId));
+
+/**
+ * Accept an invite and join a device's riders.
+ */
+export async function acceptInvite(userId, deviceId) {
+  const device = await loadInvite(userId, deviceId);
+  ensureNotFleetDevice(device);
+  ensureRoom(device);
+
+  device.invites = withoutInvite(device, userId);
+  if (!isDeviceRider(device, userId)) device.members.push({ userId, addedAt: new Date() });
+  await device.save();
+  return toHousehold(device);
+}
+
+/**
+ * Turn down an invite to share a device.
+ */
+export async function declineInvite(userId, deviceId) {
+  const device = await loadInvite(userId, deviceId);
+  device.invites = withoutInvite(device, userId);
+  await device.save();
+}
+
+/**
+ * Stop sharing a device with a rider. The owner can remove anyone; members can
+ * remove themselves.
+ */
+export async function removeMember(userId, deviceId, memberId) {
+  const device = await loadDevice(deviceId, userId);
+  if (sameId(device.userId, memberId)) throw httpError('The owner cannot be removed');
+  if (!sameId(device.userId, userId) && !sameId(userId, memberId)) {
+    throw httpError('Only the device owner can remove other riders', 403);
+  }
+
+  const index = device.members.findIndex(member => sameId(member.userId, memberId));
+  if (index === -1) throw httpError('Rider does not share this device', 404);
+  await ensureNoActiveRide(device, memberId);
+
+  device.members.splice(index, 1);
+  if (sameId(device.activeRider?.userId, memberId)) {
+    device.activeRider = { userId: null, selectedAt: new Date(), source: 'app' };
+  }
+  await device.save();
+  return toHousehold(device);
+}
+
+// Switching mid-ride would leave the ride split between two riders
+async function ensureNoActiveRide(device, riderId) {
+  const riding = await RideSession.exists({ deviceId: device.deviceId, userId: riderId, status: 'active' });
+  if (riding) throw httpError('End the current ride before switching riders', 409);
+}
+
+async function selectRider(device, riderId, source) {
+  ensureNotFleetDevice(device);
+  const current = getActiveRider(device);
+  if (sameId(current, riderId)) return toHousehold(device);
+  await ensureNoActiveRide(device, current);
+
+  device.activeRider = {
+    userId: sameId(riderId, device.userId) ? null : riderId,
+    selectedAt: new Date(),
+    source
+  };
+  await device.save();
+  return toHousehold(device);
+}
+
+/**
+ * Pick who is riding a shared device, from the app.
+ * @param {ObjectId} userId - rider making the change
+ * @param {string} deviceId
+ * @param {ObjectId} riderId - one of the device's riders
+ */
+export async function setActiveRider(userId, deviceId, riderId) {
+  const device = await loadDevice(deviceId, userId);
+  if (!riderId || !isDeviceRider(device, riderId)) throw httpError('Rider does not share this device', 404);
+  return selectRider(device, riderId, 'app');
+}
+
+/**
+ * Move to the next rider, for the device's button.
+ */
+export async function selectNextRider(userId, deviceId) {
+  const device = await loadDevice(deviceId, userId);
+  const riders = ridersOf(device);
+  const index = riders.findIndex(riderId => sameId(riderId, getActiveRider(device)));
+  return selectRider(device, riders[(index + 1) % riders.length], 'button');
+}
@@ -0,0 +1,207 @@
+/**
+ * Lap Service
+ *
+ * Splits a ride into laps. A lap ends when the rider marks one (the app's
+ * /realtime update or a BLE bridge command) or automatically every N km or N
+ * minutes when the session has auto-lap set. Each lap stored on the RideSession
+ * carries its own distance, duration, moving time, speed, power and calories,
+ * calculated from the telemetry recorded during it.
+ */
+
+import { Telemetry, RideSession } from '../models/Telemetry.js';
+import { httpError } from '../utils/httpError.js';
+
+// 'end' is the partial lap closed when the ride finishes
+export const LAP_TRIGGERS = ['manual', 'distance', 'time', 'end'];
+
+// Bounds for auto-lap intervals
+export const AUTO_LAP_LIMITS = {
+  distance: { min: 0.1, max: 100 }, // km
+  time: { min: 1, max: 240 } // minutes
+};
+
+/**
+ * Auto-lap setting from a session start request.
+ * @param {{autoLapKm, autoLapMinutes}} options - at most one of them
+ * @returns {{mode: string, interval: number|null}}
+ */
+export function parseAutoLap({ autoLapKm, autoLapMinutes } = {}) {
+  const given = (value) => value !== undefined && value !== null && value !== '';
+  if (given(autoLapKm) && given(autoLapMinutes)) {
+    throw httpError('Set auto-lap by distance or by time, not both');
+  }
+  if (!given(autoLapKm) && !given(autoLapMinutes)) {
+    return { mode: 'off', interval: null };
+  }
+
+  const mode = given(autoLapKm) ? 'distance' : 'time';
+  const interval = Number(given(autoLapKm) ? autoLapKm : autoLapMinutes);
+  const { min, max } = AUTO_LAP_LIMITS[mode];
+  if (!Number.isFinite(interval) || interval < min || interval > max) {
+    throw httpError(mode === 'distance'
+      ? `Auto-lap distance must be between ${min} and ${max} km`
+      : `Auto-lap time must be between ${min} and ${max} minutes`);
+  }
+
+  return { mode, interval };
+}
+
+/**
+ * Where the lap in progress started: the end of the last lap, or the start of
+ * the ride.
+ * @returns {{time: Date, distance: number}}
+ */
+export function currentLapStart(session) {
+  const laps = session.laps || [];
+  const last = laps[laps.length - 1];
+  return last
+    ? { time: new Date(last.endTime), distance: (last.startDistance || 0) + (last.distance || 0) }
+    : { time: new Date(session.startTime), distance: 0 };
+}
+
+/**
+ * Which auto-lap, if any, a reading completes.
+ * @param {Object} session - RideSession with autoLap and laps
+ * @param {{time: Date, distance: number}} reading
+ * @returns {string|null} 'distance' or 'time'
+ */
+export function autoLapDue(session, { time, distance }) {
+  const { mode, interval } = session.autoLap || {};
+  if (!interval || (mode !== 'distance' && mode !== 'time')) return null;
+
+  const start = currentLapStart(session);
+  if (mode === 'distance') {
+    return (distance || 0) - start.distance >= interval ? 'distance' : null;
+  }
+  return (new Date(time) - start.time) / 60000 >= interval ? 'time' : null;
+}
+
+// Seconds of paused intervals that fall inside [start, end]
+const pausedSecondsBetween = (pausedIntervals, start, end) => (pausedIntervals || []).reduce((sum, interval) => {
+  const from = Math.max(new Date(interval.start).getTime(), start.getTime());
+  const to = Math.min(new Date(interval.end).getTime(), end.getTime());
+  return sum + Math.max(0, (to - from) / 1000);
+}, 0);
+
+/**
+ * Lap figures from the telemetry recorded during it.
+ * @param {Array<Object>} points - Telemetry between the lap's start and end
+ * @param {Object} lap
+ * @param {Date} lap.startTime
+ * @param {Date} lap.endTime
+ * @param {number} lap.startDistance - km into the ride
+ * @param {number} lap.endDistance
+ * @param {Array} [lap.pausedIntervals] - the session's paused intervals
+ * @returns {Object} distance, duration, movingTime, avg/max speed and power
+ */
+export function summarizeLap(points, { startTime, endTime, startDistance, endDistance, pausedIntervals = [] }) {
+  const duration = Math.max(0, Math.round((endTime - startTime) / 1000));
+  const movingTime = Math.max(0, Math.round(duration - pausedSecondsBetween(pausedIntervals, startTime, endTime)));
+  const distance = Math.max(0, (endDistance || 0) - (startDistance || 0));
+  const speeds = points.map(point => Number(point.metrics?.speed) || 0);
+  const watts = points.map(point => Number(point.metrics?.watts) || 0);
+  const mean = (list) => (list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : 0);
+
+  return {
+    startTime,
+    endTime,
+    startDistance: startDistance || 0,
+    distance,
+    duration,
+    movingTime,
+    avgSpeed: movingTime > 0 ? distance / (movingTime / 3600) : mean(speeds),
+    maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
+    avgPower: mean(watts),
+    maxPower: watts.length > 0 ? Math.max(...watts) : 0
+  };
+}
+
+/**
+ * End the lap in progress and append it to the session. The caller saves the
+ * session.
+ * @param {Object} session - RideSession
+ * @param {Object} options
+ * @param {string} options.trigger - one of LAP_TRIGGERS
+ * @param {Date} [options.time] - lap end, defaults to now
+ * @param {number} [options.distance] - km into the ride at the lap end
+ * @returns {Promise<Object|null>} the lap, or null when no time has passed since the last one
+ */
+export async function closeLap(session, { trigger, time = new Date(), distance = session.totalDistance }) {
+  const start = currentLapStart(session);
+  const endTime = new Date(time);
+  if (endTime <= start.time) return null;
+
+  const points = await Telemetry.find({
+    sessionId: session.sessionId,
+    timestamp: { $gt: start.time, $lte: endTime }
+  }).select('metrics timestamp').lean();
+
+  const laps = session.laps || [];
+  const summary = summarizeLap(points, {
+    startTime: start.time,
+    endTime,
+    startDistance: start.distance,
+    endDistance: Math.max(distance || 0, start.distance),
+    pausedIntervals: session.pausedIntervals
+  });
+
+  // Calories so far minus what earlier laps were credited with
+  const previousCalories = laps.reduce((sum, lap) => sum + (lap.calories || 0), 0);
+  const lap = {
+    number: laps.length + 1,
+    trigger,
+    ...summary,
+    calories: Math.max(0, (session.totalCalories || 0) - previousCalories)
+  };
+
+  session.laps.push(lap);
+  return lap;
+}
+
+/**
+ * Close laps after a reading was recorded: a manual lap when the rider marked
+ * one, otherwise an auto-lap once its distance or time is reached. The caller
+ * saves the session.
+ * @param {Object} session - Active RideSession, with totals updated for the reading
+ * @param {Object} reading
+ * @param {Date} reading.time
+ * @param {number} [reading.distance] - defaults to session.totalDistance
+ * @param {boolean} [reading.manual] - the rider pressed lap
+ * @returns {Promise<Object|null>} the lap that was closed
+ */
+export async function updateLaps(session, { time, distance = session.totalDistance, manual = false }) {
+  const trigger = manual ? 'manual' : autoLapDue(session, { time, distance });
+  if (!trigger) return null;
+  return closeLap(session, { trigger, time, distance });
+}
+
+/**
+ * Close the last, partial lap when a ride with laps ends, so the laps cover the
+ * whole ride. Rides without laps are left as a single aggregate.
+ */
+export async function finishLaps(session) {
+  const autoLap = ['distance', 'time'].includes(session.autoLap?.mode);
+  if ((session.laps || []).length === 0 && !autoLap) return null;
+  return closeLap(session, { trigger: 'end', time: session.endTime || new Date() });
+}
+
+/**
+ * Mark a manual lap on the rider's active session (BLE bridge lap button).
+ * @param {ObjectId} userId
+ * @param {string} [sessionId] - defaults to the rider's active session
+ * @returns {Promise<{sessionId: string, lap: Object}>}
+ */
+export async function markManualLap(userId, sessionId) {
+  const session = await RideSession.findOne({
+    userId,
+    status: 'active',
+    ...(sessionId && { sessionId })
+  });
+  if (!session) throw httpError('Active session not found', 404);
+
+  const lap = await closeLap(session, { trigger: 'manual' });
+  if (!lap) throw httpError('A lap was just marked', 409);
+  await session.save();
+
+  return { sessionId: session.sessionId, lap };
+}
@@ -0,0 +1,163 @@
+/**
+ * Moving Time Service
+ *
+ * Auto-pause detection for rides. Once speed has stayed at zero for the
+ * device's auto-pause window, the whole stop is recorded as a paused interval
+ * and excluded from moving time, so a rider waiting at a light is not credited
+ * for riding those minutes. Average speed, calories and plan hours are based
+ * on moving time; elapsed time is kept alongside it.
+ */
+
+import { Telemetry, ESP32Device } from '../models/Telemetry.js';
+
+// Default ESP32Device.autoPauseSeconds; 0 disables auto-pause
+export const DEFAULT_AUTO_PAUSE_SECONDS = 10;
+
+// Speeds below this are sensor noise from a stationary wheel
+export const MIN_MOVING_SPEED_KMH = 0.5;
+
+export const isStopped = (speed) => !(Number(speed) >= MIN_MOVING_SPEED_KMH);
+
+/**
+ * Find stops that lasted at least the auto-pause window.
+ * @param {Array<{time, speed}>} samples - Readings in any order
+ * @param {number} [autoPauseSeconds]
+ * @param {Date} [endTime] - Ride end, closes a stop the ride finished in
+ * @returns {Array<{start: Date, end: Date, duration: number}>} duration in seconds
+ */
+export function detectPausedIntervals(samples, autoPauseSeconds = DEFAULT_AUTO_PAUSE_SECONDS, endTime = null) {
+  if (!(autoPauseSeconds > 0)) return [];
+
+  const readings = (samples || [])
+    .map(sample => ({ time: new Date(sample.time).getTime(), speed: sample.speed }))
+    .filter(sample => Number.isFinite(sample.time))
+    .sort((a, b) => a.time - b.time);
+
+  const intervals = [];
+  let stoppedSince = null;
+
+  const closeStop = (until) => {
+    const seconds = (until - stoppedSince) / 1000;
+    if (seconds >= autoPauseSeconds) {
+      intervals.push({
+        start: new Date(stoppedSince),
+        end: new Date(until),
+        duration: Math.round(seconds)
+      });
+    }
+    stoppedSince = null;
+  };
+
+  for (const reading of readings) {
+    if (isStopped(reading.speed)) {
+      if (stoppedSince === null) stoppedSince = reading.time;
+    } else if (stoppedSince !== null) {
+      closeStop(reading.time);
+    }
+  }
+
+  if (stoppedSince !== null && readings.length > 0) {
+    const lastReading = readings[readings.length - 1].time;
+    closeStop(Math.max(lastReading, endTime ? new Date(endTime).getTime() : lastReading));
+  }
+
+  return intervals;
+}
+
+/**
+ * Elapsed and moving time for a ride.
+ * @returns {{elapsedTime: number, movingTime: number}} seconds
+ */
+export function calculateMovingTime(startTime, endTime, pausedIntervals = []) {
+  const elapsedTime = Math.max(0, Math.round((new Date(endTime) - new Date(startTime)) / 1000));
+  const pausedTime = pausedIntervals.reduce((sum, interval) => sum + (interval.duration || 0), 0);
+
+  return {
+    elapsedTime,
+    movingTime: Math.max(0, elapsedTime - pausedTime)
+  };
+}
+
+/**
+ * Average speed over moving time.
+ * @returns {number} km/h, 0 when the rider never moved
+ */
+export function movingAverageSpeed(totalDistance, movingTime) {
+  return movingTime > 0 ? (totalDistance || 0) / (movingTime / 3600) : 0;
+}
+
+/**
+ * Live auto-pause tracking for an active RideSession. Records a paused
+ * interval when the rider starts moving again after a long enough stop, and
+ * refreshes elapsed and moving time. The caller saves the session.
+ * @param {Object} session - Active RideSession
+ * @param {{speed, timestamp}} reading
+ * @param {number} [autoPauseSeconds]
+ * @returns {{paused: boolean, elapsedTime: number, movingTime: number}}
+ */
+export function trackAutoPause(session, { speed, timestamp }, autoPauseSeconds = DEFAULT_AUTO_PAUSE_SECONDS) {
+  const time = timestamp ? new Date(timestamp) : new Date();
+  const enabled = autoPauseSeconds > 0;
+
+  if (enabled && isStopped(speed)) {
+    if (!session.stoppedSince) session.stoppedSince = time;
+  } else if (session.stoppedSince) {
+    const seconds = (time - session.stoppedSince) / 1000;
+    if (enabled && seconds >= autoPauseSeconds) {
+      session.pausedIntervals.push({ start: session.stoppedSince, end: time, duration: Math.round(seconds) });
+    }
+    session.stoppedSince = null;
+  }
+
+  // A stop still in progress counts as paused once it passes the window
+  const currentStop = session.stoppedSince ? (time - session.stoppedSince) / 1000 : 0;
+  const paused = enabled && currentStop >= autoPauseSeconds;
+  const intervals = paused
+    ? [...session.pausedIntervals, { duration: Math.round(currentStop) }]
+    : session.pausedIntervals;
+
+  const { elapsedTime, movingTime } = calculateMovingTime(session.startTime, time, intervals);
+  session.elapsedTime = elapsedTime;
+  session.movingTime = movingTime;
+
+  return { paused, elapsedTime, movingTime };
+}
+
+/**
+ * Auto-pause window configured for a device.
+ */
+export async function getAutoPauseSeconds(deviceId) {
+  const device = await ESP32Device.findOne({ deviceId }).select('autoPauseSeconds').lean();
+  return device?.autoPauseSeconds ?? DEFAULT_AUTO_PAUSE_SECONDS;
+}
+
+/**
+ * Recalculate paused intervals, moving time and moving average speed for a
+ * finished ride from its stored telemetry, and persist them on the RideSession.
+ * Replaces the live estimate kept by RideSession.updateMetrics.
+ * @returns {Promise<{pausedIntervals, elapsedTime, movingTime}>}
+ */
+export async function applySessionMovingTime(session, autoPauseSeconds) {
+  const window = autoPauseSeconds ?? await getAutoPauseSeconds(session.deviceId);
+  const telemetry = await Telemetry.getSessionData(session.sessionId);
+  const endTime = session.endTime || new Date();
+
+  const pausedIntervals = detectPausedIntervals(
+    telemetry.map(point => ({ time: point.timestamp, speed: point.metrics?.speed })),
+    window,
+    endTime
+  );
+  const { elapsedTime, movingTime } = calculateMovingTime(session.startTime, endTime, pausedIntervals);
+
+  session.pausedIntervals = pausedIntervals;
+  session.stoppedSince = null;
+  session.elapsedTime = elapsedTime;
+  session.movingTime = movingTime;
+  session.actualHours = movingTime / 3600;
+  if (session.totalDistance > 0 && movingTime > 0) {
+    session.avgSpeed = movingAverageSpeed(session.totalDistance, movingTime);
+  }
+  await session.save();
+
+  return { pausedIntervals, elapsedTime, movingTime };
+}
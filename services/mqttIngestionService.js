@@ -0,0 +1,204 @@
+import mqtt from 'mqtt';
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+import { getActiveRider } from './householdService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * MQTT Ingestion Service
+ *
+ * Lets ESP32 firmwares that speak MQTT publish telemetry without an HTTP/JWT
+ * session. Subscribes to `<prefix>/devices/+/telemetry` on the broker at
+ * MQTT_URL and feeds each reading to RealTimeTelemetryService.processTelemetryData,
+ * so it shares the WebSocket path's buffering, storage and live fan-out.
+ *
+ * The device is identified by its topic and must be registered to a rider.
+ * Readings go to the active ride of the device's active rider and are dropped
+ * when there is none, or when they name another session.
+ *
+ * MQTT has no per-device credentials: the server only sees the topic, not who
+ * published to it, so anyone who can publish to a device's topic can send
+ * readings for it. The broker must give each device its own login and an ACL
+ * limiting it to its own topic.
+ */
+
+export const DEFAULT_TOPIC_PREFIX = 'sikadvoltz';
+
+// How long a device's rider and active ride are cached between readings
+const DEVICE_CACHE_MS = 30 * 1000;
+const MAX_CACHED_DEVICES = 1000;
+
+class MqttIngestionService {
+  /**
+   * @param {RealTimeTelemetryService} telemetryService
+   * @param {Object} [options]
+   * @param {string} [options.url] - broker URL, e.g. mqtt://localhost:1883; ingestion is off without one
+   * @param {string} [options.topicPrefix]
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   */
+  constructor(telemetryService, {
+    url = process.env.MQTT_URL,
+    topicPrefix = process.env.MQTT_TOPIC_PREFIX || DEFAULT_TOPIC_PREFIX,
+    username = process.env.MQTT_USERNAME,
+    password = process.env.MQTT_PASSWORD
+  } = {}) {
+    this.telemetryService = telemetryService;
+    this.url = url;
+    this.topicPrefix = topicPrefix;
+    this.username = username;
+    this.password = password;
+    this.client = null;
+    this.devices = new Map(); // deviceId -> { userId, sessionId, expiresAt }
+    this.stats = { received: 0, processed: 0, rejected: 0 };
+  }
+
+  get telemetryTopic() {
+    return `${this.topicPrefix}/devices/+/telemetry`;
+  }
+
+  /**
+   * Connect to the broker and subscribe to device telemetry.
+   * @returns {Promise<boolean>} false when no broker is configured
+   */
+  async start() {
+    if (!this.url) {
+      logger.info('MQTT ingestion disabled (MQTT_URL not set)');
+      return false;
+    }
+
+    this.client = await mqtt.connectAsync(this.url, {
+      clientId: `sikadvoltz_ingest_${Math.random().toString(36).substr(2, 9)}`,
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: 5000
+    });
+
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload).catch(error => {
+        logger.error('Error ingesting MQTT telemetry:', error);
+      });
+    });
+    this.client.on('error', (error) => {
+      logger.warn('MQTT connection error:', error.message);
+    });
+
+    await this.client.subscribeAsync(this.telemetryTopic, { qos: 1 });
+    logger.info(`MQTT ingestion subscribed to ${this.telemetryTopic}`);
+    return true;
+  }
+
+  /**
+   * Device ID from a telemetry topic, or null for other topics.
+   */
+  parseTopic(topic) {
+    const parts = topic.split('/');
+    const prefixParts = this.topicPrefix.split('/');
+    if (parts.length !== prefixParts.length + 3) return null;
+    if (parts.slice(0, prefixParts.length).join('/') !== this.topicPrefix) return null;
+
+    const [devices, deviceId, channel] = parts.slice(prefixParts.length);
+    return devices === 'devices' && channel === 'telemetry' && deviceId ? deviceId : null;
+  }
+
+  /**
+   * Ingest one published reading.
+   * @returns {Promise<boolean>} whether the reading was processed
+   */
+  async handleMessage(topic, payload) {
+    this.stats.received++;
+
+    const deviceId = this.parseTopic(topic);
+    if (!deviceId) return this.reject(topic, 'unexpected topic');
+
+    let reading;
+    try {
+      reading = JSON.parse(payload.toString());
+    } catch {
+      return this.reject(topic, 'payload is not JSON');
+    }
+    if (!reading || typeof reading !== 'object' || !reading.metrics) {
+      return this.reject(topic, 'metrics are required');
+    }
+
+    const device = await this.resolveDevice(deviceId);
+    if (!device) return this.reject(topic, 'device is not registered');
+    if (!device.sessionId) return this.reject(topic, 'no active ride');
+    if (reading.sessionId && reading.sessionId !== device.sessionId) {
+      return this.reject(topic, 'session is not the device\'s active ride');
+    }
+
+    await this.telemetryService.processTelemetryData({
+      ...reading,
+      deviceId, // the topic, not the payload, says which device this is
+      sessionId: device.sessionId
+    }, device.userId);
+
+    this.stats.processed++;
+    return true;
+  }
+
+  reject(topic, reason) {
+    this.stats.rejected++;
+    logger.warn(`⚠️ MQTT telemetry dropped: ${reason}`, { topic });
+    return false;
+  }
+
+  /**
+   * The rider a device's readings are for (its active rider) and their active ride on it, cached
+   * for DEVICE_CACHE_MS.
+   * @returns {Promise<{userId, sessionId}|null>}
+   */
+  async resolveDevice(deviceId) {
+    const cached = this.devices.get(deviceId);
+    if (cached && cached.expiresAt > Date.now()) return cached;
+
+    const device = await ESP32Device.findOne({ deviceId, isActive: true }).select('userId members activeRider kiosk.binding').lean();
+    if (!device) {
+      this.devices.delete(deviceId);
+      return null;
+    }
+
+    // Shared devices publish for whoever is riding them now
+    const userId = getActiveRider(device);
+    const session = await RideSession.findOne({ deviceId, userId, status: 'active' })
+      .select('sessionId')
+      .lean();
+
+    const resolved = {
+      userId,
+      sessionId: session?.sessionId || null,
+      expiresAt: Date.now() + DEVICE_CACHE_MS
+    };
+
+    this.devices.delete(deviceId);
+    if (this.devices.size >= MAX_CACHED_DEVICES) {
+      this.devices.delete(this.devices.keys().next().value);
+    }
+    this.devices.set(deviceId, resolved);
+    return resolved;
+  }
+
+  /**
+   * Forget a device's cached ride, e.g. when a session starts or ends.
+   */
+  clearDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  getStats() {
+    return {
+      connected: !!this.client?.connected,
+      topic: this.telemetryTopic,
+      ...this.stats
+    };
+  }
+
+  async stop() {
+    if (!this.client) return;
+    await this.client.endAsync();
+    this.client = null;
+    logger.info('MQTT ingestion stopped');
+  }
+}
+
+export default MqttIngestionService;
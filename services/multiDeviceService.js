@@ -0,0 +1,348 @@
+/**
+ * Multi-Device Service
+ *
+ * Riders with more than one bike, or who swap sensors mid-ride. Each rider
+ * has a primary device that readings and rides go to when they don't name
+ * one. A ride can move to another device while it's active: the new device's
+ * readings start from 0 km, so the ride keeps a deviceHistory with the
+ * distance each device took over at and adds it to that device's readings.
+ *
+ * Rides recorded separately by two devices can be merged into one, and a ride
+ * can be split in two. Both move the Telemetry between sessions and recompute
+ * the sessions' aggregates from it.
+ */
+
+import { Telemetry, TelemetryRollup, RideSession, ESP32Device } from '../models/Telemetry.js';
+import { recomputeSessionAggregates, SESSION_MATCH_GAP_MS } from './telemetrySyncService.js';
+import { clearPulseState } from './pulseMetricsService.js';
+import { clearQualityState } from './telemetryQualityService.js';
+import { applySessionBattery, clearBatteryState } from './batteryService.js';
+import { applySessionEnergy, removeSessionEnergy } from './energyService.js';
+import { deviceAccessFilter } from './householdService.js';
+import SessionTrackerService from './session_tracker_service.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+const newSessionId = () => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * The device a rider's unnamed readings and rides go to: the one marked
+ * primary, else the most recently seen they own or share.
+ * @returns {Promise<Object|null>} the ESP32Device, null without devices
+ */
+export async function getPrimaryDevice(userId) {
+  const primary = await ESP32Device.findOne({ userId, isPrimary: true }).lean();
+  return primary || ESP32Device.findOne(deviceAccessFilter(userId)).sort({ lastSeen: -1 }).lean();
+}
+
+/**
+ * A rider's devices, primary first, including devices shared with them.
+ */
+export async function listUserDevices(userId) {
+  const [devices, primary, activeSession] = await Promise.all([
+    ESP32Device.find(deviceAccessFilter(userId))
+      .select('deviceId deviceName userId firmwareVersion lastSeen isActive battery.level totalSessions totalDistance')
+      .sort({ lastSeen: -1 })
+      .lean(),
+    getPrimaryDevice(userId),
+    RideSession.findOne({ userId, status: 'active' }).select('sessionId deviceId').lean()
+  ]);
+
+  return devices
+    .map(device => ({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      firmwareVersion: device.firmwareVersion,
+      lastSeen: device.lastSeen,
+      isActive: device.isActive,
+      isPrimary: device.deviceId === primary?.deviceId,
+      shared: String(device.userId) !== String(userId),
+      batteryLevel: device.battery?.level ?? null,
+      totalSessions: device.totalSessions,
+      totalDistance: device.totalDistance,
+      activeSessionId: activeSession?.deviceId === device.deviceId ? activeSession.sessionId : null
+    }))
+    .sort((a, b) => b.isPrimary - a.isPrimary);
+}
+
+/**
+ * Make one of the rider's devices their primary.
+ */
+export async function setPrimaryDevice(userId, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, userId }).select('_id').lean();
+  if (!device) throw httpError('Device not found', 404);
+
+  await ESP32Device.updateMany({ userId, isPrimary: true, _id: { $ne: device._id } }, { $set: { isPrimary: false } });
+  await ESP32Device.updateOne({ _id: device._id }, { $set: { isPrimary: true } });
+  return listUserDevices(userId);
+}
+
+/**
+ * A reading's distance into the ride, from the distance the current device reports.
+ * @param {Object} session - RideSession
+ * @param {number} reportedKm - the device's own distance
+ */
+export function rideDistance(session, reportedKm) {
+  const history = session?.deviceHistory || [];
+  const segment = [...history].reverse().find(entry => entry.deviceId === session.deviceId);
+  const distance = parseFloat(reportedKm) || 0;
+  return segment?.distanceOffset > 0 ? distance + segment.distanceOffset : distance;
+}
+
+/**
+ * Move an active ride to another of the rider's devices. The caller saves the session.
+ * @param {Object} session - active RideSession
+ * @param {string} deviceId
+ * @param {Date} [at]
+ * @returns {boolean} false when the ride is already on that device
+ */
+export function switchSessionDevice(session, deviceId, at = new Date()) {
+  if (session.deviceId === deviceId) return false;
+
+  if (session.deviceHistory.length === 0) {
+    session.deviceHistory.push({ deviceId: session.deviceId, startedAt: session.startTime, distanceOffset: 0 });
+  }
+  session.deviceHistory.push({ deviceId, startedAt: at, distanceOffset: session.totalDistance || 0 });
+  session.deviceId = deviceId;
+
+  // The last pulse count and wheel size were the previous device's
+  clearPulseState(session.sessionId);
+  return true;
+}
+
+/**
+ * Move the rider's active ride to another of their devices.
+ */
+export async function switchActiveDevice(userId, sessionId, deviceId) {
+  const [session, device] = await Promise.all([
+    RideSession.findOne({ sessionId, userId }),
+    ESP32Device.exists({ deviceId, ...deviceAccessFilter(userId) })
+  ]);
+  if (!session) throw httpError('Session not found', 404);
+  if (!device) throw httpError('Device not found', 404);
+  if (session.status !== 'active') throw httpError('Only active rides can switch devices', 409);
+
+  if (switchSessionDevice(session, deviceId)) {
+    await session.save();
+    logger.info('Ride switched device', { sessionId, deviceId });
+  }
+  return session;
+}
+
+/**
+ * A ride's summary after it moved devices, merged or split.
+ */
+export function toRideSummary(session) {
+  return {
+    sessionId: session.sessionId,
+    deviceId: session.deviceId,
+    status: session.status,
+    startTime: session.startTime,
+    endTime: session.endTime || null,
+    duration: session.duration,
+    movingTime: session.movingTime,
+    totalDistance: session.totalDistance,
+    avgSpeed: session.avgSpeed,
+    totalCalories: session.totalCalories,
+    energyWh: session.energyWh,
+    laps: session.laps.length,
+    deviceHistory: session.deviceHistory,
+    mergedFrom: session.mergedFrom || [],
+    splitFrom: session.splitFrom
+  };
+}
+
+// The ride's distance at a moment, from its last reading before it
+async function distanceAt(sessionId, time) {
+  const point = await Telemetry.findOne({ sessionId, timestamp: { $lt: time } })
+    .sort({ timestamp: -1 })
+    .select('metrics.distance')
+    .lean();
+  return point?.metrics?.distance || 0;
+}
+
+// Move a session's readings (raw and rolled up) to another session, shifting their distance
+async function moveTelemetry(filter, sessionId, distanceShift) {
+  const update = { $set: { sessionId } };
+  if (distanceShift) update.$inc = { 'metrics.distance': distanceShift };
+  await Promise.all([Telemetry.updateMany(filter, update), TelemetryRollup.updateMany(filter, update)]);
+}
+
+// Summaries that come from the ride's stored readings, recomputed once they've moved
+async function recomputeRide(session) {
+  await recomputeSessionAggregates(session);
+  if (session.status !== 'completed') return;
+
+  try {
+    if (await applySessionBattery(session)) await session.save();
+    await applySessionEnergy(session);
+  } catch (error) {
+    logger.warn('⚠️ Failed to recalculate ride battery or energy (non-critical)', {
+      sessionId: session.sessionId,
+      error: error.message
+    });
+  }
+}
+
+const renumberLaps = (laps) => laps
+  .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+  .map((lap, index) => ({ ...lap, number: index + 1 }));
+
+const shiftEntries = (entries, shift) => entries.map(entry => ({
+  ...entry,
+  ...(entry.startDistance !== undefined && { startDistance: Math.max(0, (entry.startDistance || 0) + shift) }),
+  ...(entry.distanceOffset !== undefined && { distanceOffset: Math.max(0, (entry.distanceOffset || 0) + shift) })
+}));
+
+const plain = (list) => (list || []).map(entry => (entry.toObject ? entry.toObject() : { ...entry }));
+
+const historyOf = (session) => (session.deviceHistory.length > 0
+  ? plain(session.deviceHistory)
+  : [{ deviceId: session.deviceId, startedAt: session.startTime, distanceOffset: 0 }]);
+
+/**
+ * Merge two of a rider's overlapping rides into one. The later ride's readings
+ * move to the earlier one, continuing from the earlier ride's distance when
+ * the later one started; the later ride is deleted and its plan, goal and XP
+ * credit taken back.
+ * @returns {Promise<Object>} the merged RideSession
+ */
+export async function mergeSessions(userId, sessionId, otherSessionId) {
+  if (!otherSessionId || otherSessionId === sessionId) {
+    throw httpError('A second, different sessionId is required');
+  }
+
+  const sessions = await RideSession.find({ userId, sessionId: { $in: [sessionId, otherSessionId] } });
+  if (sessions.length !== 2) throw httpError('Session not found', 404);
+
+  if (sessions.some(session => !['active', 'completed'].includes(session.status))) {
+    throw httpError('Only active or completed rides can be merged', 409);
+  }
+
+  const [kept, absorbed] = sessions.sort((a, b) => a.startTime - b.startTime);
+  const keptEnd = kept.status === 'active' ? new Date() : (kept.endTime || kept.lastUpdate);
+  if (absorbed.startTime - keptEnd > SESSION_MATCH_GAP_MS) {
+    throw httpError('Rides must overlap to be merged', 409);
+  }
+
+  const shift = await distanceAt(kept.sessionId, absorbed.startTime);
+  await moveTelemetry({ sessionId: absorbed.sessionId }, kept.sessionId, shift);
+
+  await removeSessionEnergy(kept);
+  await removeSessionEnergy(absorbed);
+
+  // Plan, goal and XP count the riding once: the ride merged away gives its credit back,
+  // as does a completed ride that turns active again, to be credited when it ends
+  const uncredited = [absorbed, ...(absorbed.status === 'active' ? [kept] : [])]
+    .filter(session => session.status === 'completed');
+  for (const session of uncredited) {
+    try {
+      await SessionTrackerService.reverseSession(session);
+      session.credited = undefined;
+    } catch (error) {
+      logger.warn('⚠️ Failed to take back ride plan, goal and XP credit (non-critical)', {
+        sessionId: session.sessionId,
+        error: error.message
+      });
+    }
+  }
+
+  if (absorbed.deviceId !== kept.deviceId || kept.deviceHistory.length > 0 || absorbed.deviceHistory.length > 0) {
+    const history = [...historyOf(kept), ...shiftEntries(historyOf(absorbed), shift)]
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    // Consecutive stretches on the same device are one
+    kept.deviceHistory = history.filter((entry, index) => index === 0 || entry.deviceId !== history[index - 1].deviceId);
+  }
+
+  // The merged ride stays active while either part is, on the device still riding
+  const active = kept.status === 'active' || absorbed.status === 'active';
+  if (absorbed.status === 'active' && kept.status !== 'active') kept.deviceId = absorbed.deviceId;
+  kept.status = active ? 'active' : 'completed';
+  if (!active) {
+    kept.endTime = new Date(Math.max(keptEnd, absorbed.endTime || absorbed.lastUpdate));
+    kept.duration = Math.floor((kept.endTime - kept.startTime) / 1000);
+  }
+  kept.laps = renumberLaps([...plain(kept.laps), ...shiftEntries(plain(absorbed.laps), shift)]);
+  kept.mergedFrom = [...(kept.mergedFrom || []), absorbed.sessionId, ...(absorbed.mergedFrom || [])];
+  await kept.save();
+  await RideSession.deleteOne({ _id: absorbed._id });
+
+  for (const id of [kept.sessionId, absorbed.sessionId]) {
+    clearPulseState(id);
+    clearQualityState(id);
+  }
+  clearBatteryState(absorbed.sessionId);
+
+  await recomputeRide(kept);
+  logger.info('Rides merged', { sessionId: kept.sessionId, mergedSessionId: absorbed.sessionId, distanceShift: shift });
+  return kept;
+}
+
+/**
+ * Split a completed ride in two at a moment. Readings from then on move to a
+ * new ride, with its distance counted from the split.
+ * @param {Date|string} at
+ * @returns {Promise<Object[]>} the two RideSessions, in time order
+ */
+export async function splitSession(userId, sessionId, at) {
+  const splitAt = new Date(at);
+  if (Number.isNaN(splitAt.getTime())) throw httpError('A valid split time is required');
+
+  const session = await RideSession.findOne({ sessionId, userId });
+  if (!session) throw httpError('Session not found', 404);
+  if (session.status !== 'completed') throw httpError('Only completed rides can be split', 409);
+  if (!(splitAt > session.startTime && splitAt < session.endTime)) {
+    throw httpError('Split time must be within the ride');
+  }
+
+  const [before, after] = await Promise.all([
+    Telemetry.exists({ sessionId, timestamp: { $lt: splitAt } }),
+    Telemetry.exists({ sessionId, timestamp: { $gte: splitAt } })
+  ]);
+  if (!before || !after) throw httpError('Both parts of the ride need readings');
+
+  const shift = -(await distanceAt(sessionId, splitAt));
+  await removeSessionEnergy(session);
+
+  const history = plain(session.deviceHistory);
+  const laps = plain(session.laps);
+  const historyAfter = history.filter(entry => new Date(entry.startedAt) >= splitAt);
+  const deviceAtSplit = [...history].reverse().find(entry => new Date(entry.startedAt) < splitAt)?.deviceId;
+  const secondDevice = deviceAtSplit || session.deviceId;
+
+  const second = await RideSession.create({
+    userId,
+    deviceId: historyAfter.length > 0 ? historyAfter[historyAfter.length - 1].deviceId : secondDevice,
+    sessionId: newSessionId(),
+    startTime: splitAt,
+    endTime: session.endTime,
+    duration: Math.floor((session.endTime - splitAt) / 1000),
+    status: 'completed',
+    rideType: session.rideType,
+    source: session.source,
+    planId: session.planId,
+    goalId: session.goalId,
+    splitFrom: session.sessionId,
+    deviceHistory: historyAfter.length > 0
+      ? [{ deviceId: secondDevice, startedAt: splitAt, distanceOffset: 0 }, ...shiftEntries(historyAfter, shift)]
+      : [],
+    // Laps that straddle the split belong to neither part
+    laps: renumberLaps(shiftEntries(laps.filter(lap => new Date(lap.startTime) >= splitAt), shift))
+  });
+  await moveTelemetry({ sessionId, timestamp: { $gte: splitAt } }, second.sessionId, shift);
+
+  session.endTime = splitAt;
+  session.duration = Math.floor((splitAt - session.startTime) / 1000);
+  session.laps = laps.filter(lap => new Date(lap.endTime) <= splitAt);
+  session.deviceHistory = history.filter(entry => new Date(entry.startedAt) < splitAt);
+  if (session.deviceHistory.length > 0) {
+    session.deviceId = session.deviceHistory[session.deviceHistory.length - 1].deviceId;
+  }
+  if (session.deviceHistory.length === 1) session.deviceHistory = [];
+  await session.save();
+
+  await recomputeRide(session);
+  await recomputeRide(second);
+  logger.info('Ride split', { sessionId, newSessionId: second.sessionId, at: splitAt });
+  return [session, second];
+}
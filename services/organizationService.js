@@ -0,0 +1,548 @@
+/**
+ * Organization Service
+ *
+ * Gyms and campus programs that let many members share a fleet of stationary
+ * bikes. An organization's bikes (ESP32Device.organizationId) each show a
+ * kiosk QR code. A member scans it to check the bike out: the bike is bound
+ * to them and their ride starts, so the bike's readings are theirs (see
+ * householdService.getActiveRider). The binding is released when the ride
+ * ends, or by the kiosk job once the ride runs past the organization's limit
+ * or the bike stops sending readings.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+import { Telemetry, RideSession, ESP32Device } from '../models/Telemetry.js';
+import { hashSecret, timingSafeMatch } from './deviceCredentialService.js';
+import { INVITE_DAYS } from './householdService.js';
+import { finishRide } from './rideCompletionService.js';
+import NotificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+export const KIOSK_QR_PREFIX = 'sikadvoltz://kiosk/';
+
+// Allowed kiosk settings, in minutes (see Organization.kiosk)
+export const KIOSK_LIMITS = {
+  maxRideMinutes: { min: 5, max: 480 },
+  idleMinutes: { min: 1, max: 60 }
+};
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+const newSessionId = () => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * The link a bike's kiosk QR code encodes.
+ */
+export const kioskQrPayload = (deviceId, code) => `${KIOSK_QR_PREFIX}${encodeURIComponent(deviceId)}?code=${code}`;
+
+/**
+ * Read a scanned kiosk QR code.
+ * @param {string} payload
+ * @returns {{deviceId: string, code: string}|null} null when it isn't a kiosk code
+ */
+export function parseKioskQr(payload) {
+  if (typeof payload !== 'string' || !payload.startsWith(KIOSK_QR_PREFIX)) return null;
+
+  const [path, query = ''] = payload.slice(KIOSK_QR_PREFIX.length).split('?');
+  const code = new URLSearchParams(query).get('code');
+  try {
+    const deviceId = decodeURIComponent(path);
+    return deviceId && code ? { deviceId, code } : null;
+  } catch {
+    return null;
+  }
+}
+
+const memberOf = (organization, userId) => organization.members.find(member => sameId(member.userId, userId));
+
+async function loadOrganization(organizationId, userId, { admin = false } = {}) {
+  const organization = mongoose.isValidObjectId(organizationId) ? await Organization.findById(organizationId) : null;
+  const member = organization && memberOf(organization, userId);
+  if (!member) throw httpError('Organization not found', 404);
+  if (admin && member.role !== 'admin') throw httpError('Only organization admins can do this', 403);
+  return organization;
+}
+
+function applySettings(organization, { name, maxRideMinutes, idleMinutes }) {
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) throw httpError('name is required');
+    organization.name = name.trim();
+  }
+
+  for (const [key, value] of Object.entries({ maxRideMinutes, idleMinutes })) {
+    if (value === undefined) continue;
+    const { min, max } = KIOSK_LIMITS[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw httpError(`${key} must be a whole number from ${min} to ${max}`);
+    }
+    organization.kiosk[key] = value;
+  }
+}
+
+function toOrganization(organization, userId) {
+  return {
+    id: organization._id,
+    name: organization.name,
+    role: memberOf(organization, userId)?.role || null,
+    memberCount: organization.members.length,
+    kiosk: {
+      maxRideMinutes: organization.kiosk.maxRideMinutes,
+      idleMinutes: organization.kiosk.idleMinutes
+    },
+    createdAt: organization.createdAt
+  };
+}
+
+/**
+ * Start an organization; its creator is its first admin.
+ */
+export async function createOrganization(userId, settings = {}) {
+  if (settings.name === undefined) throw httpError('name is required');
+
+  const organization = new Organization({ members: [{ userId, role: 'admin', joinedAt: new Date() }] });
+  applySettings(organization, settings);
+  await organization.save();
+  return toOrganization(organization, userId);
+}
+
+/**
+ * The organizations a rider belongs to.
+ */
+export async function listOrganizations(userId) {
+  const organizations = await Organization.find({ 'members.userId': userId }).sort({ name: 1 });
+  return organizations.map(organization => toOrganization(organization, userId));
+}
+
+/**
+ * An organization and, for its admins, its members.
+ */
+export async function getOrganization(userId, organizationId) {
+  const organization = await loadOrganization(organizationId, userId);
+  const summary = toOrganization(organization, userId);
+  if (summary.role !== 'admin') return summary;
+
+  const users = await User.find({ _id: { $in: organization.members.map(member => member.userId) } })
+    .select('firstName lastName email')
+    .lean();
+  return {
+    ...summary,
+    members: organization.members.map(member => {
+      const user = users.find(candidate => sameId(candidate._id, member.userId));
+      return {
+        userId: member.userId,
+        name: user ? `${user.firstName} ${user.lastName}` : null,
+        email: user?.email || null,
+        role: member.role,
+        joinedAt: member.joinedAt
+      };
+    })
+  };
+}
+
+/**
+ * Rename an organization or change its kiosk settings. Admins only.
+ */
+export async function updateOrganization(userId, organizationId, settings = {}) {
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  applySettings(organization, settings);
+  await organization.save();
+  return toOrganization(organization, userId);
+}
+
+const openInvites = (organization, now = new Date()) => (organization.invites || []).filter(invite => invite.expiresAt > now);
+
+const withoutInvite = (organization, userId) => (organization.invites || []).filter(invite => !sameId(invite.userId, userId));
+
+/**
+ * Invite a rider to an organization, by their email. Admins only. The outcome
+ * is the same whether or not the email belongs to a rider, so admins can't
+ * use it to find out who has an account.
+ */
+export async function inviteOrganizationMember(userId, organizationId, { email, role = 'member' } = {}) {
+  if (!email || typeof email !== 'string') throw httpError('email is required');
+  if (!['admin', 'member'].includes(role)) throw httpError('role must be "admin" or "member"');
+
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const user = await User.findOne({ email: email.trim() }).select('_id').lean();
+  if (!user || memberOf(organization, user._id)) return;
+
+  const now = new Date();
+  organization.invites = [
+    ...openInvites(organization, now).filter(invite => !sameId(invite.userId, user._id)),
+    { userId: user._id, role, invitedAt: now, expiresAt: new Date(now.getTime() + INVITE_DAYS * 24 * 60 * 60 * 1000) }
+  ];
+  await organization.save();
+
+  await NotificationService.createNotification(user._id, {
+    type: 'system_update',
+    title: 'Organization Invite',
+    message: `You've been invited to join ${organization.name}. Accept the invite to ride its bikes.`,
+    priority: 'medium',
+    data: { organizationId: organization._id }
+  });
+}
+
+/**
+ * Organizations a rider has been invited to and hasn't answered yet.
+ */
+export async function listOrganizationInvites(userId) {
+  const now = new Date();
+  const organizations = await Organization.find({ invites: { $elemMatch: { userId, expiresAt: { $gt: now } } } })
+    .select('name invites')
+    .lean();
+
+  return organizations.map(organization => {
+    const invite = openInvites(organization, now).find(candidate => sameId(candidate.userId, userId));
+    return {
+      organizationId: organization._id,
+      name: organization.name,
+      role: invite.role,
+      invitedAt: invite.invitedAt,
+      expiresAt: invite.expiresAt
+    };
+  });
+}
+
+async function loadInvite(userId, organizationId) {
+  const organization = mongoose.isValidObjectId(organizationId)
+    ? await Organization.findOne({ _id: organizationId, 'invites.userId': userId })
+    : null;
+  const invite = organization && openInvites(organization).find(candidate => sameId(candidate.userId, userId));
+  if (!invite) throw httpError('Invite not found', 404);
+  return { organization, invite };
+}
+
+/**
+ * Accept an invite and join an organization, with the role it was sent with.
+ */
+export async function acceptOrganizationInvite(userId, organizationId) {
+  const { organization, invite } = await loadInvite(userId, organizationId);
+
+  organization.invites = withoutInvite(organization, userId);
+  if (!memberOf(organization, userId)) {
+    organization.members.push({ userId, role: invite.role, joinedAt: new Date() });
+  }
+  await organization.save();
+  return toOrganization(organization, userId);
+}
+
+/**
+ * Turn down an invite to an organization.
+ */
+export async function declineOrganizationInvite(userId, organizationId) {
+  const { organization } = await loadInvite(userId, organizationId);
+  organization.invites = withoutInvite(organization, userId);
+  await organization.save();
+}
+
+/**
+ * Remove a member. Admins can remove anyone; members can leave. An
+ * organization always keeps at least one admin.
+ */
+export async function removeOrganizationMember(userId, organizationId, memberId) {
+  const organization = await loadOrganization(organizationId, userId);
+  const index = organization.members.findIndex(member => sameId(member.userId, memberId));
+  if (index === -1) throw httpError('Rider is not a member', 404);
+  if (!sameId(userId, memberId) && memberOf(organization, userId).role !== 'admin') {
+    throw httpError('Only organization admins can remove other members', 403);
+  }
+
+  const admins = organization.members.filter(member => member.role === 'admin');
+  if (organization.members[index].role === 'admin' && admins.length === 1) {
+    throw httpError('An organization needs at least one admin', 409);
+  }
+
+  organization.members.splice(index, 1);
+  await organization.save();
+  return { organizationId: organization._id, removed: memberId };
+}
+
+function toFleetDevice(device) {
+  const binding = device.kiosk?.binding?.userId ? device.kiosk.binding : null;
+  return {
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    lastSeen: device.lastSeen,
+    batteryLevel: device.battery?.level ?? null,
+    status: binding ? 'in_use' : 'available',
+    binding: binding && {
+      userId: binding.userId,
+      sessionId: binding.sessionId,
+      boundAt: binding.boundAt,
+      expiresAt: binding.expiresAt
+    },
+    kioskCodeIssuedAt: device.kiosk?.codeIssuedAt || null
+  };
+}
+
+// New kiosk code for a bike; only its hash is kept. The caller saves the device
+function issueKioskCode(device) {
+  const code = crypto.randomBytes(16).toString('hex');
+  device.kiosk.codeHash = hashSecret(code);
+  device.kiosk.codeIssuedAt = new Date();
+  return { ...toFleetDevice(device), kioskCode: code, qr: kioskQrPayload(device.deviceId, code) };
+}
+
+async function loadFleetDevice(organization, deviceId) {
+  const device = await ESP32Device.findOne({ deviceId, organizationId: organization._id });
+  if (!device) throw httpError('Device not found', 404);
+  return device;
+}
+
+/**
+ * An organization's bikes and who has them checked out. Admins only.
+ */
+export async function listFleet(userId, organizationId) {
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const devices = await ESP32Device.find({ organizationId: organization._id })
+    .select('deviceId deviceName lastSeen battery.level kiosk.binding kiosk.codeIssuedAt')
+    .sort({ deviceName: 1 })
+    .lean();
+  return devices.map(toFleetDevice);
+}
+
+/**
+ * Add one of an admin's own bikes to the fleet. The kiosk code for its QR
+ * code is only returned here and when it is rotated.
+ */
+export async function addFleetDevice(userId, organizationId, deviceId) {
+  if (!deviceId) throw httpError('Device ID is required');
+
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const device = await ESP32Device.findOne({ deviceId, userId });
+  if (!device) throw httpError('Device not found', 404);
+  if (device.organizationId) throw httpError('Device already belongs to an organization', 409);
+  if (device.members.length > 0) throw httpError('Stop sharing the device with household riders first', 409);
+  if (await RideSession.exists({ deviceId, status: 'active' })) {
+    throw httpError('End the current ride on this device first', 409);
+  }
+
+  device.organizationId = organization._id;
+  const fleetDevice = issueKioskCode(device);
+  await device.save();
+
+  logger.info('🏢 Device added to organization fleet', { deviceId, organizationId: String(organization._id) });
+  return fleetDevice;
+}
+
+/**
+ * Replace a bike's kiosk code, e.g. when its QR code was copied. Admins only.
+ */
+export async function rotateKioskCode(userId, organizationId, deviceId) {
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const device = await loadFleetDevice(organization, deviceId);
+  const fleetDevice = issueKioskCode(device);
+  await device.save();
+  return fleetDevice;
+}
+
+/**
+ * Take a bike out of the fleet. Admins only; the bike must not be checked out.
+ */
+export async function removeFleetDevice(userId, organizationId, deviceId) {
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const device = await loadFleetDevice(organization, deviceId);
+  if (device.kiosk?.binding?.userId) throw httpError('Release the bike before removing it', 409);
+
+  await ESP32Device.updateOne({ _id: device._id }, { $set: { organizationId: null }, $unset: { kiosk: 1 } });
+  return { deviceId, removed: true };
+}
+
+const toCheckout = (device, organization, binding) => ({
+  deviceId: device.deviceId,
+  deviceName: device.deviceName,
+  organization: { id: organization._id, name: organization.name },
+  sessionId: binding.sessionId,
+  boundAt: binding.boundAt,
+  expiresAt: binding.expiresAt
+});
+
+/**
+ * Check out a fleet bike by its scanned QR code (or its deviceId and code),
+ * and start the member's ride on it.
+ * @param {ObjectId} userId
+ * @param {Object} scan
+ * @param {string} [scan.qr] - the QR code's contents
+ * @param {string} [scan.deviceId]
+ * @param {string} [scan.code]
+ * @returns {Promise<Object>} the ride and when the binding expires
+ */
+export async function checkOutDevice(userId, { qr, deviceId, code } = {}) {
+  const scan = qr ? parseKioskQr(qr) : { deviceId, code };
+  if (!scan?.deviceId || !scan.code) throw httpError('A kiosk QR code is required');
+
+  const device = await ESP32Device.findOne({ deviceId: scan.deviceId, organizationId: { $ne: null } });
+  if (!device || !timingSafeMatch(hashSecret(scan.code), device.kiosk?.codeHash)) {
+    throw httpError('Invalid kiosk code', 404);
+  }
+  const organization = await Organization.findById(device.organizationId);
+  if (!organization || !memberOf(organization, userId)) {
+    throw httpError('Only members of this organization can ride this bike', 403);
+  }
+
+  // Scanning again while riding returns the current checkout
+  const current = device.kiosk.binding;
+  if (sameId(current?.userId, userId)) return toCheckout(device, organization, current);
+  if (current?.userId) throw httpError('This bike is in use', 409);
+  if (await RideSession.exists({ userId, status: 'active' })) {
+    throw httpError('End your current ride before checking out a bike', 409);
+  }
+
+  const now = new Date();
+  const binding = {
+    userId,
+    sessionId: newSessionId(),
+    boundAt: now,
+    expiresAt: new Date(now.getTime() + organization.kiosk.maxRideMinutes * 60 * 1000)
+  };
+  // Only one member gets the bike when two scan at once
+  const bound = await ESP32Device.findOneAndUpdate(
+    { _id: device._id, 'kiosk.binding.userId': null },
+    { $set: { 'kiosk.binding': binding } },
+    { new: true }
+  );
+  if (!bound) throw httpError('This bike is in use', 409);
+
+  try {
+    const activePlan = await CyclingPlan.findOne({ user: userId, isActive: true }).select('_id goal');
+    await RideSession.create({
+      userId,
+      deviceId: device.deviceId,
+      sessionId: binding.sessionId,
+      startTime: now,
+      status: 'active',
+      planId: activePlan?._id,
+      goalId: activePlan?.goal
+    });
+  } catch (error) {
+    await ESP32Device.updateOne({ _id: device._id, 'kiosk.binding.sessionId': binding.sessionId }, { $unset: { 'kiosk.binding': 1 } });
+    throw error;
+  }
+
+  logger.info('🔒 Kiosk bike checked out', { deviceId: device.deviceId, userId: String(userId), sessionId: binding.sessionId });
+  return toCheckout(bound, organization, binding);
+}
+
+/**
+ * Release the kiosk bike a ride was on, once the ride has ended.
+ * @returns {Promise<boolean>} whether a bike was released
+ */
+export async function releaseSessionBinding(sessionId) {
+  const result = await ESP32Device.updateOne({ 'kiosk.binding.sessionId': sessionId }, { $unset: { 'kiosk.binding': 1 } });
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Why a checked-out bike should be released, if it should.
+ * @param {Object} ride
+ * @param {Object} ride.binding - ESP32Device.kiosk.binding
+ * @param {Object|null} ride.session - the binding's RideSession
+ * @param {Date} [ride.lastReadingAt] - the ride's latest stored reading, by whichever path it came in
+ * @param {Object} settings - Organization.kiosk
+ * @param {Date} [now]
+ * @returns {'ended'|'timeout'|'idle'|null}
+ */
+export function bindingExpiry({ binding, session, lastReadingAt }, { idleMinutes }, now = new Date()) {
+  if (!session || session.status !== 'active') return 'ended';
+  if (binding.expiresAt <= now) return 'timeout';
+  // The member gets the idle window from checkout to start riding
+  const lastActivity = lastReadingAt > binding.boundAt ? lastReadingAt : binding.boundAt;
+  if (now - lastActivity >= idleMinutes * 60 * 1000) return 'idle';
+  return null;
+}
+
+// Timestamp of each session's latest stored reading
+async function latestReadings(sessionIds) {
+  const latest = await Promise.all(sessionIds.map(sessionId =>
+    Telemetry.findOne({ sessionId }).sort({ timestamp: -1 }).select('timestamp').lean()
+  ));
+  return new Map(sessionIds.map((sessionId, i) => [sessionId, latest[i]?.timestamp || null]));
+}
+
+const RELEASE_MESSAGES = {
+  timeout: 'reached the time limit and was ended',
+  idle: 'was ended because the bike stopped sending readings',
+  admin: 'was ended by an organization admin'
+};
+
+// Ends a ride the member didn't end themselves, the same way /session/end does
+async function endKioskRide(session, deviceName, reason, services) {
+  // Ended by the member in the meantime
+  if (!await finishRide(session, services)) return;
+
+  await NotificationService.createNotification(session.userId, {
+    type: 'device_status',
+    title: 'Ride Ended',
+    message: `Your ride on ${deviceName} ${RELEASE_MESSAGES[reason]}.`,
+    priority: 'medium',
+    data: { sessionId: session.sessionId, reason }
+  });
+}
+
+/**
+ * Release bikes whose rides ended, ran past the organization's limit or went
+ * idle, ending those rides. Run by the kiosk job every minute.
+ * @param {Date} [now]
+ * @param {Object} [services] - { telemetryService, mqttIngestion }, see finishRide
+ * @returns {Promise<number>} bikes released
+ */
+export async function releaseExpiredBindings(now = new Date(), services = {}) {
+  const devices = await ESP32Device.find({ 'kiosk.binding.userId': { $ne: null } })
+    .select('deviceId deviceName organizationId kiosk.binding')
+    .lean();
+  if (devices.length === 0) return 0;
+
+  const sessionIds = devices.map(device => device.kiosk.binding.sessionId);
+  const [organizations, sessions, lastReadings] = await Promise.all([
+    Organization.find({ _id: { $in: devices.map(device => device.organizationId) } }).select('kiosk').lean(),
+    RideSession.find({ sessionId: { $in: sessionIds } })
+      .select('sessionId userId deviceId status')
+      .lean(),
+    latestReadings(sessionIds)
+  ]);
+
+  let released = 0;
+  for (const device of devices) {
+    const { binding } = device.kiosk;
+    const session = sessions.find(candidate => candidate.sessionId === binding.sessionId) || null;
+    const settings = organizations.find(candidate => sameId(candidate._id, device.organizationId))?.kiosk || {};
+    const lastReadingAt = lastReadings.get(binding.sessionId);
+    const reason = bindingExpiry({ binding, session, lastReadingAt }, { idleMinutes: settings.idleMinutes || 10 }, now);
+    if (!reason) continue;
+
+    try {
+      if (reason !== 'ended') await endKioskRide(session, device.deviceName, reason, services);
+      await ESP32Device.updateOne(
+        { _id: device._id, 'kiosk.binding.sessionId': binding.sessionId },
+        { $unset: { 'kiosk.binding': 1 } }
+      );
+      released += 1;
+      logger.info('🔓 Kiosk bike released', { deviceId: device.deviceId, sessionId: binding.sessionId, reason });
+    } catch (error) {
+      logger.error('Failed to release kiosk bike:', { deviceId: device.deviceId, error: error.message });
+    }
+  }
+  return released;
+}
+
+/**
+ * End the ride on a checked-out bike and release it, e.g. when a member left
+ * without ending their ride. Admins only.
+ * @param {Object} [services] - { telemetryService, mqttIngestion }, see finishRide
+ */
+export async function releaseFleetDevice(userId, organizationId, deviceId, services = {}) {
+  const organization = await loadOrganization(organizationId, userId, { admin: true });
+  const device = await loadFleetDevice(organization, deviceId);
+  const binding = device.kiosk?.binding;
+  if (!binding?.userId) throw httpError('Bike is not checked out', 409);
+
+  const session = await RideSession.findOne({ sessionId: binding.sessionId, status: 'active' });
+  if (session) await endKioskRide(session, device.deviceName, 'admin', services);
+  await releaseSessionBinding(binding.sessionId);
+  return toFleetDevice(await loadFleetDevice(organization, deviceId));
+}
@@ -0,0 +1,300 @@
+/**
+ * Power Analytics Service
+ *
+ * Training-load metrics computed from a ride's power samples: Normalized
+ * Power, Variability Index, mechanical work, Intensity Factor and Training
+ * Stress Score. IF and TSS are relative to the rider's FTP
+ * (`User.profile.ftp`) and are left null until an FTP is set.
+ *
+ * Also builds mean-maximal power curves (best average watts over fixed
+ * durations) per ride, and the rolling all-time / 90-day curves kept on
+ * `User.powerProfile`.
+ */
+
+import { Telemetry, RideSession } from '../models/Telemetry.js';
+import User from '../models/User.js';
+import { calculateTimeInZones, updateFtpFromSession } from './trainingZonesService.js';
+import logger from '../utils/logger.js';
+
+// Normalized Power smooths power over a 30-second rolling window
+const NP_WINDOW_SECONDS = 30;
+
+// A sample holds its value for at most this long; longer gaps count as 0 W
+const MAX_SAMPLE_HOLD_SECONDS = 10;
+
+// Power curve durations in seconds (5s … 2h)
+export const POWER_CURVE_DURATIONS = [5, 10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 5400, 7200];
+
+const RECENT_CURVE_DAYS = 90;
+
+/**
+ * Resample irregular power samples onto a 1 Hz series.
+ * @param {Array<{time: Date|number|string, watts: number, hold?: number}>} samples -
+ *   `hold` is the seconds a sample covers, e.g. the resolution of a telemetry rollup
+ * @returns {number[]} watts for each second from the first to the last sample
+ */
+export function resamplePower(samples) {
+  const points = (samples || [])
+    .map(sample => ({
+      time: new Date(sample.time).getTime(),
+      watts: Number(sample.watts) || 0,
+      hold: Math.max(MAX_SAMPLE_HOLD_SECONDS, Number(sample.hold) || 0)
+    }))
+    .filter(sample => Number.isFinite(sample.time))
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length === 0) return [];
+
+  const start = points[0].time;
+  const seconds = Math.floor((points[points.length - 1].time - start) / 1000);
+  const series = new Array(seconds + 1).fill(0);
+
+  let index = 0;
+  for (let second = 0; second <= seconds; second++) {
+    const now = start + second * 1000;
+    while (index + 1 < points.length && points[index + 1].time <= now) {
+      index++;
+    }
+    const held = (now - points[index].time) / 1000;
+    series[second] = held <= points[index].hold ? Math.max(0, points[index].watts) : 0;
+  }
+
+  return series;
+}
+
+export function averagePower(series) {
+  if (!series.length) return 0;
+  return series.reduce((sum, watts) => sum + watts, 0) / series.length;
+}
+
+/**
+ * Normalized Power: fourth root of the mean of the fourth powers of the
+ * 30-second rolling average. Rides shorter than the window fall back to
+ * average power.
+ */
+export function normalizedPower(series) {
+  if (series.length < NP_WINDOW_SECONDS) return averagePower(series);
+
+  let windowSum = 0;
+  let fourthPowerSum = 0;
+  let windows = 0;
+
+  for (let i = 0; i < series.length; i++) {
+    windowSum += series[i];
+    if (i >= NP_WINDOW_SECONDS) windowSum -= series[i - NP_WINDOW_SECONDS];
+    if (i >= NP_WINDOW_SECONDS - 1) {
+      fourthPowerSum += Math.pow(windowSum / NP_WINDOW_SECONDS, 4);
+      windows++;
+    }
+  }
+
+  return Math.pow(fourthPowerSum / windows, 0.25);
+}
+
+export function variabilityIndex(np, avgPower) {
+  return avgPower > 0 ? np / avgPower : null;
+}
+
+// Work in kJ from a 1 Hz series (1 W for 1 s = 1 J)
+export function workKilojoules(series) {
+  return series.reduce((sum, watts) => sum + watts, 0) / 1000;
+}
+
+export function intensityFactor(np, ftp) {
+  return ftp > 0 ? np / ftp : null;
+}
+
+export function trainingStressScore(durationSeconds, np, ftp) {
+  if (!(ftp > 0)) return null;
+  const intensity = np / ftp;
+  return (durationSeconds * np * intensity) / (ftp * 3600) * 100;
+}
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Mean-maximal power: the best average watts over each duration.
+ * Durations longer than the ride are omitted.
+ * @param {number[]} series - 1 Hz watts (see resamplePower)
+ * @returns {Array<{duration: number, watts: number}>}
+ */
+export function calculatePowerCurve(series, durations = POWER_CURVE_DURATIONS) {
+  const curve = [];
+
+  for (const duration of durations) {
+    if (duration > series.length) break;
+
+    let windowSum = 0;
+    let best = 0;
+    for (let i = 0; i < series.length; i++) {
+      windowSum += series[i];
+      if (i >= duration) windowSum -= series[i - duration];
+      if (i >= duration - 1 && windowSum > best) best = windowSum;
+    }
+
+    curve.push({ duration, watts: round(best / duration, 1) });
+  }
+
+  return curve;
+}
+
+/**
+ * Combine curves into one, keeping the best effort for each duration.
+ * Entries keep whatever extra fields they carry (sessionId, date).
+ */
+export function mergePowerCurves(...curves) {
+  const best = new Map();
+
+  for (const entry of curves.flat()) {
+    if (!entry || !(entry.watts > 0)) continue;
+    const current = best.get(entry.duration);
+    if (!current || entry.watts > current.watts) {
+      best.set(entry.duration, entry);
+    }
+  }
+
+  return [...best.values()].sort((a, b) => a.duration - b.duration);
+}
+
+// Tag a ride's curve with where each effort came from
+const sessionCurveEntries = (session) => (session.powerCurve || []).map(point => ({
+  duration: point.duration,
+  watts: point.watts,
+  sessionId: session.sessionId,
+  date: session.startTime
+}));
+
+/**
+ * Compute all power metrics for one ride.
+ * @param {Array<{time, watts}>} samples - Power samples in any order
+ * @param {number} [ftp] - Rider FTP in watts
+ * @returns {Object|null} metrics, or null when the ride has no power data
+ */
+export function calculatePowerMetrics(samples, ftp) {
+  const series = resamplePower(samples);
+  if (series.length === 0 || series.every(watts => watts === 0)) return null;
+
+  const avg = averagePower(series);
+  const np = normalizedPower(series);
+
+  return {
+    normalizedPower: round(np, 1),
+    variabilityIndex: round(variabilityIndex(np, avg), 3),
+    workKj: round(workKilojoules(series), 1),
+    intensityFactor: round(intensityFactor(np, ftp), 3),
+    trainingStressScore: round(trainingStressScore(series.length, np, ftp), 1),
+    ftpUsed: ftp > 0 ? ftp : null,
+    powerCurve: calculatePowerCurve(series),
+    timeInZones: calculateTimeInZones(series, ftp)
+  };
+}
+
+/**
+ * Compute power metrics for a stored ride from its telemetry and persist
+ * them on the RideSession, then refresh the rider's power curves and FTP.
+ * IF/TSS use the FTP from before this ride.
+ * @param {Object|string} sessionOrId - RideSession document or sessionId
+ * @returns {Promise<Object|null>} metrics written (plus `ftpUpdate` when the
+ *   ride changed the rider's FTP), or null without power data
+ */
+export async function applySessionPowerMetrics(sessionOrId) {
+  const session = typeof sessionOrId === 'string'
+    ? await RideSession.findOne({ sessionId: sessionOrId })
+    : sessionOrId;
+  if (!session) return null;
+
+  const [telemetry, user] = await Promise.all([
+    Telemetry.getSessionData(session.sessionId),
+    User.findById(session.userId).select('profile.ftp')
+  ]);
+
+  const metrics = calculatePowerMetrics(
+    telemetry.map(point => ({ time: point.timestamp, watts: point.metrics?.watts, hold: point.resolution })),
+    user?.profile?.ftp
+  );
+  if (!metrics) return null;
+
+  Object.assign(session, metrics);
+  await session.save();
+  await updateUserPowerProfile(session.userId, session);
+  const ftpUpdate = await updateFtpFromSession(session);
+
+  logger.info('Power metrics calculated', {
+    sessionId: session.sessionId,
+    normalizedPower: metrics.normalizedPower,
+    trainingStressScore: metrics.trainingStressScore
+  });
+
+  return { ...metrics, ftpUpdate };
+}
+
+/**
+ * Refresh a user's rolling power curves. The 90-day curve is rebuilt from
+ * the stored ride curves so old efforts drop out; the all-time curve only
+ * ever improves, so it survives telemetry retention.
+ * @param {string} userId
+ * @param {Object} [session] - Ride just completed, which may be older than 90 days (imports)
+ * @returns {Promise<Object|null>} the updated powerProfile
+ */
+export async function updateUserPowerProfile(userId, session = null) {
+  const user = await User.findById(userId).select('powerProfile').lean();
+  if (!user) return null;
+
+  const since = new Date(Date.now() - RECENT_CURVE_DAYS * 24 * 60 * 60 * 1000);
+  const recentRides = await RideSession.find({
+    userId,
+    status: 'completed',
+    startTime: { $gte: since },
+    'powerCurve.0': { $exists: true }
+  }).select('sessionId startTime powerCurve');
+
+  const last90Days = mergePowerCurves(...recentRides.map(sessionCurveEntries));
+  const allTime = mergePowerCurves(
+    user.powerProfile?.allTime || [],
+    last90Days,
+    session ? sessionCurveEntries(session) : []
+  );
+
+  const powerProfile = { allTime, last90Days, updatedAt: new Date() };
+  await User.updateOne({ _id: userId }, { $set: { powerProfile } });
+
+  return powerProfile;
+}
+
+/**
+ * Get a user's power curves, rebuilding them when they are more than a day
+ * old so the 90-day window keeps rolling between rides.
+ */
+export async function getUserPowerCurves(userId) {
+  const user = await User.findById(userId).select('powerProfile').lean();
+  if (!user) return null;
+
+  const updatedAt = user.powerProfile?.updatedAt;
+  if (!updatedAt || Date.now() - new Date(updatedAt).getTime() > 24 * 60 * 60 * 1000) {
+    return updateUserPowerProfile(userId);
+  }
+
+  return user.powerProfile;
+}
+
+/**
+ * Aggregate power metrics over several rides, e.g. for analytics summaries.
+ * NP and IF are duration-weighted; TSS and work are summed.
+ */
+export function summarizePowerMetrics(sessions) {
+  const withPower = sessions.filter(s => s.normalizedPower > 0);
+  const weighted = (field) => {
+    const rides = withPower.filter(s => s[field] !== null && s[field] !== undefined);
+    const duration = rides.reduce((sum, s) => sum + (s.duration || 0), 0);
+    if (duration === 0) return null;
+    return rides.reduce((sum, s) => sum + s[field] * (s.duration || 0), 0) / duration;
+  };
+
+  return {
+    ridesWithPower: withPower.length,
+    totalTss: round(withPower.reduce((sum, s) => sum + (s.trainingStressScore || 0), 0), 1),
+    totalWorkKj: round(withPower.reduce((sum, s) => sum + (s.workKj || 0), 0), 1),
+    avgNormalizedPower: round(weighted('normalizedPower'), 1),
+    avgIntensityFactor: round(weighted('intensityFactor'), 3)
+  };
+}
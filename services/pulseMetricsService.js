@@ -0,0 +1,209 @@
+/**
+ * Pulse Metrics Service
+ *
+ * Derives speed, distance and cadence from the ESP32 wheel sensor. The device
+ * reports a cumulative pulse count per session (one pulse per wheel
+ * revolution); the delta between readings and the device's configured
+ * wheel circumference give the distance covered and the wheel RPM. Crank
+ * cadence is the wheel RPM divided by the gear ratio.
+ *
+ * Derived values take priority over the speed and distance the device reports,
+ * which drift on devices running stale firmware.
+ */
+
+import { Telemetry, ESP32Device } from '../models/Telemetry.js';
+import logger from '../utils/logger.js';
+
+// Defaults match ESP32Device.wheelCircumference and the firmware's gear ratio
+export const DEFAULT_WHEEL_CIRCUMFERENCE = 2.07; // meters
+export const DEFAULT_GEAR_RATIO = 4.33; // wheel revolutions per crank revolution
+
+// Readings further apart than this still add distance, but are too coarse for
+// an instantaneous speed or cadence
+const MAX_RATE_GAP_SECONDS = 10;
+
+// Reported values further than this from the derived ones are logged as drift
+const DISCREPANCY_TOLERANCE = 0.1;
+
+// Keep in line with the Telemetry.metrics schema limits
+const MAX_SPEED_KMH = 120;
+const MAX_CADENCE_RPM = 250;
+
+// Last pulse reading per session, so consecutive readings don't need a query
+const MAX_TRACKED_SESSIONS = 1000;
+const lastReadings = new Map();
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parse a cumulative pulse count from any ride data source.
+ * @returns {number|null} null when the reading has no pulse count
+ */
+export function normalizePulseCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = Math.floor(Number(value));
+  return Number.isFinite(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Speed, distance and cadence between two pulse readings.
+ * @param {{pulseCount, timestamp, distance}|null} previous - Last reading of the session, null for the first
+ * @param {{pulseCount, timestamp}} current
+ * @param {Object} [options]
+ * @param {number} [options.wheelCircumference] - meters
+ * @param {number} [options.gearRatio]
+ * @returns {{distance, speed, cadence, pulseDelta}} speed and cadence are null
+ *   when they can't be derived (first reading, stalled clock, long gap)
+ */
+export function derivePulseMetrics(previous, current, options = {}) {
+  const wheelCircumference = options.wheelCircumference > 0 ? options.wheelCircumference : DEFAULT_WHEEL_CIRCUMFERENCE;
+  const gearRatio = options.gearRatio > 0 ? options.gearRatio : DEFAULT_GEAR_RATIO;
+
+  if (!previous) {
+    // Counts are cumulative per session, so the first reading covers the ride so far
+    return {
+      distance: round(current.pulseCount * wheelCircumference / 1000, 3),
+      speed: null,
+      cadence: null,
+      pulseDelta: current.pulseCount
+    };
+  }
+
+  // A count lower than the last one means the device restarted its counter
+  const pulseDelta = current.pulseCount >= previous.pulseCount
+    ? current.pulseCount - previous.pulseCount
+    : current.pulseCount;
+  const distance = round((previous.distance || 0) + pulseDelta * wheelCircumference / 1000, 3);
+
+  const seconds = (new Date(current.timestamp) - new Date(previous.timestamp)) / 1000;
+  if (!(seconds > 0) || seconds > MAX_RATE_GAP_SECONDS) {
+    return { distance, speed: null, cadence: null, pulseDelta };
+  }
+
+  const wheelRpm = pulseDelta / seconds * 60;
+  return {
+    distance,
+    speed: round(Math.min(pulseDelta * wheelCircumference / seconds * 3.6, MAX_SPEED_KMH), 2),
+    cadence: Math.round(Math.min(wheelRpm / gearRatio, MAX_CADENCE_RPM)),
+    pulseDelta
+  };
+}
+
+/**
+ * Merge derived values over the reported ones.
+ * @returns {{metrics: Object, discrepancies: string[]}} names of the reported
+ *   fields that disagreed with the derived value
+ */
+export function reconcileMetrics(reported, derived) {
+  const metrics = { ...reported };
+  const discrepancies = [];
+
+  for (const field of ['speed', 'distance', 'cadence']) {
+    const value = derived[field];
+    if (value === null || value === undefined) continue;
+
+    const reportedValue = Number(reported[field]) || 0;
+    if (Math.abs(reportedValue - value) > Math.max(value, reportedValue) * DISCREPANCY_TOLERANCE) {
+      discrepancies.push(field);
+    }
+    metrics[field] = value;
+  }
+
+  return { metrics, discrepancies };
+}
+
+async function loadPreviousReading(sessionId) {
+  const last = await Telemetry.findOne({ sessionId, 'metrics.pulseCount': { $gt: 0 } })
+    .sort({ timestamp: -1 })
+    .select('metrics timestamp')
+    .lean();
+  if (!last) return null;
+
+  return {
+    pulseCount: last.metrics.pulseCount,
+    timestamp: last.timestamp,
+    distance: last.metrics.distance
+  };
+}
+
+/**
+ * Replace a reading's speed, distance and cadence with the values derived from
+ * its pulse count. Readings without a pulse count are returned unchanged.
+ * @param {Object} reading
+ * @param {string} reading.sessionId
+ * @param {string} reading.deviceId
+ * @param {Object} reading.metrics - Reported metrics including pulseCount
+ * @param {Date|string|number} [reading.timestamp]
+ * @param {number} [reading.wheelCircumference] - meters, looked up from the device when omitted
+ * @param {number} [reading.gearRatio]
+ * @returns {Promise<{metrics: Object, derived: boolean}>}
+ */
+export async function applyPulseDerivation({ sessionId, deviceId, metrics, timestamp, wheelCircumference, gearRatio }) {
+  const pulseCount = normalizePulseCount(metrics.pulseCount ?? metrics.pulse_count);
+  if (pulseCount === null || !sessionId) {
+    return { metrics, derived: false };
+  }
+
+  let state = lastReadings.get(sessionId);
+  if (!state) {
+    const [previous, device] = await Promise.all([
+      loadPreviousReading(sessionId),
+      wheelCircumference ? null : ESP32Device.findOne({ deviceId }).select('wheelCircumference').lean()
+    ]);
+    state = {
+      previous,
+      deviceId,
+      wheelCircumference: wheelCircumference || device?.wheelCircumference || DEFAULT_WHEEL_CIRCUMFERENCE
+    };
+  }
+
+  const current = { pulseCount, timestamp: timestamp ? new Date(timestamp) : new Date() };
+  const derived = derivePulseMetrics(state.previous, current, {
+    wheelCircumference: wheelCircumference || state.wheelCircumference,
+    gearRatio
+  });
+  const { metrics: reconciled, discrepancies } = reconcileMetrics(metrics, derived);
+  reconciled.pulseCount = pulseCount;
+
+  if (discrepancies.length > 0) {
+    logger.debug('Device-reported metrics differ from pulse-derived values', {
+      sessionId,
+      deviceId,
+      fields: discrepancies,
+      reported: { speed: metrics.speed, distance: metrics.distance, cadence: metrics.cadence },
+      derived: { speed: derived.speed, distance: derived.distance, cadence: derived.cadence }
+    });
+  }
+
+  // Re-insert so the least recently updated session is evicted first
+  lastReadings.delete(sessionId);
+  lastReadings.set(sessionId, {
+    ...state,
+    previous: { ...current, distance: derived.distance }
+  });
+  if (lastReadings.size > MAX_TRACKED_SESSIONS) {
+    lastReadings.delete(lastReadings.keys().next().value);
+  }
+
+  return { metrics: reconciled, derived: true };
+}
+
+/**
+ * Forget a session's last pulse reading once it ends.
+ */
+export function clearPulseState(sessionId) {
+  lastReadings.delete(sessionId);
+}
+
+/**
+ * Forget the last pulse reading of a device's rides when its wheel size
+ * changes, so the next reading loads the new size.
+ */
+export function clearDevicePulseState(deviceId) {
+  for (const [sessionId, state] of lastReadings) {
+    if (state.deviceId === deviceId) lastReadings.delete(sessionId);
+  }
+}
@@ -1,13 +1,23 @@
 import { WebSocketServer } from 'ws';
+import jwt from 'jsonwebtoken';
 // import { createClient } from 'redis'; // Temporarily disabled
 import { Telemetry, RideSession, ESP32Device } from '../models/Telemetry.js';
 import logger from '../utils/logger.js';
+import { normalizeHeartRate } from './trainingZonesService.js';
+import { applyPulseDerivation } from './pulseMetricsService.js';
+import { applyQualityFilter } from './telemetryQualityService.js';
+import { estimateBatteryLevel, recordBatteryReading } from './batteryService.js';
+import { resolveShareToken, toSpectatorMessage } from './rideShareService.js';
+import { RideReplay, REPLAY_SPEEDS } from './rideReplayService.js';
+import { deviceAccessFilter } from './householdService.js';
+import { httpError } from '../utils/httpError.js';
 
 class RealTimeTelemetryService {
   constructor() {
     this.wss = null;
     this.redisClient = null; // Will be null when Redis is disabled
     this.subscribers = new Map();
+    this.spectators = new Map(); // sessionId -> sockets following it through a share link
     this.activeDevices = new Set();
     this.telemetryBuffer = new Map();
     this.bufferFlushInterval = 5000; // 5 seconds
@@ -69,20 +79,58 @@ class RealTimeTelemetryService {
     }
   }
 
-  verifyClient(info) {
-    // TODO: Implement JWT token verification from WebSocket headers
-    const token = info.req.headers.authorization || info.req.url.split('token=')[1];
+  async verifyClient(info, done) {
+    // Spectators connect with ?share=<token>; the link is resolved before the
+    // socket opens so an invalid or expired one never gets a connection
+    const shareToken = this.getShareToken(info.req);
+    if (shareToken) {
+      try {
+        info.req.share = await resolveShareToken(shareToken);
+        return done(true);
+      } catch (error) {
+        if (!error.status || error.status >= 500) {
+          logger.error('Spectator connection error:', error);
+          return done(false, 500, 'Failed to follow ride');
+        }
+        logger.warn(`WebSocket spectator rejected: ${error.message}`);
+        return done(false, error.status, error.message);
+      }
+    }
+
+    // Riders connect with their JWT as a Bearer header or ?token=<jwt>
+    const token = info.req.headers.authorization?.split(' ')[1] || this.getQueryParam(info.req, 'token');
     if (!token) {
       logger.warn('WebSocket connection rejected: No token provided');
-      return false;
+      return done(false, 401, 'No token provided');
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      info.req.userId = decoded.userId;
+      done(true);
+    } catch (error) {
+      logger.warn(`WebSocket connection rejected: ${error.message}`);
+      done(false, 403, 'Invalid or expired token');
+    }
+  }
+
+  getShareToken(req) {
+    return this.getQueryParam(req, 'share');
+  }
+
+  getQueryParam(req, name) {
+    try {
+      return new URL(req.url, 'http://localhost').searchParams.get(name);
+    } catch {
+      return null;
     }
-    return true; // For now, allow all connections with tokens
   }
 
   setupWebSocketHandlers() {
     this.wss.on('connection', (ws, req) => {
       const clientId = this.generateClientId();
       ws.clientId = clientId;
+      ws.userId = req.userId; // set by verifyClient from the rider's token
       ws.isAlive = true;
       
       logger.info(`WebSocket client connected: ${clientId}`);
@@ -120,6 +168,11 @@ class RealTimeTelemetryService {
         timestamp: new Date().toISOString(),
         message: 'Connected to real-time telemetry service'
       }));
+
+      // Share-link sockets are spectators from the start, verified in verifyClient
+      if (req.share) {
+        this.addSpectator(ws, req.share);
+      }
     });
 
     // Heartbeat to detect broken connections
@@ -139,6 +192,15 @@ class RealTimeTelemetryService {
   }
 
   async handleWebSocketMessage(ws, data) {
+    // Spectators can only follow the ride they were invited to
+    if (ws.isSpectator && data.type !== 'ping') {
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Spectators can only receive ride updates'
+      }));
+      return;
+    }
+
     switch (data.type) {
       case 'subscribe':
         await this.handleSubscription(ws, data);
@@ -146,8 +208,17 @@ class RealTimeTelemetryService {
       case 'unsubscribe':
         await this.handleUnsubscription(ws, data);
         break;
+      case 'spectate':
+        await this.handleSpectate(ws, data);
+        break;
+      case 'replay':
+        await this.handleReplay(ws, data);
+        break;
+      case 'replay_control':
+        this.handleReplayControl(ws, data);
+        break;
       case 'telemetry':
-        await this.processTelemetryData(data);
+        await this.handleTelemetry(ws, data);
         break;
       case 'ping':
         ws.send(JSON.stringify({ 
@@ -163,14 +234,38 @@ class RealTimeTelemetryService {
     }
   }
 
+  /**
+   * A reading sent over the socket by the connected rider. It is stored for
+   * them only on a device they ride, and only into their own active ride.
+   */
+  async handleTelemetry(ws, data) {
+    const { deviceId, sessionId } = data;
+
+    const [device, session] = await Promise.all([
+      ESP32Device.exists({ deviceId, ...deviceAccessFilter(ws.userId) }),
+      sessionId
+        ? RideSession.exists({ sessionId, userId: ws.userId, deviceId, status: 'active' })
+        : null
+    ]);
+    if (!device || (sessionId && !session)) {
+      ws.send(JSON.stringify({
+        type: 'telemetry_error',
+        message: device ? 'Session not found or access denied' : 'Device not found or access denied'
+      }));
+      return;
+    }
+
+    await this.processTelemetryData(data, ws.userId);
+  }
+
   async handleSubscription(ws, data) {
-    const { deviceId, sessionId, userId } = data;
+    const { deviceId, sessionId } = data;
     
     try {
       // Verify user has access to this device
       const device = await ESP32Device.findOne({ 
         deviceId, 
-        userId: userId || ws.userId 
+        userId: ws.userId 
       });
       
       if (!device) {
@@ -214,6 +309,187 @@ class RealTimeTelemetryService {
     }
   }
 
+  async handleSpectate(ws, data) {
+    try {
+      const share = await resolveShareToken(data.shareToken);
+      this.addSpectator(ws, share);
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        logger.error('Spectate error:', error);
+      }
+      ws.send(JSON.stringify({
+        type: 'spectate_error',
+        message: error.status && error.status < 500 ? error.message : 'Failed to follow ride'
+      }));
+    }
+  }
+
+  /**
+   * Make a socket a spectator of a share link's ride. Spectators only receive
+   * the ride's readings; see handleWebSocketMessage.
+   */
+  addSpectator(ws, share) {
+    ws.isSpectator = true;
+    ws.share = {
+      shareId: share._id.toString(),
+      sessionId: share.sessionId,
+      fuzzLocation: share.fuzzLocation,
+      expiresAt: share.expiresAt
+    };
+    if (!this.spectators.has(share.sessionId)) {
+      this.spectators.set(share.sessionId, new Set());
+    }
+    this.spectators.get(share.sessionId).add(ws);
+
+    ws.send(JSON.stringify({
+      type: 'spectate_success',
+      sessionId: share.sessionId,
+      fuzzLocation: share.fuzzLocation,
+      expiresAt: share.expiresAt,
+      timestamp: new Date().toISOString()
+    }));
+
+    logger.info(`Client ${ws.clientId} is spectating session ${share.sessionId}`);
+  }
+
+  /**
+   * Disconnect spectators of a session, or of one share link of it.
+   * @param {Object} filter - { sessionId } or { shareId }
+   * @param {string} reason - 'ride_ended', 'revoked' or 'expired'
+   */
+  closeSpectators({ sessionId, shareId }, reason) {
+    for (const [key, spectators] of this.spectators.entries()) {
+      if (sessionId && key !== sessionId) continue;
+
+      for (const ws of spectators) {
+        if (shareId && ws.share?.shareId !== shareId.toString()) continue;
+
+        spectators.delete(ws);
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ type: 'spectate_ended', sessionId: key, reason }));
+          ws.close(1000, reason);
+        }
+      }
+      if (spectators.size === 0) {
+        this.spectators.delete(key);
+      }
+    }
+  }
+
+  async handleReplay(ws, data) {
+    const { sessionId } = data;
+    const speed = data.speed === undefined ? 1 : Number(data.speed);
+
+    try {
+      if (!REPLAY_SPEEDS.includes(speed)) {
+        throw httpError(`Replay speed must be one of: ${REPLAY_SPEEDS.join(', ')}`);
+      }
+
+      // Verify user has access to this session
+      const session = await RideSession.findOne({
+        sessionId,
+        userId: ws.userId,
+        status: 'completed'
+      }).select('sessionId deviceId startTime').lean();
+      if (!session) {
+        throw httpError('Finished session not found or access denied', 404);
+      }
+
+      const points = await Telemetry.getSessionData(sessionId);
+      if (points.length === 0) {
+        throw httpError('Session has no telemetry to replay', 404);
+      }
+
+      // One replay per client; a new one replaces the old
+      ws.replay?.stop();
+      const replay = new RideReplay(points, {
+        speed,
+        onPoint: (point) => {
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(this.toTelemetryMessage(session.deviceId, point)));
+          }
+        },
+        onEnd: () => {
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type: 'replay_complete', sessionId, ...replay.status() }));
+          }
+        }
+      });
+      ws.replay = replay;
+      ws.replaySessionId = sessionId;
+
+      ws.send(JSON.stringify({
+        type: 'replay_started',
+        sessionId,
+        deviceId: session.deviceId,
+        points: points.length,
+        ...replay.status(),
+        timestamp: new Date().toISOString()
+      }));
+      replay.start(data.position);
+
+      logger.info(`Client ${ws.clientId} is replaying session ${sessionId} at ${speed}x`);
+    } catch (error) {
+      if (!error.status) {
+        logger.error('Replay error:', error);
+      }
+      ws.send(JSON.stringify({
+        type: 'replay_error',
+        message: error.status ? error.message : 'Failed to start replay'
+      }));
+    }
+  }
+
+  handleReplayControl(ws, data) {
+    const replay = ws.replay;
+    if (!replay) {
+      ws.send(JSON.stringify({
+        type: 'replay_error',
+        message: 'No replay in progress'
+      }));
+      return;
+    }
+
+    switch (data.action) {
+      case 'pause':
+        replay.pause();
+        break;
+      case 'resume':
+        replay.resume();
+        break;
+      case 'seek':
+        replay.seek(data.position);
+        break;
+      case 'speed':
+        if (!REPLAY_SPEEDS.includes(Number(data.speed))) {
+          ws.send(JSON.stringify({
+            type: 'replay_error',
+            message: `Replay speed must be one of: ${REPLAY_SPEEDS.join(', ')}`
+          }));
+          return;
+        }
+        replay.setSpeed(Number(data.speed));
+        break;
+      case 'stop':
+        replay.stop();
+        ws.replay = null;
+        break;
+      default:
+        ws.send(JSON.stringify({
+          type: 'replay_error',
+          message: `Unknown replay action: ${data.action}`
+        }));
+        return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'replay_status',
+      sessionId: ws.replaySessionId,
+      action: data.action,
+      ...replay.status()
+    }));
+  }
+
   async handleUnsubscription(ws, data) {
     const { deviceId, sessionId } = data;
     const subscriptionKey = `${deviceId}:${sessionId || 'live'}`;
@@ -242,7 +518,12 @@ class RealTimeTelemetryService {
     }));
   }
 
-  async processTelemetryData(data) {
+  /**
+   * Store and publish one reading.
+   * @param {Object} data - the reading as the device sent it
+   * @param {ObjectId} [userId] - the rider it is for, resolved by the caller; never taken from data
+   */
+  async processTelemetryData(data, userId) {
     try {
       const { deviceId, sessionId, metrics, battery, timestamp } = data;
 
@@ -251,24 +532,52 @@ class RealTimeTelemetryService {
         throw new Error('Missing required fields: deviceId, metrics');
       }
 
-      // Create telemetry document
-      const telemetryData = {
+      const effectiveSessionId = sessionId || `auto_${Date.now()}`;
+      const readingTime = timestamp ? new Date(timestamp) : new Date();
+
+      // Speed, distance and cadence from wheel sensor pulses override the reported values
+      const { metrics: rideMetrics } = await applyPulseDerivation({
+        sessionId: effectiveSessionId,
         deviceId,
-        sessionId: sessionId || `auto_${Date.now()}`,
         metrics: {
           speed: parseFloat(metrics.speed) || 0,
           distance: parseFloat(metrics.distance) || 0,
+          cadence: parseFloat(metrics.cadence) || 0,
+          pulseCount: metrics.pulseCount ?? metrics.pulse_count
+        },
+        timestamp: readingTime,
+        gearRatio: parseFloat(metrics.gearRatio ?? metrics.gear_ratio) || undefined
+      });
+
+      // Physically impossible readings are flagged and replaced before anyone sees them
+      const { metrics: cleanMetrics, quality } = await applyQualityFilter({
+        sessionId: effectiveSessionId,
+        metrics: { ...rideMetrics, watts: parseFloat(metrics.watts) || 0 },
+        timestamp: readingTime
+      });
+
+      // Create telemetry document
+      const telemetryData = {
+        ...(userId && { userId }),
+        deviceId,
+        sessionId: effectiveSessionId,
+        metrics: {
+          speed: cleanMetrics.speed,
+          distance: cleanMetrics.distance,
+          cadence: cleanMetrics.cadence,
           sessionTime: parseInt(metrics.sessionTime) || 0,
-          watts: parseFloat(metrics.watts) || 0,
-          pulseCount: parseInt(metrics.pulseCount) || 0
+          watts: cleanMetrics.watts,
+          pulseCount: cleanMetrics.pulseCount || 0,
+          heartRate: normalizeHeartRate(metrics.heartRate ?? metrics.heart_rate)
         },
         battery: {
           voltage: parseFloat(battery?.voltage) || 0,
-          level: parseInt(battery?.level) || 0
+          level: parseInt(battery?.level) || estimateBatteryLevel(battery?.voltage) || 0
         },
         workoutActive: data.workoutActive || false,
+        quality,
         rawData: data.rawData || data,
-        timestamp: timestamp ? new Date(timestamp) : new Date()
+        timestamp: readingTime
       };
 
       // Add to buffer for batch processing
@@ -279,6 +588,11 @@ class RealTimeTelemetryService {
 
       // Update device status
       this.activeDevices.add(deviceId);
+      try {
+        await recordBatteryReading({ deviceId, ...telemetryData.battery });
+      } catch (batteryError) {
+        logger.warn('⚠️ Failed to record battery reading (non-critical)', { error: batteryError.message });
+      }
 
       logger.debug(`Processed telemetry for device ${deviceId}`);
     } catch (error) {
@@ -341,18 +655,13 @@ class RealTimeTelemetryService {
         }
       }
 
+      const liveMessage = this.toTelemetryMessage(deviceId, data);
+
       // Broadcast to WebSocket subscribers
       const subscriptionKey = `${deviceId}:live`;
       if (this.subscribers.has(subscriptionKey)) {
         const subscribers = this.subscribers.get(subscriptionKey);
-        const payload = JSON.stringify({
-          type: 'telemetry_data',
-          deviceId,
-          data: data.metrics,
-          battery: data.battery,
-          workoutActive: data.workoutActive,
-          timestamp: data.timestamp
-        });
+        const payload = JSON.stringify(liveMessage);
 
         subscribers.forEach(ws => {
           if (ws.readyState === ws.OPEN) {
@@ -360,12 +669,42 @@ class RealTimeTelemetryService {
           }
         });
       }
+
+      // And to spectators following the ride through a share link
+      const spectators = data.sessionId && this.spectators.get(data.sessionId);
+      if (spectators) {
+        const now = new Date();
+        for (const ws of spectators) {
+          if (new Date(ws.share.expiresAt) <= now) {
+            this.closeSpectators({ shareId: ws.share.shareId }, 'expired');
+          } else if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(toSpectatorMessage(liveMessage, ws.share)));
+          }
+        }
+      }
     } catch (error) {
       logger.error('Error publishing telemetry:', error);
     }
   }
 
+  // telemetry_data message for a stored or live reading, shared by live and replay
+  toTelemetryMessage(deviceId, data) {
+    const [lng, lat] = data.coordinates?.coordinates || [];
+    return {
+      type: 'telemetry_data',
+      deviceId,
+      sessionId: data.sessionId,
+      data: data.metrics,
+      battery: data.battery,
+      location: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+      workoutActive: data.workoutActive,
+      timestamp: data.timestamp
+    };
+  }
+
   handleClientDisconnect(ws) {
+    ws.replay?.stop();
+
     // Remove client from all subscriptions
     for (const [key, subscribers] of this.subscribers.entries()) {
       subscribers.delete(ws);
@@ -373,6 +712,13 @@ class RealTimeTelemetryService {
         this.subscribers.delete(key);
       }
     }
+    if (ws.share) {
+      const spectators = this.spectators.get(ws.share.sessionId);
+      spectators?.delete(ws);
+      if (spectators?.size === 0) {
+        this.spectators.delete(ws.share.sessionId);
+      }
+    }
   }
 
   generateClientId() {
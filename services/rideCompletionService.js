@@ -0,0 +1,148 @@
+/**
+ * Ride Completion Service
+ *
+ * Everything that happens when a ride ends, whether the rider ended it
+ * (/session/end) or it was ended for them (a kiosk bike timing out or released
+ * by an organization admin): moving time, laps, training load, calories,
+ * energy, workout compliance, battery health and the plan session.
+ */
+
+import { RideSession } from '../models/Telemetry.js';
+import User from '../models/User.js';
+import SessionTrackerService from './session_tracker_service.js';
+import { estimateSessionCalories } from './calorieService.js';
+import { applySessionPowerMetrics } from './powerAnalyticsService.js';
+import { applySessionHeartRateMetrics } from './trainingZonesService.js';
+import { clearPulseState } from './pulseMetricsService.js';
+import { clearQualityState } from './telemetryQualityService.js';
+import { applySessionBattery, updateDeviceBatteryHealth, clearBatteryState } from './batteryService.js';
+import { applySessionEnergy, awardEnergyAchievements, toEnergySummary } from './energyService.js';
+import { applySessionMovingTime } from './movingTimeService.js';
+import { recomputeSessionAggregates } from './telemetrySyncService.js';
+import { finishLaps } from './lapService.js';
+import { applyWorkoutCompliance } from './workoutService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * End a ride and work out its results. Only completing the session can fail;
+ * every later step is logged and skipped when it fails. A ride that is no
+ * longer active is left as it is, so its results are only counted once.
+ * @param {Object} session - the RideSession to end
+ * @param {Object} [options]
+ * @param {Object} [options.finalMetrics] - the app's totals; without them totals come from the stored readings
+ * @param {Object} [options.telemetryService] - RealTimeTelemetryService, to disconnect the ride's spectators
+ * @param {Object} [options.mqttIngestion] - MqttIngestionService, to forget the device's ride
+ * @returns {Promise<{session: Object, movingTime: number, ftpUpdate: Object|null, energy: Object|null}|null>}
+ *   null when the ride had already ended
+ */
+export async function finishRide(session, { finalMetrics, telemetryService, mqttIngestion } = {}) {
+  const { sessionId } = session;
+
+  if (!await RideSession.completeSession(sessionId, finalMetrics)) return null;
+  clearPulseState(sessionId);
+  clearQualityState(sessionId);
+  clearBatteryState(sessionId);
+  telemetryService?.closeSpectators({ sessionId }, 'ride_ended');
+  mqttIngestion?.clearDevice(session.deviceId);
+
+  // Get updated session with final metrics
+  const completedSession = await RideSession.findOne({ sessionId });
+
+  // Rides ended without the app's totals are summed from what was stored
+  if (!finalMetrics) {
+    try {
+      await recomputeSessionAggregates(completedSession);
+    } catch (aggregateError) {
+      logger.warn('⚠️ Failed to total ride readings (non-critical)', { sessionId, error: aggregateError.message });
+    }
+  }
+
+  // Paused intervals and moving time from the stored readings; falls back to elapsed time
+  try {
+    await applySessionMovingTime(completedSession);
+  } catch (movingTimeError) {
+    logger.warn('⚠️ Failed to calculate moving time (non-critical)', { error: movingTimeError.message });
+  }
+  const movingTime = completedSession.movingTime || completedSession.duration || 0;
+
+  // Closes the last, partial lap so a lapped ride's laps cover all of it
+  try {
+    if (await finishLaps(completedSession)) {
+      await completedSession.save();
+    }
+  } catch (lapError) {
+    logger.warn('⚠️ Failed to close the final lap (non-critical)', { error: lapError.message });
+  }
+
+  // Training load (NP/IF/TSS), power and heart rate zones, and FTP from the ride's samples
+  let ftpUpdate = null;
+  try {
+    const powerMetrics = await applySessionPowerMetrics(completedSession);
+    ftpUpdate = powerMetrics?.ftpUpdate || null;
+    await applySessionHeartRateMetrics(completedSession);
+
+    // Heart rate or time in zones give a better calorie estimate than the app's intensity guess
+    const rider = await User.findById(completedSession.userId).select('profile');
+    const calories = estimateSessionCalories(completedSession, rider?.profile);
+    if (calories !== null) {
+      completedSession.totalCalories = calories;
+      await completedSession.save();
+    }
+  } catch (powerError) {
+    logger.warn('⚠️ Failed to calculate power metrics (non-critical)', { error: powerError.message });
+  }
+
+  // Energy generated counts into lifetime totals, energy badges and quests once per ride
+  let energy = null;
+  try {
+    const generated = await applySessionEnergy(completedSession);
+    if (generated) {
+      energy = { ...toEnergySummary(generated.energyWh), badges: [], quests: [] };
+      if (generated.energyWh > 0) {
+        const achievements = await awardEnergyAchievements(completedSession.userId, {
+          rideWh: generated.energyWh,
+          lifetimeWh: generated.lifetimeWh
+        });
+        energy = { ...energy, lifetimeWh: generated.lifetimeWh, ...achievements };
+      }
+    }
+  } catch (energyError) {
+    logger.warn('⚠️ Failed to record energy generated (non-critical)', { error: energyError.message });
+  }
+
+  // How closely a structured workout's step targets were held
+  try {
+    if (await applyWorkoutCompliance(completedSession)) {
+      await completedSession.save();
+    }
+  } catch (complianceError) {
+    logger.warn('⚠️ Failed to score workout compliance (non-critical)', { error: complianceError.message });
+  }
+
+  // Battery drain over the ride feeds the device's battery health
+  try {
+    if (await applySessionBattery(completedSession)) {
+      await completedSession.save();
+      await updateDeviceBatteryHealth(completedSession.deviceId);
+    }
+  } catch (batteryError) {
+    logger.warn('⚠️ Failed to summarize ride battery (non-critical)', { error: batteryError.message });
+  }
+
+  // Link the ride with the rider's plan session for the day
+  try {
+    await SessionTrackerService.completeSession(completedSession.userId, {
+      sessionId,
+      finalCalories: completedSession.totalCalories || 0,
+      finalHours: movingTime / 3600, // Plan hours only count time spent moving
+      finalDistance: completedSession.totalDistance || 0,
+      dataQuality: completedSession.dataQuality
+    });
+    logger.info('✅ Linked ESP32 session to cycling plan', { sessionId });
+  } catch (linkError) {
+    // The ride is still saved when linking fails
+    logger.warn('⚠️ Failed to link ESP32 session to plan (non-critical)', { error: linkError.message });
+  }
+
+  return { session: completedSession, movingTime, ftpUpdate, energy };
+}
@@ -0,0 +1,164 @@
+/**
+ * Ride Replay Service
+ *
+ * Plays a finished ride's stored telemetry back in real time or faster. The
+ * WebSocket layer (RealTimeTelemetryService) sends each point in the live
+ * telemetry_data format, so the app can review past rides in its live-ride UI.
+ */
+
+export const REPLAY_SPEEDS = [1, 4, 16];
+
+// Long gaps (dropouts, rides resumed after a break) are shortened to this, in
+// ride time, so a replay never sits silent for minutes
+export const MAX_REPLAY_GAP_MS = 5000;
+
+const timeOf = (point) => new Date(point.timestamp).getTime();
+
+/**
+ * Index of the first point at or after a position in the ride.
+ * @param {Array<Object>} points - Sorted by timestamp
+ * @param {number} position - seconds from the first point
+ * @returns {number} an index, or points.length past the end
+ */
+export function findReplayIndex(points, position) {
+  if (points.length === 0) return 0;
+  const target = timeOf(points[0]) + Math.max(0, Number(position) || 0) * 1000;
+  const index = points.findIndex(point => timeOf(point) >= target);
+  return index === -1 ? points.length : index;
+}
+
+/**
+ * Wall-clock milliseconds to wait between two consecutive points.
+ */
+export function replayDelay(current, next, speed = 1) {
+  const gap = Math.min(Math.max(0, timeOf(next) - timeOf(current)), MAX_REPLAY_GAP_MS);
+  return Math.round(gap / speed);
+}
+
+/**
+ * Playback of one ride for one client.
+ */
+export class RideReplay {
+  /**
+   * @param {Array<Object>} points - The ride's telemetry, sorted by timestamp
+   * @param {Object} options
+   * @param {number} [options.speed] - one of REPLAY_SPEEDS
+   * @param {Function} options.onPoint - called with each point as it is played
+   * @param {Function} [options.onEnd] - called once the last point has been played
+   */
+  constructor(points, { speed = 1, onPoint, onEnd }) {
+    this.points = points;
+    this.speed = speed;
+    this.onPoint = onPoint;
+    this.onEnd = onEnd;
+    this.index = 0; // next point to play
+    this.paused = false;
+    this.finished = false;
+    this.timer = null;
+  }
+
+  get duration() {
+    if (this.points.length === 0) return 0;
+    return (timeOf(this.points[this.points.length - 1]) - timeOf(this.points[0])) / 1000;
+  }
+
+  // Seconds into the ride of the last point played
+  get position() {
+    if (this.index === 0) return 0;
+    return (timeOf(this.points[this.index - 1]) - timeOf(this.points[0])) / 1000;
+  }
+
+  start(position = 0) {
+    this.seek(position);
+  }
+
+  pause() {
+    this.paused = true;
+    this.clearTimer();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.index === 0) {
+      this.playNext();
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Jump to a position and play the point there, so the client's view updates
+   * even while paused.
+   */
+  seek(position) {
+    this.clearTimer();
+    this.index = findReplayIndex(this.points, position);
+    this.finished = false;
+    this.playNext(!this.paused);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (!this.paused && this.timer) {
+      this.clearTimer();
+      this.scheduleNext();
+    }
+  }
+
+  stop() {
+    this.clearTimer();
+    this.paused = true;
+  }
+
+  status() {
+    return {
+      position: this.position,
+      duration: this.duration,
+      speed: this.speed,
+      paused: this.paused,
+      finished: this.finished
+    };
+  }
+
+  playNext(continuePlaying = true) {
+    this.timer = null;
+    if (this.index >= this.points.length) {
+      this.finish();
+      return;
+    }
+
+    this.onPoint(this.points[this.index]);
+    this.index++;
+
+    if (this.index >= this.points.length) {
+      this.finish();
+    } else if (continuePlaying) {
+      this.scheduleNext();
+    }
+  }
+
+  scheduleNext() {
+    if (this.index >= this.points.length) {
+      this.finish();
+      return;
+    }
+    const delay = this.index > 0
+      ? replayDelay(this.points[this.index - 1], this.points[this.index], this.speed)
+      : 0;
+    this.timer = setTimeout(() => this.playNext(), delay);
+  }
+
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.onEnd?.();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Ride Share Service
+ *
+ * Spectator links for live rides. A rider creates a time-limited share token
+ * for an active RideSession; anyone holding it can follow the ride's live
+ * telemetry over the /ws/telemetry WebSocket without an account. With location
+ * fuzzing on, spectators get the rider's position snapped to a ~1 km grid.
+ */
+
+import crypto from 'crypto';
+import RideShare from '../models/RideShare.js';
+import { RideSession } from '../models/Telemetry.js';
+import { httpError } from '../utils/httpError.js';
+
+export const DEFAULT_SHARE_MINUTES = 4 * 60;
+export const MAX_SHARE_MINUTES = 24 * 60;
+
+// Grid cell for fuzzed positions, about 1.1 km of latitude. Snapping rather
+// than random jitter, so averaging many points can't recover the exact position
+export const FUZZ_GRID_DEGREES = 0.01;
+
+export const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const toShareSummary = (share) => ({
+  shareId: share._id,
+  sessionId: share.sessionId,
+  fuzzLocation: share.fuzzLocation,
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  createdAt: share.createdAt
+});
+
+/**
+ * Create a spectator link for one of the rider's active rides.
+ * @param {ObjectId} userId
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.expiresInMinutes] - 1 to MAX_SHARE_MINUTES
+ * @param {boolean} [options.fuzzLocation]
+ * @returns {Promise<Object>} the share, including the token (only returned here)
+ */
+export async function createRideShare(userId, sessionId, { expiresInMinutes, fuzzLocation = false } = {}) {
+  const minutes = expiresInMinutes === undefined ? DEFAULT_SHARE_MINUTES : Number(expiresInMinutes);
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_SHARE_MINUTES) {
+    throw httpError(`Share links can last 1 to ${MAX_SHARE_MINUTES} minutes`);
+  }
+
+  const session = await RideSession.findOne({ sessionId, userId }).select('sessionId deviceId status').lean();
+  if (!session) throw httpError('Session not found', 404);
+  if (session.status !== 'active') throw httpError('Only active rides can be shared', 409);
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const share = await RideShare.create({
+    userId,
+    sessionId,
+    deviceId: session.deviceId,
+    tokenHash: hashShareToken(token),
+    fuzzLocation: !!fuzzLocation,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  return { ...toShareSummary(share), token };
+}
+
+/**
+ * Look up the live share a token grants access to.
+ * @returns {Promise<Object>} the RideShare
+ */
+export async function resolveShareToken(token) {
+  if (!token) throw httpError('Share token is required', 401);
+
+  const share = await RideShare.findOne({
+    tokenHash: hashShareToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (!share) throw httpError('Share link is invalid or has expired', 404);
+
+  const session = await RideSession.findOne({ sessionId: share.sessionId }).select('status').lean();
+  if (session?.status !== 'active') throw httpError('This ride has ended', 410);
+
+  return share;
+}
+
+/**
+ * The rider's share links for a session, newest first.
+ */
+export async function listRideShares(userId, sessionId) {
+  const shares = await RideShare.find({ userId, sessionId }).sort({ createdAt: -1 }).lean();
+  return shares.map(toShareSummary);
+}
+
+/**
+ * Revoke a share link. The caller disconnects its spectators.
+ * @returns {Promise<Object>} the revoked share
+ */
+export async function revokeRideShare(userId, shareId) {
+  if (!shareId?.match(/^[0-9a-fA-F]{24}$/)) throw httpError('Share not found', 404);
+
+  const share = await RideShare.findOneAndUpdate(
+    { _id: shareId, userId },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!share) throw httpError('Share not found', 404);
+
+  return toShareSummary(share);
+}
+
+/**
+ * Snap a position to the fuzzing grid.
+ * @param {{lat: number, lng: number}} location
+ * @returns {{lat: number, lng: number}}
+ */
+export function fuzzLocation(location) {
+  const snap = (value) => Math.round(Math.round(value / FUZZ_GRID_DEGREES) * FUZZ_GRID_DEGREES * 1e6) / 1e6;
+  return { lat: snap(location.lat), lng: snap(location.lng) };
+}
+
+/**
+ * A live telemetry message as a spectator of a share may see it: the position
+ * is fuzzed when the rider asked for it, and device battery details are left out.
+ * @param {Object} message - telemetry_data message sent to the rider's own subscribers
+ * @param {{fuzzLocation: boolean}} share
+ * @returns {Object}
+ */
+export function toSpectatorMessage(message, share) {
+  const { battery, ...spectatorMessage } = message;
+  if (spectatorMessage.location && share.fuzzLocation) {
+    spectatorMessage.location = fuzzLocation(spectatorMessage.location);
+  }
+  return spectatorMessage;
+}
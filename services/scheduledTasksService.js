@@ -1,6 +1,8 @@
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
 import NotificationService from './notificationService.js';
+import { runTelemetryRetention } from './telemetryRetentionService.js';
+import { releaseExpiredBindings } from './organizationService.js';
 import mongoose from 'mongoose';
 // Import models to ensure they are registered
 import '../models/CyclingPlan.js';
@@ -13,15 +15,18 @@ import '../models/User.js';
 class ScheduledTasksService {
   static isInitialized = false;
   static cronJobs = new Map();
+  static liveServices = {};
 
   /**
    * Initialize all scheduled tasks
+   * @param {Object} [liveServices] - { telemetryService, mqttIngestion }, told about rides the jobs end
    */
-  static async initialize() {
+  static async initialize(liveServices = {}) {
     if (this.isInitialized) {
       logger.warn(' Scheduled tasks already initialized');
       return;
     }
+    this.liveServices = liveServices;
 
     logger.info('🕐 Initializing scheduled tasks for real-time notifications...');
 
@@ -80,6 +85,23 @@ class ScheduledTasksService {
         timezone: 'Asia/Manila'
       });
 
+      // Roll old telemetry up into 10-second / 1-minute tiers daily at 3 AM
+      const telemetryRetentionJob = cron.schedule('0 3 * * *', async () => {
+        logger.info(' Running telemetry retention...');
+        await this.applyTelemetryRetention();
+      }, {
+        scheduled: false,
+        timezone: 'Asia/Manila'
+      });
+
+      // Release kiosk bikes whose rides timed out or went idle, every minute
+      const kioskBindingsJob = cron.schedule('* * * * *', async () => {
+        await this.releaseKioskBindings();
+      }, {
+        scheduled: false,
+        timezone: 'Asia/Manila'
+      });
+
       // Store jobs for management
       this.cronJobs.set('missedSessions', missedSessionsJob);
       this.cronJobs.set('morningReminder', morningReminderJob);
@@ -87,6 +109,8 @@ class ScheduledTasksService {
       this.cronJobs.set('dailySummary', dailySummaryJob);
       this.cronJobs.set('weeklyProgress', weeklyProgressJob);
       this.cronJobs.set('cleanup', cleanupJob);
+      this.cronJobs.set('telemetryRetention', telemetryRetentionJob);
+      this.cronJobs.set('kioskBindings', kioskBindingsJob);
 
       // Start all jobs
       this.cronJobs.forEach((job, name) => {
@@ -427,6 +451,28 @@ class ScheduledTasksService {
     }
   }
 
+  /**
+   * Downsample aged telemetry and delete the rolled-up points
+   */
+  static async applyTelemetryRetention() {
+    try {
+      return await runTelemetryRetention();
+    } catch (error) {
+      logger.error(' Error applying telemetry retention:', error);
+    }
+  }
+
+  /**
+   * End timed-out and idle kiosk rides and release their bikes
+   */
+  static async releaseKioskBindings() {
+    try {
+      return await releaseExpiredBindings(new Date(), this.liveServices);
+    } catch (error) {
+      logger.error(' Error releasing kiosk bikes:', error);
+    }
+  }
+
   /**
    * Stop all scheduled tasks
    */
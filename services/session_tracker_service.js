@@ -1,7 +1,10 @@
 import CyclingPlan from '../models/CyclingPlan.js';
 import User from '../models/User.js';
+import { RideSession } from '../models/Telemetry.js';
 import GoalProgressService from './goalProgressService.js';
 import AchievementService from './achievementService.js';
+import { excludeFlaggedSegments } from './telemetryQualityService.js';
+import { calculateCyclingCalories } from './calorieService.js';
 
 /**
  * Session Tracker Service
@@ -13,7 +16,7 @@ class SessionTrackerService {
    */
   static async updateSessionProgress(userId, sessionData) {
     try {
-      const { sessionId, completedHours, caloriesBurned, distance, planId } = sessionData;
+      const { sessionId, completedHours, caloriesBurned, distance, planId, sessionDate } = sessionData;
 
       // Logging for debugging
       console.log('[SessionTracker] updateSessionProgress called:', { userId, planId, sessionId });
@@ -51,7 +54,8 @@ class SessionTrackerService {
         sessionId,
         completedHours: parseFloat(completedHours),
         caloriesBurned: parseFloat(caloriesBurned || 0),
-        distance: parseFloat(distance || 0) // Add distance parameter
+        distance: parseFloat(distance || 0), // Add distance parameter
+        sessionDate
       });
 
       // Update user activity log
@@ -61,7 +65,8 @@ class SessionTrackerService {
       await this.updateUserActivityLog(userId, {
         sessionId,
         calories: parseFloat(caloriesBurned || 0),
-        duration: safeDuration
+        duration: safeDuration,
+        sessionDate
       });
 
       return {
@@ -80,9 +85,10 @@ class SessionTrackerService {
 
   /**
    * Update session in cycling plan
+   * sessionData.sessionDate selects the plan day to credit (defaults to today)
    */
   static async updatePlanSession(plan, sessionData) {
-    const { sessionId, completedHours, caloriesBurned, distance } = sessionData;
+    const { sessionId, completedHours, caloriesBurned, distance, sessionDate } = sessionData;
 
     // Find or create session entry
     let sessionEntry = plan.activeSessions?.find(s => s.sessionId === sessionId);
@@ -112,7 +118,7 @@ class SessionTrackerService {
     sessionEntry.lastUpdate = new Date();
 
     // Update today's session
-    const today = new Date();
+    const today = sessionDate ? new Date(sessionDate) : new Date();
     today.setHours(0, 0, 0, 0);
     
     const todaySession = plan.dailySessions.find(session => {
@@ -170,7 +176,7 @@ class SessionTrackerService {
           sessionId: sessionData.sessionId,
           duration: safeDuration,
           calories: sessionData.calories || 0,
-          date: new Date(),
+          date: sessionData.sessionDate ? new Date(sessionData.sessionDate) : new Date(),
           metadata: {
             isActive: true,
             lastUpdate: new Date()
@@ -193,12 +199,110 @@ class SessionTrackerService {
     }
   }
 
+  /**
+   * Update today's plan session from a device's live readings
+   * @param {string} userId - the rider the readings are for
+   * @param {Object} progress - distance, speed, sessionTime (seconds), intensity,
+   *   sessionActive, and the firmware's sessionStatus, autoSession and cadence
+   * @returns {Promise<{updated: boolean, reason?: string, message: string, session?: Object}>}
+   *   reason is 'no_plan', 'no_session_today' or 'inactive' when nothing was updated
+   */
+  static async updateRealtimeProgress(userId, progress) {
+    const {
+      distance,
+      speed,
+      sessionTime,
+      intensity = 2,
+      sessionActive = true,
+      sessionStatus,
+      autoSession,
+      cadence
+    } = progress;
+
+    // Find active plan
+    const plan = await CyclingPlan.findOne({ user: userId, isActive: true });
+    if (!plan) {
+      return { updated: false, reason: 'no_plan', message: 'No active plan - update ignored' };
+    }
+
+    // Find today's session
+    const today = new Date().toISOString().split('T')[0];
+    const todaySession = plan.dailySessions.find(session =>
+      session.date.toISOString().split('T')[0] === today
+    );
+    if (!todaySession) {
+      return { updated: false, reason: 'no_session_today', message: 'No session for today - update ignored' };
+    }
+
+    // Only update if session is active (ESP32 indicates workout in progress)
+    if (!sessionActive || !(sessionTime > 0)) {
+      return { updated: false, reason: 'inactive', message: 'Session not active - no update needed' };
+    }
+
+    // Update session with real-time data
+    todaySession.currentDistance = Math.max(todaySession.currentDistance || 0, distance);
+    todaySession.currentSpeed = speed;
+    todaySession.sessionTime = sessionTime;
+
+    // Calculate calories burned in real-time using proper service
+    const sessionTimeHours = sessionTime / 3600; // Convert seconds to hours
+    const calcResult = await calculateCyclingCalories(userId, sessionTimeHours, intensity);
+    const caloriesBurned = calcResult.success ? calcResult.caloriesBurned : 0;
+    todaySession.caloriesBurned = Math.max(todaySession.caloriesBurned || 0, caloriesBurned);
+
+    if (sessionStatus) {
+      // Map firmware session status to plan session status
+      switch (sessionStatus) {
+        case 'IN_PROGRESS':
+          todaySession.status = 'in_progress';
+          todaySession.autoManaged = autoSession || false;
+          break;
+        case 'PAUSED':
+          todaySession.status = 'paused';
+          break;
+        case 'COMPLETED':
+          if (todaySession.status !== 'completed') {
+            todaySession.status = 'completed';
+            todaySession.completedAt = new Date();
+          }
+          break;
+        // IDLE leaves the status as it is
+      }
+    } else if (todaySession.status === 'pending') {
+      // Legacy behavior - update status if not already completed
+      todaySession.status = 'in_progress';
+    }
+
+    if (cadence) {
+      todaySession.currentCadence = parseFloat(cadence);
+    }
+    todaySession.lastUpdate = new Date();
+
+    await plan.save();
+
+    return {
+      updated: true,
+      message: 'Session progress updated successfully',
+      session: {
+        sessionId: todaySession._id,
+        distance: todaySession.currentDistance,
+        speed: todaySession.currentSpeed,
+        caloriesBurned: todaySession.caloriesBurned,
+        sessionTime: todaySession.sessionTime,
+        status: todaySession.status,
+        autoManaged: todaySession.autoManaged || false,
+        cadence: todaySession.currentCadence || 0,
+        lastUpdate: todaySession.lastUpdate
+      }
+    };
+  }
+
   /**
    * Complete session and finalize data
    */
   static async completeSession(userId, sessionData) {
     try {
-      const { sessionId, finalCalories, finalHours, finalDistance } = sessionData;
+      const { sessionId, finalCalories, finalHours, finalDistance, sessionDate } = sessionData;
 
       // Update plan
       const plan = await CyclingPlan.findOne({ 
@@ -210,6 +314,9 @@ class SessionTrackerService {
         throw new Error('Active plan not found');
       }
 
+      // Recorded on the ride so a merge can take it back (see reverseSession)
+      const credited = { planId: null, planDay: null, planDayCompleted: false, goalId: null, hours: 0, calories: 0, distance: 0, xp: 0, at: null };
+
       // Find and complete session
       const sessionEntry = plan.activeSessions?.find(
         s => s.sessionId === sessionId && s.isActive
@@ -222,8 +329,8 @@ class SessionTrackerService {
         sessionEntry.finalHours = parseFloat(finalHours || sessionEntry.completedHours);
         sessionEntry.finalDistance = parseFloat(finalDistance || sessionEntry.distance || 0); // Add distance
 
-        // Update today's session
-        const today = new Date();
+        // Update today's session (or the day the ride took place)
+        const today = sessionDate ? new Date(sessionDate) : new Date();
         today.setHours(0, 0, 0, 0);
         
         const todaySession = plan.dailySessions.find(session => {
@@ -237,7 +344,9 @@ class SessionTrackerService {
           todaySession.caloriesBurned = (todaySession.caloriesBurned || 0) + sessionEntry.finalCalories;
           todaySession.distance = (todaySession.distance || 0) + sessionEntry.finalDistance; // Add distance to completed session
           
+          credited.planDay = today;
           if (todaySession.completedHours >= todaySession.plannedHours) {
+            credited.planDayCompleted = todaySession.status !== 'completed';
             todaySession.status = 'completed';
             todaySession.completedAt = new Date();
             plan.completedDays = (plan.completedDays || 0) + 1;
@@ -246,6 +355,12 @@ class SessionTrackerService {
 
         plan.completedHours = (plan.completedHours || 0) + sessionEntry.finalHours;
         await plan.save();
+        Object.assign(credited, {
+          planId: plan._id,
+          hours: sessionEntry.finalHours,
+          calories: sessionEntry.finalCalories,
+          distance: sessionEntry.finalDistance
+        });
       }
 
       // Finalize user activity log
@@ -271,13 +386,16 @@ class SessionTrackerService {
           };
 
           await GoalProgressService.updateGoalFromSession(plan.goal, goalUpdateData);
+          credited.goalId = plan.goal;
+          credited.at = goalUpdateData.endTime;
           console.log('[SessionTracker] ✅ Goal progress updated');
         } else {
           console.log('[SessionTracker] ⚠️ Plan has no linked goal, skipping goal update');
         }
 
         // 2. Award XP and check achievements (Issue #6)
-        const sessionAchievementData = {
+        // Segments the telemetry sanity filter flagged don't count toward XP and badges
+        const sessionAchievementData = excludeFlaggedSegments({
           totalDistance: sessionEntry?.finalDistance || 0,
           totalCalories: sessionEntry?.finalCalories || 0,
           duration: (sessionEntry?.finalHours || 0) * 3600,
@@ -287,10 +405,11 @@ class SessionTrackerService {
           avgPower: sessionEntry?.avgPower || 0,
           maxSpeed: sessionEntry?.maxSpeed || 0,
           maxPower: sessionEntry?.maxPower || 0
-        };
+        }, sessionData.dataQuality);
 
         // Award XP
         const xpResult = await AchievementService.awardWorkoutXP(userId, sessionAchievementData);
+        credited.xp = xpResult.xpEarned;
         console.log('[SessionTracker] ✅ XP awarded:', xpResult.xpEarned);
 
         // Update streak
@@ -300,7 +419,7 @@ class SessionTrackerService {
         // Check milestones
         const user = await User.findById(userId);
         const milestoneStats = {
-          totalDistance: (user.totalDistanceCycled || 0) + (sessionEntry?.finalDistance || 0),
+          totalDistance: (user.totalDistanceCycled || 0) + sessionAchievementData.totalDistance,
           totalWorkouts: (user.totalWorkouts || 0) + 1,
           totalCalories: (user.totalCaloriesBurned || 0) + (sessionEntry?.finalCalories || 0)
         };
@@ -323,12 +442,14 @@ class SessionTrackerService {
           try {
             const WorkoutHistory = (await import('../models/WorkoutHistory.js')).default;
             const RideSession = (await import('../models/Telemetry.js')).RideSession;
+            const { summarizePowerMetrics } = await import('./powerAnalyticsService.js');
             
             // Get all sessions for this plan
             const planSessions = await RideSession.find({ 
               planId: plan._id,
               status: 'completed'
-            }).select('_id totalDistance totalCalories avgSpeed duration');
+            }).select('_id totalDistance totalCalories avgSpeed duration normalizedPower intensityFactor trainingStressScore workKj');
+            const powerSummary = summarizePowerMetrics(planSessions);
 
             // Calculate statistics
             const totalDistance = planSessions.reduce((sum, s) => sum + (s.totalDistance || 0), 0);
@@ -354,6 +475,10 @@ class SessionTrackerService {
                 completedHours: totalDuration / 3600,
                 caloriesBurned: totalCalories,
                 averageIntensity: 2, // Default intensity
+                totalTss: powerSummary.totalTss,
+                totalWorkKj: powerSummary.totalWorkKj,
+                avgNormalizedPower: powerSummary.avgNormalizedPower,
+                avgIntensityFactor: powerSummary.avgIntensityFactor,
                 originalGoal: {
                   type: 'cycling_plan',
                   targetValue: plan.totalDays,
@@ -419,6 +544,12 @@ class SessionTrackerService {
       }
       // ========== END DATA FLOW FIX ==========
 
+      try {
+        await RideSession.updateOne({ sessionId }, { $set: { credited } });
+      } catch (creditError) {
+        console.error('[SessionTracker] ⚠️ Error recording what the session credited:', creditError);
+      }
+
       return {
         success: true,
         data: {
@@ -440,6 +571,57 @@ class SessionTrackerService {
     }
   }
 
+  /**
+   * Take back what completeSession credited for a ride: plan hours, goal
+   * progress and XP. Used when the ride is merged into another that already
+   * counted the same riding.
+   * @param {Object} session - RideSession with its credited figures
+   */
+  static async reverseSession(session) {
+    const { credited } = session;
+    if (!credited) return;
+
+    if (credited.planId) {
+      const plan = await CyclingPlan.findById(credited.planId);
+      if (plan) {
+        const day = credited.planDay && plan.dailySessions.find(entry => {
+          const date = new Date(entry.date);
+          date.setHours(0, 0, 0, 0);
+          return date.getTime() === new Date(credited.planDay).getTime();
+        });
+
+        if (day) {
+          day.completedHours = Math.max(0, (day.completedHours || 0) - credited.hours);
+          day.caloriesBurned = Math.max(0, (day.caloriesBurned || 0) - credited.calories);
+          day.distance = Math.max(0, (day.distance || 0) - credited.distance);
+          if (credited.planDayCompleted && day.completedHours < day.plannedHours) {
+            day.status = 'pending';
+            day.completedAt = undefined;
+            plan.completedDays = Math.max(0, (plan.completedDays || 0) - 1);
+          }
+        }
+
+        plan.completedHours = Math.max(0, (plan.completedHours || 0) - credited.hours);
+        await plan.save();
+      }
+    }
+
+    if (credited.goalId) {
+      await GoalProgressService.removeSessionFromGoal(credited.goalId, {
+        sessionId: session.sessionId,
+        totalDistance: credited.distance,
+        totalCalories: credited.calories,
+        endTime: credited.at
+      });
+    }
+
+    if (credited.xp > 0) {
+      await AchievementService.revokeWorkoutXP(session.userId, credited.xp);
+    }
+
+    console.log('[SessionTracker] ↩️ Session credit reversed:', session.sessionId);
+  }
+
   /**
    * Finalize user activity in activity log
    */
@@ -467,7 +649,7 @@ class SessionTrackerService {
       type: 'cycling',
       duration: Math.max(1, Math.round(((Number.isFinite(finalHoursVal2) ? finalHoursVal2 : 0) * 60))),
       calories: parseFloat(sessionData.finalCalories || 0),
-      date: new Date(),
+      date: sessionData.sessionDate ? new Date(sessionData.sessionDate) : new Date(),
       sessionId: sessionData.sessionId,
       metadata: {
         source: 'completed_session'
@@ -0,0 +1,350 @@
+/**
+ * Telemetry Quality Service
+ *
+ * Sanity filter for ride telemetry. Each reading is checked against the last
+ * plausible one: speed that rises faster than a bike can accelerate, power
+ * beyond what a rider can produce, and distance that goes backwards or leaps
+ * ahead are sensor noise. The point is kept but flagged, and its bad values are
+ * replaced with plausible ones, so a glitch can't inflate max speed, power or
+ * distance.
+ *
+ * Each RideSession carries a data-quality score (the share of clean points).
+ * XP, badges and milestones leave flagged segments out, and ignore speed and
+ * power bonuses for rides scoring below LOW_QUALITY_SCORE.
+ */
+
+import { Telemetry } from '../models/Telemetry.js';
+
+export const QUALITY_ISSUES = {
+  SPEED_SPIKE: 'speedSpike',
+  POWER_SURGE: 'powerSurge',
+  DISTANCE_REGRESSION: 'distanceRegression',
+  DISTANCE_JUMP: 'distanceJump'
+};
+
+// Faster than any bike on the flat; also bounds implied distance per reading
+export const MAX_SPEED_KMH = 100;
+
+// About 2.8 m/s², beyond a standing sprint start. Speed drops aren't checked:
+// braking and a stopped wheel are real, and can't inflate a ride
+export const MAX_ACCELERATION_KMH_PER_S = 10;
+const SPEED_JITTER_KMH = 5;
+
+// Above track sprinters' peaks; matches the Telemetry.metrics.watts limit
+export const MAX_POWER_WATTS = 2000;
+
+// Devices round cumulative distance, so small back-steps are not regressions
+const DISTANCE_TOLERANCE_KM = 0.005;
+
+// Rides scoring below this earn no speed or power bonuses
+export const LOW_QUALITY_SCORE = 70;
+
+// Last reading per session, so consecutive readings don't need a query
+const MAX_TRACKED_SESSIONS = 1000;
+const lastReadings = new Map();
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check one reading against the previous plausible reading of its session.
+ * @param {Object|null} previous - `state` returned for the previous reading, null for the first
+ * @param {{timestamp, speed, watts, distance}} reading - km/h, watts, cumulative km
+ * @returns {{metrics: {speed, watts, distance}, quality: {flagged: boolean, issues: string[]},
+ *   segment: {distance: number, seconds: number}, state: Object}} metrics with bad values
+ *   replaced; segment is the distance and time since the previous reading
+ */
+export function checkTelemetryPoint(previous, reading) {
+  const time = new Date(reading.timestamp ?? Date.now()).getTime();
+  const speed = toNumber(reading.speed);
+  const watts = toNumber(reading.watts);
+  const reportedDistance = toNumber(reading.distance);
+  const seconds = previous ? (time - previous.time) / 1000 : 0;
+  const issues = [];
+
+  let cleanSpeed = speed;
+  if (speed !== null) {
+    const limit = MAX_ACCELERATION_KMH_PER_S * Math.max(seconds, 0) + SPEED_JITTER_KMH;
+    const rise = previous?.speed !== null && previous?.speed !== undefined && seconds > 0
+      ? speed - previous.speed
+      : 0;
+    // A second reading close to a flagged one means the rider really did speed
+    // up between coarse samples
+    const confirmed = previous?.speedFlagged && Math.abs(speed - previous.rawSpeed) <= limit;
+
+    if (speed > MAX_SPEED_KMH || (rise > limit && !confirmed)) {
+      issues.push(QUALITY_ISSUES.SPEED_SPIKE);
+      cleanSpeed = previous?.speed ?? 0;
+    }
+  }
+
+  let cleanWatts = watts;
+  if (watts !== null && watts > MAX_POWER_WATTS) {
+    issues.push(QUALITY_ISSUES.POWER_SURGE);
+    cleanWatts = previous?.watts ?? 0;
+  }
+
+  // Distance is cumulative. After a backwards step (e.g. the device restarted
+  // its counter) or an impossible leap, later readings are shifted by the same
+  // offset so the series stays continuous
+  let distanceOffset = previous?.distanceOffset || 0;
+  let cleanDistance = reportedDistance === null ? null : reportedDistance - distanceOffset;
+  if (cleanDistance !== null && previous?.distance !== null && previous?.distance !== undefined) {
+    const delta = cleanDistance - previous.distance;
+    const impliedSpeed = seconds > 0 ? delta / (seconds / 3600) : Infinity;
+
+    let issue = null;
+    if (delta < -DISTANCE_TOLERANCE_KM) {
+      issue = QUALITY_ISSUES.DISTANCE_REGRESSION;
+    } else if (delta > DISTANCE_TOLERANCE_KM && impliedSpeed > MAX_SPEED_KMH) {
+      issue = QUALITY_ISSUES.DISTANCE_JUMP;
+    }
+
+    if (issue) {
+      issues.push(issue);
+      // Assume the rider kept going at the last plausible speed
+      const expected = previous.distance + (Math.max(seconds, 0) / 3600) * (cleanSpeed ?? previous.speed ?? 0);
+      distanceOffset = reportedDistance - expected;
+      cleanDistance = expected;
+    } else {
+      cleanDistance = Math.max(cleanDistance, previous.distance);
+    }
+  }
+
+  const segmentDistance = cleanDistance !== null && previous?.distance !== null && previous?.distance !== undefined
+    ? Math.max(0, cleanDistance - previous.distance)
+    : 0;
+
+  return {
+    metrics: { speed: cleanSpeed, watts: cleanWatts, distance: cleanDistance },
+    quality: { flagged: issues.length > 0, issues },
+    segment: { distance: segmentDistance, seconds: Math.max(0, seconds) },
+    state: {
+      time,
+      speed: cleanSpeed ?? previous?.speed ?? null,
+      watts: cleanWatts ?? previous?.watts ?? null,
+      distance: cleanDistance ?? previous?.distance ?? null,
+      distanceOffset,
+      rawSpeed: speed,
+      speedFlagged: issues.includes(QUALITY_ISSUES.SPEED_SPIKE)
+    }
+  };
+}
+
+/**
+ * Percentage of a session's points that passed the sanity filter.
+ */
+export function calculateQualityScore(totalPoints, flaggedPoints) {
+  if (!(totalPoints > 0)) return 100;
+  return Math.round(Math.max(0, 1 - flaggedPoints / totalPoints) * 100);
+}
+
+/**
+ * Add a checked reading to a session's data-quality summary. The caller saves
+ * the session.
+ * @param {Object} session - RideSession, or any object with a dataQuality field
+ * @param {{quality, segment}} result - from checkTelemetryPoint
+ * @param {number} [weight] - raw points the reading stands for (rollups)
+ * @returns {Object} the updated dataQuality
+ */
+export function recordPointQuality(session, { quality, segment }, weight = 1) {
+  if (!session.dataQuality) session.dataQuality = {};
+  const dataQuality = session.dataQuality;
+  if (!dataQuality.issues) dataQuality.issues = {};
+
+  dataQuality.totalPoints = (dataQuality.totalPoints || 0) + weight;
+  if (quality?.flagged) {
+    dataQuality.flaggedPoints = (dataQuality.flaggedPoints || 0) + (quality.flaggedPoints ?? weight);
+    dataQuality.flaggedDistance = (dataQuality.flaggedDistance || 0) + (segment?.distance || 0);
+    dataQuality.flaggedTime = (dataQuality.flaggedTime || 0) + Math.round(segment?.seconds || 0);
+    for (const issue of quality.issues || []) {
+      dataQuality.issues[issue] = (dataQuality.issues[issue] || 0) + 1;
+    }
+  }
+  dataQuality.score = calculateQualityScore(dataQuality.totalPoints, dataQuality.flaggedPoints || 0);
+
+  return dataQuality;
+}
+
+const emptyDataQuality = () => ({
+  score: 100,
+  totalPoints: 0,
+  flaggedPoints: 0,
+  flaggedDistance: 0,
+  flaggedTime: 0,
+  issues: {}
+});
+
+// Replace a flagged field by linear interpolation between the nearest clean
+// readings on either side; the held value stays when there's none after it
+function interpolateFlagged(readings, field, issue) {
+  const clean = readings
+    .map((reading, index) => ({ index, time: new Date(reading.timestamp).getTime(), value: reading[field] }))
+    .filter(({ index, value }) => Number.isFinite(value) && !readings[index].quality.issues.includes(issue));
+
+  readings.forEach((reading, index) => {
+    if (!reading.quality.issues.includes(issue)) return;
+    const before = [...clean].reverse().find(candidate => candidate.index < index);
+    const after = clean.find(candidate => candidate.index > index);
+    if (!before || !after) return;
+
+    const time = new Date(reading.timestamp).getTime();
+    const share = after.time > before.time ? (time - before.time) / (after.time - before.time) : 0;
+    reading[field] = before.value + (after.value - before.value) * share;
+  });
+}
+
+/**
+ * Run the sanity filter over a whole series (offline batches, imported
+ * files). With the readings after a glitch at hand, flagged speed and power are
+ * interpolated between their clean neighbours rather than held.
+ * @param {Array<{timestamp, speed, watts, distance}>} readings - Sorted by timestamp;
+ *   other fields are kept
+ * @param {Object|null} [previous] - state of the last reading before the series
+ * @returns {{readings: Array<Object>, dataQuality: Object, state: Object|null}} readings
+ *   with cleaned values and a `quality` field
+ */
+export function filterTelemetrySeries(readings, previous = null) {
+  const dataQuality = emptyDataQuality();
+  const holder = { dataQuality };
+  let state = previous;
+
+  const filtered = (readings || []).map(reading => {
+    const result = checkTelemetryPoint(state, reading);
+    state = result.state;
+    recordPointQuality(holder, result);
+
+    const cleaned = { ...reading, quality: result.quality };
+    for (const [field, value] of Object.entries(result.metrics)) {
+      if (value !== null) cleaned[field] = value;
+    }
+    return cleaned;
+  });
+
+  interpolateFlagged(filtered, 'speed', QUALITY_ISSUES.SPEED_SPIKE);
+  interpolateFlagged(filtered, 'watts', QUALITY_ISSUES.POWER_SURGE);
+
+  return { readings: filtered, dataQuality, state };
+}
+
+/**
+ * Data-quality summary of a session from its stored telemetry, which carries
+ * the flags set when each point was ingested. Rollups count their flagged
+ * points; their segments are prorated.
+ * @param {Array<Object>} telemetry - Telemetry points and rollups of one session
+ * @returns {Object} RideSession.dataQuality
+ */
+export function summarizeTelemetryQuality(telemetry) {
+  const points = [...(telemetry || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const holder = { dataQuality: emptyDataQuality() };
+
+  points.forEach((point, index) => {
+    const weight = point.sampleCount || 1;
+    const flaggedPoints = point.quality?.flaggedPoints ?? (point.quality?.flagged ? weight : 0);
+    const previous = points[index - 1];
+    const share = flaggedPoints / weight;
+    const segment = previous
+      ? {
+        distance: Math.max(0, (point.metrics?.distance || 0) - (previous.metrics?.distance || 0)) * share,
+        seconds: Math.max(0, (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000) * share
+      }
+      : null;
+
+    recordPointQuality(holder, {
+      quality: { flagged: flaggedPoints > 0, flaggedPoints, issues: point.quality?.issues || [] },
+      segment
+    }, weight);
+  });
+
+  return holder.dataQuality;
+}
+
+/**
+ * Session figures for XP, badges and milestones with flagged segments left
+ * out. Rides below LOW_QUALITY_SCORE keep their clean distance and time but
+ * earn no speed or power bonuses.
+ * @param {Object} sessionData - { totalDistance, duration (seconds), avgSpeed, avgPower, maxSpeed, maxPower, ... }
+ * @param {Object} [dataQuality] - RideSession.dataQuality
+ * @returns {Object} sessionData with qualified figures
+ */
+export function excludeFlaggedSegments(sessionData, dataQuality) {
+  if (!dataQuality || !(dataQuality.flaggedPoints > 0)) return sessionData;
+
+  const totalDistance = Math.max(0, (sessionData.totalDistance || 0) - (dataQuality.flaggedDistance || 0));
+  const duration = Math.max(0, (sessionData.duration || 0) - (dataQuality.flaggedTime || 0));
+  const lowQuality = dataQuality.score < LOW_QUALITY_SCORE;
+
+  return {
+    ...sessionData,
+    totalDistance,
+    duration,
+    avgSpeed: !lowQuality && duration > 0 ? totalDistance / (duration / 3600) : 0,
+    ...(lowQuality && { avgPower: 0, maxSpeed: 0, maxPower: 0 })
+  };
+}
+
+async function loadPreviousReading(sessionId) {
+  const last = await Telemetry.findOne({ sessionId })
+    .sort({ timestamp: -1 })
+    .select('metrics timestamp')
+    .lean();
+  if (!last) return null;
+
+  return {
+    time: new Date(last.timestamp).getTime(),
+    speed: last.metrics?.speed ?? null,
+    watts: last.metrics?.watts ?? null,
+    distance: last.metrics?.distance ?? null,
+    distanceOffset: 0,
+    rawSpeed: last.metrics?.speed ?? null,
+    speedFlagged: false
+  };
+}
+
+/**
+ * Sanity-check a live reading, continuing from the session's last reading.
+ * @param {Object} reading
+ * @param {string} reading.sessionId
+ * @param {Object} reading.metrics - speed, watts, distance plus any other metrics
+ * @param {Date|string|number} [reading.timestamp]
+ * @returns {Promise<{metrics: Object, quality: Object, segment: Object}>} metrics with
+ *   bad values replaced by plausible ones
+ */
+export async function applyQualityFilter({ sessionId, metrics, timestamp }) {
+  let previous = null;
+  if (sessionId) {
+    previous = lastReadings.has(sessionId) ? lastReadings.get(sessionId) : await loadPreviousReading(sessionId);
+  }
+
+  const result = checkTelemetryPoint(previous, {
+    timestamp: timestamp ? new Date(timestamp) : new Date(),
+    speed: metrics.speed,
+    watts: metrics.watts,
+    distance: metrics.distance
+  });
+
+  const cleaned = { ...metrics };
+  for (const field of ['speed', 'watts', 'distance']) {
+    if (result.metrics[field] !== null) cleaned[field] = result.metrics[field];
+  }
+
+  if (sessionId) {
+    // Re-insert so the least recently updated session is evicted first
+    lastReadings.delete(sessionId);
+    lastReadings.set(sessionId, result.state);
+    if (lastReadings.size > MAX_TRACKED_SESSIONS) {
+      lastReadings.delete(lastReadings.keys().next().value);
+    }
+  }
+
+  return { metrics: cleaned, quality: result.quality, segment: result.segment };
+}
+
+/**
+ * Forget a session's last reading once it ends.
+ */
+export function clearQualityState(sessionId) {
+  lastReadings.delete(sessionId);
+}
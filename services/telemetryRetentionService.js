@@ -0,0 +1,112 @@
+/**
+ * Telemetry Retention Service
+ *
+ * Keeps the Telemetry collection bounded. Raw one-second points older than the
+ * raw retention age are rolled up into 10-second buckets, and 10-second
+ * buckets older than their retention age into 1-minute buckets; each tier is
+ * deleted once rolled up. 1-minute buckets are kept, so session charts stay
+ * available. RideSession summaries are never touched.
+ *
+ * Telemetry.getSessionData reads across tiers, so session detail endpoints
+ * don't need to know which tier a ride is in.
+ */
+
+import { Telemetry, TelemetryRollup } from '../models/Telemetry.js';
+import { RAW_RESOLUTION, rollupPoints } from '../utils/telemetryRollup.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ages in days after which a tier is rolled up into the next one
+export const RETENTION_POLICY = {
+  rawDays: Number(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 7,
+  tenSecondDays: Number(process.env.TELEMETRY_10S_RETENTION_DAYS) || 30
+};
+
+// Cutoffs are aligned to whole minutes so no bucket straddles two runs
+const alignedCutoff = (now, days) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  cutoff.setUTCSeconds(0, 0);
+  return cutoff;
+};
+
+/**
+ * Roll one session's points older than `before` from one tier into the next,
+ * then delete the rolled-up points.
+ * @param {string} sessionId
+ * @param {number} fromResolution - RAW_RESOLUTION or a rollup resolution
+ * @param {number} toResolution - rollup resolution to write
+ * @param {Date} before
+ * @returns {Promise<{points: number, buckets: number}>}
+ */
+export async function rollupSession(sessionId, fromResolution, toResolution, before) {
+  const source = fromResolution === RAW_RESOLUTION
+    ? Telemetry.find({ sessionId, timestamp: { $lt: before } })
+    : TelemetryRollup.find({ sessionId, resolution: fromResolution, timestamp: { $lt: before } });
+  const points = await source.lean();
+  if (points.length === 0) return { points: 0, buckets: 0 };
+
+  // Late points (e.g. offline uploads) can land in buckets that already exist;
+  // roll those buckets up again together with the new points
+  const buckets = rollupPoints(points, toResolution);
+  const existing = await TelemetryRollup.find({
+    sessionId,
+    resolution: toResolution,
+    timestamp: { $in: buckets.map(bucket => bucket.timestamp) }
+  }).lean();
+  const merged = existing.length > 0 ? rollupPoints([...existing, ...points], toResolution) : buckets;
+
+  await TelemetryRollup.bulkWrite(merged.map(bucket => ({
+    replaceOne: {
+      filter: { sessionId, resolution: toResolution, timestamp: bucket.timestamp },
+      replacement: bucket,
+      upsert: true
+    }
+  })));
+
+  // Delete exactly what was rolled up, so points arriving meanwhile survive
+  const ids = points.map(point => point._id);
+  if (fromResolution === RAW_RESOLUTION) {
+    await Telemetry.deleteMany({ _id: { $in: ids } });
+  } else {
+    await TelemetryRollup.deleteMany({ _id: { $in: ids } });
+  }
+
+  return { points: points.length, buckets: merged.length };
+}
+
+async function rollupTier(model, filter, fromResolution, toResolution, before) {
+  const sessionIds = await model.distinct('sessionId', { ...filter, timestamp: { $lt: before } });
+  const totals = { sessions: 0, points: 0, buckets: 0 };
+
+  for (const sessionId of sessionIds) {
+    try {
+      const result = await rollupSession(sessionId, fromResolution, toResolution, before);
+      totals.sessions++;
+      totals.points += result.points;
+      totals.buckets += result.buckets;
+    } catch (error) {
+      // Leave the session's points in place; the next run retries it
+      logger.error('Telemetry rollup failed', { sessionId, fromResolution, toResolution, error: error.message });
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Apply the retention policy to all sessions.
+ * @param {Date} [now]
+ * @param {Object} [policy] - Overrides for RETENTION_POLICY
+ * @returns {Promise<{tenSecond: Object, oneMinute: Object}>} sessions, points
+ *   and buckets processed per tier
+ */
+export async function runTelemetryRetention(now = new Date(), policy = {}) {
+  const { rawDays, tenSecondDays } = { ...RETENTION_POLICY, ...policy };
+
+  const tenSecond = await rollupTier(Telemetry, {}, RAW_RESOLUTION, 10, alignedCutoff(now, rawDays));
+  const oneMinute = await rollupTier(TelemetryRollup, { resolution: 10 }, 10, 60, alignedCutoff(now, tenSecondDays));
+
+  logger.info('Telemetry retention completed', { tenSecond, oneMinute });
+  return { tenSecond, oneMinute };
+}
@@ -0,0 +1,548 @@
+/**
+ * Telemetry Sync Service
+ *
+ * Offline ride sync. The app buffers telemetry while it has no connection and
+ * uploads it in batches once it reconnects. Each point carries a client
+ * sequence number; a point already stored with the same device, sequence and
+ * timestamp is a replay and is dropped, so retries never duplicate telemetry or
+ * inflate distance. Points can arrive in any order: each is filed into the
+ * RideSession whose time window contains it, and the affected sessions'
+ * aggregates are recalculated from their stored telemetry afterwards.
+ */
+
+import { Telemetry, RideSession, ESP32Device, TelemetryReceipt } from '../models/Telemetry.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+import User from '../models/User.js';
+import {
+  normalizePulseCount,
+  derivePulseMetrics,
+  reconcileMetrics,
+  clearPulseState,
+  DEFAULT_WHEEL_CIRCUMFERENCE
+} from './pulseMetricsService.js';
+import {
+  detectPausedIntervals,
+  calculateMovingTime,
+  movingAverageSpeed,
+  isStopped,
+  getAutoPauseSeconds,
+  DEFAULT_AUTO_PAUSE_SECONDS
+} from './movingTimeService.js';
+import { normalizeHeartRate, applySessionHeartRateMetrics } from './trainingZonesService.js';
+import { applySessionPowerMetrics } from './powerAnalyticsService.js';
+import { filterTelemetrySeries, summarizeTelemetryQuality, clearQualityState } from './telemetryQualityService.js';
+import { estimateSessionCalories } from './calorieService.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+export const MAX_BATCH_POINTS = 1000;
+
+// A point this close to a session's window belongs to it (offline starts and ends)
+export const SESSION_MATCH_GAP_MS = 10 * 60 * 1000;
+
+// Points stamped further ahead than this have a wrong device clock
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Keep in line with the Telemetry.metrics schema limits
+const METRIC_LIMITS = { speed: 120, watts: 2000, cadence: 250 };
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Convert an uploaded point into Telemetry fields.
+ * @returns {{point: Object}|{error: string}} the normalized point, or why it was rejected
+ */
+export function normalizeBatchPoint(raw, now = Date.now()) {
+  const sequence = Number(raw?.seq ?? raw?.sequence);
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    return { error: 'Sequence number must be a non-negative integer' };
+  }
+
+  const timestamp = new Date(typeof raw.timestamp === 'string' && /^\d+$/.test(raw.timestamp)
+    ? Number(raw.timestamp)
+    : raw.timestamp);
+  if (raw.timestamp === undefined || Number.isNaN(timestamp.getTime())) {
+    return { error: 'Invalid timestamp' };
+  }
+  if (timestamp.getTime() > now + MAX_CLOCK_SKEW_MS) {
+    return { error: 'Timestamp is in the future' };
+  }
+
+  const metrics = {
+    speed: toNumber(raw.speed),
+    distance: toNumber(raw.distance),
+    sessionTime: Math.round(toNumber(raw.sessionTime ?? raw.session_time)),
+    watts: toNumber(raw.watts ?? raw.power),
+    cadence: toNumber(raw.cadence),
+    pulseCount: normalizePulseCount(raw.pulseCount ?? raw.pulse_count),
+    heartRate: normalizeHeartRate(raw.heartRate ?? raw.heart_rate)
+  };
+  if (metrics.distance < 0 || metrics.sessionTime < 0) {
+    return { error: 'Distance and session time must not be negative' };
+  }
+  for (const [field, max] of Object.entries(METRIC_LIMITS)) {
+    if (metrics[field] < 0 || metrics[field] > max) {
+      return { error: `${field} must be between 0 and ${max}` };
+    }
+  }
+
+  const lat = parseFloat(raw.lat);
+  const lng = parseFloat(raw.lng);
+
+  return {
+    point: {
+      sequence,
+      timestamp,
+      metrics,
+      battery: {
+        voltage: toNumber(raw.voltage),
+        level: toNumber(raw.batteryLevel ?? raw.battery_level)
+      },
+      ...(Number.isFinite(lat) && Number.isFinite(lng) && {
+        coordinates: { type: 'Point', coordinates: [lng, lat] }
+      })
+    }
+  };
+}
+
+const pointKey = (point) => `${point.sequence}:${new Date(point.timestamp).getTime()}`;
+
+/**
+ * Split points into new ones and replays, within the batch and against
+ * points already stored.
+ * @param {Array<Object>} points - Normalized batch points
+ * @param {Array<{sequence, timestamp}>} stored - Stored points of the same device
+ * @returns {{fresh: Array<Object>, duplicates: Array<Object>}}
+ */
+export function partitionDuplicates(points, stored = []) {
+  const seen = new Set(stored.map(pointKey));
+  const fresh = [];
+  const duplicates = [];
+
+  for (const point of points) {
+    const key = pointKey(point);
+    if (seen.has(key)) {
+      duplicates.push(point);
+    } else {
+      seen.add(key);
+      fresh.push(point);
+    }
+  }
+
+  return { fresh, duplicates };
+}
+
+/**
+ * File points into the session whose window (start to end, or to its last
+ * update while active) contains them, allowing SESSION_MATCH_GAP_MS either side.
+ * @param {Array<Object>} points
+ * @param {Array<{sessionId, startTime, endTime, lastUpdate, status}>} sessions
+ * @returns {{assigned: Map<string, Array<Object>>, unmatched: Array<Object>}}
+ */
+export function assignPointsToSessions(points, sessions, now = Date.now()) {
+  const assigned = new Map();
+  const unmatched = [];
+
+  const windows = sessions.map(session => ({
+    sessionId: session.sessionId,
+    start: new Date(session.startTime).getTime(),
+    end: session.endTime
+      ? new Date(session.endTime).getTime()
+      : session.status === 'active' ? now : new Date(session.lastUpdate || session.startTime).getTime()
+  }));
+
+  for (const point of points) {
+    const time = new Date(point.timestamp).getTime();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const window of windows) {
+      const distance = time < window.start ? window.start - time : Math.max(0, time - window.end);
+      if (distance <= SESSION_MATCH_GAP_MS && distance < bestDistance) {
+        best = window;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) {
+      if (!assigned.has(best.sessionId)) assigned.set(best.sessionId, []);
+      assigned.get(best.sessionId).push(point);
+    } else {
+      unmatched.push(point);
+    }
+  }
+
+  return { assigned, unmatched };
+}
+
+/**
+ * Aggregates of a session from all of its telemetry, the same figures
+ * RideSession.updateMetrics and auto-pause keep while the ride is live.
+ * @param {Array<Object>} telemetry - Points sorted or not
+ * @param {Object} options
+ * @param {Date} options.startTime
+ * @param {Date} [options.endTime] - Completed rides only
+ * @param {boolean} [options.active] - A stop at the end of an active ride is still in progress
+ * @param {number} [options.autoPauseSeconds]
+ * @returns {Object} RideSession fields
+ */
+export function summarizeSessionTelemetry(telemetry, { startTime, endTime = null, active = false, autoPauseSeconds = DEFAULT_AUTO_PAUSE_SECONDS }) {
+  const points = [...telemetry].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const metricsOf = (point) => point.metrics || {};
+  const values = (field, predicate = () => true) => points
+    .map(point => Number(metricsOf(point)[field]) || 0)
+    .filter(predicate);
+  const mean = (list) => (list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : 0);
+  const peak = (list) => (list.length > 0 ? Math.max(...list) : 0);
+
+  const speeds = values('speed');
+  const watts = values('watts');
+  const heartRates = values('heartRate', value => value > 0);
+  const cadences = values('cadence', value => value > 0);
+  const totalDistance = peak(values('distance'));
+
+  const samples = points.map(point => ({ time: point.timestamp, speed: metricsOf(point).speed }));
+  const lastTime = points.length > 0 ? new Date(points[points.length - 1].timestamp) : new Date(startTime);
+  const pausedIntervals = detectPausedIntervals(samples, autoPauseSeconds, active ? null : endTime);
+
+  // While riding, a stop at the end is ongoing rather than a finished pause
+  let stoppedSince = null;
+  if (active && points.length > 0 && isStopped(metricsOf(points[points.length - 1]).speed)) {
+    let index = points.length - 1;
+    while (index > 0 && isStopped(metricsOf(points[index - 1]).speed)) index--;
+    stoppedSince = new Date(points[index].timestamp);
+    const last = pausedIntervals[pausedIntervals.length - 1];
+    if (last && last.start.getTime() === stoppedSince.getTime()) pausedIntervals.pop();
+  }
+
+  const ongoingStop = stoppedSince ? Math.round((lastTime - stoppedSince) / 1000) : 0;
+  const { elapsedTime, movingTime } = calculateMovingTime(
+    startTime,
+    active ? lastTime : (endTime || lastTime),
+    autoPauseSeconds > 0 && ongoingStop >= autoPauseSeconds
+      ? [...pausedIntervals, { duration: ongoingStop }]
+      : pausedIntervals
+  );
+
+  return {
+    dataPoints: points.length,
+    totalDistance,
+    maxSpeed: peak(speeds),
+    avgSpeed: movingTime > 0 && totalDistance > 0 ? movingAverageSpeed(totalDistance, movingTime) : mean(speeds),
+    avgPower: mean(watts),
+    maxPower: peak(watts),
+    heartRateSamples: heartRates.length,
+    avgHeartRate: heartRates.length > 0 ? mean(heartRates) : null,
+    maxHeartRate: heartRates.length > 0 ? peak(heartRates) : null,
+    cadenceSamples: cadences.length,
+    avgCadence: mean(cadences),
+    maxCadence: peak(cadences),
+    pausedIntervals,
+    stoppedSince,
+    elapsedTime,
+    movingTime,
+    dataQuality: summarizeTelemetryQuality(points)
+  };
+}
+
+/**
+ * Recalculate a session's aggregates after telemetry was added out of order.
+ * Completed rides also get their training load, zones and calories redone.
+ */
+export async function recomputeSessionAggregates(session) {
+  const telemetry = await Telemetry.getSessionData(session.sessionId);
+  if (telemetry.length === 0) return session;
+
+  const active = session.status === 'active';
+  const firstPoint = new Date(telemetry[0].timestamp);
+  if (firstPoint < session.startTime) {
+    session.startTime = firstPoint;
+  }
+  if (!active && session.endTime) {
+    const lastPoint = new Date(telemetry[telemetry.length - 1].timestamp);
+    if (lastPoint > session.endTime) session.endTime = lastPoint;
+    session.duration = Math.floor((session.endTime - session.startTime) / 1000);
+  }
+
+  const summary = summarizeSessionTelemetry(telemetry, {
+    startTime: session.startTime,
+    endTime: session.endTime,
+    active,
+    autoPauseSeconds: await getAutoPauseSeconds(session.deviceId)
+  });
+  Object.assign(session, summary);
+  if (!active) session.actualHours = summary.movingTime / 3600;
+  session.lastUpdate = new Date();
+  await session.save();
+
+  if (!active) {
+    try {
+      await applySessionPowerMetrics(session);
+      await applySessionHeartRateMetrics(session);
+      const user = await User.findById(session.userId).select('profile').lean();
+      const calories = estimateSessionCalories(session, user?.profile);
+      if (calories !== null) {
+        session.totalCalories = calories;
+        await session.save();
+      }
+    } catch (error) {
+      logger.warn('⚠️ Failed to recalculate ride metrics after sync (non-critical)', {
+        sessionId: session.sessionId,
+        error: error.message
+      });
+    }
+  }
+
+  return session;
+}
+
+// Derive pulse-based metrics in time order, continuing from the last stored reading
+async function applyPulseMetrics(sessionId, points, wheelCircumference) {
+  if (!points.some(point => point.metrics.pulseCount !== null)) return;
+
+  const last = await Telemetry.findOne({
+    sessionId,
+    timestamp: { $lt: points[0].timestamp },
+    'metrics.pulseCount': { $gt: 0 }
+  }).sort({ timestamp: -1 }).lean();
+  let previous = last
+    ? { pulseCount: last.metrics.pulseCount, timestamp: last.timestamp, distance: last.metrics.distance }
+    : null;
+
+  for (const point of points) {
+    if (point.metrics.pulseCount === null) continue;
+
+    const current = { pulseCount: point.metrics.pulseCount, timestamp: point.timestamp };
+    const derived = derivePulseMetrics(previous, current, { wheelCircumference });
+    point.metrics = reconcileMetrics(point.metrics, derived).metrics;
+    previous = { ...current, distance: derived.distance };
+  }
+}
+
+// Sanity-filter points in time order, continuing from the last stored reading
+async function applyQualityChecks(sessionId, points) {
+  const last = await Telemetry.findOne({ sessionId, timestamp: { $lt: points[0].timestamp } })
+    .sort({ timestamp: -1 })
+    .lean();
+  const previous = last
+    ? {
+      time: new Date(last.timestamp).getTime(),
+      speed: last.metrics.speed,
+      watts: last.metrics.watts,
+      distance: last.metrics.distance,
+      distanceOffset: 0
+    }
+    : null;
+
+  const { readings } = filterTelemetrySeries(points.map(point => ({
+    timestamp: point.timestamp,
+    speed: point.metrics.speed,
+    watts: point.metrics.watts,
+    distance: point.metrics.distance
+  })), previous);
+
+  points.forEach((point, index) => {
+    const { speed, watts, distance, quality } = readings[index];
+    point.metrics = { ...point.metrics, speed, watts, distance };
+    point.quality = quality;
+  });
+}
+
+const receiptKey = (point) => ({ sequence: point.sequence, timestamp: point.timestamp });
+
+/**
+ * Claim the receipt of each point about to be stored. A point whose receipt
+ * exists was stored by an earlier upload; the unique index makes the claim
+ * atomic, so concurrent retries of a batch store each point once.
+ * @returns {Promise<{claimed: Array<Object>, replayed: Array<Object>}>}
+ */
+async function claimPoints(deviceId, points) {
+  let taken = new Set();
+  try {
+    await TelemetryReceipt.insertMany(points.map(point => ({ deviceId, ...receiptKey(point) })), { ordered: false });
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+    taken = new Set(writeErrors.map(writeError => writeError.index));
+  }
+
+  return {
+    claimed: points.filter((point, index) => !taken.has(index)),
+    replayed: points.filter((point, index) => taken.has(index))
+  };
+}
+
+// A ride that started offline is over by the time it syncs: it spans its readings
+async function createSyncedSession(userId, deviceId, sessionId, points) {
+  // Link to the active plan and goal, as live sessions do
+  const activePlan = await CyclingPlan.findOne({ user: userId, isActive: true }).select('_id goal');
+  const startTime = points[0].timestamp;
+  const endTime = points[points.length - 1].timestamp;
+
+  return RideSession.create({
+    userId,
+    deviceId,
+    sessionId,
+    startTime,
+    endTime,
+    duration: Math.floor((endTime - startTime) / 1000),
+    status: 'completed',
+    planId: activePlan?._id,
+    goalId: activePlan?.goal
+  });
+}
+
+/**
+ * Store a batch of buffered telemetry points.
+ * @param {ObjectId} userId
+ * @param {Object} batch
+ * @param {string} batch.deviceId
+ * @param {string} [batch.sessionId] - Session the points were recorded in; created as a
+ *   completed ride when it started offline. Without it, points are filed by timestamp into
+ *   existing sessions
+ * @param {Array<Object>} batch.points - { seq, timestamp, speed, distance, power, cadence,
+ *   heartRate, pulseCount, voltage, batteryLevel, sessionTime, lat, lng }
+ * @returns {Promise<Object>} counts, acknowledged sequence numbers, rejected points and
+ *   the sessions that were updated
+ */
+export async function ingestTelemetryBatch(userId, { deviceId, sessionId, points }) {
+  if (!deviceId) throw httpError('Device ID is required');
+  if (!Array.isArray(points) || points.length === 0) throw httpError('Points are required');
+  if (points.length > MAX_BATCH_POINTS) {
+    throw httpError(`A batch can contain at most ${MAX_BATCH_POINTS} points`, 413);
+  }
+
+  const rejected = [];
+  const normalized = [];
+  const now = Date.now();
+  for (const raw of points) {
+    const result = normalizeBatchPoint(raw, now);
+    if (result.error) {
+      rejected.push({ seq: raw?.seq ?? raw?.sequence ?? null, reason: result.error });
+    } else {
+      normalized.push(result.point);
+    }
+  }
+  normalized.sort((a, b) => a.timestamp - b.timestamp);
+
+  // Replays within the batch; replays of earlier uploads are caught when storing
+  const { fresh, duplicates } = partitionDuplicates(normalized);
+
+  // File each point into its session
+  let assigned = new Map();
+  if (fresh.length > 0 && sessionId) {
+    let session = await RideSession.findOne({ sessionId });
+    if (session && session.userId.toString() !== userId.toString()) {
+      throw httpError('Session belongs to another user', 403);
+    }
+    if (!session) {
+      session = await createSyncedSession(userId, deviceId, sessionId, fresh);
+      logger.info('Session created from offline telemetry', { sessionId, userId });
+    }
+    assigned.set(session.sessionId, fresh);
+  } else if (fresh.length > 0) {
+    const sessions = await RideSession.find({
+      userId,
+      deviceId,
+      startTime: { $lte: new Date(fresh[fresh.length - 1].timestamp.getTime() + SESSION_MATCH_GAP_MS) },
+      $or: [
+        { status: 'active' },
+        { endTime: { $gte: new Date(fresh[0].timestamp.getTime() - SESSION_MATCH_GAP_MS) } }
+      ]
+    }).select('sessionId startTime endTime lastUpdate status').lean();
+
+    const result = assignPointsToSessions(fresh, sessions, now);
+    assigned = result.assigned;
+    for (const point of result.unmatched) {
+      rejected.push({ seq: point.sequence, reason: 'No session matches this timestamp; upload it with a sessionId' });
+    }
+  }
+
+  const device = await ESP32Device.findOne({ deviceId }).select('wheelCircumference').lean();
+  const sessions = [];
+  const stored = [];
+
+  for (const [targetSessionId, assignedPoints] of assigned) {
+    const { claimed: sessionPoints, replayed } = await claimPoints(deviceId, assignedPoints);
+    duplicates.push(...replayed);
+    if (sessionPoints.length === 0) continue;
+
+    let inserted;
+    try {
+      await applyPulseMetrics(targetSessionId, sessionPoints, device?.wheelCircumference || DEFAULT_WHEEL_CIRCUMFERENCE);
+      await applyQualityChecks(targetSessionId, sessionPoints);
+
+      inserted = await Telemetry.insertMany(sessionPoints.map(point => ({
+        ...point,
+        deviceId,
+        userId,
+        sessionId: targetSessionId,
+        metrics: { ...point.metrics, pulseCount: point.metrics.pulseCount || 0 },
+        workoutActive: true
+      })), { ordered: false });
+    } catch (error) {
+      // An unordered insert keeps the points it stored before failing
+      inserted = error.insertedDocs || [];
+      if (inserted.length === 0) {
+        // Unclaim the points so a retry stores them
+        await TelemetryReceipt.deleteMany({ deviceId, $or: sessionPoints.map(receiptKey) });
+        throw error;
+      }
+      logger.warn('⚠️ Some synced telemetry points could not be stored', {
+        sessionId: targetSessionId,
+        stored: inserted.length,
+        failed: sessionPoints.length - inserted.length,
+        error: error.message
+      });
+    }
+
+    // Unclaim the points that weren't stored (write or validation errors) so a retry stores them
+    const insertedKeys = new Set(inserted.map(pointKey));
+    const failed = sessionPoints.filter(point => !insertedKeys.has(pointKey(point)));
+    if (failed.length > 0) {
+      await TelemetryReceipt.deleteMany({ deviceId, $or: failed.map(receiptKey) });
+      for (const point of failed) {
+        rejected.push({ seq: point.sequence, reason: 'Could not be stored; upload it again' });
+      }
+    }
+    const savedPoints = sessionPoints.filter(point => insertedKeys.has(pointKey(point)));
+    if (savedPoints.length === 0) continue;
+    stored.push(...savedPoints);
+
+    // The live pulse and quality state no longer reflect the latest stored reading
+    clearPulseState(targetSessionId);
+    clearQualityState(targetSessionId);
+
+    const session = await RideSession.findOne({ sessionId: targetSessionId });
+    await recomputeSessionAggregates(session);
+    sessions.push({
+      sessionId: targetSessionId,
+      points: savedPoints.length,
+      status: session.status,
+      totalDistance: session.totalDistance,
+      movingTime: session.movingTime
+    });
+  }
+
+  logger.info('Offline telemetry batch synced', {
+    userId,
+    deviceId,
+    received: points.length,
+    accepted: stored.length,
+    duplicates: duplicates.length,
+    rejected: rejected.length
+  });
+
+  return {
+    received: points.length,
+    accepted: stored.length,
+    duplicates: duplicates.length,
+    rejected,
+    // Sequences the client can drop from its buffer: stored now or already stored
+    acknowledged: [...stored, ...duplicates].map(point => point.sequence),
+    sessions
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Training Zones Service
+ *
+ * FTP estimation and Coggan power zones. FTP is estimated automatically from
+ * a ride's best 20-minute power (x0.95) or from a ramp test (best 1-minute
+ * power x0.75), and every change is kept in `User.profile.ftpHistory`.
+ * Zones are percentages of FTP; each maps to a calorie intensity level so
+ * calorie estimates follow the rider's actual effort.
+ *
+ * Heart rate zones use the heart rate reserve (Karvonen) when a resting HR is
+ * on the profile, otherwise percentages of max HR. Max HR falls back to an
+ * age-based estimate.
+ */
+
+import { Telemetry } from '../models/Telemetry.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+// Coggan power zones as fractions of FTP. `intensity` is the MET level used
+// by calorieService.calculateCyclingCaloriesDirect.
+export const POWER_ZONES = [
+  { zone: 1, name: 'Active Recovery', min: 0, max: 0.55, intensity: 'light' },
+  { zone: 2, name: 'Endurance', min: 0.55, max: 0.75, intensity: 'moderate' },
+  { zone: 3, name: 'Tempo', min: 0.75, max: 0.90, intensity: 'moderate' },
+  { zone: 4, name: 'Threshold', min: 0.90, max: 1.05, intensity: 'vigorous' },
+  { zone: 5, name: 'VO2 Max', min: 1.05, max: 1.20, intensity: 'vigorous' },
+  { zone: 6, name: 'Anaerobic Capacity', min: 1.20, max: 1.50, intensity: 'maximum' },
+  { zone: 7, name: 'Neuromuscular Power', min: 1.50, max: Infinity, intensity: 'maximum' }
+];
+
+export const FTP_SOURCES = ['manual', 'best_20min', 'ramp_test'];
+
+// Heart rate zones as fractions of heart rate reserve (or max HR)
+export const HEART_RATE_ZONES = [
+  { zone: 1, name: 'Recovery', min: 0, max: 0.60 },
+  { zone: 2, name: 'Endurance', min: 0.60, max: 0.70 },
+  { zone: 3, name: 'Aerobic', min: 0.70, max: 0.80 },
+  { zone: 4, name: 'Threshold', min: 0.80, max: 0.90 },
+  { zone: 5, name: 'Maximum', min: 0.90, max: Infinity }
+];
+
+// Plausible heart rate readings; anything else is a strap dropout or noise
+const MIN_HEART_RATE = 30;
+const MAX_HEART_RATE = 250;
+
+// A HR reading covers at most this long when readings are sparse
+const MAX_HEART_RATE_HOLD_SECONDS = 10;
+
+// FTP ≈ 95% of best 20-minute power; ≈ 75% of the last completed ramp minute
+const TWENTY_MINUTE_FACTOR = 0.95;
+const RAMP_TEST_FACTOR = 0.75;
+
+// Keep in line with the User.profile.ftp schema limits
+const MIN_FTP = 50;
+const MAX_FTP = 600;
+
+/**
+ * Zone boundaries in watts for an FTP.
+ * @returns {Array<{zone, name, minWatts, maxWatts, intensity}>} maxWatts is null for the top zone
+ */
+export function getPowerZones(ftp) {
+  if (!(ftp > 0)) return [];
+
+  return POWER_ZONES.map(zone => ({
+    zone: zone.zone,
+    name: zone.name,
+    minWatts: Math.round(zone.min * ftp),
+    maxWatts: Number.isFinite(zone.max) ? Math.round(zone.max * ftp) - 1 : null,
+    intensity: zone.intensity
+  }));
+}
+
+/**
+ * Zone definition for a power reading, or null without an FTP.
+ */
+export function getZoneForWatts(watts, ftp) {
+  if (!(ftp > 0)) return null;
+
+  const ratio = Math.max(0, Number(watts) || 0) / ftp;
+  return POWER_ZONES.find(zone => ratio < zone.max) || POWER_ZONES[POWER_ZONES.length - 1];
+}
+
+/**
+ * Seconds spent in each zone for a 1 Hz power series.
+ * Zeros (coasting) count toward zone 1, as in most training platforms.
+ * @returns {Array<{zone, name, seconds, intensity}>} empty without an FTP
+ */
+export function calculateTimeInZones(series, ftp) {
+  if (!(ftp > 0) || !series?.length) return [];
+
+  const seconds = new Array(POWER_ZONES.length).fill(0);
+  for (const watts of series) {
+    seconds[getZoneForWatts(watts, ftp).zone - 1]++;
+  }
+
+  return POWER_ZONES.map((zone, index) => ({
+    zone: zone.zone,
+    name: zone.name,
+    seconds: seconds[index],
+    intensity: zone.intensity
+  }));
+}
+
+/**
+ * Estimate FTP from a ride's power curve.
+ * @param {Array<{duration, watts}>} powerCurve
+ * @param {boolean} [isRampTest]
+ * @returns {{ftp: number, source: string}|null} null when the ride is too short
+ */
+export function estimateFtp(powerCurve, isRampTest = false) {
+  const best = (duration) => powerCurve?.find(point => point.duration === duration)?.watts;
+
+  const [watts, factor, source] = isRampTest
+    ? [best(60), RAMP_TEST_FACTOR, 'ramp_test']
+    : [best(1200), TWENTY_MINUTE_FACTOR, 'best_20min'];
+
+  if (!(watts > 0)) return null;
+
+  const ftp = Math.round(watts * factor);
+  if (ftp < MIN_FTP || ftp > MAX_FTP) return null;
+
+  return { ftp, source };
+}
+
+/**
+ * Set a user's FTP and append it to the history.
+ */
+export async function recordFtp(userId, ftp, source = 'manual', sessionId = null) {
+  const entry = { ftp, source, sessionId, recordedAt: new Date() };
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'profile.ftp': ftp },
+      $push: { 'profile.ftpHistory': entry }
+    }
+  );
+
+  logger.info('FTP updated', { userId, ftp, source, sessionId });
+  return entry;
+}
+
+/**
+ * Update a user's FTP from a completed ride. Ramp tests always set FTP;
+ * regular rides only raise it, since most rides are not maximal efforts.
+ * @param {Object} session - RideSession with powerCurve and rideType
+ * @returns {Promise<Object|null>} the new history entry, or null when unchanged
+ */
+export async function updateFtpFromSession(session) {
+  const isRampTest = session.rideType === 'ramp_test';
+  const estimate = estimateFtp(session.powerCurve, isRampTest);
+  if (!estimate) return null;
+
+  const user = await User.findById(session.userId).select('profile.ftp').lean();
+  if (!user) return null;
+
+  const currentFtp = user.profile?.ftp || 0;
+  if (!isRampTest && estimate.ftp <= currentFtp) return null;
+  if (estimate.ftp === currentFtp) return null;
+
+  return recordFtp(session.userId, estimate.ftp, estimate.source, session.sessionId);
+}
+
+/**
+ * Parse a heart rate reading from any ride data source.
+ * @returns {number|null} bpm, or null when missing or implausible
+ */
+export function normalizeHeartRate(value) {
+  const bpm = Math.round(Number(value));
+  if (!Number.isFinite(bpm) || bpm < MIN_HEART_RATE || bpm > MAX_HEART_RATE) return null;
+  return bpm;
+}
+
+// Tanaka formula: 208 - 0.7 x age
+export function estimateMaxHeartRate(birthDate) {
+  if (!birthDate) return null;
+  const age = new Date().getFullYear() - new Date(birthDate).getFullYear();
+  if (!Number.isFinite(age) || age <= 0) return null;
+  return Math.round(208 - 0.7 * age);
+}
+
+/**
+ * Max and resting HR for a profile.
+ * @returns {{maxHeartRate, restingHeartRate, maxEstimated: boolean}}
+ */
+export function getHeartRateLimits(profile) {
+  const { maxHeartRate: configuredMax, restingHeartRate, birthDate } = profile || {};
+  const maxHeartRate = configuredMax || estimateMaxHeartRate(birthDate);
+  return {
+    maxHeartRate: maxHeartRate || null,
+    restingHeartRate: restingHeartRate || null,
+    maxEstimated: !configuredMax && !!maxHeartRate
+  };
+}
+
+const heartRateAt = (fraction, { maxHeartRate, restingHeartRate }) => (
+  restingHeartRate
+    ? restingHeartRate + fraction * (maxHeartRate - restingHeartRate)
+    : fraction * maxHeartRate
+);
+
+/**
+ * Zone boundaries in bpm for a profile.
+ * @returns {Array<{zone, name, minBpm, maxBpm}>} maxBpm is null for the top zone
+ */
+export function getHeartRateZones(profile) {
+  const limits = getHeartRateLimits(profile);
+  if (!limits.maxHeartRate) return [];
+
+  return HEART_RATE_ZONES.map(zone => ({
+    zone: zone.zone,
+    name: zone.name,
+    minBpm: zone.min > 0 ? Math.round(heartRateAt(zone.min, limits)) : 0,
+    maxBpm: Number.isFinite(zone.max) ? Math.round(heartRateAt(zone.max, limits)) - 1 : null
+  }));
+}
+
+export function getHeartRateZoneForBpm(bpm, limits) {
+  if (!limits?.maxHeartRate || !(bpm > 0)) return null;
+
+  const reserve = limits.restingHeartRate
+    ? (bpm - limits.restingHeartRate) / (limits.maxHeartRate - limits.restingHeartRate)
+    : bpm / limits.maxHeartRate;
+  return HEART_RATE_ZONES.find(zone => reserve < zone.max) || HEART_RATE_ZONES[HEART_RATE_ZONES.length - 1];
+}
+
+/**
+ * Heart rate summary for a ride.
+ * @param {Array<{time, heartRate, hold?}>} samples - Readings in any order; missing HR is
+ *   skipped. `hold` is the seconds a reading covers (telemetry rollup resolution)
+ * @param {Object} [profile] - User profile with maxHeartRate/restingHeartRate/birthDate
+ * @returns {Object|null} null when the ride has no heart rate
+ */
+export function calculateHeartRateMetrics(samples, profile) {
+  const readings = (samples || [])
+    .map(sample => ({
+      time: new Date(sample.time).getTime(),
+      heartRate: normalizeHeartRate(sample.heartRate),
+      hold: Math.max(MAX_HEART_RATE_HOLD_SECONDS, Number(sample.hold) || 0)
+    }))
+    .filter(sample => sample.heartRate !== null && Number.isFinite(sample.time))
+    .sort((a, b) => a.time - b.time);
+
+  if (readings.length === 0) return null;
+
+  const limits = getHeartRateLimits(profile);
+  const zoneSeconds = new Array(HEART_RATE_ZONES.length).fill(0);
+  let weightedSum = 0;
+  let totalSeconds = 0;
+
+  readings.forEach((reading, index) => {
+    // Each reading covers the time until the next one, capped for dropouts
+    const next = readings[index + 1];
+    const seconds = next
+      ? Math.min((next.time - reading.time) / 1000, reading.hold)
+      : 1;
+    weightedSum += reading.heartRate * seconds;
+    totalSeconds += seconds;
+
+    const zone = getHeartRateZoneForBpm(reading.heartRate, limits);
+    if (zone) zoneSeconds[zone.zone - 1] += seconds;
+  });
+
+  return {
+    avgHeartRate: totalSeconds > 0 ? Math.round(weightedSum / totalSeconds) : null,
+    maxHeartRate: Math.max(...readings.map(reading => reading.heartRate)),
+    heartRateSamples: readings.length,
+    timeInHeartRateZones: limits.maxHeartRate
+      ? HEART_RATE_ZONES.map((zone, index) => ({
+        zone: zone.zone,
+        name: zone.name,
+        seconds: Math.round(zoneSeconds[index])
+      }))
+      : []
+  };
+}
+
+/**
+ * Compute heart rate metrics for a stored ride from its telemetry and persist
+ * them on the RideSession.
+ * @returns {Promise<Object|null>} metrics written, or null without HR data
+ */
+export async function applySessionHeartRateMetrics(session) {
+  const [telemetry, user] = await Promise.all([
+    Telemetry.getSessionData(session.sessionId),
+    User.findById(session.userId).select('profile').lean()
+  ]);
+
+  const metrics = calculateHeartRateMetrics(
+    telemetry.map(point => ({ time: point.timestamp, heartRate: point.metrics?.heartRate, hold: point.resolution })),
+    user?.profile
+  );
+  if (!metrics) return null;
+
+  Object.assign(session, metrics);
+  await session.save();
+
+  return metrics;
+}
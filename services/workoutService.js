@@ -0,0 +1,306 @@
+/**
+ * Workout Service
+ *
+ * Structured interval workouts. A workout is a list of steps, each held for a
+ * duration at a target power (watts), cadence (rpm) or intensity (percent of
+ * FTP). A plan's dailySessions entry can reference one; a ride started that day
+ * is linked to it. During the ride the BLE bridge pushes each step's targets
+ * to the trainer, and when the ride ends it gets a compliance score: the share
+ * of each step's readings that fell inside the target range, weighted by step
+ * duration.
+ */
+
+import mongoose from 'mongoose';
+import Workout from '../models/Workout.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+import User from '../models/User.js';
+import { Telemetry, RideSession } from '../models/Telemetry.js';
+import { httpError } from '../utils/httpError.js';
+
+export const WORKOUT_TARGET_TYPES = ['power', 'cadence', 'intensity'];
+export const WORKOUT_STEP_KINDS = ['warmup', 'work', 'recovery', 'cooldown'];
+export const MAX_WORKOUT_STEPS = 100;
+
+// Keep in line with the Workout step schema
+const MIN_STEP_SECONDS = 10;
+const MAX_STEP_SECONDS = 4 * 60 * 60;
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Validate the steps of a workout definition.
+ * @param {Array<Object>} steps - [{ name?, kind?, duration, target: { type, low, high } }]
+ * @returns {Array<Object>} the cleaned steps
+ */
+export function normalizeWorkoutSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw httpError('A workout needs at least one step');
+  }
+  if (steps.length > MAX_WORKOUT_STEPS) {
+    throw httpError(`A workout can have at most ${MAX_WORKOUT_STEPS} steps`);
+  }
+
+  return steps.map((step, index) => {
+    const duration = Number(step?.duration);
+    if (!Number.isFinite(duration) || duration < MIN_STEP_SECONDS || duration > MAX_STEP_SECONDS) {
+      throw httpError(`Step ${index + 1}: duration must be between ${MIN_STEP_SECONDS} and ${MAX_STEP_SECONDS} seconds`);
+    }
+
+    const type = step.target?.type;
+    if (!WORKOUT_TARGET_TYPES.includes(type)) {
+      throw httpError(`Step ${index + 1}: target type must be one of ${WORKOUT_TARGET_TYPES.join(', ')}`);
+    }
+    const low = Number(step.target.low);
+    const high = Number(step.target.high ?? step.target.low);
+    if (!Number.isFinite(low) || !Number.isFinite(high) || low < 0 || high < low) {
+      throw httpError(`Step ${index + 1}: target needs a low and high with 0 <= low <= high`);
+    }
+
+    const kind = step.kind || 'work';
+    if (!WORKOUT_STEP_KINDS.includes(kind)) {
+      throw httpError(`Step ${index + 1}: kind must be one of ${WORKOUT_STEP_KINDS.join(', ')}`);
+    }
+
+    return {
+      name: step.name ? String(step.name).slice(0, 60) : undefined,
+      kind,
+      duration: Math.round(duration),
+      target: { type, low, high }
+    };
+  });
+}
+
+/**
+ * A step's target as a range of a telemetry metric. Intensity targets are
+ * percentages of FTP, so they need one.
+ * @returns {{metric: string, low: number, high: number}|null} null for intensity without an FTP
+ */
+export function resolveStepTarget(step, ftp) {
+  const { type, low, high } = step.target;
+  if (type === 'cadence') return { metric: 'cadence', low, high };
+  if (type === 'power') return { metric: 'watts', low, high };
+  if (!(ftp > 0)) return null;
+  return { metric: 'watts', low: Math.round(ftp * low / 100), high: Math.round(ftp * high / 100) };
+}
+
+/**
+ * When each step starts, with its targets resolved for the rider.
+ * @param {Object} workout
+ * @param {number} [ftp] - watts, for intensity targets
+ * @returns {Array<Object>} [{ index, name, kind, start, duration, targetType, metric, low, high }], start in seconds from the workout start
+ */
+export function buildStepSchedule(workout, ftp) {
+  let start = 0;
+  return workout.steps.map((step, index) => {
+    const target = resolveStepTarget(step, ftp);
+    const scheduled = {
+      index,
+      name: step.name || `Step ${index + 1}`,
+      kind: step.kind,
+      start,
+      duration: step.duration,
+      targetType: step.target.type,
+      metric: target?.metric ?? null,
+      low: target?.low ?? null,
+      high: target?.high ?? null
+    };
+    start += step.duration;
+    return scheduled;
+  });
+}
+
+/**
+ * The step being ridden a number of seconds into the workout.
+ * @returns {Object|null} a schedule entry, or null before the start or after the last step
+ */
+export function stepAt(schedule, elapsedSeconds) {
+  if (elapsedSeconds < 0) return null;
+  return schedule.find(step => elapsedSeconds < step.start + step.duration) || null;
+}
+
+/**
+ * Compare a ride's readings to the workout's step targets.
+ * @param {Array<Object>} schedule - from buildStepSchedule
+ * @param {Array<{timestamp, metrics}>} points - the ride's telemetry
+ * @param {Date} startTime - when the workout started
+ * @returns {{score: number|null, steps: Array<Object>}} score is null when no step could be scored
+ */
+export function calculateWorkoutCompliance(schedule, points, startTime) {
+  const start = new Date(startTime).getTime();
+  const tallies = schedule.map(() => ({ samples: 0, inTarget: 0, sum: 0 }));
+
+  for (const point of points) {
+    const step = stepAt(schedule, (new Date(point.timestamp).getTime() - start) / 1000);
+    if (!step || !step.metric) continue;
+
+    const value = Number(point.metrics?.[step.metric]) || 0;
+    const tally = tallies[step.index];
+    tally.samples++;
+    tally.sum += value;
+    if (value >= step.low && value <= step.high) tally.inTarget++;
+  }
+
+  // Steps that were never ridden score 0; steps without a resolvable target are left out
+  const steps = schedule.map((step, index) => {
+    const { samples, inTarget, sum } = tallies[index];
+    return {
+      index,
+      name: step.name,
+      targetType: step.targetType,
+      low: step.low,
+      high: step.high,
+      duration: step.duration,
+      samples,
+      inTarget,
+      actualAvg: samples > 0 ? Math.round(sum / samples) : null,
+      score: step.metric ? (samples > 0 ? Math.round(inTarget / samples * 100) : 0) : null
+    };
+  });
+
+  const scored = steps.filter(step => step.score !== null);
+  const scoredSeconds = scored.reduce((sum, step) => sum + step.duration, 0);
+  const score = scoredSeconds > 0
+    ? Math.round(scored.reduce((sum, step) => sum + step.score * step.duration, 0) / scoredSeconds)
+    : null;
+
+  return { score, steps };
+}
+
+/**
+ * Score a completed ride against its workout and store it on the session. The
+ * caller saves the session.
+ * @param {Object} session - RideSession
+ * @returns {Promise<Object|null>} the compliance, or null for rides without a workout
+ */
+export async function applyWorkoutCompliance(session) {
+  if (!session.workoutId) return null;
+
+  const workout = await Workout.findById(session.workoutId).lean();
+  if (!workout) return null;
+
+  // FTP from before this ride, as for IF/TSS
+  let ftp = session.ftpUsed;
+  if (!ftp) {
+    const user = await User.findById(session.userId).select('profile.ftp').lean();
+    ftp = user?.profile?.ftp || null;
+  }
+
+  const points = await Telemetry.getSessionData(session.sessionId);
+  const compliance = calculateWorkoutCompliance(
+    buildStepSchedule(workout, ftp),
+    points,
+    session.workoutStartedAt || session.startTime
+  );
+
+  session.workoutCompliance = { ...compliance, ftpUsed: ftp };
+  return session.workoutCompliance;
+}
+
+/**
+ * The workout planned for a date in a plan, if any.
+ * @param {Object} plan - CyclingPlan with dailySessions
+ * @param {Date} date
+ * @returns {ObjectId|null}
+ */
+export function findPlannedWorkoutId(plan, date = new Date()) {
+  const day = new Date(date).toDateString();
+  const planned = (plan?.dailySessions || []).find(session =>
+    session.workout && new Date(session.date).toDateString() === day
+  );
+  return planned?.workout || null;
+}
+
+export async function createWorkout(userId, { name, description, steps }) {
+  if (!name || !String(name).trim()) throw httpError('Workout name is required');
+
+  return Workout.create({
+    userId,
+    name: String(name).trim(),
+    description,
+    steps: normalizeWorkoutSteps(steps)
+  });
+}
+
+export async function listWorkouts(userId) {
+  return Workout.find({ userId }).sort({ updatedAt: -1 }).lean();
+}
+
+export async function getWorkout(userId, workoutId) {
+  if (!isObjectId(workoutId)) throw httpError('Workout not found', 404);
+
+  const workout = await Workout.findOne({ _id: workoutId, userId }).lean();
+  if (!workout) throw httpError('Workout not found', 404);
+  return workout;
+}
+
+/**
+ * Delete a workout and unlink it from the rider's plans.
+ */
+export async function deleteWorkout(userId, workoutId) {
+  if (!isObjectId(workoutId)) throw httpError('Workout not found', 404);
+
+  const deleted = await Workout.findOneAndDelete({ _id: workoutId, userId });
+  if (!deleted) throw httpError('Workout not found', 404);
+
+  await CyclingPlan.updateMany(
+    { user: userId, 'dailySessions.workout': deleted._id },
+    { $set: { 'dailySessions.$[planned].workout': null } },
+    { arrayFilters: [{ 'planned.workout': deleted._id }] }
+  );
+  return deleted;
+}
+
+/**
+ * Attach a workout to one of the days of the rider's active plan, or detach it
+ * with workoutId null.
+ * @param {ObjectId} userId
+ * @param {string} dailySessionId - _id of the plan's dailySessions entry
+ * @param {string|null} workoutId
+ * @returns {Promise<Object>} the updated dailySessions entry
+ */
+export async function assignPlanWorkout(userId, dailySessionId, workoutId) {
+  if (!isObjectId(dailySessionId)) throw httpError('Plan session not found', 404);
+  const workout = workoutId ? await getWorkout(userId, workoutId) : null;
+
+  const plan = await CyclingPlan.findOne({ user: userId, isActive: true, 'dailySessions._id': dailySessionId });
+  if (!plan) throw httpError('Plan session not found', 404);
+
+  const planned = plan.dailySessions.id(dailySessionId);
+  planned.workout = workout?._id || null;
+  await plan.save();
+  return planned;
+}
+
+/**
+ * Start a workout on the rider's active ride: the session's planned workout,
+ * or another of the rider's workouts.
+ * @param {ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - defaults to the rider's active session
+ * @param {string} [options.workoutId] - defaults to the session's planned workout
+ * @returns {Promise<{sessionId, workout, schedule, startedAt}>}
+ */
+export async function startSessionWorkout(userId, { sessionId, workoutId } = {}) {
+  const session = await RideSession.findOne({
+    userId,
+    status: 'active',
+    ...(sessionId && { sessionId })
+  });
+  if (!session) throw httpError('Active session not found', 404);
+
+  const id = workoutId || session.workoutId;
+  if (!id) throw httpError('No workout is planned for this ride');
+  const workout = await getWorkout(userId, id);
+
+  const user = await User.findById(userId).select('profile.ftp').lean();
+  session.workoutId = workout._id;
+  session.workoutStartedAt = new Date();
+  await session.save();
+
+  return {
+    sessionId: session.sessionId,
+    workout,
+    schedule: buildStepSchedule(workout, user?.profile?.ftp),
+    startedAt: session.workoutStartedAt
+  };
+}
@@ -0,0 +1,8 @@
+/**
+ * Stand-in for utils/logger.js in every test (see moduleNameMapper in
+ * jest.config.json): the real logger relies on import.meta, which babel-jest
+ * cannot load.
+ */
+import { jest } from '@jest/globals';
+
+export default { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
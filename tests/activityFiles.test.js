@@ -0,0 +1,202 @@
+/**
+ * Activity File Unit Tests
+ *
+ * Round-trip tests for GPX, TCX and FIT export/import: files built by the
+ * export service must parse back into the same track through the import
+ * service.
+ */
+
+import {
+  buildGpx,
+  buildTcx,
+  buildFit,
+  buildTrackPoints
+} from '../services/activityExportService.js';
+import {
+  parseGpx,
+  parseTcx,
+  parseFit,
+  detectActivityFormat,
+  normalizeTrackPoints,
+  summarizeTrack,
+  parseActivityFile
+} from '../services/activityImportService.js';
+import { decodeFit, FitEncoder, fitCrc } from '../utils/fitFile.js';
+
+describe('Activity Files - Unit Tests', () => {
+  const startTime = new Date('2025-06-01T06:00:00Z');
+
+  const telemetry = Array.from({ length: 10 }, (_, i) => ({
+    timestamp: new Date(startTime.getTime() + i * 1000),
+    coordinates: { type: 'Point', coordinates: [120.9842, 14.5995 + i * 0.00006] },
+    metrics: { speed: 24 + (i % 3), distance: i * 0.0066, watts: 150 + i * 5, heartRate: 120 + i },
+  }));
+
+  const session = {
+    sessionId: 'ROUND_TRIP_SESSION',
+    startTime,
+    endTime: new Date(startTime.getTime() + 9000),
+    duration: 9,
+    totalDistance: 0.0594,
+    maxSpeed: 26,
+    avgSpeed: 25,
+    avgPower: 172,
+    maxPower: 195,
+    totalCalories: 2,
+  };
+
+  const points = buildTrackPoints(telemetry, []);
+
+  describe('buildTrackPoints', () => {
+    it('should read GeoJSON coordinates as [lng, lat]', () => {
+      expect(points[0].lat).toBeCloseTo(14.5995, 6);
+      expect(points[0].lng).toBeCloseTo(120.9842, 6);
+    });
+
+    it('should fill missing positions from the session route', () => {
+      const withoutCoordinates = telemetry.map(({ coordinates, ...sample }) => sample);
+      const route = [{ lat: 14.6, lng: 121.0, altitude: 12, timestamp: startTime }];
+
+      const track = buildTrackPoints(withoutCoordinates, route);
+
+      expect(track[0]).toMatchObject({ lat: 14.6, lng: 121.0, altitude: 12 });
+      expect(track[9].lat).toBeCloseTo(14.6);
+    });
+
+    it('should fall back to route points when there is no telemetry', () => {
+      const route = [
+        { lat: 14.6, lng: 121.0, speed: 20, timestamp: new Date(startTime.getTime() + 1000) },
+        { lat: 14.5, lng: 121.0, speed: 18, timestamp: startTime },
+      ];
+
+      const track = buildTrackPoints([], route);
+
+      expect(track).toHaveLength(2);
+      expect(track[0].lat).toBe(14.5);
+    });
+  });
+
+  describe('GPX round trip', () => {
+    it('should parse exported positions, time and power', () => {
+      const parsed = parseGpx(buildGpx(session, points));
+
+      expect(parsed.points).toHaveLength(10);
+      expect(parsed.points[3].time.getTime()).toBe(points[3].time.getTime());
+      expect(parsed.points[3].lat).toBeCloseTo(points[3].lat, 6);
+      expect(parsed.points[3].watts).toBe(165);
+      expect(parsed.points[3].speed).toBeCloseTo(24, 1);
+      expect(parsed.points[3].heartRate).toBe(123);
+    });
+
+    it('should derive distance from positions when GPX has none', () => {
+      const normalized = normalizeTrackPoints(parseGpx(buildGpx(session, points)).points);
+
+      // 9 steps of 0.00006° latitude ≈ 60m
+      expect(normalized[9].distance).toBeCloseTo(0.06, 2);
+    });
+  });
+
+  describe('TCX round trip', () => {
+    it('should parse exported track points and lap calories', () => {
+      const parsed = parseTcx(buildTcx(session, points));
+
+      expect(parsed.points).toHaveLength(10);
+      expect(parsed.points[5].distance).toBeCloseTo(0.033, 3);
+      expect(parsed.points[5].watts).toBe(175);
+      expect(parsed.points[5].heartRate).toBe(125);
+      expect(parsed.calories).toBe(2);
+    });
+  });
+
+  describe('FIT round trip', () => {
+    it('should write a valid header and CRC', () => {
+      const fit = buildFit(session, points);
+
+      expect(fit.readUInt8(0)).toBe(14);
+      expect(fit.toString('ascii', 8, 12)).toBe('.FIT');
+      expect(fitCrc(fit)).toBe(0);
+    });
+
+    it('should decode exported records and session totals', () => {
+      const parsed = parseFit(buildFit(session, points));
+
+      expect(parsed.points).toHaveLength(10);
+      expect(parsed.points[9].lat).toBeCloseTo(points[9].lat, 5);
+      expect(parsed.points[9].distance).toBeCloseTo(0.0594, 4);
+      expect(parsed.points[9].watts).toBe(195);
+      expect(parsed.points[9].heartRate).toBe(129);
+      expect(parsed.calories).toBe(2);
+    });
+
+    it('should reject corrupted files', () => {
+      const fit = buildFit(session, points);
+      fit[20] ^= 0xFF;
+
+      expect(() => decodeFit(fit)).toThrow(/CRC/);
+    });
+
+    it('should decode compressed timestamp headers', () => {
+      const encoder = new FitEncoder();
+      encoder.write('record', { timestamp: startTime, power: 100 });
+      const file = encoder.toBuffer();
+
+      // Append a compressed-timestamp record (local type 0, +3s) by hand
+      const dataSize = file.readUInt32LE(4);
+      const base = file.subarray(0, 14 + dataSize);
+      const lastTimestamp = base.readUInt32LE(base.length - 6);
+      const offset = ((lastTimestamp & 0x1F) + 3) & 0x1F;
+      const compressed = Buffer.from([0x80 | offset, 0x00, 0x00, 0x00, 0x00, 0x78, 0x00]);
+      // Definition has timestamp + power (uint32 + uint16); the compressed record
+      // still carries both fields, with an invalid timestamp
+      compressed.writeUInt32LE(0xFFFFFFFF, 1);
+      compressed.writeUInt16LE(120, 5);
+
+      const data = Buffer.concat([base.subarray(14), compressed]);
+      const header = Buffer.from(base.subarray(0, 14));
+      header.writeUInt32LE(data.length, 4);
+      header.writeUInt16LE(fitCrc(header.subarray(0, 12)), 12);
+      const body = Buffer.concat([header, data]);
+      const crc = Buffer.alloc(2);
+      crc.writeUInt16LE(fitCrc(body), 0);
+
+      const { record } = decodeFit(Buffer.concat([body, crc]));
+
+      expect(record).toHaveLength(2);
+      expect(record[1].power).toBe(120);
+      expect(record[1].timestamp.getTime()).toBe(startTime.getTime() + 3000);
+    });
+  });
+
+  describe('parseActivityFile', () => {
+    it('should detect formats from file contents', () => {
+      expect(detectActivityFormat(buildFit(session, points), 'ride.bin')).toBe('fit');
+      expect(detectActivityFormat(Buffer.from(buildGpx(session, points)), 'ride.xml')).toBe('gpx');
+      expect(detectActivityFormat(Buffer.from(buildTcx(session, points)), 'ride')).toBe('tcx');
+      expect(detectActivityFormat(Buffer.from('hello'), 'ride.txt')).toBeNull();
+    });
+
+    it('should reject unsupported files with a 400 status', () => {
+      expect(() => parseActivityFile(Buffer.from('hello'), 'notes.txt'))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should reject files without enough track points', () => {
+      const gpx = buildGpx(session, points.slice(0, 1));
+
+      expect(() => parseActivityFile(Buffer.from(gpx), 'short.gpx'))
+        .toThrow(/enough timestamped track points/);
+    });
+
+    it('should summarize imported tracks', () => {
+      const { points: parsed } = parseActivityFile(Buffer.from(buildTcx(session, points)), 'ride.tcx');
+      const summary = summarizeTrack(parsed);
+
+      expect(summary.duration).toBe(9);
+      expect(summary.movingTime).toBe(9);
+      expect(summary.pausedIntervals).toEqual([]);
+      expect(summary.totalDistance).toBeCloseTo(0.0594, 4);
+      expect(summary.maxPower).toBe(195);
+      expect(summary.avgPower).toBeCloseTo(172.5, 1);
+    });
+  });
+});
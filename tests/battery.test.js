@@ -0,0 +1,175 @@
+/**
+ * Battery Health Unit Tests
+ *
+ * Per-ride battery drain, health from drain history, and the low battery and
+ * ride-at-risk `device_status` alerts.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.mock('../services/notificationService.js', () => ({
+  __esModule: true,
+  default: { createNotification: jest.fn().mockResolvedValue({}) },
+}));
+
+import NotificationService from '../services/notificationService.js';
+import {
+  estimateBatteryLevel,
+  normalizeBatteryReading,
+  summarizeSessionBattery,
+  calculateBatteryHealth,
+  recordBatteryReading,
+  clearBatteryState
+} from '../services/batteryService.js';
+import { ESP32Device } from '../models/Telemetry.js';
+import Workout from '../models/Workout.js';
+
+const start = new Date('2025-06-01T06:00:00Z').getTime();
+const minutes = (count) => count * 60 * 1000;
+
+describe('Battery Health - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    NotificationService.createNotification.mockClear();
+  });
+
+  describe('battery readings', () => {
+    it('should estimate the level from voltage when the device reports none', () => {
+      expect(estimateBatteryLevel(3.6)).toBe(50);
+      expect(estimateBatteryLevel(0)).toBeNull();
+      expect(normalizeBatteryReading({ level: 0, voltage: 4.2 })).toEqual({ level: 100, voltage: 4.2 });
+      expect(normalizeBatteryReading({ level: 64, voltage: 0 })).toEqual({ level: 64, voltage: null });
+      expect(normalizeBatteryReading({})).toBeNull();
+    });
+  });
+
+  describe('summarizeSessionBattery', () => {
+    it('should give the drain per ride hour', () => {
+      const summary = summarizeSessionBattery([
+        { timestamp: start, battery: { level: 90, voltage: 4.1 } },
+        { timestamp: start + minutes(1), battery: { level: 0, voltage: 0 } },
+        { timestamp: start + minutes(90), battery: { level: 75, voltage: 3.9 } }
+      ]);
+
+      expect(summary).toEqual({
+        startLevel: 90,
+        endLevel: 75,
+        startVoltage: 4.1,
+        endVoltage: 3.9,
+        hours: 1.5,
+        drainPerHour: 10
+      });
+    });
+
+    it('should leave out short rides and rides that charged', () => {
+      const short = summarizeSessionBattery([
+        { timestamp: start, battery: { level: 90 } },
+        { timestamp: start + minutes(5), battery: { level: 89 } }
+      ]);
+      const charging = summarizeSessionBattery([
+        { timestamp: start, battery: { level: 50 } },
+        { timestamp: start + minutes(60), battery: { level: 60 } }
+      ]);
+
+      expect(short.drainPerHour).toBeNull();
+      expect(charging.drainPerHour).toBeNull();
+      expect(summarizeSessionBattery([{ timestamp: start, battery: { level: 90 } }])).toBeNull();
+    });
+  });
+
+  describe('calculateBatteryHealth', () => {
+    it('should estimate capacity fade from the discharge rate rising', () => {
+      const rides = [10, 10, 11, 9, 10, 12, 12, 13, 12.5, 12.5].map(drainPerHour => ({ drainPerHour }));
+
+      expect(calculateBatteryHealth(rides)).toEqual({
+        status: 'good',
+        capacityPercent: 80,
+        dischargeRatePerHour: 12.5,
+        fullChargeRideHours: 8,
+        ridesAnalyzed: 10
+      });
+    });
+
+    it('should flag batteries that need replacing', () => {
+      const rides = [...Array(5).fill(10), ...Array(5).fill(20)].map(drainPerHour => ({ drainPerHour }));
+      expect(calculateBatteryHealth(rides)).toMatchObject({ status: 'replace', capacityPercent: 50 });
+    });
+
+    it('should only give a discharge rate until there is a baseline', () => {
+      const health = calculateBatteryHealth([{ drainPerHour: 8 }, { drainPerHour: null }, { drainPerHour: 12 }]);
+      expect(health).toMatchObject({ status: 'unknown', capacityPercent: null, dischargeRatePerHour: 10, ridesAnalyzed: 2 });
+    });
+  });
+
+  describe('recordBatteryReading', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let deviceCount = 0;
+
+    // A new deviceId each time, so earlier readings don't throttle the next test
+    const mockDevice = (fields) => {
+      const device = {
+        _id: new mongoose.Types.ObjectId(),
+        deviceId: `ESP32_${++deviceCount}`,
+        deviceName: 'Garage bike',
+        userId,
+        batteryThreshold: 20,
+        ...fields
+      };
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => device }) });
+      const updateOne = jest.spyOn(ESP32Device, 'updateOne').mockResolvedValue({});
+      return { device, updateOne };
+    };
+
+    it('should alert once when the level drops below the threshold', async () => {
+      const { device, updateOne } = mockDevice({ battery: {} });
+
+      const alerts = await recordBatteryReading({ deviceId: device.deviceId, level: 15 });
+      expect(alerts).toEqual([{ kind: 'low_battery', threshold: 20 }]);
+      expect(updateOne.mock.calls[0][1].$set).toMatchObject({ 'battery.level': 15, 'battery.lowAlertAt': expect.any(Date) });
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'device_status',
+        title: 'Low Battery',
+        message: expect.stringContaining('Garage bike is at 15%')
+      }));
+
+      // Readings within the sample window are skipped
+      await expect(recordBatteryReading({ deviceId: device.deviceId, level: 14 })).resolves.toEqual([]);
+      expect(updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not alert again until the battery is recharged', async () => {
+      const { device, updateOne } = mockDevice({ battery: { lowAlertAt: new Date() } });
+
+      expect(await recordBatteryReading({ deviceId: device.deviceId, level: 12 })).toEqual([]);
+      expect(updateOne.mock.calls[0][1].$set).not.toHaveProperty('battery.lowAlertAt');
+      expect(NotificationService.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should re-arm the alert once the level recovers past the margin', async () => {
+      const { device, updateOne } = mockDevice({ battery: { lowAlertAt: new Date() } });
+
+      await recordBatteryReading({ deviceId: device.deviceId, voltage: 4.2 });
+      expect(updateOne.mock.calls[0][1].$set).toMatchObject({ 'battery.level': 100, 'battery.lowAlertAt': null });
+    });
+
+    it('should warn when a planned ride is unlikely to finish on the charge left', async () => {
+      const { device } = mockDevice({ battery: { drainPerHour: 20 } });
+      jest.spyOn(Workout, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ totalDuration: 3 * 3600 }) }) });
+      const session = {
+        sessionId: 'session_1',
+        workoutId: new mongoose.Types.ObjectId(),
+        startTime: new Date(Date.now() - minutes(30))
+      };
+
+      // 40% at 20%/h is 2h of riding; 2.5h of the workout are left
+      const alerts = await recordBatteryReading({ deviceId: device.deviceId, level: 40, session });
+      clearBatteryState('session_1');
+
+      expect(alerts).toEqual([expect.objectContaining({ kind: 'ride_at_risk', remainingMinutes: 150, availableMinutes: 120 })]);
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(userId, expect.objectContaining({
+        title: 'Battery May Not Last This Ride'
+      }));
+    });
+  });
+});
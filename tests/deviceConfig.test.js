@@ -0,0 +1,134 @@
+/**
+ * Device Config Unit Tests
+ *
+ * Settings validation, version bumps on change, and acknowledgements of the
+ * version a device applied.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import {
+  validateConfigChanges,
+  toDeviceConfig,
+  updateDeviceConfig,
+  acknowledgeDeviceConfig
+} from '../services/deviceConfigService.js';
+import { ESP32Device } from '../models/Telemetry.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const createDevice = (configSync) => new ESP32Device({ deviceId: 'ESP32_1', userId, configSync });
+
+describe('Device Config - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateConfigChanges', () => {
+    it('should accept settings within their limits', () => {
+      expect(validateConfigChanges({ wheelCircumference: 2.1, displayUnits: 'imperial', sampleIntervalMs: 500 }))
+        .toEqual({ wheelCircumference: 2.1, displayUnits: 'imperial', sampleIntervalMs: 500 });
+    });
+
+    it('should list every invalid or unknown setting', () => {
+      expect.assertions(2);
+      try {
+        validateConfigChanges({ wheelCircumference: 9, batteryThreshold: 12.5, firmwareVersion: '2.0.0' });
+      } catch (error) {
+        expect(error.status).toBe(400);
+        expect(error.details).toHaveLength(3);
+      }
+    });
+
+    it('should reject empty updates', () => {
+      expect(() => validateConfigChanges({})).toThrow('No configuration settings provided');
+      expect(() => validateConfigChanges(null)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('toDeviceConfig', () => {
+    it('should treat devices registered before versioning as version 1, not yet applied', () => {
+      const config = toDeviceConfig(createDevice());
+
+      expect(config).toMatchObject({ version: 1, appliedVersion: 0, pending: true });
+      expect(config.settings).toEqual({
+        wheelCircumference: 2.07,
+        batteryThreshold: 20,
+        autoPauseSeconds: 10,
+        sampleIntervalMs: 1000,
+        displayUnits: 'metric'
+      });
+    });
+  });
+
+  describe('updateDeviceConfig', () => {
+    it('should bump the version when a setting changes', async () => {
+      const device = createDevice({ version: 3, appliedVersion: 3 });
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+      const findOneAndUpdate = jest.spyOn(ESP32Device, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        device.set(update.$set);
+        return device;
+      });
+
+      const { config, changed } = await updateDeviceConfig(userId, 'ESP32_1', { wheelCircumference: 2.13 });
+
+      expect(changed).toBe(true);
+      expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ 'configSync.version': 3 });
+      expect(config).toMatchObject({ version: 4, appliedVersion: 3, pending: true });
+      expect(config.settings.wheelCircumference).toBe(2.13);
+    });
+
+    it('should leave the version alone when nothing changes', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(createDevice({ version: 3 }));
+      const findOneAndUpdate = jest.spyOn(ESP32Device, 'findOneAndUpdate');
+
+      const { config, changed } = await updateDeviceConfig(userId, 'ESP32_1', { wheelCircumference: 2.07 });
+
+      expect(changed).toBe(false);
+      expect(config.version).toBe(3);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject edits made against an older version', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(createDevice({ version: 5 }));
+
+      await expect(updateDeviceConfig(userId, 'ESP32_1', { batteryThreshold: 15 }, { expectedVersion: 4 }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('acknowledgeDeviceConfig', () => {
+    const acknowledge = async (configSync, ack) => {
+      const device = createDevice(configSync);
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+      jest.spyOn(device, 'save').mockResolvedValue(device);
+      return acknowledgeDeviceConfig(userId, 'ESP32_1', ack);
+    };
+
+    it('should record the applied version and clear an older rejection', async () => {
+      const config = await acknowledge(
+        { version: 4, appliedVersion: 2, rejectedVersion: 3, rejectedReason: 'bad value' },
+        { version: 4 }
+      );
+
+      expect(config).toMatchObject({ appliedVersion: 4, pending: false, rejectedVersion: null });
+      expect(config.appliedAt).toBeInstanceOf(Date);
+    });
+
+    it('should not move back on a late acknowledgement', async () => {
+      const config = await acknowledge({ version: 4, appliedVersion: 4 }, { version: 3 });
+      expect(config.appliedVersion).toBe(4);
+    });
+
+    it('should keep rejections with their reason', async () => {
+      const config = await acknowledge({ version: 4, appliedVersion: 3 }, { version: 4, status: 'rejected', reason: 'unsupported' });
+      expect(config).toMatchObject({ appliedVersion: 3, pending: true, rejectedVersion: 4, rejectedReason: 'unsupported' });
+    });
+
+    it('should reject versions the server never issued', async () => {
+      await expect(acknowledge({ version: 4 }, { version: 5 })).rejects.toMatchObject({ status: 409 });
+      await expect(acknowledge({ version: 4 }, { version: '4' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
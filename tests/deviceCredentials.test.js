@@ -0,0 +1,245 @@
+/**
+ * Device Credential Unit Tests
+ *
+ * Claim codes, device key matching across rotation and revocation, and the
+ * device/JWT authentication of ESP32 endpoints.
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+import {
+  CLAIM_CODE_ALPHABET,
+  CLAIM_CODE_LENGTH,
+  generateClaimCode,
+  normalizeClaimCode,
+  parseDeviceKey,
+  matchDeviceKey,
+  hashSecret,
+  claimDevice
+} from '../services/deviceCredentialService.js';
+import { authenticateDeviceOrUser } from '../middleware/authenticateDevice.js';
+import { ESP32Device } from '../models/Telemetry.js';
+import DeviceClaim from '../models/DeviceClaim.js';
+
+const keyId = 'a1b2c3d4e5f60718';
+const secret = 'f'.repeat(64);
+const oldSecret = 'e'.repeat(64);
+
+describe('Device Credentials - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('claim codes', () => {
+    it('should use only unambiguous characters', () => {
+      for (let i = 0; i < 20; i++) {
+        const code = generateClaimCode();
+        expect(code).toHaveLength(CLAIM_CODE_LENGTH);
+        expect([...code].every(char => CLAIM_CODE_ALPHABET.includes(char))).toBe(true);
+      }
+    });
+
+    it('should accept codes typed in lower case or with separators', () => {
+      expect(normalizeClaimCode('abcd-ef23')).toBe('ABCDEF23');
+      expect(normalizeClaimCode(' ABCD EF23 ')).toBe('ABCDEF23');
+    });
+  });
+
+  describe('parseDeviceKey', () => {
+    it('should split well-formed keys only', () => {
+      expect(parseDeviceKey(`${keyId}.${secret}`)).toEqual({ keyId, secret });
+      expect(parseDeviceKey(`${keyId}.short`)).toBeNull();
+      expect(parseDeviceKey('eyJhbGciOiJIUzI1NiJ9.payload.signature')).toBeNull();
+    });
+  });
+
+  describe('matchDeviceKey', () => {
+    const now = new Date('2025-06-01T06:00:00Z');
+    const credential = {
+      keyId,
+      keyHash: hashSecret(secret),
+      previousKeyHash: hashSecret(oldSecret),
+      previousKeyExpiresAt: new Date(now.getTime() + 60 * 1000)
+    };
+
+    it('should accept the current key and the previous one during the grace period', () => {
+      expect(matchDeviceKey(credential, secret, now)).toBe('current');
+      expect(matchDeviceKey(credential, oldSecret, now)).toBe('previous');
+      expect(matchDeviceKey(credential, 'd'.repeat(64), now)).toBeNull();
+    });
+
+    it('should reject the previous key once the grace period is over', () => {
+      expect(matchDeviceKey(credential, oldSecret, new Date(now.getTime() + 2 * 60 * 1000))).toBeNull();
+    });
+
+    it('should reject every key of a revoked device', () => {
+      expect(matchDeviceKey({ ...credential, revokedAt: now }, secret, now)).toBeNull();
+      expect(matchDeviceKey({ keyId, keyHash: null }, secret, now)).toBeNull();
+    });
+  });
+
+  describe('claimDevice', () => {
+    const claimerId = new mongoose.Types.ObjectId();
+    const ownerId = new mongoose.Types.ObjectId();
+    const code = 'ABCD2345';
+
+    const claimable = (credential) => {
+      jest.spyOn(DeviceClaim, 'findOne').mockReturnValue({ lean: async () => ({ _id: 'claim_1', userId: claimerId }) });
+      jest.spyOn(DeviceClaim, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const device = new ESP32Device({ deviceId: 'ESP32_1', deviceName: 'Bike', userId: ownerId, credential });
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+      jest.spyOn(device, 'save').mockResolvedValue(device);
+      return device;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not take over another account\'s device, even with its key revoked', async () => {
+      claimable({ keyHash: null, revokedAt: new Date() });
+      await expect(claimDevice({ code, deviceId: 'ESP32_1' })).rejects.toMatchObject({ status: 409 });
+
+      claimable(undefined);
+      await expect(claimDevice({ code, deviceId: 'ESP32_1' })).rejects.toMatchObject({ status: 409 });
+      expect(DeviceClaim.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should hand a released device to the new account', async () => {
+      const device = claimable({ keyHash: null, releasedAt: new Date() });
+
+      const { deviceKey } = await claimDevice({ code, deviceId: 'ESP32_1' });
+
+      expect(parseDeviceKey(deviceKey)).not.toBeNull();
+      expect(device.userId.equals(claimerId)).toBe(true);
+      expect(device.credential.releasedAt).toBeNull();
+    });
+  });
+
+  describe('authenticateDeviceOrUser', () => {
+    const ownerId = '507f1f77bcf86cd799439011';
+    const otherId = '507f1f77bcf86cd799439012';
+
+    const run = (req) => new Promise(resolve => {
+      const res = {
+        status: jest.fn(code => {
+          res.statusCode = code;
+          return res;
+        }),
+        json: jest.fn(body => resolve({ res, body, nextCalled: false }))
+      };
+      authenticateDeviceOrUser(req, res, () => resolve({ res, nextCalled: true }));
+    });
+
+    const deviceOwnedBy = (userId) => jest.spyOn(ESP32Device, 'findOne').mockReturnValue({
+      select: () => ({ lean: async () => ({ userId }) })
+    });
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    const bearer = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+
+    it('should let riders send data for their own devices', async () => {
+      deviceOwnedBy({ toString: () => ownerId });
+      const req = { headers: { authorization: bearer(ownerId) }, body: { deviceId: 'ESP32_1' } };
+
+      const { nextCalled } = await run(req);
+      expect(nextCalled).toBe(true);
+    });
+
+    it('should stop riders sending data as another rider\'s device', async () => {
+      deviceOwnedBy({ toString: () => otherId });
+      const req = { headers: { authorization: bearer(ownerId) }, body: { deviceId: 'ESP32_1' } };
+
+      const { res, nextCalled } = await run(req);
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should refuse devices that are not registered', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      const req = { headers: { authorization: bearer(ownerId) }, body: { deviceId: 'ESP32_NEW' } };
+
+      const { res, nextCalled } = await run(req);
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should check the rider\'s primary device when no device is named', async () => {
+      const primary = { deviceId: 'ESP32_1', userId: { toString: () => ownerId } };
+      const findOne = jest.spyOn(ESP32Device, 'findOne').mockImplementation(() => ({
+        lean: async () => primary,
+        select: () => ({ lean: async () => primary })
+      }));
+      const req = { headers: { authorization: bearer(ownerId) }, body: {} };
+
+      const { nextCalled } = await run(req);
+      expect(nextCalled).toBe(true);
+      expect(findOne).toHaveBeenLastCalledWith({ deviceId: 'ESP32_1' });
+      expect(req.body.deviceId).toBe('ESP32_1');
+
+      findOne.mockImplementation(() => ({ lean: async () => null, sort: () => ({ lean: async () => null }) }));
+      const { res } = await run({ headers: { authorization: bearer(ownerId) }, body: {} });
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should attribute readings relayed for a shared device to its active rider', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({
+        select: () => ({
+          lean: async () => ({ userId: ownerId, members: [{ userId: otherId }], activeRider: { userId: ownerId } })
+        })
+      });
+      const req = { headers: { authorization: bearer(otherId) }, body: { deviceId: 'ESP32_1' } };
+
+      const { nextCalled } = await run(req);
+      expect(nextCalled).toBe(true);
+      expect(req.user.userId).toBe(ownerId);
+    });
+
+    it('should authenticate devices by key and act for their owner', async () => {
+      const device = {
+        _id: 'device_1',
+        deviceId: 'ESP32_1',
+        userId: { toString: () => ownerId },
+        credential: { keyId, keyHash: hashSecret(secret), lastUsedAt: new Date() },
+        $locals: {}
+      };
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+      const req = { headers: { authorization: `Device ${keyId}.${secret}` }, body: {} };
+
+      const { nextCalled } = await run(req);
+      expect(nextCalled).toBe(true);
+      expect(req.user).toEqual({ userId: ownerId, deviceId: 'ESP32_1' });
+      expect(req.body.deviceId).toBe('ESP32_1');
+    });
+
+    it('should reject a device key used for another deviceId', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue({
+        deviceId: 'ESP32_1',
+        userId: { toString: () => ownerId },
+        credential: { keyId, keyHash: hashSecret(secret), lastUsedAt: new Date() },
+        $locals: {}
+      });
+      const req = { headers: { 'x-device-key': `${keyId}.${secret}` }, body: { deviceId: 'ESP32_2' } };
+
+      const { res } = await run(req);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject wrong device keys', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockResolvedValue({
+        deviceId: 'ESP32_1',
+        credential: { keyId, keyHash: hashSecret(secret) },
+        $locals: {}
+      });
+      const req = { headers: { authorization: `Device ${keyId}.${oldSecret}` }, body: {} };
+
+      const { res } = await run(req);
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Energy Generation Unit Tests
+ *
+ * Wh from a ride's work, everyday equivalents, counting each ride once into
+ * lifetime totals, and energy badges and quests.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.mock('../services/notificationService.js', () => ({
+  __esModule: true,
+  default: { createNotification: jest.fn().mockResolvedValue({}) },
+}));
+
+import NotificationService from '../services/notificationService.js';
+import {
+  energyWhFromWork,
+  calculateEnergyEquivalents,
+  toEnergySummary,
+  summarizeSessionEnergy,
+  applySessionEnergy,
+  awardEnergyAchievements
+} from '../services/energyService.js';
+import User from '../models/User.js';
+import Badge from '../models/Badge.js';
+import Quest from '../models/Quest.js';
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('Energy Generation - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    NotificationService.createNotification.mockClear();
+  });
+
+  describe('energy from work', () => {
+    it('should convert kJ of work to Wh', () => {
+      expect(energyWhFromWork(360)).toBe(100);
+      expect(energyWhFromWork(null)).toBe(0);
+    });
+
+    it('should give everyday equivalents', () => {
+      expect(calculateEnergyEquivalents(36)).toEqual({ phoneCharges: 3, ledBulbHours: 4, laptopCharges: 0.7 });
+      expect(toEnergySummary(1500)).toMatchObject({ wh: 1500, kwh: 1.5 });
+      expect(toEnergySummary(undefined).equivalents.phoneCharges).toBe(0);
+    });
+
+    it('should summarize a period, falling back to work for older rides', () => {
+      const summary = summarizeSessionEnergy([{ energyWh: 20 }, { energyWh: null, workKj: 144 }, { energyWh: 0 }]);
+      expect(summary).toMatchObject({ wh: 60, rides: 2, avgWhPerRide: 30, bestRideWh: 40 });
+    });
+  });
+
+  describe('applySessionEnergy', () => {
+    const session = () => ({ _id: new mongoose.Types.ObjectId(), userId, deviceId: 'ESP32_1', workKj: 90, energyWh: null });
+
+    it('should count a ride into the rider and device totals', async () => {
+      jest.spyOn(RideSession, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const userUpdate = jest.spyOn(User, 'findByIdAndUpdate')
+        .mockReturnValue({ select: () => ({ lean: async () => ({ energy: { totalWh: 125 } }) }) });
+      const deviceUpdate = jest.spyOn(ESP32Device, 'updateOne').mockResolvedValue({});
+      const ride = session();
+
+      await expect(applySessionEnergy(ride)).resolves.toEqual({ energyWh: 25, lifetimeWh: 125 });
+      expect(ride.energyWh).toBe(25);
+      expect(userUpdate.mock.calls[0][1]).toMatchObject({
+        $inc: { 'energy.totalWh': 25, 'energy.rides': 1 },
+        $max: { 'energy.bestRideWh': 25 }
+      });
+      expect(deviceUpdate).toHaveBeenCalledWith({ deviceId: 'ESP32_1' }, { $inc: { totalEnergy: 25 } });
+    });
+
+    it('should not count a ride twice', async () => {
+      jest.spyOn(RideSession, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const userUpdate = jest.spyOn(User, 'findByIdAndUpdate');
+
+      await expect(applySessionEnergy(session())).resolves.toBeNull();
+      expect(userUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('awardEnergyAchievements', () => {
+    const mockQuest = (current) => {
+      const quest = new Quest({
+        userId,
+        title: 'Power the Week',
+        description: 'Generate 50 Wh on your bike this week',
+        type: 'weekly',
+        category: 'energy',
+        progress: { current, target: 50 },
+        endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        rewards: { xp: 150 },
+        icon: '⚡'
+      });
+      jest.spyOn(quest, 'save').mockResolvedValue(quest);
+      return quest;
+    };
+
+    it('should award badges the lifetime total unlocked, once', async () => {
+      jest.spyOn(Badge, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ name: 'First Spark' }] }) });
+      const awardBadge = jest.spyOn(Badge, 'awardBadge').mockResolvedValue({});
+      jest.spyOn(Quest, 'find').mockResolvedValue([mockQuest(0)]);
+      const xp = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await awardEnergyAchievements(userId, { rideWh: 10, lifetimeWh: 15 });
+
+      expect(result.badges).toEqual(['Phone Charger']);
+      expect(awardBadge).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'energy',
+        icon: '🔋',
+        progress: { target: 12 }
+      }));
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(userId, expect.objectContaining({
+        type: 'milestone_reached'
+      }));
+      expect(result.quests).toEqual([expect.objectContaining({ status: 'active', progress: expect.objectContaining({ current: 10 }) })]);
+      expect(xp).toHaveBeenCalledWith({ _id: userId }, { $inc: { xp: 100 } });
+    });
+
+    it('should complete the weekly quest and start one when there is none', async () => {
+      jest.spyOn(Badge, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      jest.spyOn(Badge, 'awardBadge').mockResolvedValue({});
+      jest.spyOn(Quest, 'find').mockResolvedValue([]);
+      const created = mockQuest(45);
+      const createQuest = jest.spyOn(Quest, 'createWeeklyEnergyQuest').mockResolvedValue(created);
+      const xp = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await awardEnergyAchievements(userId, { rideWh: 0.5, lifetimeWh: 0.5 });
+      expect(createQuest).toHaveBeenCalledWith(userId);
+      expect(result).toMatchObject({ badges: [], xpEarned: 0 });
+      expect(xp).not.toHaveBeenCalled();
+
+      const completed = await awardEnergyAchievements(userId, { rideWh: 60, lifetimeWh: 60.5 });
+      expect(completed.badges).toEqual(['First Spark', 'Phone Charger', 'Power Plant']);
+      expect(created.status).toBe('completed');
+      expect(completed.xpEarned).toBe(50 + 100 + 300 + 150);
+    });
+
+    it('should not start another weekly quest after completing this week\'s', async () => {
+      jest.spyOn(Badge, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ name: 'First Spark' }, { name: 'Phone Charger' }] })
+      });
+      jest.spyOn(Badge, 'awardBadge').mockResolvedValue({});
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      const quest = mockQuest(45);
+      const findQuests = jest.spyOn(Quest, 'find').mockResolvedValue([quest]);
+      const createQuest = jest.spyOn(Quest, 'createWeeklyEnergyQuest');
+
+      await awardEnergyAchievements(userId, { rideWh: 10, lifetimeWh: 10 });
+      expect(quest.status).toBe('completed');
+      NotificationService.createNotification.mockClear();
+
+      const later = await awardEnergyAchievements(userId, { rideWh: 10, lifetimeWh: 20 });
+
+      expect(findQuests).toHaveBeenLastCalledWith({ userId, category: 'energy', endDate: { $gte: expect.any(Date) } });
+      expect(createQuest).not.toHaveBeenCalled();
+      expect(later).toMatchObject({ quests: [], xpEarned: 0 });
+      expect(NotificationService.createNotification).not.toHaveBeenCalledWith(userId, expect.objectContaining({
+        title: '⚡ Quest Complete!'
+      }));
+    });
+  });
+});
@@ -309,6 +309,93 @@ describe('ESP32 Telemetry API', () => {
     });
   });
 
+  describe('Session Export', () => {
+    let exportSession;
+
+    beforeEach(async () => {
+      const startTime = new Date('2025-06-01T06:00:00Z');
+      exportSession = await RideSession.create({
+        userId: testUser._id,
+        deviceId: testDevice.deviceId,
+        sessionId: 'EXPORT_SESSION_001',
+        startTime,
+        endTime: new Date(startTime.getTime() + 3000),
+        duration: 3,
+        totalDistance: 0.02,
+        status: 'completed',
+      });
+
+      await Telemetry.create([0, 1, 2].map(i => ({
+        deviceId: testDevice.deviceId,
+        userId: testUser._id,
+        sessionId: exportSession.sessionId,
+        coordinates: { type: 'Point', coordinates: [120.9842, 14.5995 + i * 0.0001] },
+        metrics: { speed: 24, distance: i * 0.007, sessionTime: i, watts: 160 + i },
+        timestamp: new Date(startTime.getTime() + i * 1000),
+      })));
+    });
+
+    it('should export a session as GPX', async () => {
+      const response = await request(app)
+        .get(`/api/v1/esp32/sessions/${exportSession.sessionId}/export?format=gpx`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/gpx/);
+      expect(response.headers['content-disposition']).toMatch(/EXPORT_SESSION_001\.gpx/);
+      expect(response.text).toMatch(/<trkpt lat="14\.5995" lon="120\.9842">/);
+      expect(response.text).toMatch(/<power>160<\/power>/);
+    });
+
+    it('should export a session as TCX', async () => {
+      const response = await request(app)
+        .get(`/api/v1/esp32/sessions/${exportSession.sessionId}/export?format=tcx`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.text).toMatch(/<Activity Sport="Biking">/);
+      expect(response.text.match(/<Trackpoint>/g)).toHaveLength(3);
+    });
+
+    it('should export a session as a FIT file', async () => {
+      const response = await request(app)
+        .get(`/api/v1/esp32/sessions/${exportSession.sessionId}/export?format=fit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.body.subarray(8, 12).toString('ascii')).toBe('.FIT');
+    });
+
+    it('should reject unsupported export formats', async () => {
+      for (const format of ['kml', 'constructor', 'toString']) {
+        const response = await request(app)
+          .get(`/api/v1/esp32/sessions/${exportSession.sessionId}/export?format=${format}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(400);
+
+        expect(response.body).toHaveProperty('error');
+      }
+    });
+
+    it('should not export another user\'s session', async () => {
+      const otherUser = await global.testUtils.createTestUser({
+        email: 'export-other@example.com',
+      });
+      const otherToken = global.testUtils.createTestToken(otherUser._id);
+
+      await request(app)
+        .get(`/api/v1/esp32/sessions/${exportSession.sessionId}/export?format=gpx`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
   describe('Device Management', () => {
     it('should get user devices', async () => {
       // Create additional device
@@ -0,0 +1,198 @@
+/**
+ * Firmware Rollout Unit Tests
+ *
+ * Version ordering, rollout targeting, update selection and the per-device
+ * update status as devices poll and report progress.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import {
+  compareFirmwareVersions,
+  rolloutBucket,
+  isTargeted,
+  selectFirmwareUpdate,
+  recordReportedFirmware,
+  checkForUpdate,
+  reportFirmwareStatus,
+  registerFirmware,
+  MAX_INSTALL_ATTEMPTS
+} from '../services/firmwareService.js';
+import requireAdmin from '../middleware/requireAdmin.js';
+import FirmwareRelease from '../models/FirmwareRelease.js';
+import { ESP32Device } from '../models/Telemetry.js';
+
+const release = (version, rollout = {}) => ({
+  version,
+  size: 1024,
+  sha256: 'a'.repeat(64),
+  fileId: new mongoose.Types.ObjectId(),
+  rollout: { status: 'active', percentage: 100, allowlist: [], ...rollout }
+});
+
+const createDevice = (fields = {}) => {
+  const device = new ESP32Device({ deviceId: 'ESP32_1', userId: new mongoose.Types.ObjectId(), ...fields });
+  jest.spyOn(device, 'save').mockResolvedValue(device);
+  return device;
+};
+
+describe('Firmware Rollout - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('compareFirmwareVersions', () => {
+    it('should compare each part numerically', () => {
+      expect(compareFirmwareVersions('1.10.0', '1.9.3')).toBeGreaterThan(0);
+      expect(compareFirmwareVersions('v2.0.0', '2.0.0')).toBe(0);
+      expect(compareFirmwareVersions('unknown', '0.0.1')).toBeLessThan(0);
+    });
+  });
+
+  describe('targeting', () => {
+    const deviceIds = Array.from({ length: 200 }, (_, i) => `ESP32_${i}`);
+
+    it('should keep devices in the rollout as the percentage grows', () => {
+      const at = (percentage) => deviceIds.filter(id => isTargeted(release('1.1.0', { percentage }), id));
+      const ten = at(10);
+      const fifty = at(50);
+
+      expect(ten.length).toBeGreaterThan(5);
+      expect(ten.length).toBeLessThan(40);
+      expect(ten.every(id => fifty.includes(id))).toBe(true);
+      expect(at(100)).toHaveLength(deviceIds.length);
+    });
+
+    it('should sample a different slice of the fleet for each release', () => {
+      const buckets = (version) => deviceIds.map(id => rolloutBucket(id, version));
+      expect(buckets('1.1.0')).not.toEqual(buckets('1.2.0'));
+    });
+
+    it('should offer allowlisted devices only while the rollout is active', () => {
+      expect(isTargeted(release('1.1.0', { percentage: 0, allowlist: ['ESP32_7'] }), 'ESP32_7')).toBe(true);
+      expect(isTargeted(release('1.1.0', { percentage: 0 }), 'ESP32_7')).toBe(false);
+      expect(isTargeted(release('1.1.0', { status: 'paused', allowlist: ['ESP32_7'] }), 'ESP32_7')).toBe(false);
+    });
+  });
+
+  describe('selectFirmwareUpdate', () => {
+    it('should pick the newest targeted release above the running version', () => {
+      const device = { deviceId: 'ESP32_1', firmwareVersion: '1.1.0' };
+      const releases = [release('1.0.0'), release('1.2.0'), release('1.3.0', { percentage: 0 }), release('1.1.0')];
+
+      expect(selectFirmwareUpdate(releases, device).version).toBe('1.2.0');
+      expect(selectFirmwareUpdate([release('1.1.0')], device)).toBeNull();
+    });
+
+    it('should stop offering a build that keeps failing to install', () => {
+      const device = {
+        deviceId: 'ESP32_1',
+        firmwareVersion: '1.1.0',
+        firmwareUpdate: { targetVersion: '1.2.0', status: 'failed', attempts: MAX_INSTALL_ATTEMPTS }
+      };
+      expect(selectFirmwareUpdate([release('1.2.0')], device)).toBeNull();
+    });
+  });
+
+  describe('update status', () => {
+    it('should offer an update when the device polls', async () => {
+      jest.spyOn(FirmwareRelease, 'find').mockReturnValue({ lean: async () => [release('1.2.0')] });
+      const device = createDevice({ firmwareVersion: '1.0.0' });
+
+      const offer = await checkForUpdate(device, { currentVersion: '1.1.0' });
+
+      expect(offer).toMatchObject({ version: '1.2.0', size: 1024, url: null });
+      expect(device.firmwareVersion).toBe('1.1.0');
+      expect(device.firmwareUpdate).toMatchObject({ targetVersion: '1.2.0', status: 'offered', attempts: 0 });
+      expect(device.save).toHaveBeenCalled();
+    });
+
+    it('should count failed installs and keep the error', async () => {
+      const device = createDevice({ firmwareUpdate: { targetVersion: '1.2.0', status: 'installing', attempts: 1 } });
+
+      const update = await reportFirmwareStatus(device, { version: '1.2.0', status: 'failed', error: 'checksum mismatch' });
+
+      expect(update).toMatchObject({ status: 'failed', attempts: 2, error: 'checksum mismatch' });
+    });
+
+    it('should reject reports for versions the device was not offered', async () => {
+      const device = createDevice({ firmwareUpdate: { targetVersion: '1.2.0', status: 'offered' } });
+
+      await expect(reportFirmwareStatus(device, { version: '1.3.0', status: 'downloading' }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(reportFirmwareStatus(device, { version: '1.2.0', status: 'offered' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should complete the update when the device reports the new version', () => {
+      const device = createDevice({
+        firmwareVersion: '1.1.0',
+        firmwareUpdate: { targetVersion: '1.2.0', status: 'installing', error: 'earlier failure' }
+      });
+
+      expect(recordReportedFirmware(device, '1.2.0')).toBe(true);
+      expect(device.firmwareVersion).toBe('1.2.0');
+      expect(device.firmwareUpdate).toMatchObject({ status: 'succeeded', error: null });
+      expect(recordReportedFirmware(device, '1.2.0')).toBe(false);
+    });
+  });
+
+  describe('registerFirmware', () => {
+    it('should refuse uploads that do not match the given checksum', async () => {
+      jest.spyOn(FirmwareRelease, 'exists').mockResolvedValue(null);
+
+      await expect(registerFirmware({
+        version: '1.2.0',
+        file: { buffer: Buffer.from('firmware image') },
+        sha256: 'b'.repeat(64)
+      })).rejects.toThrow('Uploaded build does not match the given sha256');
+    });
+
+    it('should require checksums for hosted builds', async () => {
+      process.env.FIRMWARE_URL_ORIGINS = 'https://cdn.example.com';
+      jest.spyOn(FirmwareRelease, 'exists').mockResolvedValue(null);
+
+      await expect(registerFirmware({ version: '1.2.0', url: 'https://cdn.example.com/fw.bin', size: 1024 }))
+        .rejects.toMatchObject({ status: 400, message: 'sha256 is required for hosted builds' });
+      await expect(registerFirmware({ version: 'latest' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only accept hosted builds from allowed origins', async () => {
+      jest.spyOn(FirmwareRelease, 'exists').mockResolvedValue(null);
+      const hosted = (url) => registerFirmware({ version: '1.2.0', url, sha256: 'a'.repeat(64), size: 1024 });
+
+      process.env.FIRMWARE_URL_ORIGINS = 'https://cdn.example.com, https://fw.example.org';
+      await expect(hosted('https://evil.example.net/fw.bin')).rejects.toMatchObject({ status: 400 });
+      await expect(hosted('https://cdn.example.com.evil.net/fw.bin')).rejects.toMatchObject({ status: 400 });
+
+      delete process.env.FIRMWARE_URL_ORIGINS;
+      await expect(hosted('https://cdn.example.com/fw.bin')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('requireAdmin', () => {
+    const run = (headers, query = {}) => {
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      requireAdmin({ headers, query }, res, next);
+      return { statusCode: res.status.mock.calls[0]?.[0], nextCalled: next.mock.calls.length > 0 };
+    };
+
+    afterEach(() => {
+      delete process.env.ADMIN_KEY;
+    });
+
+    it('should refuse every request when ADMIN_KEY is not set', () => {
+      expect(run({ 'x-admin-key': 'sikadvoltz-admin-2025' })).toEqual({ statusCode: 503, nextCalled: false });
+    });
+
+    it('should only accept the key in the X-Admin-Key header', () => {
+      process.env.ADMIN_KEY = 'k'.repeat(32);
+
+      expect(run({ 'x-admin-key': 'k'.repeat(32) })).toEqual({ statusCode: undefined, nextCalled: true });
+      expect(run({}, { adminKey: 'k'.repeat(32) })).toEqual({ statusCode: 401, nextCalled: false });
+      expect(run({ 'x-admin-key': 'wrong' })).toEqual({ statusCode: 401, nextCalled: false });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Shared Device Unit Tests
+ *
+ * Household riders of one device, picking the active rider from the app or
+ * the device's button, and attributing the device's readings to them.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.mock('../services/notificationService.js', () => ({
+  __esModule: true,
+  default: { createNotification: jest.fn().mockResolvedValue({}) },
+}));
+
+import NotificationService from '../services/notificationService.js';
+import {
+  getActiveRider,
+  isDeviceRider,
+  getHousehold,
+  inviteMember,
+  acceptInvite,
+  declineInvite,
+  removeMember,
+  setActiveRider,
+  selectNextRider,
+  MAX_HOUSEHOLD_MEMBERS
+} from '../services/householdService.js';
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+import User from '../models/User.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+
+const mockDevice = (fields = {}) => {
+  const device = new ESP32Device({ deviceId: 'ESP32_1', userId: ownerId, members: [{ userId: memberId }], ...fields });
+  jest.spyOn(device, 'save').mockResolvedValue(device);
+  jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+  jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+  return device;
+};
+
+const riding = (active) => jest.spyOn(RideSession, 'exists').mockResolvedValue(active ? { _id: 1 } : null);
+
+describe('Shared Devices - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    NotificationService.createNotification.mockClear();
+  });
+
+  describe('active rider', () => {
+    it('should attribute readings to the active rider while they share the device', () => {
+      const device = { userId: ownerId, members: [{ userId: memberId }], activeRider: { userId: memberId } };
+
+      expect(getActiveRider(device)).toBe(memberId);
+      expect(getActiveRider({ ...device, members: [] })).toBe(ownerId);
+      expect(getActiveRider({ userId: ownerId })).toBe(ownerId);
+      expect(isDeviceRider(device, String(memberId))).toBe(true);
+      expect(isDeviceRider(device, otherId)).toBe(false);
+    });
+
+    it('should let a rider pick who is riding from the app', async () => {
+      const device = mockDevice();
+      riding(false);
+
+      const household = await setActiveRider(ownerId, 'ESP32_1', String(memberId));
+
+      expect(device.activeRider).toMatchObject({ userId: memberId, source: 'app' });
+      expect(household.riders.map(rider => [rider.role, rider.active])).toEqual([['owner', false], ['member', true]]);
+      await expect(setActiveRider(ownerId, 'ESP32_1', otherId)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should cycle through the riders from the device button', async () => {
+      const device = mockDevice({ activeRider: { userId: memberId } });
+      riding(false);
+
+      await selectNextRider(memberId, 'ESP32_1');
+
+      expect(device.activeRider.userId).toBeNull();
+      expect(device.activeRider.source).toBe('button');
+      expect(getActiveRider(device)).toEqual(ownerId);
+    });
+
+    it('should not switch riders during a ride', async () => {
+      mockDevice();
+      riding(true);
+
+      await expect(setActiveRider(ownerId, 'ESP32_1', memberId)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('members', () => {
+    it('should only let the owner share the device', async () => {
+      mockDevice();
+      await expect(inviteMember(memberId, 'ESP32_1', { email: 'kid@example.com' })).rejects.toMatchObject({ status: 403 });
+      await expect(inviteMember(ownerId, 'ESP32_1', {})).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should invite riders by email and add them once they accept', async () => {
+      const device = mockDevice();
+      const lookup = jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: otherId }) }) });
+
+      await inviteMember(ownerId, 'ESP32_1', { email: ' kid@example.com ' });
+      expect(lookup).toHaveBeenCalledWith({ email: 'kid@example.com' });
+      expect(device.members).toHaveLength(1);
+      expect(device.invites.map(invite => String(invite.userId))).toEqual([String(otherId)]);
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(otherId, expect.objectContaining({ data: { deviceId: 'ESP32_1' } }));
+
+      await acceptInvite(otherId, 'ESP32_1');
+      expect(device.members.map(member => String(member.userId))).toEqual([String(memberId), String(otherId)]);
+      expect(device.invites).toHaveLength(0);
+      await expect(acceptInvite(otherId, 'ESP32_1')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should answer the same whether or not the email has an account', async () => {
+      const device = mockDevice();
+      const lookup = jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+      await expect(inviteMember(ownerId, 'ESP32_1', { email: 'nobody@example.com' })).resolves.toBeUndefined();
+      lookup.mockReturnValue({ select: () => ({ lean: async () => ({ _id: memberId }) }) });
+      await expect(inviteMember(ownerId, 'ESP32_1', { email: 'member@example.com' })).resolves.toBeUndefined();
+
+      expect(device.invites).toHaveLength(0);
+      expect(NotificationService.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not accept expired or declined invites', async () => {
+      const expired = mockDevice({ invites: [{ userId: otherId, expiresAt: new Date(Date.now() - 1000) }] });
+      await expect(acceptInvite(otherId, 'ESP32_1')).rejects.toMatchObject({ status: 404 });
+      expect(expired.members).toHaveLength(1);
+
+      jest.restoreAllMocks();
+      const device = mockDevice({ invites: [{ userId: otherId, expiresAt: new Date(Date.now() + 60000) }] });
+      await declineInvite(otherId, 'ESP32_1');
+      expect(device.invites).toHaveLength(0);
+      await expect(acceptInvite(otherId, 'ESP32_1')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should limit how many riders share a device', async () => {
+      const members = Array.from({ length: MAX_HOUSEHOLD_MEMBERS }, () => ({ userId: new mongoose.Types.ObjectId() }));
+      mockDevice({ members });
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: otherId }) }) });
+
+      await expect(inviteMember(ownerId, 'ESP32_1', { email: 'kid@example.com' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should not show riders each other\'s emails', async () => {
+      mockDevice();
+      User.find.mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: ownerId, firstName: 'Ana', lastName: 'Cruz', email: 'ana@example.com' }] })
+      });
+
+      const household = await getHousehold(memberId, 'ESP32_1');
+
+      expect(household.riders[0]).toEqual({ userId: ownerId, name: 'Ana Cruz', role: 'owner', active: true });
+    });
+
+    it('should hand the device back to the owner when the active rider leaves', async () => {
+      const device = mockDevice({ activeRider: { userId: memberId } });
+      riding(false);
+
+      await removeMember(memberId, 'ESP32_1', String(memberId));
+
+      expect(device.members).toHaveLength(0);
+      expect(device.activeRider.userId).toBeNull();
+      await expect(removeMember(ownerId, 'ESP32_1', ownerId)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
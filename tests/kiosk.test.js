@@ -0,0 +1,226 @@
+/**
+ * Kiosk Mode Unit Tests
+ *
+ * Organization fleet bikes checked out by scanning their QR code, and the
+ * bindings released when rides time out or go idle.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.mock('../services/notificationService.js', () => ({
+  __esModule: true,
+  default: { createNotification: jest.fn().mockResolvedValue({}) },
+}));
+
+jest.mock('../services/rideCompletionService.js', () => ({
+  __esModule: true,
+  finishRide: jest.fn().mockResolvedValue({}),
+}));
+
+import NotificationService from '../services/notificationService.js';
+import { finishRide } from '../services/rideCompletionService.js';
+import {
+  kioskQrPayload,
+  parseKioskQr,
+  bindingExpiry,
+  checkOutDevice,
+  inviteOrganizationMember,
+  acceptOrganizationInvite,
+  releaseExpiredBindings
+} from '../services/organizationService.js';
+import { getActiveRider, isDeviceRider, inviteMember } from '../services/householdService.js';
+import { hashSecret } from '../services/deviceCredentialService.js';
+import { Telemetry, RideSession, ESP32Device } from '../models/Telemetry.js';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+const organizationId = new mongoose.Types.ObjectId();
+const minutes = (count) => count * 60 * 1000;
+
+const mockFleetDevice = (fields = {}) => {
+  const device = new ESP32Device({
+    deviceId: 'GYM_BIKE_1',
+    deviceName: 'Bike 1',
+    userId: ownerId,
+    organizationId,
+    kiosk: { codeHash: hashSecret('secret-code') },
+    ...fields
+  });
+  jest.spyOn(ESP32Device, 'findOne').mockResolvedValue(device);
+  return device;
+};
+
+const mockOrganization = (members = [{ userId: ownerId, role: 'admin' }, { userId: memberId }]) => {
+  const organization = new Organization({ _id: organizationId, name: 'Campus Gym', members });
+  jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+  return organization;
+};
+
+describe('Kiosk Mode - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    NotificationService.createNotification.mockClear();
+    finishRide.mockClear();
+  });
+
+  describe('QR codes', () => {
+    it('should read back the device and code a QR code was made from', () => {
+      const payload = kioskQrPayload('GYM BIKE/1', 'abc123');
+      expect(payload).toBe('sikadvoltz://kiosk/GYM%20BIKE%2F1?code=abc123');
+      expect(parseKioskQr(payload)).toEqual({ deviceId: 'GYM BIKE/1', code: 'abc123' });
+    });
+
+    it('should reject codes that are not kiosk codes', () => {
+      expect(parseKioskQr('https://example.com/kiosk/GYM_BIKE_1?code=abc')).toBeNull();
+      expect(parseKioskQr('sikadvoltz://kiosk/GYM_BIKE_1')).toBeNull();
+      expect(parseKioskQr(42)).toBeNull();
+    });
+  });
+
+  describe('bound riders', () => {
+    it('should attribute a checked-out bike to the member riding it', () => {
+      const device = { userId: ownerId, members: [], kiosk: { binding: { userId: memberId } } };
+      expect(getActiveRider(device)).toBe(memberId);
+      expect(isDeviceRider(device, memberId)).toBe(true);
+      expect(getActiveRider({ userId: ownerId, members: [], kiosk: { binding: {} } })).toBe(ownerId);
+    });
+
+    it('should not share fleet bikes with household riders', async () => {
+      mockFleetDevice();
+      await expect(inviteMember(ownerId, 'GYM_BIKE_1', { email: 'rider@example.com' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('organization invites', () => {
+    const riderId = new mongoose.Types.ObjectId();
+
+    it('should add invited riders only once they accept, with the invited role', async () => {
+      const organization = mockOrganization();
+      jest.spyOn(organization, 'save').mockResolvedValue(organization);
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: riderId }) }) });
+      jest.spyOn(Organization, 'findOne').mockResolvedValue(organization);
+
+      await inviteOrganizationMember(ownerId, organizationId, { email: 'rider@example.com', role: 'admin' });
+      expect(organization.members).toHaveLength(2);
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(riderId, expect.objectContaining({ data: { organizationId } }));
+
+      const joined = await acceptOrganizationInvite(riderId, organizationId);
+      expect(joined.role).toBe('admin');
+      expect(organization.invites).toHaveLength(0);
+      await expect(acceptOrganizationInvite(riderId, organizationId)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should answer the same whether or not the email has an account', async () => {
+      const organization = mockOrganization();
+      const save = jest.spyOn(organization, 'save').mockResolvedValue(organization);
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+      await expect(inviteOrganizationMember(ownerId, organizationId, { email: 'nobody@example.com' })).resolves.toBeUndefined();
+      await expect(inviteOrganizationMember(memberId, organizationId, { email: 'rider@example.com' })).rejects.toMatchObject({ status: 403 });
+      expect(save).not.toHaveBeenCalled();
+      expect(NotificationService.createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkOutDevice', () => {
+    it('should bind the bike and start the member\'s ride', async () => {
+      const device = mockFleetDevice();
+      mockOrganization();
+      jest.spyOn(RideSession, 'exists').mockResolvedValue(null);
+      const bind = jest.spyOn(ESP32Device, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        device.kiosk.binding = update.$set['kiosk.binding'];
+        return device;
+      });
+      jest.spyOn(CyclingPlan, 'findOne').mockReturnValue({ select: async () => null });
+      const create = jest.spyOn(RideSession, 'create').mockResolvedValue({});
+
+      const checkout = await checkOutDevice(memberId, { qr: kioskQrPayload('GYM_BIKE_1', 'secret-code') });
+
+      expect(bind.mock.calls[0][0]).toMatchObject({ 'kiosk.binding.userId': null });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: memberId,
+        deviceId: 'GYM_BIKE_1',
+        sessionId: checkout.sessionId,
+        status: 'active'
+      }));
+      expect(checkout.expiresAt - checkout.boundAt).toBe(minutes(90));
+      expect(checkout.organization.name).toBe('Campus Gym');
+    });
+
+    it('should reject a wrong code, non-members and bikes in use', async () => {
+      mockFleetDevice();
+      mockOrganization([{ userId: ownerId, role: 'admin' }]);
+      await expect(checkOutDevice(memberId, { deviceId: 'GYM_BIKE_1', code: 'guess' }))
+        .rejects.toMatchObject({ status: 404 });
+      await expect(checkOutDevice(memberId, { deviceId: 'GYM_BIKE_1', code: 'secret-code' }))
+        .rejects.toMatchObject({ status: 403 });
+
+      mockFleetDevice({ kiosk: { codeHash: hashSecret('secret-code'), binding: { userId: ownerId, sessionId: 'session_1' } } });
+      mockOrganization();
+      await expect(checkOutDevice(memberId, { deviceId: 'GYM_BIKE_1', code: 'secret-code' }))
+        .rejects.toMatchObject({ status: 409, message: 'This bike is in use' });
+    });
+  });
+
+  describe('releasing bikes', () => {
+    const now = new Date('2025-06-01T08:00:00Z');
+    const binding = { userId: memberId, sessionId: 'session_1', boundAt: new Date(now - minutes(30)), expiresAt: new Date(now.getTime() + minutes(60)) };
+
+    it('should release bikes whose rides ended, timed out or went idle', () => {
+      const active = { binding, session: { status: 'active' }, lastReadingAt: new Date(now - minutes(1)) };
+
+      expect(bindingExpiry(active, { idleMinutes: 10 }, now)).toBeNull();
+      expect(bindingExpiry({ ...active, session: { status: 'completed' } }, { idleMinutes: 10 }, now)).toBe('ended');
+      expect(bindingExpiry({ ...active, session: null }, { idleMinutes: 10 }, now)).toBe('ended');
+      expect(bindingExpiry({ ...active, binding: { ...binding, expiresAt: now } }, { idleMinutes: 10 }, now)).toBe('timeout');
+      expect(bindingExpiry({ ...active, lastReadingAt: new Date(now - minutes(10)) }, { idleMinutes: 10 }, now)).toBe('idle');
+    });
+
+    it('should count idle time from checkout until the first reading', () => {
+      const justBound = { ...binding, boundAt: new Date(now - minutes(5)) };
+
+      expect(bindingExpiry({ binding: justBound, session: { status: 'active' }, lastReadingAt: null }, { idleMinutes: 10 }, now)).toBeNull();
+      expect(bindingExpiry({ binding, session: { status: 'active' }, lastReadingAt: null }, { idleMinutes: 10 }, now)).toBe('idle');
+    });
+
+    it('should end a timed-out ride the way /session/end does and tell the member', async () => {
+      const device = { _id: new mongoose.Types.ObjectId(), deviceId: 'GYM_BIKE_1', deviceName: 'Bike 1', organizationId, kiosk: { binding: { ...binding, expiresAt: new Date(now - minutes(1)) } } };
+      const session = { sessionId: 'session_1', userId: memberId, deviceId: 'GYM_BIKE_1', status: 'active' };
+      const services = { telemetryService: {}, mqttIngestion: {} };
+      jest.spyOn(ESP32Device, 'find').mockReturnValue({ select: () => ({ lean: async () => [device] }) });
+      jest.spyOn(Organization, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: organizationId, kiosk: { idleMinutes: 10 } }] }) });
+      jest.spyOn(RideSession, 'find').mockReturnValue({ select: () => ({ lean: async () => [session] }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => ({ timestamp: now }) }) }) });
+      const release = jest.spyOn(ESP32Device, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await releaseExpiredBindings(now, services)).toBe(1);
+      expect(finishRide).toHaveBeenCalledWith(session, services);
+      expect(release).toHaveBeenCalledWith(
+        { _id: device._id, 'kiosk.binding.sessionId': 'session_1' },
+        { $unset: { 'kiosk.binding': 1 } }
+      );
+      expect(NotificationService.createNotification).toHaveBeenCalledWith(memberId, expect.objectContaining({
+        message: 'Your ride on Bike 1 reached the time limit and was ended.'
+      }));
+    });
+
+    it('should free the bike without telling the member when they already ended the ride', async () => {
+      const device = { _id: new mongoose.Types.ObjectId(), deviceId: 'GYM_BIKE_1', deviceName: 'Bike 1', organizationId, kiosk: { binding: { ...binding, expiresAt: new Date(now - minutes(1)) } } };
+      const session = { sessionId: 'session_1', userId: memberId, deviceId: 'GYM_BIKE_1', status: 'active' };
+      jest.spyOn(ESP32Device, 'find').mockReturnValue({ select: () => ({ lean: async () => [device] }) });
+      jest.spyOn(Organization, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: organizationId, kiosk: { idleMinutes: 10 } }] }) });
+      jest.spyOn(RideSession, 'find').mockReturnValue({ select: () => ({ lean: async () => [session] }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => ({ timestamp: now }) }) }) });
+      jest.spyOn(ESP32Device, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      finishRide.mockResolvedValueOnce(null);
+
+      expect(await releaseExpiredBindings(now)).toBe(1);
+      expect(NotificationService.createNotification).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Lap Unit Tests
+ *
+ * Auto-lap settings, when an auto-lap is due, and the figures each lap carries.
+ */
+
+import {
+  parseAutoLap,
+  currentLapStart,
+  autoLapDue,
+  summarizeLap
+} from '../services/lapService.js';
+
+describe('Laps - Unit Tests', () => {
+  const startTime = new Date('2025-06-01T06:00:00Z');
+  const at = (seconds) => new Date(startTime.getTime() + seconds * 1000);
+
+  describe('parseAutoLap', () => {
+    it('should default to no auto-lap', () => {
+      expect(parseAutoLap({})).toEqual({ mode: 'off', interval: null });
+      expect(parseAutoLap({ autoLapKm: '' })).toEqual({ mode: 'off', interval: null });
+    });
+
+    it('should accept a distance or a time', () => {
+      expect(parseAutoLap({ autoLapKm: 5 })).toEqual({ mode: 'distance', interval: 5 });
+      expect(parseAutoLap({ autoLapMinutes: '10' })).toEqual({ mode: 'time', interval: 10 });
+    });
+
+    it('should reject both at once and out-of-range values', () => {
+      expect(() => parseAutoLap({ autoLapKm: 5, autoLapMinutes: 10 })).toThrow(/not both/);
+      expect(() => parseAutoLap({ autoLapKm: 0.05 })).toThrow(/between 0.1 and 100 km/);
+      expect(() => parseAutoLap({ autoLapMinutes: 'soon' })).toThrow(/between 1 and 240 minutes/);
+    });
+  });
+
+  describe('currentLapStart', () => {
+    it('should start at the ride start, then at the end of the last lap', () => {
+      const session = { startTime, laps: [] };
+      expect(currentLapStart(session)).toEqual({ time: startTime, distance: 0 });
+
+      session.laps.push({ endTime: at(600), startDistance: 0, distance: 5.2 });
+      expect(currentLapStart(session)).toEqual({ time: at(600), distance: 5.2 });
+    });
+  });
+
+  describe('autoLapDue', () => {
+    it('should close distance laps each interval from the last lap', () => {
+      const session = {
+        startTime,
+        autoLap: { mode: 'distance', interval: 5 },
+        laps: [{ endTime: at(600), startDistance: 0, distance: 5.1 }]
+      };
+
+      expect(autoLapDue(session, { time: at(900), distance: 9.9 })).toBeNull();
+      expect(autoLapDue(session, { time: at(1200), distance: 10.1 })).toBe('distance');
+    });
+
+    it('should close time laps each interval from the last lap', () => {
+      const session = { startTime, autoLap: { mode: 'time', interval: 10 }, laps: [] };
+
+      expect(autoLapDue(session, { time: at(599), distance: 4 })).toBeNull();
+      expect(autoLapDue(session, { time: at(600), distance: 4 })).toBe('time');
+    });
+
+    it('should never close laps with auto-lap off', () => {
+      const session = { startTime, autoLap: { mode: 'off', interval: null }, laps: [] };
+      expect(autoLapDue(session, { time: at(36000), distance: 300 })).toBeNull();
+    });
+  });
+
+  describe('summarizeLap', () => {
+    const points = [
+      { metrics: { speed: 20, watts: 150 } },
+      { metrics: { speed: 30, watts: 250 } },
+      { metrics: { speed: 25, watts: null } }
+    ];
+
+    it('should report distance, time, speed and power for the lap', () => {
+      const lap = summarizeLap(points, {
+        startTime: at(0),
+        endTime: at(720),
+        startDistance: 2,
+        endDistance: 7
+      });
+
+      expect(lap).toMatchObject({
+        startDistance: 2,
+        distance: 5,
+        duration: 720,
+        movingTime: 720,
+        avgSpeed: 25,
+        maxSpeed: 30,
+        avgPower: 400 / 3,
+        maxPower: 250
+      });
+    });
+
+    it('should leave paused time inside the lap out of its moving time', () => {
+      const lap = summarizeLap(points, {
+        startTime: at(0),
+        endTime: at(720),
+        startDistance: 0,
+        endDistance: 5,
+        pausedIntervals: [
+          { start: at(-60), end: at(60) }, // half inside the lap
+          { start: at(300), end: at(360) },
+          { start: at(900), end: at(960) } // after the lap
+        ]
+      });
+
+      expect(lap.duration).toBe(720);
+      expect(lap.movingTime).toBe(600);
+      expect(lap.avgSpeed).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Moving Time Unit Tests
+ *
+ * Auto-pause detection, moving vs elapsed time and moving average speed.
+ */
+
+import {
+  detectPausedIntervals,
+  calculateMovingTime,
+  movingAverageSpeed,
+  trackAutoPause
+} from '../services/movingTimeService.js';
+
+describe('Moving Time - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000);
+  const samplesFrom = (speeds, interval = 1) =>
+    speeds.map((speed, i) => ({ time: at(i * interval), speed }));
+
+  describe('detectPausedIntervals', () => {
+    it('should record stops that last the auto-pause window', () => {
+      // Ride 60 s, stop at a light for 5 minutes (5 s readings), ride on
+      const samples = [
+        ...samplesFrom(new Array(60).fill(25)),
+        ...Array.from({ length: 60 }, (_, i) => ({ time: at(60 + i * 5), speed: 0 })),
+        { time: at(360), speed: 22 },
+      ];
+
+      const intervals = detectPausedIntervals(samples, 10);
+
+      expect(intervals).toEqual([{ start: at(60), end: at(360), duration: 300 }]);
+    });
+
+    it('should ignore stops shorter than the window', () => {
+      const samples = samplesFrom([25, 25, 0, 0, 0, 25, 25]);
+
+      expect(detectPausedIntervals(samples, 10)).toEqual([]);
+    });
+
+    it('should treat sensor noise as stopped', () => {
+      const samples = samplesFrom([25, 0.2, 0.3, 0, 25], 5);
+
+      expect(detectPausedIntervals(samples, 10)).toHaveLength(1);
+    });
+
+    it('should close a stop the ride ended in', () => {
+      const samples = samplesFrom([25, 25, 0, 0], 5);
+
+      expect(detectPausedIntervals(samples, 10, at(60))).toEqual([{ start: at(10), end: at(60), duration: 50 }]);
+    });
+
+    it('should be disabled with a zero window', () => {
+      expect(detectPausedIntervals(samplesFrom([25, 0, 0, 0, 25], 60), 0)).toEqual([]);
+    });
+  });
+
+  describe('calculateMovingTime', () => {
+    it('should subtract paused intervals from elapsed time', () => {
+      expect(calculateMovingTime(at(0), at(3600), [{ duration: 300 }, { duration: 60 }]))
+        .toEqual({ elapsedTime: 3600, movingTime: 3240 });
+    });
+  });
+
+  describe('movingAverageSpeed', () => {
+    it('should average over moving time only', () => {
+      expect(movingAverageSpeed(10, 1800)).toBe(20);
+      expect(movingAverageSpeed(0, 0)).toBe(0);
+    });
+  });
+
+  describe('trackAutoPause', () => {
+    const newSession = () => ({ startTime: at(0), pausedIntervals: [], stoppedSince: null });
+
+    it('should pause live once a stop passes the window and resume on movement', () => {
+      const session = newSession();
+
+      trackAutoPause(session, { speed: 25, timestamp: at(60) }, 10);
+      trackAutoPause(session, { speed: 0, timestamp: at(65) }, 10);
+      expect(trackAutoPause(session, { speed: 0, timestamp: at(70) }, 10).paused).toBe(false);
+
+      const stopped = trackAutoPause(session, { speed: 0, timestamp: at(125) }, 10);
+      expect(stopped).toEqual({ paused: true, elapsedTime: 125, movingTime: 65 });
+
+      const resumed = trackAutoPause(session, { speed: 20, timestamp: at(185) }, 10);
+      expect(resumed).toEqual({ paused: false, elapsedTime: 185, movingTime: 65 });
+      expect(session.pausedIntervals).toEqual([{ start: at(65), end: at(185), duration: 120 }]);
+      expect(session.stoppedSince).toBeNull();
+    });
+
+    it('should count short stops as moving time', () => {
+      const session = newSession();
+
+      trackAutoPause(session, { speed: 0, timestamp: at(30) }, 10);
+      const result = trackAutoPause(session, { speed: 18, timestamp: at(35) }, 10);
+
+      expect(result.movingTime).toBe(35);
+      expect(session.pausedIntervals).toEqual([]);
+    });
+  });
+});
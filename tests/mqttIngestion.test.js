@@ -0,0 +1,128 @@
+/**
+ * MQTT Ingestion Tests
+ *
+ * Devices publishing telemetry to an embedded aedes broker reach
+ * RealTimeTelemetryService.processTelemetryData with their rider and ride.
+ */
+
+import { jest } from '@jest/globals';
+import net from 'net';
+import mqtt from 'mqtt';
+import { Aedes } from 'aedes';
+
+import MqttIngestionService from '../services/mqttIngestionService.js';
+
+describe('MQTT Ingestion', () => {
+  let broker;
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    broker = await Aedes.createBroker();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createIngestion = () => {
+    const telemetryService = { processTelemetryData: jest.fn().mockResolvedValue(undefined) };
+    const ingestion = new MqttIngestionService(telemetryService, { url, topicPrefix: 'test' });
+    // Registered devices without a database
+    ingestion.resolveDevice = jest.fn(async (deviceId) => ({
+      ESP32_1: { userId: 'user_1', sessionId: 'session_1' },
+      ESP32_2: { userId: 'user_2', sessionId: null }
+    })[deviceId] || null);
+    return { ingestion, telemetryService };
+  };
+
+  // Resolves once the service has handled as many messages as expected
+  const handled = (ingestion, count) => new Promise(resolve => {
+    const handleMessage = ingestion.handleMessage.bind(ingestion);
+    let seen = 0;
+    ingestion.handleMessage = async (...args) => {
+      const result = await handleMessage(...args);
+      if (++seen === count) resolve();
+      return result;
+    };
+  });
+
+  describe('parseTopic', () => {
+    it('should read the device from telemetry topics only', () => {
+      const ingestion = new MqttIngestionService(null, { url, topicPrefix: 'fleet/ph' });
+
+      expect(ingestion.parseTopic('fleet/ph/devices/ESP32_1/telemetry')).toBe('ESP32_1');
+      expect(ingestion.parseTopic('fleet/ph/devices/ESP32_1/status')).toBeNull();
+      expect(ingestion.parseTopic('other/ph/devices/ESP32_1/telemetry')).toBeNull();
+      expect(ingestion.parseTopic('fleet/ph/devices/telemetry')).toBeNull();
+    });
+  });
+
+  it('should stay off without a broker URL', async () => {
+    const ingestion = new MqttIngestionService(null, { url: '' });
+    await expect(ingestion.start()).resolves.toBe(false);
+  });
+
+  it('should feed published readings into the telemetry pipeline', async () => {
+    const { ingestion, telemetryService } = createIngestion();
+    await ingestion.start();
+    const done = handled(ingestion, 1);
+
+    const device = await mqtt.connectAsync(url, { clientId: 'ESP32_1' });
+    await device.publishAsync('test/devices/ESP32_1/telemetry', JSON.stringify({
+      deviceId: 'spoofed',
+      metrics: { speed: 24.5, distance: 1.2, cadence: 80 },
+      battery: { voltage: 3.9, level: 80 },
+      timestamp: '2025-06-01T06:00:00Z'
+    }), { qos: 1 });
+    await done;
+
+    expect(telemetryService.processTelemetryData).toHaveBeenCalledWith(expect.objectContaining({
+      deviceId: 'ESP32_1',
+      sessionId: 'session_1',
+      metrics: { speed: 24.5, distance: 1.2, cadence: 80 }
+    }), 'user_1');
+    expect(ingestion.getStats()).toMatchObject({ connected: true, received: 1, processed: 1, rejected: 0 });
+
+    await device.endAsync();
+    await ingestion.stop();
+  });
+
+  it('should drop unregistered devices and malformed payloads', async () => {
+    const { ingestion, telemetryService } = createIngestion();
+    await ingestion.start();
+    const done = handled(ingestion, 2);
+
+    const device = await mqtt.connectAsync(url);
+    await device.publishAsync('test/devices/ESP32_9/telemetry', JSON.stringify({ metrics: { speed: 20 } }), { qos: 1 });
+    await device.publishAsync('test/devices/ESP32_1/telemetry', 'not json', { qos: 1 });
+    await done;
+
+    expect(telemetryService.processTelemetryData).not.toHaveBeenCalled();
+    expect(ingestion.getStats()).toMatchObject({ received: 2, processed: 0, rejected: 2 });
+
+    await device.endAsync();
+    await ingestion.stop();
+  });
+
+  it('should drop readings outside the rider\'s active ride', async () => {
+    const { ingestion, telemetryService } = createIngestion();
+    await ingestion.start();
+    const done = handled(ingestion, 2);
+
+    const device = await mqtt.connectAsync(url);
+    await device.publishAsync('test/devices/ESP32_2/telemetry', JSON.stringify({ metrics: { speed: 20 } }), { qos: 1 });
+    await device.publishAsync('test/devices/ESP32_1/telemetry', JSON.stringify({ sessionId: 'someone_elses', metrics: { speed: 20 } }), { qos: 1 });
+    await done;
+
+    expect(telemetryService.processTelemetryData).not.toHaveBeenCalled();
+    expect(ingestion.getStats()).toMatchObject({ received: 2, processed: 0, rejected: 2 });
+
+    await device.endAsync();
+    await ingestion.stop();
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Multiple Devices Unit Tests
+ *
+ * Primary devices, moving an active ride between devices, and merging and
+ * splitting rides.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.mock('../services/telemetrySyncService.js', () => ({
+  __esModule: true,
+  SESSION_MATCH_GAP_MS: 10 * 60 * 1000,
+  recomputeSessionAggregates: jest.fn(async (session) => session),
+}));
+
+jest.mock('../services/energyService.js', () => ({
+  __esModule: true,
+  applySessionEnergy: jest.fn().mockResolvedValue(null),
+  removeSessionEnergy: jest.fn(async (session) => { session.energyWh = null; }),
+}));
+
+jest.mock('../services/batteryService.js', () => ({
+  __esModule: true,
+  applySessionBattery: jest.fn().mockResolvedValue(null),
+  clearBatteryState: jest.fn(),
+}));
+
+import { recomputeSessionAggregates } from '../services/telemetrySyncService.js';
+import { removeSessionEnergy } from '../services/energyService.js';
+import {
+  rideDistance,
+  switchSessionDevice,
+  setPrimaryDevice,
+  mergeSessions,
+  splitSession
+} from '../services/multiDeviceService.js';
+import SessionTrackerService from '../services/session_tracker_service.js';
+import GoalProgressService from '../services/goalProgressService.js';
+import AchievementService from '../services/achievementService.js';
+import { Telemetry, TelemetryRollup, RideSession, ESP32Device } from '../models/Telemetry.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+
+const userId = new mongoose.Types.ObjectId();
+const at = (minutes) => new Date(Date.UTC(2025, 5, 1, 6, minutes));
+
+const createRide = (fields = {}) => {
+  const ride = new RideSession({
+    userId,
+    deviceId: 'ESP32_A',
+    sessionId: `session_${Math.random().toString(36).slice(2)}`,
+    startTime: at(0),
+    status: 'completed',
+    ...fields
+  });
+  jest.spyOn(ride, 'save').mockResolvedValue(ride);
+  return ride;
+};
+
+// Distance of the last reading before a time
+const mockLastReading = (distance) => jest.spyOn(Telemetry, 'findOne')
+  .mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => ({ metrics: { distance } }) }) }) });
+
+describe('Multiple Devices - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recomputeSessionAggregates.mockClear();
+    removeSessionEnergy.mockClear();
+  });
+
+  describe('switching devices', () => {
+    it('should continue the ride distance on the new device', () => {
+      const ride = createRide({ status: 'active', totalDistance: 12.5 });
+
+      expect(switchSessionDevice(ride, 'ESP32_B', at(40))).toBe(true);
+      expect(ride.deviceId).toBe('ESP32_B');
+      expect(ride.deviceHistory.map(entry => [entry.deviceId, entry.distanceOffset])).toEqual([
+        ['ESP32_A', 0],
+        ['ESP32_B', 12.5]
+      ]);
+      expect(rideDistance(ride, 0.5)).toBe(13);
+      expect(switchSessionDevice(ride, 'ESP32_B')).toBe(false);
+    });
+
+    it('should leave single-device rides as reported', () => {
+      expect(rideDistance(createRide(), '3.2')).toBe(3.2);
+    });
+
+    it('should only make the rider\'s own devices primary', async () => {
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      await expect(setPrimaryDevice(userId, 'ESP32_X')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('mergeSessions', () => {
+    it('should move the later ride into the earlier one', async () => {
+      const first = createRide({ startTime: at(0), endTime: at(30), energyWh: 10, laps: [{ number: 1, startTime: at(0), startDistance: 0 }] });
+      const second = createRide({ deviceId: 'ESP32_B', startTime: at(25), endTime: at(60), laps: [{ number: 1, startTime: at(25), startDistance: 0 }] });
+      jest.spyOn(RideSession, 'find').mockResolvedValue([second, first]);
+      mockLastReading(8);
+      const telemetryMove = jest.spyOn(Telemetry, 'updateMany').mockResolvedValue({});
+      jest.spyOn(TelemetryRollup, 'updateMany').mockResolvedValue({});
+      const deleted = jest.spyOn(RideSession, 'deleteOne').mockResolvedValue({});
+
+      const merged = await mergeSessions(userId, second.sessionId, first.sessionId);
+
+      expect(merged).toBe(first);
+      expect(telemetryMove).toHaveBeenCalledWith(
+        { sessionId: second.sessionId },
+        { $set: { sessionId: first.sessionId }, $inc: { 'metrics.distance': 8 } }
+      );
+      expect(removeSessionEnergy).toHaveBeenCalledTimes(2);
+      expect(merged.endTime).toEqual(at(60));
+      expect(merged.mergedFrom).toEqual([second.sessionId]);
+      expect(merged.deviceHistory.map(entry => [entry.deviceId, entry.distanceOffset])).toEqual([
+        ['ESP32_A', 0],
+        ['ESP32_B', 8]
+      ]);
+      expect(merged.laps.map(lap => [lap.number, lap.startDistance])).toEqual([[1, 0], [2, 8]]);
+      expect(deleted).toHaveBeenCalledWith({ _id: second._id });
+      expect(recomputeSessionAggregates).toHaveBeenCalledWith(first);
+    });
+
+    it('should keep a merged ride active on the device still riding', async () => {
+      const first = createRide({ startTime: at(0), endTime: at(30) });
+      const second = createRide({ deviceId: 'ESP32_B', startTime: at(20), status: 'active' });
+      jest.spyOn(RideSession, 'find').mockResolvedValue([first, second]);
+      mockLastReading(5);
+      jest.spyOn(Telemetry, 'updateMany').mockResolvedValue({});
+      jest.spyOn(TelemetryRollup, 'updateMany').mockResolvedValue({});
+      jest.spyOn(RideSession, 'deleteOne').mockResolvedValue({});
+
+      const merged = await mergeSessions(userId, first.sessionId, second.sessionId);
+
+      expect(merged).toMatchObject({ status: 'active', deviceId: 'ESP32_B' });
+      expect(rideDistance(merged, 1)).toBe(6);
+    });
+
+    it('should take back the plan, goal and XP credit of a ride that no longer counts on its own', async () => {
+      const first = createRide({ startTime: at(0), endTime: at(30) });
+      const second = createRide({ deviceId: 'ESP32_B', startTime: at(25), endTime: at(60) });
+      jest.spyOn(RideSession, 'find').mockResolvedValue([first, second]);
+      mockLastReading(8);
+      jest.spyOn(Telemetry, 'updateMany').mockResolvedValue({});
+      jest.spyOn(TelemetryRollup, 'updateMany').mockResolvedValue({});
+      jest.spyOn(RideSession, 'deleteOne').mockResolvedValue({});
+      const reverse = jest.spyOn(SessionTrackerService, 'reverseSession').mockResolvedValue();
+
+      await mergeSessions(userId, first.sessionId, second.sessionId);
+      expect(reverse.mock.calls.map(([session]) => session)).toEqual([second]);
+
+      // The merged ride is active again and is credited as a whole when it ends
+      const third = createRide({ startTime: at(0), endTime: at(30) });
+      const live = createRide({ deviceId: 'ESP32_B', startTime: at(20), status: 'active' });
+      RideSession.find.mockResolvedValue([third, live]);
+      reverse.mockClear();
+
+      await mergeSessions(userId, third.sessionId, live.sessionId);
+      expect(reverse.mock.calls.map(([session]) => session)).toEqual([third]);
+    });
+
+    it('should subtract a ride\'s credited plan hours, goal progress and XP', async () => {
+      const day = { date: at(0), plannedHours: 1, completedHours: 1.25, caloriesBurned: 600, status: 'completed' };
+      const plan = { dailySessions: [day], completedDays: 3, completedHours: 10, save: jest.fn() };
+      const planDay = new Date(at(0));
+      planDay.setHours(0, 0, 0, 0);
+      const ride = createRide({
+        credited: { planId: new mongoose.Types.ObjectId(), planDay, planDayCompleted: true, goalId: new mongoose.Types.ObjectId(), hours: 0.5, calories: 250, distance: 12, xp: 180, at: at(30) }
+      });
+      jest.spyOn(CyclingPlan, 'findById').mockResolvedValue(plan);
+      const goal = jest.spyOn(GoalProgressService, 'removeSessionFromGoal').mockResolvedValue({});
+      const xp = jest.spyOn(AchievementService, 'revokeWorkoutXP').mockResolvedValue({});
+
+      await SessionTrackerService.reverseSession(ride);
+
+      expect(day).toMatchObject({ completedHours: 0.75, caloriesBurned: 350, status: 'pending' });
+      expect(plan).toMatchObject({ completedDays: 2, completedHours: 9.5 });
+      expect(goal).toHaveBeenCalledWith(ride.credited.goalId, {
+        sessionId: ride.sessionId,
+        totalDistance: 12,
+        totalCalories: 250,
+        endTime: at(30)
+      });
+      expect(xp).toHaveBeenCalledWith(userId, 180);
+    });
+
+    it('should refuse rides that do not overlap', async () => {
+      const first = createRide({ startTime: at(0), endTime: at(30) });
+      const second = createRide({ startTime: at(120), endTime: at(150) });
+      jest.spyOn(RideSession, 'find').mockResolvedValue([first, second]);
+
+      await expect(mergeSessions(userId, first.sessionId, second.sessionId)).rejects.toMatchObject({ status: 409 });
+      await expect(mergeSessions(userId, first.sessionId, first.sessionId)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('splitSession', () => {
+    it('should move readings from the split on to a new ride', async () => {
+      const ride = createRide({
+        startTime: at(0),
+        endTime: at(60),
+        laps: [
+          { number: 1, startTime: at(0), endTime: at(20), startDistance: 0 },
+          { number: 2, startTime: at(20), endTime: at(40), startDistance: 7 },
+          { number: 3, startTime: at(40), endTime: at(60), startDistance: 14 }
+        ]
+      });
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue(ride);
+      jest.spyOn(Telemetry, 'exists').mockResolvedValue({ _id: 1 });
+      mockLastReading(10);
+      const created = jest.spyOn(RideSession, 'create').mockImplementation(async (fields) => createRide(fields));
+      const telemetryMove = jest.spyOn(Telemetry, 'updateMany').mockResolvedValue({});
+      jest.spyOn(TelemetryRollup, 'updateMany').mockResolvedValue({});
+
+      const [first, second] = await splitSession(userId, ride.sessionId, at(30));
+
+      expect(first.endTime).toEqual(at(30));
+      expect(first.laps.map(lap => lap.number)).toEqual([1]);
+      expect(created.mock.calls[0][0]).toMatchObject({ startTime: at(30), endTime: at(60), splitFrom: ride.sessionId });
+      expect(second.laps.map(lap => [lap.number, lap.startDistance])).toEqual([[1, 4]]);
+      expect(telemetryMove).toHaveBeenCalledWith(
+        { sessionId: ride.sessionId, timestamp: { $gte: at(30) } },
+        { $set: { sessionId: second.sessionId }, $inc: { 'metrics.distance': -10 } }
+      );
+      expect(recomputeSessionAggregates).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only split completed rides within their time', async () => {
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue(createRide({ status: 'active' }));
+      await expect(splitSession(userId, 'session_1', at(10))).rejects.toMatchObject({ status: 409 });
+
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue(createRide({ endTime: at(60) }));
+      await expect(splitSession(userId, 'session_1', at(90))).rejects.toMatchObject({ status: 400 });
+      await expect(splitSession(userId, 'session_1', 'soon')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Power Analytics Unit Tests
+ *
+ * Normalized Power, Variability Index, work, Intensity Factor, TSS and
+ * mean-maximal power curves calculated from ride power samples.
+ */
+
+import {
+  resamplePower,
+  normalizedPower,
+  trainingStressScore,
+  calculatePowerMetrics,
+  summarizePowerMetrics,
+  calculatePowerCurve,
+  mergePowerCurves
+} from '../services/powerAnalyticsService.js';
+
+describe('Power Analytics - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+  const samplesFrom = (wattsPerSecond) =>
+    wattsPerSecond.map((watts, i) => ({ time: new Date(start + i * 1000), watts }));
+
+  describe('resamplePower', () => {
+    it('should hold sparse samples and zero out long gaps', () => {
+      const series = resamplePower([
+        { time: start, watts: 200 },
+        { time: start + 5000, watts: 100 },
+        { time: start + 30000, watts: 150 },
+      ]);
+
+      expect(series).toHaveLength(31);
+      expect(series.slice(0, 5)).toEqual([200, 200, 200, 200, 200]);
+      expect(series[15]).toBe(100);
+      expect(series[16]).toBe(0);
+      expect(series[30]).toBe(150);
+    });
+
+    it('should accept samples out of order', () => {
+      expect(resamplePower([
+        { time: start + 1000, watts: 120 },
+        { time: start, watts: 100 },
+      ])).toEqual([100, 120]);
+    });
+  });
+
+  describe('normalizedPower', () => {
+    it('should equal average power for a steady ride', () => {
+      expect(normalizedPower(new Array(600).fill(200))).toBeCloseTo(200, 6);
+    });
+
+    it('should exceed average power for a variable ride', () => {
+      // 1 minute on / 1 minute off for 20 minutes, averaging 200 W
+      const series = Array.from({ length: 1200 }, (_, i) => (Math.floor(i / 60) % 2 === 0 ? 400 : 0));
+
+      expect(normalizedPower(series)).toBeGreaterThan(290);
+    });
+
+    it('should fall back to average power for very short rides', () => {
+      expect(normalizedPower([100, 200, 300])).toBe(200);
+    });
+  });
+
+  describe('trainingStressScore', () => {
+    it('should be 100 for one hour at FTP', () => {
+      expect(trainingStressScore(3600, 250, 250)).toBeCloseTo(100, 6);
+    });
+
+    it('should be null without an FTP', () => {
+      expect(trainingStressScore(3600, 250, undefined)).toBeNull();
+    });
+  });
+
+  describe('calculatePowerMetrics', () => {
+    it('should calculate all metrics against the rider FTP', () => {
+      const metrics = calculatePowerMetrics(samplesFrom(new Array(1800).fill(200)), 250);
+
+      expect(metrics.normalizedPower).toBe(200);
+      expect(metrics.variabilityIndex).toBe(1);
+      expect(metrics.workKj).toBe(360);
+      expect(metrics.intensityFactor).toBe(0.8);
+      expect(metrics.trainingStressScore).toBeCloseTo(32, 0);
+      expect(metrics.ftpUsed).toBe(250);
+    });
+
+    it('should leave IF and TSS empty when FTP is unknown', () => {
+      const metrics = calculatePowerMetrics(samplesFrom(new Array(60).fill(150)));
+
+      expect(metrics.normalizedPower).toBe(150);
+      expect(metrics.intensityFactor).toBeNull();
+      expect(metrics.trainingStressScore).toBeNull();
+    });
+
+    it('should return null for rides without power', () => {
+      expect(calculatePowerMetrics(samplesFrom([0, 0, 0]), 250)).toBeNull();
+      expect(calculatePowerMetrics([], 250)).toBeNull();
+    });
+  });
+
+  describe('calculatePowerCurve', () => {
+    it('should find the best average for each duration', () => {
+      // 10 minutes at 150 W with a 20-second 600 W sprint and a 5-minute 250 W effort
+      const series = new Array(600).fill(150);
+      for (let i = 100; i < 120; i++) series[i] = 600;
+      for (let i = 300; i < 600; i++) series[i] = 250;
+
+      const curve = calculatePowerCurve(series, [5, 60, 300, 600]);
+
+      expect(curve).toEqual([
+        { duration: 5, watts: 600 },
+        { duration: 60, watts: 300 },
+        { duration: 300, watts: 250 },
+        { duration: 600, watts: 215 },
+      ]);
+    });
+
+    it('should omit durations longer than the ride', () => {
+      const curve = calculatePowerCurve(new Array(90).fill(200));
+
+      expect(curve.map(point => point.duration)).toEqual([5, 10, 30, 60]);
+    });
+
+    it('should be included in ride metrics', () => {
+      const metrics = calculatePowerMetrics(samplesFrom(new Array(60).fill(180)), 250);
+
+      expect(metrics.powerCurve.find(point => point.duration === 60).watts).toBe(180);
+    });
+  });
+
+  describe('mergePowerCurves', () => {
+    it('should keep the best effort per duration with its source', () => {
+      const merged = mergePowerCurves(
+        [{ duration: 5, watts: 700, sessionId: 'a' }, { duration: 60, watts: 300, sessionId: 'a' }],
+        [{ duration: 5, watts: 650, sessionId: 'b' }, { duration: 60, watts: 320, sessionId: 'b' }],
+        [{ duration: 1200, watts: 240, sessionId: 'c' }]
+      );
+
+      expect(merged).toEqual([
+        { duration: 5, watts: 700, sessionId: 'a' },
+        { duration: 60, watts: 320, sessionId: 'b' },
+        { duration: 1200, watts: 240, sessionId: 'c' },
+      ]);
+    });
+  });
+
+  describe('summarizePowerMetrics', () => {
+    it('should sum TSS and weight NP by ride duration', () => {
+      const summary = summarizePowerMetrics([
+        { duration: 3600, normalizedPower: 200, intensityFactor: 0.8, trainingStressScore: 64, workKj: 700 },
+        { duration: 1800, normalizedPower: 260, intensityFactor: 1.04, trainingStressScore: 54, workKj: 450 },
+        { duration: 900, normalizedPower: null, trainingStressScore: null },
+      ]);
+
+      expect(summary.ridesWithPower).toBe(2);
+      expect(summary.totalTss).toBe(118);
+      expect(summary.totalWorkKj).toBe(1150);
+      expect(summary.avgNormalizedPower).toBe(220);
+      expect(summary.avgIntensityFactor).toBe(0.88);
+    });
+  });
+});
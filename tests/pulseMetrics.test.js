@@ -0,0 +1,127 @@
+/**
+ * Pulse Metrics Unit Tests
+ *
+ * Speed, distance and cadence derived from wheel sensor pulse counts, and
+ * their priority over device-reported values.
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  normalizePulseCount,
+  derivePulseMetrics,
+  reconcileMetrics,
+  applyPulseDerivation,
+  clearDevicePulseState,
+  clearPulseState
+} from '../services/pulseMetricsService.js';
+import { Telemetry, ESP32Device } from '../models/Telemetry.js';
+
+describe('Pulse Metrics - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+
+  describe('normalizePulseCount', () => {
+    it('should accept counts and reject missing or invalid values', () => {
+      expect(normalizePulseCount('2400')).toBe(2400);
+      expect(normalizePulseCount(0)).toBe(0);
+      expect(normalizePulseCount(undefined)).toBeNull();
+      expect(normalizePulseCount('')).toBeNull();
+      expect(normalizePulseCount(-3)).toBeNull();
+    });
+  });
+
+  describe('derivePulseMetrics', () => {
+    it('should derive speed, distance and cadence from the pulse delta', () => {
+      const previous = { pulseCount: 100, timestamp: start, distance: 0.2 };
+      const current = { pulseCount: 110, timestamp: start + 3000 };
+
+      const derived = derivePulseMetrics(previous, current, { wheelCircumference: 2.1, gearRatio: 2 });
+
+      // 10 revolutions x 2.1 m in 3 s = 7 m/s = 25.2 km/h; 200 wheel rpm / 2 = 100 rpm
+      expect(derived.pulseDelta).toBe(10);
+      expect(derived.distance).toBeCloseTo(0.221, 3);
+      expect(derived.speed).toBeCloseTo(25.2, 2);
+      expect(derived.cadence).toBe(100);
+    });
+
+    it('should use the cumulative count for the first reading', () => {
+      const derived = derivePulseMetrics(null, { pulseCount: 2400, timestamp: start }, { wheelCircumference: 2.07 });
+
+      expect(derived.distance).toBeCloseTo(4.968, 3);
+      expect(derived.speed).toBeNull();
+      expect(derived.cadence).toBeNull();
+    });
+
+    it('should keep counting distance after the device resets its counter', () => {
+      const previous = { pulseCount: 500, timestamp: start, distance: 1 };
+
+      const derived = derivePulseMetrics(previous, { pulseCount: 5, timestamp: start + 2000 }, { wheelCircumference: 2 });
+
+      expect(derived.pulseDelta).toBe(5);
+      expect(derived.distance).toBeCloseTo(1.01, 3);
+    });
+
+    it('should not derive speed across long gaps', () => {
+      const previous = { pulseCount: 100, timestamp: start, distance: 0.2 };
+
+      const derived = derivePulseMetrics(previous, { pulseCount: 200, timestamp: start + 60000 });
+
+      expect(derived.distance).toBeGreaterThan(0.2);
+      expect(derived.speed).toBeNull();
+    });
+
+    it('should report zero speed and cadence when the wheel stops', () => {
+      const previous = { pulseCount: 100, timestamp: start, distance: 0.2 };
+
+      const derived = derivePulseMetrics(previous, { pulseCount: 100, timestamp: start + 1000 });
+
+      expect(derived.speed).toBe(0);
+      expect(derived.cadence).toBe(0);
+      expect(derived.distance).toBe(0.2);
+    });
+  });
+
+  describe('reconcileMetrics', () => {
+    it('should prefer derived values and flag drift', () => {
+      const { metrics, discrepancies } = reconcileMetrics(
+        { speed: 30, distance: 5.01, cadence: 80, watts: 150 },
+        { speed: 25, distance: 5, cadence: null }
+      );
+
+      expect(metrics).toEqual({ speed: 25, distance: 5, cadence: 80, watts: 150 });
+      expect(discrepancies).toEqual(['speed']);
+    });
+  });
+
+  describe('applyPulseDerivation', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      clearPulseState('session_1');
+    });
+
+    it('should measure with a wheel size changed mid-ride', async () => {
+      const stored = (pulseCount, distance, seconds) => ({
+        sort: () => ({ select: () => ({ lean: async () => ({ metrics: { pulseCount, distance }, timestamp: new Date(start + seconds * 1000) }) }) })
+      });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValueOnce(stored(100, 1, 0)).mockReturnValueOnce(stored(120, 1.04, 4));
+      const device = jest.spyOn(ESP32Device, 'findOne')
+        .mockReturnValueOnce({ select: () => ({ lean: async () => ({ wheelCircumference: 2 }) }) })
+        .mockReturnValueOnce({ select: () => ({ lean: async () => ({ wheelCircumference: 1 }) }) });
+      const reading = (pulseCount, seconds) => applyPulseDerivation({
+        sessionId: 'session_1',
+        deviceId: 'ESP32_1',
+        metrics: { pulseCount },
+        timestamp: start + seconds * 1000
+      });
+
+      expect((await reading(110, 2)).metrics.distance).toBeCloseTo(1.02, 3);
+      expect((await reading(120, 4)).metrics.distance).toBeCloseTo(1.04, 3);
+      expect(device).toHaveBeenCalledTimes(1);
+
+      clearDevicePulseState('ESP32_1');
+      // 10 revolutions of the new 1 m wheel on top of the last stored reading
+      expect((await reading(130, 6)).metrics.distance).toBeCloseTo(1.05, 3);
+      expect(device).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Ride Replay Unit Tests
+ *
+ * Playback of stored telemetry at 1x/4x/16x with pause, resume and seek, and
+ * the replay controls of the telemetry WebSocket.
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+import {
+  RideReplay,
+  findReplayIndex,
+  replayDelay,
+  MAX_REPLAY_GAP_MS
+} from '../services/rideReplayService.js';
+import RealTimeTelemetryService from '../services/realTimeTelemetryService.js';
+import { RideSession } from '../models/Telemetry.js';
+
+describe('Ride Replay - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+
+  // One point per second, with a two-minute gap before the last point
+  const points = [0, 1, 2, 3, 4, 125].map((seconds, i) => ({
+    sessionId: 'session_1',
+    timestamp: new Date(start + seconds * 1000),
+    metrics: { speed: 20 + i, distance: i * 0.006 },
+    battery: { voltage: 3.9, level: 80 },
+    workoutActive: true
+  }));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('findReplayIndex', () => {
+    it('should find the first point at or after a position', () => {
+      expect(findReplayIndex(points, 0)).toBe(0);
+      expect(findReplayIndex(points, 2.5)).toBe(3);
+      expect(findReplayIndex(points, 60)).toBe(5);
+      expect(findReplayIndex(points, 500)).toBe(points.length);
+    });
+  });
+
+  describe('replayDelay', () => {
+    it('should divide gaps by the replay speed and cap long ones', () => {
+      expect(replayDelay(points[0], points[1], 1)).toBe(1000);
+      expect(replayDelay(points[0], points[1], 4)).toBe(250);
+      expect(replayDelay(points[4], points[5], 1)).toBe(MAX_REPLAY_GAP_MS);
+      expect(replayDelay(points[4], points[5], 16)).toBe(Math.round(MAX_REPLAY_GAP_MS / 16));
+    });
+  });
+
+  describe('RideReplay', () => {
+    const played = (onPoint) => onPoint.mock.calls.map(([point]) => point.metrics.speed);
+
+    it('should play points at the ride\'s pace', () => {
+      const onPoint = jest.fn();
+      const onEnd = jest.fn();
+      const replay = new RideReplay(points, { speed: 4, onPoint, onEnd });
+
+      replay.start();
+      expect(played(onPoint)).toEqual([20]);
+
+      jest.advanceTimersByTime(250);
+      expect(played(onPoint)).toEqual([20, 21]);
+
+      jest.advanceTimersByTime(750);
+      expect(played(onPoint)).toEqual([20, 21, 22, 23, 24]);
+      expect(onEnd).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(MAX_REPLAY_GAP_MS / 4);
+      expect(played(onPoint)).toHaveLength(6);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(replay.status()).toMatchObject({ position: 125, duration: 125, finished: true });
+    });
+
+    it('should pause and resume', () => {
+      const onPoint = jest.fn();
+      const replay = new RideReplay(points, { onPoint });
+
+      replay.start();
+      replay.pause();
+      jest.advanceTimersByTime(10000);
+      expect(played(onPoint)).toEqual([20]);
+
+      replay.resume();
+      jest.advanceTimersByTime(1000);
+      expect(played(onPoint)).toEqual([20, 21]);
+    });
+
+    it('should seek and show the point there while paused', () => {
+      const onPoint = jest.fn();
+      const replay = new RideReplay(points, { onPoint });
+
+      replay.start();
+      replay.pause();
+      replay.seek(3);
+      expect(played(onPoint)).toEqual([20, 23]);
+      expect(replay.status()).toMatchObject({ position: 3, paused: true });
+
+      jest.advanceTimersByTime(5000);
+      expect(played(onPoint)).toEqual([20, 23]);
+    });
+
+    it('should change speed mid-replay', () => {
+      const onPoint = jest.fn();
+      const replay = new RideReplay(points, { onPoint });
+
+      replay.start();
+      replay.setSpeed(16);
+      jest.advanceTimersByTime(63);
+      expect(played(onPoint)).toEqual([20, 21]);
+    });
+  });
+
+  describe('RealTimeTelemetryService replay controls', () => {
+    const fakeSocket = () => ({ OPEN: 1, readyState: 1, send: jest.fn(), close: jest.fn() });
+    const sentMessages = (ws) => ws.send.mock.calls.map(([payload]) => JSON.parse(payload));
+
+    it('should send replayed points in the live message format', () => {
+      const service = new RealTimeTelemetryService();
+      const ws = fakeSocket();
+      ws.replaySessionId = 'session_1';
+      ws.replay = new RideReplay(points, {
+        onPoint: (point) => ws.send(JSON.stringify(service.toTelemetryMessage('ESP32_1', point)))
+      });
+
+      ws.replay.start();
+      service.handleReplayControl(ws, { action: 'speed', speed: 16 });
+      service.handleReplayControl(ws, { action: 'pause' });
+
+      const [point, speedStatus, pauseStatus] = sentMessages(ws);
+      expect(point).toMatchObject({
+        type: 'telemetry_data',
+        deviceId: 'ESP32_1',
+        sessionId: 'session_1',
+        data: { speed: 20, distance: 0 },
+        battery: { voltage: 3.9, level: 80 },
+        location: null,
+        workoutActive: true
+      });
+      expect(speedStatus).toMatchObject({ type: 'replay_status', action: 'speed', speed: 16 });
+      expect(pauseStatus).toMatchObject({ type: 'replay_status', action: 'pause', paused: true });
+    });
+
+    it('should reject unsupported speeds and missing replays', () => {
+      const service = new RealTimeTelemetryService();
+      const ws = fakeSocket();
+
+      service.handleReplayControl(ws, { action: 'pause' });
+      ws.replay = new RideReplay(points, { onPoint: jest.fn() });
+      service.handleReplayControl(ws, { action: 'speed', speed: 8 });
+
+      expect(sentMessages(ws).map(message => message.type)).toEqual(['replay_error', 'replay_error']);
+      expect(ws.replay.speed).toBe(1);
+    });
+
+    it('should only connect riders with a valid token', async () => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+      const service = new RealTimeTelemetryService();
+      const connect = async (url, headers = {}) => {
+        const req = { url, headers };
+        const done = jest.fn();
+        await service.verifyClient({ req }, done);
+        return { req, result: done.mock.calls[0] };
+      };
+
+      const bearer = await connect('/ws/telemetry', { authorization: `Bearer ${jwt.sign({ userId: 'rider_1' }, process.env.JWT_SECRET)}` });
+      expect(bearer.result).toEqual([true]);
+      expect(bearer.req.userId).toBe('rider_1');
+
+      const query = await connect(`/ws/telemetry?token=${jwt.sign({ userId: 'rider_2' }, process.env.JWT_SECRET)}`);
+      expect(query.req.userId).toBe('rider_2');
+
+      expect((await connect('/ws/telemetry?token=not-a-jwt')).result).toEqual([false, 403, 'Invalid or expired token']);
+      expect((await connect('/ws/telemetry')).result).toEqual([false, 401, 'No token provided']);
+    });
+
+    it('should replay only the connected rider\'s sessions', async () => {
+      const service = new RealTimeTelemetryService();
+      const ws = fakeSocket();
+      ws.userId = 'rider_1';
+      const findSession = jest.spyOn(RideSession, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+      await service.handleReplay(ws, { sessionId: 'session_1', userId: 'rider_2' });
+
+      expect(findSession).toHaveBeenCalledWith({ sessionId: 'session_1', userId: 'rider_1', status: 'completed' });
+      expect(sentMessages(ws)[0]).toMatchObject({ type: 'replay_error', message: 'Finished session not found or access denied' });
+      findSession.mockRestore();
+    });
+
+    it('should stop the replay when the client disconnects', () => {
+      const service = new RealTimeTelemetryService();
+      const ws = fakeSocket();
+      const onPoint = jest.fn();
+      ws.replay = new RideReplay(points, { onPoint });
+
+      ws.replay.start();
+      service.handleClientDisconnect(ws);
+      jest.advanceTimersByTime(10000);
+
+      expect(onPoint).toHaveBeenCalledTimes(1);
+    });
+  });
+});
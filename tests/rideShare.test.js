@@ -0,0 +1,210 @@
+/**
+ * Ride Share Unit Tests
+ *
+ * Spectator links: location fuzzing, what spectators receive from the live
+ * telemetry broadcast, and disconnecting them when a link ends.
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  hashShareToken,
+  fuzzLocation,
+  toSpectatorMessage
+} from '../services/rideShareService.js';
+import RealTimeTelemetryService from '../services/realTimeTelemetryService.js';
+import RideShare from '../models/RideShare.js';
+import { RideSession, ESP32Device } from '../models/Telemetry.js';
+
+const fakeSocket = (share) => ({
+  OPEN: 1,
+  readyState: 1,
+  isSpectator: !!share,
+  share,
+  send: jest.fn(),
+  close: jest.fn()
+});
+
+const sentMessages = (ws) => ws.send.mock.calls.map(([payload]) => JSON.parse(payload));
+
+describe('Ride Share - Unit Tests', () => {
+  const reading = {
+    sessionId: 'session_1',
+    metrics: { speed: 24.5, distance: 12.3 },
+    battery: { voltage: 3.9, level: 80 },
+    coordinates: { type: 'Point', coordinates: [121.034567, 14.554321] },
+    workoutActive: true,
+    timestamp: new Date('2025-06-01T06:00:00Z')
+  };
+
+  describe('hashShareToken', () => {
+    it('should hash tokens deterministically', () => {
+      expect(hashShareToken('abc')).toBe(hashShareToken('abc'));
+      expect(hashShareToken('abc')).not.toBe(hashShareToken('abd'));
+      expect(hashShareToken('abc')).toHaveLength(64);
+    });
+  });
+
+  describe('fuzzLocation', () => {
+    it('should snap positions to the grid', () => {
+      expect(fuzzLocation({ lat: 14.554321, lng: 121.034567 })).toEqual({ lat: 14.55, lng: 121.03 });
+    });
+
+    it('should give nearby positions the same cell', () => {
+      expect(fuzzLocation({ lat: 14.5512, lng: 121.0311 })).toEqual(fuzzLocation({ lat: 14.5489, lng: 121.0349 }));
+    });
+  });
+
+  describe('toSpectatorMessage', () => {
+    const message = {
+      type: 'telemetry_data',
+      data: reading.metrics,
+      battery: reading.battery,
+      location: { lat: 14.554321, lng: 121.034567 }
+    };
+
+    it('should leave out battery details', () => {
+      const spectatorMessage = toSpectatorMessage(message, { fuzzLocation: false });
+
+      expect(spectatorMessage.battery).toBeUndefined();
+      expect(spectatorMessage.location).toEqual(message.location);
+      expect(spectatorMessage.data).toEqual(reading.metrics);
+    });
+
+    it('should fuzz the location when the rider asked for it', () => {
+      expect(toSpectatorMessage(message, { fuzzLocation: true }).location).toEqual({ lat: 14.55, lng: 121.03 });
+    });
+  });
+
+  describe('RealTimeTelemetryService spectators', () => {
+    const share = (overrides = {}) => ({
+      shareId: 'share_1',
+      sessionId: 'session_1',
+      fuzzLocation: true,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...overrides
+    });
+
+    it('should send live readings to the session\'s spectators', async () => {
+      const service = new RealTimeTelemetryService();
+      const owner = fakeSocket();
+      const spectator = fakeSocket(share());
+      const otherRide = fakeSocket(share({ shareId: 'share_2', sessionId: 'session_2' }));
+      service.subscribers.set('ESP32_1:live', new Set([owner]));
+      service.spectators.set('session_1', new Set([spectator]));
+      service.spectators.set('session_2', new Set([otherRide]));
+
+      await service.publishTelemetry('ESP32_1', reading);
+
+      const [ownerMessage] = sentMessages(owner);
+      const [spectatorMessage] = sentMessages(spectator);
+      expect(ownerMessage.location).toEqual({ lat: 14.554321, lng: 121.034567 });
+      expect(ownerMessage.battery).toEqual(reading.battery);
+      expect(spectatorMessage).toMatchObject({
+        type: 'telemetry_data',
+        sessionId: 'session_1',
+        data: reading.metrics,
+        location: { lat: 14.55, lng: 121.03 }
+      });
+      expect(spectatorMessage.battery).toBeUndefined();
+      expect(otherRide.send).not.toHaveBeenCalled();
+    });
+
+    it('should disconnect spectators whose link expired', async () => {
+      const service = new RealTimeTelemetryService();
+      const spectator = fakeSocket(share({ expiresAt: new Date(Date.now() - 1000) }));
+      service.spectators.set('session_1', new Set([spectator]));
+
+      await service.publishTelemetry('ESP32_1', reading);
+
+      expect(sentMessages(spectator)).toEqual([{ type: 'spectate_ended', sessionId: 'session_1', reason: 'expired' }]);
+      expect(spectator.close).toHaveBeenCalled();
+      expect(service.spectators.has('session_1')).toBe(false);
+    });
+
+    it('should close only the revoked link\'s spectators', () => {
+      const service = new RealTimeTelemetryService();
+      const revoked = fakeSocket(share());
+      const kept = fakeSocket(share({ shareId: 'share_2' }));
+      service.spectators.set('session_1', new Set([revoked, kept]));
+
+      service.closeSpectators({ shareId: 'share_1' }, 'revoked');
+
+      expect(revoked.close).toHaveBeenCalled();
+      expect(kept.close).not.toHaveBeenCalled();
+      expect(service.spectators.get('session_1').size).toBe(1);
+    });
+
+    it('should refuse share-link connections whose link is not valid', async () => {
+      const service = new RealTimeTelemetryService();
+      jest.spyOn(RideShare, 'findOne').mockReturnValue({ lean: async () => null });
+      const done = jest.fn();
+
+      await service.verifyClient({ req: { url: '/ws/telemetry?share=guess', headers: {} } }, done);
+
+      expect(done).toHaveBeenCalledWith(false, 404, 'Share link is invalid or has expired');
+      jest.restoreAllMocks();
+    });
+
+    it('should make share-link connections spectators as they connect', async () => {
+      const service = new RealTimeTelemetryService();
+      const link = { _id: 'share_1', sessionId: 'session_1', fuzzLocation: false, expiresAt: share().expiresAt };
+      jest.spyOn(RideShare, 'findOne').mockReturnValue({ lean: async () => link });
+      jest.spyOn(RideSession, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ status: 'active' }) }) });
+      const req = { url: '/ws/telemetry?share=abc', headers: {} };
+      const done = jest.fn();
+
+      await service.verifyClient({ req }, done);
+      expect(done).toHaveBeenCalledWith(true);
+
+      const ws = fakeSocket();
+      service.addSpectator(ws, req.share);
+      expect(ws.isSpectator).toBe(true);
+      expect(service.spectators.get('session_1').has(ws)).toBe(true);
+      jest.restoreAllMocks();
+    });
+
+    it('should not let spectators send telemetry, subscribe or replay', async () => {
+      const service = new RealTimeTelemetryService();
+      const spectator = fakeSocket(share());
+      const processTelemetry = jest.spyOn(service, 'processTelemetryData');
+      const subscribe = jest.spyOn(service, 'handleSubscription');
+      const replay = jest.spyOn(service, 'handleReplay');
+
+      await service.handleWebSocketMessage(spectator, { type: 'telemetry', deviceId: 'ESP32_1', metrics: {} });
+      await service.handleWebSocketMessage(spectator, { type: 'subscribe', deviceId: 'ESP32_1' });
+      await service.handleWebSocketMessage(spectator, { type: 'replay', sessionId: 'session_0' });
+
+      expect(processTelemetry).not.toHaveBeenCalled();
+      expect(subscribe).not.toHaveBeenCalled();
+      expect(replay).not.toHaveBeenCalled();
+      expect(sentMessages(spectator).map((message) => message.type)).toEqual(['error', 'error', 'error']);
+    });
+
+    it('should only take socket readings for the rider\'s own device and ride', async () => {
+      const service = new RealTimeTelemetryService();
+      const rider = { ...fakeSocket(), userId: 'user_1' };
+      const processTelemetry = jest.spyOn(service, 'processTelemetryData').mockResolvedValue();
+      const rides = jest.spyOn(ESP32Device, 'exists').mockResolvedValue({ _id: 'device_1' });
+      const ownsRide = jest.spyOn(RideSession, 'exists').mockResolvedValue(null);
+
+      const spoofed = { type: 'telemetry', deviceId: 'ESP32_1', sessionId: 'session_1', userId: 'user_2', metrics: {} };
+      await service.handleWebSocketMessage(rider, spoofed);
+      expect(ownsRide).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'session_1', userId: 'user_1' }));
+      expect(processTelemetry).not.toHaveBeenCalled();
+
+      ownsRide.mockResolvedValue({ _id: 'ride_1' });
+      await service.handleWebSocketMessage(rider, spoofed);
+      expect(processTelemetry).toHaveBeenCalledWith(spoofed, 'user_1');
+
+      rides.mockResolvedValue(null);
+      await service.handleWebSocketMessage(rider, { ...spoofed, deviceId: 'ESP32_2' });
+      expect(processTelemetry).toHaveBeenCalledTimes(1);
+      expect(sentMessages(rider).map((message) => message.message)).toEqual([
+        'Session not found or access denied',
+        'Device not found or access denied'
+      ]);
+      jest.restoreAllMocks();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Telemetry Encoding Tests
+ *
+ * JSON, CBOR and MessagePack payloads decode to the same telemetry shape, and
+ * the ESP32 bridge talks to each client in the encoding its subprotocol chose.
+ */
+
+import WebSocket from 'ws';
+import jwt from 'jsonwebtoken';
+
+import {
+  encodeTelemetry,
+  decodeTelemetry,
+  compactTelemetryKeys,
+  expandTelemetryKeys,
+  formatForContentType,
+  selectSubprotocol,
+  formatForSubprotocol
+} from '../utils/telemetryCodec.js';
+import { ESP32BLEBridge } from '../services/esp32_ble_bridge.js';
+
+describe('Telemetry Encoding', () => {
+  // A /esp32/telemetry request body as the firmware sends it in JSON
+  const request = {
+    deviceId: 'ESP32_1',
+    sessionId: 'session_1',
+    data: {
+      speed: 24.5,
+      distance: 12.34,
+      cadence: 82,
+      power: 180,
+      voltage: 3.92,
+      pulse_count: 5120,
+      heart_rate: 142,
+      session_status: 'IN_PROGRESS',
+      auto_session: true,
+      session_duration: 1830
+    }
+  };
+
+  describe.each(['cbor', 'msgpack'])('%s', (format) => {
+    it('should round-trip a telemetry request', () => {
+      const encoded = encodeTelemetry(request, format);
+
+      expect(Buffer.isBuffer(encoded)).toBe(true);
+      expect(decodeTelemetry(encoded, format)).toEqual(request);
+    });
+
+    it('should be smaller than the JSON request', () => {
+      expect(encodeTelemetry(request, format).length).toBeLessThan(encodeTelemetry(request, 'json').length / 1.5);
+    });
+
+    it('should accept full keys from firmwares that do not compact them', async () => {
+      const { encode } = format === 'cbor' ? await import('cbor-x') : { encode: (await import('msgpackr')).pack };
+      expect(decodeTelemetry(encode(request), format)).toEqual(request);
+    });
+
+    it('should reject truncated payloads with a 400', () => {
+      const truncated = encodeTelemetry(request, format).subarray(0, 10);
+      expect(() => decodeTelemetry(truncated, format)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('compact keys', () => {
+    it('should shorten the envelope and reading keys', () => {
+      const compacted = compactTelemetryKeys(request);
+
+      expect(Object.keys(compacted)).toEqual(['d', 's', 'x']);
+      expect(compacted.x).toMatchObject({ v: 24.5, ds: 12.34, pc: 5120, hr: 142, ss: 'IN_PROGRESS' });
+      expect(expandTelemetryKeys(compacted)).toEqual(request);
+    });
+
+    it('should leave JSON payloads as they are', () => {
+      expect(decodeTelemetry(JSON.stringify({ d: 'short', data: { v: 1 } }), 'json')).toEqual({ d: 'short', data: { v: 1 } });
+    });
+  });
+
+  describe('negotiation', () => {
+    it('should pick the format from the content type', () => {
+      expect(formatForContentType('application/cbor')).toBe('cbor');
+      expect(formatForContentType('application/x-msgpack; charset=binary')).toBe('msgpack');
+      expect(formatForContentType('application/json')).toBe('json');
+      expect(formatForContentType('text/plain')).toBeNull();
+    });
+
+    it('should prefer binary subprotocols and fall back to JSON', () => {
+      expect(selectSubprotocol(new Set(['sikadvoltz.json', 'sikadvoltz.msgpack']))).toBe('sikadvoltz.msgpack');
+      expect(selectSubprotocol(new Set(['mqtt']))).toBe(false);
+      expect(formatForSubprotocol('sikadvoltz.cbor')).toBe('cbor');
+      expect(formatForSubprotocol('')).toBe('json');
+    });
+  });
+
+  describe('ESP32BLEBridge', () => {
+    let bridge;
+    let port;
+
+    beforeAll(async () => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+      bridge = new ESP32BLEBridge();
+      bridge.initialize(null, 0);
+      await new Promise(resolve => bridge.wss.once('listening', resolve));
+      port = bridge.wss.address().port;
+    });
+
+    afterAll(() => {
+      bridge.shutdown();
+    });
+
+    const connect = (protocol) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}`, protocol ? [protocol] : []);
+      const messages = [];
+      ws.on('message', (message, isBinary) => messages.push({ message, isBinary }));
+      ws.once('open', () => resolve({ ws, messages }));
+      ws.once('error', reject);
+    });
+
+    const waitFor = (messages, count) => new Promise(resolve => {
+      const check = () => (messages.length >= count ? resolve() : setTimeout(check, 10));
+      check();
+    });
+
+    it.each([
+      ['sikadvoltz.cbor', 'cbor'],
+      ['sikadvoltz.msgpack', 'msgpack']
+    ])('should speak %s with clients that ask for it', async (protocol, format) => {
+      const { ws, messages } = await connect(protocol);
+      expect(ws.protocol).toBe(protocol);
+
+      const token = jwt.sign({ userId: 'user_1' }, process.env.JWT_SECRET);
+      ws.send(encodeTelemetry({ type: 'authenticate', token }, format));
+      await waitFor(messages, 2);
+      ws.close();
+
+      const [welcome, authenticated] = messages.map(({ message, isBinary }) => {
+        expect(isBinary).toBe(true);
+        return decodeTelemetry(message, format);
+      });
+      expect(welcome.type).toBe('connection_established');
+      expect(authenticated).toMatchObject({ type: 'authenticated', userId: 'user_1' });
+    });
+
+    it('should not authenticate clients without a valid token', async () => {
+      const { ws, messages } = await connect();
+      ws.send(JSON.stringify({ type: 'authenticate', userId: 'user_1', token: 'token' }));
+      ws.send(JSON.stringify({ type: 'esp32_command', command: 'lap', deviceId: 'ESP32_1' }));
+      await waitFor(messages, 3);
+      ws.close();
+
+      const [, authentication, command] = messages.map(({ message }) => JSON.parse(message.toString()));
+      expect(authentication.type).toBe('authentication_failed');
+      expect(command).toMatchObject({ type: 'error', message: 'Authentication required' });
+    });
+
+    it('should keep JSON for clients without a subprotocol', async () => {
+      const { ws, messages } = await connect();
+      await waitFor(messages, 1);
+      ws.close();
+
+      expect(messages[0].isBinary).toBe(false);
+      expect(JSON.parse(messages[0].message.toString()).type).toBe('connection_established');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Telemetry Quality Unit Tests
+ *
+ * Sanity filter for speed spikes, power surges and distance glitches, the
+ * session data-quality score, and how flagged segments are left out of XP.
+ */
+
+import {
+  QUALITY_ISSUES,
+  checkTelemetryPoint,
+  calculateQualityScore,
+  recordPointQuality,
+  filterTelemetrySeries,
+  summarizeTelemetryQuality,
+  excludeFlaggedSegments
+} from '../services/telemetryQualityService.js';
+
+describe('Telemetry Quality - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000);
+
+  // Steady 18 km/h = 0.005 km per second
+  const steadyRide = (seconds) => Array.from({ length: seconds }, (_, i) => ({
+    timestamp: at(i),
+    speed: 18,
+    watts: 150,
+    distance: i * 0.005
+  }));
+
+  describe('checkTelemetryPoint', () => {
+    const previous = checkTelemetryPoint(null, { timestamp: at(0), speed: 20, watts: 150, distance: 1 }).state;
+
+    it('should accept plausible readings', () => {
+      const result = checkTelemetryPoint(previous, { timestamp: at(1), speed: 24, watts: 400, distance: 1.006 });
+
+      expect(result.quality).toEqual({ flagged: false, issues: [] });
+      expect(result.metrics).toEqual({ speed: 24, watts: 400, distance: 1.006 });
+    });
+
+    it('should replace a speed spike with the last plausible speed', () => {
+      const result = checkTelemetryPoint(previous, { timestamp: at(1), speed: 65, watts: 150, distance: 1.006 });
+
+      expect(result.quality.issues).toEqual([QUALITY_ISSUES.SPEED_SPIKE]);
+      expect(result.metrics.speed).toBe(20);
+    });
+
+    it('should accept a fast rise confirmed by the next reading', () => {
+      const spike = checkTelemetryPoint(previous, { timestamp: at(1), speed: 40, distance: 1.006 });
+      const confirmed = checkTelemetryPoint(spike.state, { timestamp: at(2), speed: 42, distance: 1.017 });
+
+      expect(spike.quality.flagged).toBe(true);
+      expect(confirmed.quality.flagged).toBe(false);
+      expect(confirmed.metrics.speed).toBe(42);
+    });
+
+    it('should not flag hard braking', () => {
+      const result = checkTelemetryPoint(previous, { timestamp: at(1), speed: 0, distance: 1.003 });
+
+      expect(result.quality.flagged).toBe(false);
+    });
+
+    it('should flag power surges', () => {
+      const result = checkTelemetryPoint(previous, { timestamp: at(1), speed: 20, watts: 2600, distance: 1.006 });
+
+      expect(result.quality.issues).toEqual([QUALITY_ISSUES.POWER_SURGE]);
+      expect(result.metrics.watts).toBe(150);
+    });
+
+    it('should keep distance continuous after it goes backwards', () => {
+      // The device restarted its distance counter
+      const reset = checkTelemetryPoint(previous, { timestamp: at(1), speed: 18, distance: 0 });
+      const next = checkTelemetryPoint(reset.state, { timestamp: at(2), speed: 18, distance: 0.005 });
+
+      expect(reset.quality.issues).toEqual([QUALITY_ISSUES.DISTANCE_REGRESSION]);
+      expect(reset.metrics.distance).toBeCloseTo(1.005, 6);
+      expect(next.quality.flagged).toBe(false);
+      expect(next.metrics.distance).toBeCloseTo(1.01, 6);
+    });
+
+    it('should drop impossible distance jumps', () => {
+      const result = checkTelemetryPoint(previous, { timestamp: at(1), speed: 20, distance: 3 });
+
+      expect(result.quality.issues).toEqual([QUALITY_ISSUES.DISTANCE_JUMP]);
+      expect(result.metrics.distance).toBeCloseTo(1.00556, 4);
+    });
+  });
+
+  describe('filterTelemetrySeries', () => {
+    it('should interpolate flagged values between clean neighbours', () => {
+      const readings = steadyRide(5);
+      readings[2].speed = 90;
+      readings[2].watts = 2500;
+
+      const { readings: filtered, dataQuality } = filterTelemetrySeries(readings);
+
+      expect(filtered[2].quality.flagged).toBe(true);
+      expect(filtered[2].speed).toBe(18);
+      expect(filtered[2].watts).toBe(150);
+      expect(dataQuality.totalPoints).toBe(5);
+      expect(dataQuality.flaggedPoints).toBe(1);
+      expect(dataQuality.score).toBe(80);
+      expect(dataQuality.issues).toEqual({ speedSpike: 1, powerSurge: 1 });
+    });
+
+    it('should leave missing metrics untouched', () => {
+      const { readings } = filterTelemetrySeries([
+        { timestamp: at(0), speed: 10, distance: 0 },
+        { timestamp: at(1), speed: 12, distance: 0.003 }
+      ]);
+
+      expect(readings[1].watts).toBeUndefined();
+    });
+  });
+
+  describe('session quality', () => {
+    it('should score the share of clean points', () => {
+      expect(calculateQualityScore(0, 0)).toBe(100);
+      expect(calculateQualityScore(200, 30)).toBe(85);
+    });
+
+    it('should accumulate flagged segments on the session', () => {
+      const session = {};
+
+      recordPointQuality(session, { quality: { flagged: false, issues: [] }, segment: { distance: 0.005, seconds: 1 } });
+      recordPointQuality(session, {
+        quality: { flagged: true, issues: [QUALITY_ISSUES.SPEED_SPIKE] },
+        segment: { distance: 0.02, seconds: 2 }
+      });
+
+      expect(session.dataQuality).toMatchObject({
+        score: 50,
+        totalPoints: 2,
+        flaggedPoints: 1,
+        flaggedDistance: 0.02,
+        flaggedTime: 2,
+        issues: { speedSpike: 1 }
+      });
+    });
+
+    it('should summarize stored telemetry including rollups', () => {
+      const telemetry = [
+        { timestamp: at(0), metrics: { distance: 0 }, sampleCount: 10, resolution: 10, quality: { flaggedPoints: 0 } },
+        { timestamp: at(10), metrics: { distance: 0.05 }, sampleCount: 10, resolution: 10, quality: { flaggedPoints: 5 } },
+        { timestamp: at(20), metrics: { distance: 0.1 }, quality: { flagged: true, issues: ['distanceJump'] } },
+        { timestamp: at(21), metrics: { distance: 0.105 } }
+      ];
+
+      const dataQuality = summarizeTelemetryQuality(telemetry);
+
+      expect(dataQuality.totalPoints).toBe(22);
+      expect(dataQuality.flaggedPoints).toBe(6);
+      expect(dataQuality.flaggedDistance).toBeCloseTo(0.075, 6);
+      expect(dataQuality.flaggedTime).toBe(15);
+      expect(dataQuality.score).toBe(73);
+    });
+  });
+
+  describe('excludeFlaggedSegments', () => {
+    const sessionData = {
+      totalDistance: 20,
+      duration: 3600,
+      totalCalories: 500,
+      avgSpeed: 20,
+      avgPower: 180,
+      maxSpeed: 45,
+      maxPower: 600
+    };
+
+    it('should keep clean rides unchanged', () => {
+      expect(excludeFlaggedSegments(sessionData, { score: 100, flaggedPoints: 0 })).toBe(sessionData);
+      expect(excludeFlaggedSegments(sessionData, undefined)).toBe(sessionData);
+    });
+
+    it('should leave flagged distance and time out', () => {
+      const qualified = excludeFlaggedSegments(sessionData, {
+        score: 95,
+        flaggedPoints: 10,
+        flaggedDistance: 2,
+        flaggedTime: 360
+      });
+
+      expect(qualified.totalDistance).toBe(18);
+      expect(qualified.duration).toBe(3240);
+      expect(qualified.avgSpeed).toBe(20);
+      expect(qualified.avgPower).toBe(180);
+      expect(qualified.totalCalories).toBe(500);
+    });
+
+    it('should drop speed and power bonuses for low-quality rides', () => {
+      const qualified = excludeFlaggedSegments(sessionData, {
+        score: 40,
+        flaggedPoints: 600,
+        flaggedDistance: 5,
+        flaggedTime: 600
+      });
+
+      expect(qualified.totalDistance).toBe(15);
+      expect(qualified).toMatchObject({ avgSpeed: 0, avgPower: 0, maxSpeed: 0, maxPower: 0 });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Telemetry Retention Unit Tests
+ *
+ * Rolling telemetry up into 10-second / 1-minute tiers and reading a session
+ * back across tiers.
+ */
+
+import { rollupPoints, mergeTelemetryTiers } from '../utils/telemetryRollup.js';
+import { resamplePower } from '../services/powerAnalyticsService.js';
+
+describe('Telemetry Retention - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000);
+
+  // 30 seconds at 1 Hz: speed 20-22, watts 100/200 alternating, HR strap drops out for the first 10 s
+  const raw = Array.from({ length: 30 }, (_, i) => ({
+    deviceId: 'ESP32_TEST',
+    sessionId: 'RETENTION_SESSION',
+    timestamp: at(i),
+    coordinates: { type: 'Point', coordinates: [120.98 + i * 0.0001, 14.59] },
+    metrics: {
+      speed: 20 + (i % 3),
+      distance: i * 0.006,
+      sessionTime: i,
+      watts: i % 2 === 0 ? 100 : 200,
+      pulseCount: i * 3,
+      cadence: 80,
+      heartRate: i < 10 ? null : 140
+    },
+    battery: { voltage: 12.4, level: 90 - i },
+    workoutActive: true
+  }));
+
+  describe('rollupPoints', () => {
+    it('should average metrics, keep peaks and keep cumulative counters', () => {
+      const buckets = rollupPoints(raw, 10);
+
+      expect(buckets).toHaveLength(3);
+      expect(buckets[0]).toMatchObject({
+        sessionId: 'RETENTION_SESSION',
+        resolution: 10,
+        timestamp: at(0),
+        sampleCount: 10,
+        max: { speed: 22, watts: 200, cadence: 80, heartRate: null }
+      });
+      expect(buckets[0].metrics.watts).toBe(150);
+      expect(buckets[0].metrics.heartRate).toBeNull();
+      expect(buckets[1].metrics.heartRate).toBe(140);
+      expect(buckets[2].metrics.distance).toBeCloseTo(0.174, 3);
+      expect(buckets[2].metrics.pulseCount).toBe(87);
+      expect(buckets[2].coordinates.coordinates[0]).toBeCloseTo(120.9829, 4);
+      expect(buckets[2].battery.level).toBe(61);
+    });
+
+    it('should weight finer rollups by their sample count', () => {
+      const tenSecond = [
+        { timestamp: at(0), sampleCount: 10, metrics: { watts: 100, heartRate: 120 }, max: { watts: 300 } },
+        { timestamp: at(10), sampleCount: 5, metrics: { watts: 250, heartRate: 150 }, max: { watts: 400 } },
+      ];
+
+      const [minute] = rollupPoints(tenSecond, 60);
+
+      expect(minute.sampleCount).toBe(15);
+      expect(minute.metrics.watts).toBe(150);
+      expect(minute.metrics.heartRate).toBe(130);
+      expect(minute.max.watts).toBe(400);
+    });
+
+    it('should merge late points into an existing bucket', () => {
+      const [existing] = rollupPoints(raw.slice(0, 5), 10);
+
+      const [merged] = rollupPoints([existing, ...raw.slice(5, 10)], 10);
+
+      expect(merged.sampleCount).toBe(10);
+      expect(merged.metrics.watts).toBe(150);
+    });
+  });
+
+  describe('mergeTelemetryTiers', () => {
+    it('should fill rolled-up time from the finest tier available', () => {
+      const oneMinute = rollupPoints(raw.map(point => ({ ...point, timestamp: new Date(point.timestamp.getTime() - 120000) })), 60);
+      const tenSecond = rollupPoints(raw.slice(0, 20), 10);
+      const stillRaw = raw.slice(20);
+      // A leftover 10 s bucket that raw points also cover must not be doubled
+      const duplicate = { ...tenSecond[0], timestamp: at(20) };
+
+      const merged = mergeTelemetryTiers(stillRaw, [...oneMinute, ...tenSecond, duplicate]);
+
+      expect(merged.map(point => point.resolution ?? 1)).toEqual([60, 10, 10, ...new Array(10).fill(1)]);
+      expect(merged[0].timestamp).toEqual(at(-120));
+    });
+
+    it('should return raw points when nothing is rolled up', () => {
+      expect(mergeTelemetryTiers(raw, [])).toHaveLength(30);
+    });
+  });
+
+  describe('reading rolled-up power', () => {
+    it('should hold a rollup for its whole bucket', () => {
+      const series = resamplePower([
+        { time: at(0), watts: 200, hold: 60 },
+        { time: at(60), watts: 100, hold: 60 },
+      ]);
+
+      expect(series).toHaveLength(61);
+      expect(series[59]).toBe(200);
+      expect(series[60]).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Telemetry Sync Unit Tests
+ *
+ * Offline batch uploads: point validation, replay deduplication, filing
+ * out-of-order points into sessions and recomputing session aggregates.
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import {
+  normalizeBatchPoint,
+  partitionDuplicates,
+  assignPointsToSessions,
+  summarizeSessionTelemetry,
+  ingestTelemetryBatch
+} from '../services/telemetrySyncService.js';
+import { Telemetry, RideSession, ESP32Device, TelemetryReceipt } from '../models/Telemetry.js';
+import CyclingPlan from '../models/CyclingPlan.js';
+
+describe('Telemetry Sync - Unit Tests', () => {
+  const start = new Date('2025-06-01T06:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000);
+  const now = start + 3600 * 1000;
+
+  describe('normalizeBatchPoint', () => {
+    it('should map uploaded fields onto telemetry metrics', () => {
+      const { point } = normalizeBatchPoint({
+        seq: 7,
+        timestamp: String(start),
+        speed: '24.5',
+        distance: 1.2,
+        power: 180,
+        heart_rate: 142,
+        pulseCount: 580,
+        lat: 14.5995,
+        lng: 120.9842
+      }, now);
+
+      expect(point).toMatchObject({
+        sequence: 7,
+        timestamp: at(0),
+        metrics: { speed: 24.5, distance: 1.2, watts: 180, heartRate: 142, pulseCount: 580 },
+        coordinates: { type: 'Point', coordinates: [120.9842, 14.5995] }
+      });
+    });
+
+    it('should reject points without a sequence, with bad clocks or impossible values', () => {
+      expect(normalizeBatchPoint({ timestamp: start }, now).error).toMatch(/Sequence/);
+      expect(normalizeBatchPoint({ seq: 1, timestamp: 'yesterday' }, now).error).toMatch(/timestamp/);
+      expect(normalizeBatchPoint({ seq: 1, timestamp: now + 3600 * 1000 }, now).error).toMatch(/future/);
+      expect(normalizeBatchPoint({ seq: 1, timestamp: start, speed: 300 }, now).error).toMatch(/speed/);
+    });
+  });
+
+  describe('partitionDuplicates', () => {
+    it('should drop replays of stored points and repeats within the batch', () => {
+      const points = [
+        { sequence: 1, timestamp: at(1) },
+        { sequence: 2, timestamp: at(2) },
+        { sequence: 2, timestamp: at(2) },
+        { sequence: 3, timestamp: at(3) },
+      ];
+
+      const { fresh, duplicates } = partitionDuplicates(points, [{ sequence: 1, timestamp: at(1) }]);
+
+      expect(fresh.map(point => point.sequence)).toEqual([2, 3]);
+      expect(duplicates).toHaveLength(2);
+    });
+
+    it('should keep a reused sequence number from a different time', () => {
+      // The device restarted its counter
+      const { fresh } = partitionDuplicates([{ sequence: 1, timestamp: at(500) }], [{ sequence: 1, timestamp: at(1) }]);
+
+      expect(fresh).toHaveLength(1);
+    });
+  });
+
+  describe('ingestTelemetryBatch', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should store a point once when a retry of its batch already claimed it', async () => {
+      const session = { sessionId: 'session_1', userId, status: 'active' };
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue(session);
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'getSessionData').mockResolvedValue([]);
+      // The concurrent retry got to point 2 first
+      const claim = jest.spyOn(TelemetryReceipt, 'insertMany')
+        .mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { writeErrors: [{ index: 1, code: 11000 }] }));
+      const insert = jest.spyOn(Telemetry, 'insertMany').mockImplementation(async (docs) => docs);
+
+      const result = await ingestTelemetryBatch(userId, {
+        deviceId: 'ESP32_1',
+        sessionId: 'session_1',
+        points: [{ seq: 1, timestamp: start, speed: 20 }, { seq: 2, timestamp: start + 1000, speed: 21 }]
+      });
+
+      expect(claim.mock.calls[0][0]).toEqual([
+        { deviceId: 'ESP32_1', sequence: 1, timestamp: at(0) },
+        { deviceId: 'ESP32_1', sequence: 2, timestamp: at(1) }
+      ]);
+      expect(insert.mock.calls[0][0].map(point => point.sequence)).toEqual([1]);
+      expect(result).toMatchObject({ accepted: 1, duplicates: 1, acknowledged: [1, 2] });
+    });
+
+    it('should create a ride that started offline as completed, spanning its readings', async () => {
+      const session = { sessionId: 'offline_1', userId, status: 'completed', save: jest.fn() };
+      jest.spyOn(RideSession, 'findOne').mockResolvedValueOnce(null).mockResolvedValue(session);
+      jest.spyOn(CyclingPlan, 'findOne').mockReturnValue({ select: async () => null });
+      const create = jest.spyOn(RideSession, 'create').mockResolvedValue(session);
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'getSessionData').mockResolvedValue([]);
+      jest.spyOn(TelemetryReceipt, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(Telemetry, 'insertMany').mockImplementation(async (docs) => docs);
+
+      const result = await ingestTelemetryBatch(userId, {
+        deviceId: 'ESP32_1',
+        sessionId: 'offline_1',
+        points: [{ seq: 2, timestamp: start + 600 * 1000, speed: 22 }, { seq: 1, timestamp: start, speed: 20 }]
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        sessionId: 'offline_1',
+        startTime: at(0),
+        endTime: at(600),
+        duration: 600,
+        status: 'completed'
+      }));
+      expect(result.sessions[0]).toMatchObject({ sessionId: 'offline_1', status: 'completed' });
+    });
+
+    it('should unclaim points that could not be stored', async () => {
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue({ sessionId: 'session_1', userId, status: 'active' });
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+      jest.spyOn(TelemetryReceipt, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(Telemetry, 'insertMany').mockRejectedValue(new Error('connection lost'));
+      const unclaim = jest.spyOn(TelemetryReceipt, 'deleteMany').mockResolvedValue({});
+
+      await expect(ingestTelemetryBatch(userId, {
+        deviceId: 'ESP32_1',
+        sessionId: 'session_1',
+        points: [{ seq: 1, timestamp: start }]
+      })).rejects.toThrow('connection lost');
+      expect(unclaim).toHaveBeenCalledWith({ deviceId: 'ESP32_1', $or: [{ sequence: 1, timestamp: at(0) }] });
+    });
+
+    it('should only unclaim the points an unordered insert failed to store', async () => {
+      jest.spyOn(RideSession, 'findOne').mockResolvedValue({ sessionId: 'session_1', userId, status: 'active', save: jest.fn() });
+      jest.spyOn(ESP32Device, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+      jest.spyOn(Telemetry, 'getSessionData').mockResolvedValue([]);
+      jest.spyOn(TelemetryReceipt, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(Telemetry, 'insertMany').mockImplementation(async (docs) => {
+        throw Object.assign(new Error('write failed'), { writeErrors: [{ index: 1 }], insertedDocs: [docs[0]] });
+      });
+      const unclaim = jest.spyOn(TelemetryReceipt, 'deleteMany').mockResolvedValue({});
+
+      const result = await ingestTelemetryBatch(userId, {
+        deviceId: 'ESP32_1',
+        sessionId: 'session_1',
+        points: [{ seq: 1, timestamp: start }, { seq: 2, timestamp: start + 1000 }]
+      });
+
+      expect(unclaim).toHaveBeenCalledWith({ deviceId: 'ESP32_1', $or: [{ sequence: 2, timestamp: at(1) }] });
+      expect(result).toMatchObject({ accepted: 1, acknowledged: [1], rejected: [{ seq: 2 }] });
+    });
+  });
+
+  describe('assignPointsToSessions', () => {
+    const sessions = [
+      { sessionId: 'morning', startTime: at(0), endTime: at(1800), status: 'completed' },
+      { sessionId: 'live', startTime: at(3000), status: 'active' },
+    ];
+
+    it('should file points into the session covering their timestamp', () => {
+      const points = [at(3100), at(100), at(1900), at(2700), at(9000)].map((timestamp, i) => ({ sequence: i, timestamp }));
+
+      const { assigned, unmatched } = assignPointsToSessions(points, sessions, now);
+
+      expect(assigned.get('morning').map(point => point.sequence)).toEqual([1, 2]);
+      // Recorded before the live session reached the server
+      expect(assigned.get('live').map(point => point.sequence)).toEqual([0, 3]);
+      expect(unmatched.map(point => point.sequence)).toEqual([4]);
+    });
+  });
+
+  describe('summarizeSessionTelemetry', () => {
+    const telemetry = [
+      ...Array.from({ length: 60 }, (_, i) => ({ timestamp: at(i), metrics: { speed: 30, distance: i * 0.0083, watts: 200, cadence: 90, heartRate: 150 } })),
+      ...Array.from({ length: 30 }, (_, i) => ({ timestamp: at(60 + i), metrics: { speed: 0, distance: 0.5, watts: 0, cadence: 0, heartRate: 120 } })),
+    ].reverse();
+
+    it('should recompute aggregates from out-of-order points', () => {
+      const summary = summarizeSessionTelemetry(telemetry, { startTime: at(0), endTime: at(90), autoPauseSeconds: 10 });
+
+      expect(summary.dataPoints).toBe(90);
+      expect(summary.totalDistance).toBe(0.5);
+      expect(summary.maxSpeed).toBe(30);
+      expect(summary.maxCadence).toBe(90);
+      expect(summary.cadenceSamples).toBe(60);
+      expect(summary.avgHeartRate).toBeCloseTo(140, 6);
+      expect(summary.pausedIntervals).toEqual([{ start: at(60), end: at(90), duration: 30 }]);
+      expect(summary).toMatchObject({ elapsedTime: 90, movingTime: 60, stoppedSince: null });
+      expect(summary.avgSpeed).toBeCloseTo(30, 6);
+    });
+
+    it('should treat a stop at the end of an active ride as ongoing', () => {
+      const summary = summarizeSessionTelemetry(telemetry, { startTime: at(0), active: true, autoPauseSeconds: 10 });
+
+      expect(summary.pausedIntervals).toEqual([]);
+      expect(summary.stoppedSince).toEqual(at(60));
+      expect(summary.movingTime).toBe(60);
+    });
+  });
+});
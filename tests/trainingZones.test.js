@@ -0,0 +1,165 @@
+/**
+ * Training Zones Unit Tests
+ *
+ * Coggan power zones, time in zone, FTP estimation, heart rate zones and
+ * zone/heart-rate-based calories.
+ */
+
+import {
+  getPowerZones,
+  getZoneForWatts,
+  calculateTimeInZones,
+  estimateFtp,
+  normalizeHeartRate,
+  getHeartRateLimits,
+  getHeartRateZones,
+  calculateHeartRateMetrics
+} from '../services/trainingZonesService.js';
+import {
+  calculateCyclingCaloriesDirect,
+  calculateHeartRateCalories,
+  estimateSessionCalories
+} from '../services/calorieService.js';
+
+describe('Training Zones - Unit Tests', () => {
+  describe('getPowerZones', () => {
+    it('should derive seven zones from FTP', () => {
+      const zones = getPowerZones(200);
+
+      expect(zones).toHaveLength(7);
+      expect(zones[1]).toMatchObject({ zone: 2, name: 'Endurance', minWatts: 110, maxWatts: 149 });
+      expect(zones[3]).toMatchObject({ zone: 4, minWatts: 180, maxWatts: 209 });
+      expect(zones[6].maxWatts).toBeNull();
+    });
+
+    it('should be empty without an FTP', () => {
+      expect(getPowerZones(null)).toEqual([]);
+    });
+  });
+
+  describe('getZoneForWatts', () => {
+    it('should place readings by percentage of FTP', () => {
+      expect(getZoneForWatts(0, 250).zone).toBe(1);
+      expect(getZoneForWatts(250, 250).zone).toBe(4);
+      expect(getZoneForWatts(262.5, 250).zone).toBe(5);
+      expect(getZoneForWatts(1000, 250).zone).toBe(7);
+      expect(getZoneForWatts(200, undefined)).toBeNull();
+    });
+  });
+
+  describe('calculateTimeInZones', () => {
+    it('should count seconds per zone', () => {
+      const series = [...new Array(30).fill(0), ...new Array(60).fill(160), ...new Array(10).fill(260)];
+
+      const zones = calculateTimeInZones(series, 200);
+
+      expect(zones.find(z => z.zone === 1).seconds).toBe(30);
+      expect(zones.find(z => z.zone === 3).seconds).toBe(60);
+      expect(zones.find(z => z.zone === 6).seconds).toBe(10);
+      expect(zones.reduce((sum, z) => sum + z.seconds, 0)).toBe(100);
+    });
+  });
+
+  describe('estimateFtp', () => {
+    const curve = [
+      { duration: 60, watts: 320 },
+      { duration: 1200, watts: 240 },
+    ];
+
+    it('should use 95% of best 20-minute power', () => {
+      expect(estimateFtp(curve)).toEqual({ ftp: 228, source: 'best_20min' });
+    });
+
+    it('should use 75% of best 1-minute power for ramp tests', () => {
+      expect(estimateFtp(curve, true)).toEqual({ ftp: 240, source: 'ramp_test' });
+    });
+
+    it('should not estimate from rides shorter than 20 minutes', () => {
+      expect(estimateFtp([{ duration: 60, watts: 320 }])).toBeNull();
+    });
+  });
+
+  describe('zone-based calories', () => {
+    it('should weight MET by time in zone', () => {
+      const zones = [
+        { zone: 2, seconds: 1800, intensity: 'moderate' }, // 8 MET
+        { zone: 4, seconds: 1800, intensity: 'vigorous' }, // 12 MET
+      ];
+
+      expect(calculateCyclingCaloriesDirect(70, 1, zones)).toBe(700);
+    });
+
+    it('should still accept intensity levels and ESP32 codes', () => {
+      expect(calculateCyclingCaloriesDirect(70, 1, 'light')).toBe(280);
+      expect(calculateCyclingCaloriesDirect(70, 1, 4)).toBe(840);
+      expect(calculateCyclingCaloriesDirect(70, 1, [])).toBe(560);
+    });
+  });
+
+  describe('heart rate', () => {
+    const start = new Date('2025-06-01T06:00:00Z').getTime();
+
+    it('should drop missing and implausible readings', () => {
+      expect(normalizeHeartRate('142')).toBe(142);
+      expect(normalizeHeartRate(0)).toBeNull();
+      expect(normalizeHeartRate(null)).toBeNull();
+      expect(normalizeHeartRate(400)).toBeNull();
+    });
+
+    it('should estimate max heart rate from age when not set', () => {
+      const birthDate = new Date(new Date().getFullYear() - 40, 0, 1);
+
+      expect(getHeartRateLimits({ birthDate })).toMatchObject({ maxHeartRate: 180, maxEstimated: true });
+      expect(getHeartRateLimits({ maxHeartRate: 190, birthDate })).toMatchObject({ maxHeartRate: 190, maxEstimated: false });
+    });
+
+    it('should use heart rate reserve when resting heart rate is known', () => {
+      const byMax = getHeartRateZones({ maxHeartRate: 200 });
+      const byReserve = getHeartRateZones({ maxHeartRate: 200, restingHeartRate: 60 });
+
+      expect(byMax[1]).toMatchObject({ zone: 2, minBpm: 120, maxBpm: 139 });
+      // 60 + 0.6 x (200 - 60) = 144
+      expect(byReserve[1]).toMatchObject({ zone: 2, minBpm: 144, maxBpm: 157 });
+      expect(getHeartRateZones({})).toEqual([]);
+    });
+
+    it('should summarize a ride and skip readings without a strap', () => {
+      const samples = [
+        ...Array.from({ length: 60 }, (_, i) => ({ time: start + i * 1000, heartRate: 130 })),
+        ...Array.from({ length: 60 }, (_, i) => ({ time: start + (60 + i) * 1000, heartRate: 170 })),
+        { time: start + 120000, heartRate: 0 },
+      ];
+
+      const metrics = calculateHeartRateMetrics(samples, { maxHeartRate: 200 });
+
+      expect(metrics.avgHeartRate).toBe(150);
+      expect(metrics.maxHeartRate).toBe(170);
+      expect(metrics.heartRateSamples).toBe(120);
+      expect(metrics.timeInHeartRateZones.find(z => z.zone === 2).seconds).toBe(60);
+      expect(metrics.timeInHeartRateZones.find(z => z.zone === 4).seconds).toBe(60);
+    });
+
+    it('should return null without heart rate data', () => {
+      expect(calculateHeartRateMetrics([{ time: start, heartRate: null }])).toBeNull();
+    });
+  });
+
+  describe('heart-rate-based calories', () => {
+    const birthDate = new Date(new Date().getFullYear() - 30, 0, 1);
+
+    it('should apply the Keytel formula', () => {
+      // Male, 70 kg, 30 years, 140 bpm: (-55.0969 + 88.326 + 13.916 + 6.051) / 4.184 ≈ 12.71 kcal/min
+      expect(calculateHeartRateCalories(140, 70, birthDate, 'male', 1)).toBeCloseTo(762.8, 0);
+    });
+
+    it('should prefer heart rate over power zones for a ride', () => {
+      const profile = { weight: 70, birthDate, gender: 'male' };
+      const timeInZones = [{ zone: 2, seconds: 3600, intensity: 'moderate' }];
+
+      expect(estimateSessionCalories({ duration: 3600, avgHeartRate: 140, timeInZones }, profile))
+        .toBeCloseTo(762.8, 0);
+      expect(estimateSessionCalories({ duration: 3600, timeInZones }, profile)).toBe(560);
+      expect(estimateSessionCalories({ duration: 3600 }, profile)).toBeNull();
+    });
+  });
+});
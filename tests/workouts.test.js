@@ -0,0 +1,157 @@
+/**
+ * Structured Workout Unit Tests
+ *
+ * Step validation, target resolution, compliance scoring against a ride's
+ * telemetry, and step targets pushed over the BLE bridge.
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  normalizeWorkoutSteps,
+  resolveStepTarget,
+  buildStepSchedule,
+  stepAt,
+  calculateWorkoutCompliance,
+  findPlannedWorkoutId
+} from '../services/workoutService.js';
+import { ESP32BLEBridge } from '../services/esp32_ble_bridge.js';
+
+describe('Structured Workouts - Unit Tests', () => {
+  const startTime = new Date('2025-06-01T06:00:00Z');
+  const at = (seconds) => new Date(startTime.getTime() + seconds * 1000);
+
+  // 1 min warmup at 50-60% FTP, 2 min at 250-280 W, 1 min at 80-90 rpm
+  const workout = {
+    name: 'Threshold openers',
+    steps: [
+      { name: 'Warm up', kind: 'warmup', duration: 60, target: { type: 'intensity', low: 50, high: 60 } },
+      { kind: 'work', duration: 120, target: { type: 'power', low: 250, high: 280 } },
+      { kind: 'cooldown', duration: 60, target: { type: 'cadence', low: 80, high: 90 } }
+    ]
+  };
+
+  describe('normalizeWorkoutSteps', () => {
+    it('should accept valid steps and fill in defaults', () => {
+      const [step] = normalizeWorkoutSteps([{ duration: '90', target: { type: 'power', low: 200 } }]);
+      expect(step).toEqual({ name: undefined, kind: 'work', duration: 90, target: { type: 'power', low: 200, high: 200 } });
+    });
+
+    it('should reject empty workouts and invalid steps', () => {
+      expect(() => normalizeWorkoutSteps([])).toThrow(/at least one step/);
+      expect(() => normalizeWorkoutSteps([{ duration: 5, target: { type: 'power', low: 200 } }])).toThrow(/Step 1: duration/);
+      expect(() => normalizeWorkoutSteps([{ duration: 60, target: { type: 'heart_rate', low: 140 } }])).toThrow(/target type/);
+      expect(() => normalizeWorkoutSteps([{ duration: 60, target: { type: 'power', low: 300, high: 200 } }])).toThrow(/low <= high/);
+    });
+  });
+
+  describe('resolveStepTarget', () => {
+    it('should turn intensity into watts with an FTP', () => {
+      expect(resolveStepTarget(workout.steps[0], 250)).toEqual({ metric: 'watts', low: 125, high: 150 });
+      expect(resolveStepTarget(workout.steps[0], null)).toBeNull();
+      expect(resolveStepTarget(workout.steps[2], null)).toEqual({ metric: 'cadence', low: 80, high: 90 });
+    });
+  });
+
+  describe('buildStepSchedule and stepAt', () => {
+    it('should lay the steps out back to back', () => {
+      const schedule = buildStepSchedule(workout, 250);
+
+      expect(schedule.map(step => step.start)).toEqual([0, 60, 180]);
+      expect(schedule[1]).toMatchObject({ name: 'Step 2', metric: 'watts', low: 250, high: 280 });
+      expect(stepAt(schedule, 59).index).toBe(0);
+      expect(stepAt(schedule, 60).index).toBe(1);
+      expect(stepAt(schedule, 240)).toBeNull();
+    });
+  });
+
+  describe('calculateWorkoutCompliance', () => {
+    // One reading every 10 seconds: the warmup on target, half the interval
+    // under target, and the cooldown ridden at 85 rpm
+    const points = [];
+    for (let seconds = 0; seconds < 240; seconds += 10) {
+      const watts = seconds < 60 ? 140 : seconds < 120 ? 265 : seconds < 180 ? 220 : 100;
+      points.push({ timestamp: at(seconds), metrics: { watts, cadence: 85 } });
+    }
+
+    it('should score each step and weight the total by duration', () => {
+      const { score, steps } = calculateWorkoutCompliance(buildStepSchedule(workout, 250), points, startTime);
+
+      expect(steps.map(step => step.score)).toEqual([100, 50, 100]);
+      expect(steps[1]).toMatchObject({ samples: 12, inTarget: 6, actualAvg: Math.round((265 + 220) / 2) });
+      expect(score).toBe(75);
+    });
+
+    it('should leave out intensity steps without an FTP', () => {
+      const { score, steps } = calculateWorkoutCompliance(buildStepSchedule(workout, null), points, startTime);
+
+      expect(steps[0].score).toBeNull();
+      expect(score).toBe(Math.round((50 * 120 + 100 * 60) / 180));
+    });
+
+    it('should score steps that were never ridden as 0', () => {
+      const { steps } = calculateWorkoutCompliance(buildStepSchedule(workout, 250), points.slice(0, 6), startTime);
+      expect(steps.map(step => step.score)).toEqual([100, 0, 0]);
+    });
+  });
+
+  describe('findPlannedWorkoutId', () => {
+    it('should find the workout planned for the day', () => {
+      const plan = {
+        dailySessions: [
+          { date: new Date(2025, 5, 1), workout: null },
+          { date: new Date(2025, 5, 2), workout: 'workout_1' }
+        ]
+      };
+
+      expect(findPlannedWorkoutId(plan, new Date(2025, 5, 2, 18, 30))).toBe('workout_1');
+      expect(findPlannedWorkoutId(plan, new Date(2025, 5, 1, 7))).toBeNull();
+    });
+  });
+
+  describe('ESP32BLEBridge workout steps', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should push each step\'s targets as it begins', () => {
+      const bridge = new ESP32BLEBridge();
+      const ws = { readyState: 1, send: jest.fn() };
+      bridge.clients.set('client_1', { ws, userId: 'user_1' });
+      bridge.workoutRuns.set('client_1', {
+        deviceId: 'ESP32_1',
+        sessionId: 'session_1',
+        schedule: buildStepSchedule(workout, 250),
+        timer: null
+      });
+      const sent = () => ws.send.mock.calls.map(([payload]) => JSON.parse(payload));
+
+      bridge.pushWorkoutStep('client_1', 0);
+      expect(sent()[0]).toMatchObject({ type: 'workout_step', step: { index: 0, low: 125, high: 150 }, nextStep: { index: 1 } });
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(sent()[1]).toMatchObject({ type: 'workout_step', step: { index: 1, metric: 'watts' } });
+
+      jest.advanceTimersByTime(180 * 1000);
+      expect(sent().map(message => message.type)).toEqual(['workout_step', 'workout_step', 'workout_step', 'workout_complete']);
+      expect(bridge.workoutRuns.has('client_1')).toBe(false);
+    });
+
+    it('should stop pushing steps when the client disconnects', () => {
+      const bridge = new ESP32BLEBridge();
+      const ws = { readyState: 1, send: jest.fn() };
+      bridge.clients.set('client_1', { ws, userId: 'user_1' });
+      bridge.workoutRuns.set('client_1', { deviceId: 'ESP32_1', sessionId: 'session_1', schedule: buildStepSchedule(workout, 250), timer: null });
+
+      bridge.pushWorkoutStep('client_1', 0);
+      bridge.handleClientDisconnection('client_1');
+      jest.advanceTimersByTime(300 * 1000);
+
+      expect(ws.send).toHaveBeenCalledTimes(1);
+    });
+  });
+});
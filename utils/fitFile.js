@@ -0,0 +1,490 @@
+/**
+ * FIT (Flexible and Interoperable Data Transfer) file helpers
+ *
+ * Minimal implementation of the Garmin FIT protocol covering the messages
+ * needed to exchange cycling activities (file_id, record, lap, session,
+ * activity). Field numbers, base types and scales follow the public FIT SDK
+ * profile.
+ */
+
+// FIT timestamps count seconds since 1989-12-31T00:00:00Z
+export const FIT_EPOCH_OFFSET = 631065600;
+
+const SEMICIRCLES_PER_DEGREE = Math.pow(2, 31) / 180;
+
+const BASE_TYPES = {
+  enum: { id: 0x00, size: 1, invalid: 0xFF },
+  sint8: { id: 0x01, size: 1, invalid: 0x7F },
+  uint8: { id: 0x02, size: 1, invalid: 0xFF },
+  sint16: { id: 0x83, size: 2, invalid: 0x7FFF },
+  uint16: { id: 0x84, size: 2, invalid: 0xFFFF },
+  sint32: { id: 0x85, size: 4, invalid: 0x7FFFFFFF },
+  uint32: { id: 0x86, size: 4, invalid: 0xFFFFFFFF },
+  uint32z: { id: 0x8C, size: 4, invalid: 0x00000000 }
+};
+
+// Subset of the FIT profile: global message numbers and their fields
+export const FIT_MESSAGES = {
+  file_id: {
+    num: 0,
+    fields: {
+      type: { num: 0, type: 'enum' },
+      manufacturer: { num: 1, type: 'uint16' },
+      product: { num: 2, type: 'uint16' },
+      serial_number: { num: 3, type: 'uint32z' },
+      time_created: { num: 4, type: 'uint32', timestamp: true }
+    }
+  },
+  record: {
+    num: 20,
+    fields: {
+      timestamp: { num: 253, type: 'uint32', timestamp: true },
+      position_lat: { num: 0, type: 'sint32', semicircles: true },
+      position_long: { num: 1, type: 'sint32', semicircles: true },
+      altitude: { num: 2, type: 'uint16', scale: 5, offset: 500 },
+      heart_rate: { num: 3, type: 'uint8' },
+      cadence: { num: 4, type: 'uint8' },
+      distance: { num: 5, type: 'uint32', scale: 100 },
+      speed: { num: 6, type: 'uint16', scale: 1000 },
+      power: { num: 7, type: 'uint16' },
+      enhanced_speed: { num: 73, type: 'uint32', scale: 1000 },
+      enhanced_altitude: { num: 78, type: 'uint32', scale: 5, offset: 500 }
+    }
+  },
+  lap: {
+    num: 19,
+    fields: {
+      timestamp: { num: 253, type: 'uint32', timestamp: true },
+      event: { num: 0, type: 'enum' },
+      event_type: { num: 1, type: 'enum' },
+      start_time: { num: 2, type: 'uint32', timestamp: true },
+      total_elapsed_time: { num: 7, type: 'uint32', scale: 1000 },
+      total_timer_time: { num: 8, type: 'uint32', scale: 1000 },
+      total_distance: { num: 9, type: 'uint32', scale: 100 },
+      total_calories: { num: 11, type: 'uint16' },
+      avg_speed: { num: 13, type: 'uint16', scale: 1000 },
+      max_speed: { num: 14, type: 'uint16', scale: 1000 },
+      avg_heart_rate: { num: 15, type: 'uint8' },
+      max_heart_rate: { num: 16, type: 'uint8' },
+      avg_power: { num: 19, type: 'uint16' },
+      max_power: { num: 20, type: 'uint16' }
+    }
+  },
+  session: {
+    num: 18,
+    fields: {
+      timestamp: { num: 253, type: 'uint32', timestamp: true },
+      event: { num: 0, type: 'enum' },
+      event_type: { num: 1, type: 'enum' },
+      start_time: { num: 2, type: 'uint32', timestamp: true },
+      sport: { num: 5, type: 'enum' },
+      sub_sport: { num: 6, type: 'enum' },
+      total_elapsed_time: { num: 7, type: 'uint32', scale: 1000 },
+      total_timer_time: { num: 8, type: 'uint32', scale: 1000 },
+      total_distance: { num: 9, type: 'uint32', scale: 100 },
+      total_calories: { num: 11, type: 'uint16' },
+      avg_speed: { num: 14, type: 'uint16', scale: 1000 },
+      max_speed: { num: 15, type: 'uint16', scale: 1000 },
+      avg_heart_rate: { num: 16, type: 'uint8' },
+      max_heart_rate: { num: 17, type: 'uint8' },
+      avg_power: { num: 20, type: 'uint16' },
+      max_power: { num: 21, type: 'uint16' },
+      first_lap_index: { num: 25, type: 'uint16' },
+      num_laps: { num: 26, type: 'uint16' }
+    }
+  },
+  activity: {
+    num: 34,
+    fields: {
+      timestamp: { num: 253, type: 'uint32', timestamp: true },
+      total_timer_time: { num: 0, type: 'uint32', scale: 1000 },
+      num_sessions: { num: 1, type: 'uint16' },
+      type: { num: 2, type: 'enum' },
+      event: { num: 3, type: 'enum' },
+      event_type: { num: 4, type: 'enum' }
+    }
+  }
+};
+
+// Enum values used when writing activities
+export const FIT_ENUMS = {
+  file: { activity: 4 },
+  manufacturer: { development: 255 },
+  event: { timer: 0, session: 8, lap: 9, activity: 26 },
+  eventType: { start: 0, stop: 1 },
+  sport: { cycling: 2 },
+  activityType: { manual: 0 }
+};
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+/**
+ * Calculate the FIT CRC-16 of a buffer
+ * @param {Buffer} buffer - Bytes to checksum
+ * @param {number} crc - Initial CRC value (for chained calculations)
+ * @returns {number} 16-bit CRC
+ */
+export function fitCrc(buffer, crc = 0) {
+  for (const byte of buffer) {
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+/**
+ * Convert a JS Date (or epoch millis) to a FIT timestamp
+ */
+export function toFitTimestamp(date) {
+  return Math.round(new Date(date).getTime() / 1000) - FIT_EPOCH_OFFSET;
+}
+
+/**
+ * Convert a FIT timestamp to a JS Date
+ */
+export function fromFitTimestamp(timestamp) {
+  return new Date((timestamp + FIT_EPOCH_OFFSET) * 1000);
+}
+
+export function degreesToSemicircles(degrees) {
+  return Math.round(degrees * SEMICIRCLES_PER_DEGREE);
+}
+
+export function semicirclesToDegrees(semicircles) {
+  return semicircles / SEMICIRCLES_PER_DEGREE;
+}
+
+function writeValue(buffer, offset, type, value) {
+  switch (type) {
+    case 'enum':
+    case 'uint8':
+      buffer.writeUInt8(value, offset);
+      break;
+    case 'sint8':
+      buffer.writeInt8(value, offset);
+      break;
+    case 'uint16':
+      buffer.writeUInt16LE(value, offset);
+      break;
+    case 'sint16':
+      buffer.writeInt16LE(value, offset);
+      break;
+    case 'uint32':
+    case 'uint32z':
+      buffer.writeUInt32LE(value, offset);
+      break;
+    case 'sint32':
+      buffer.writeInt32LE(value, offset);
+      break;
+    default:
+      throw new Error(`Unsupported FIT base type: ${type}`);
+  }
+}
+
+/**
+ * Convert a profile value (degrees, metres, seconds, Date...) to its raw
+ * integer representation, or the base type's invalid marker when missing
+ */
+function encodeFieldValue(field, value) {
+  const baseType = BASE_TYPES[field.type];
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return baseType.invalid;
+  }
+
+  let raw;
+  if (field.timestamp) {
+    raw = value instanceof Date ? toFitTimestamp(value) : value;
+  } else if (field.semicircles) {
+    raw = degreesToSemicircles(value);
+  } else {
+    raw = Math.round((value + (field.offset || 0)) * (field.scale || 1));
+  }
+
+  // Clamp to the representable range, keeping the invalid marker reserved
+  const max = field.type === 'uint32z' ? 0xFFFFFFFF : baseType.invalid - 1;
+  const min = field.type.startsWith('sint') ? -baseType.invalid : 0;
+  return Math.min(Math.max(raw, min), max);
+}
+
+/**
+ * Streaming FIT file writer
+ *
+ * Definition messages are emitted automatically the first time a message
+ * type (with a given set of fields) is written.
+ */
+export class FitEncoder {
+  constructor() {
+    this.chunks = [];
+    this.localTypes = new Map();
+  }
+
+  /**
+   * Append a data message
+   * @param {string} messageName - Key of FIT_MESSAGES
+   * @param {Object} values - Field values keyed by profile field name
+   */
+  write(messageName, values) {
+    const message = FIT_MESSAGES[messageName];
+    if (!message) {
+      throw new Error(`Unknown FIT message: ${messageName}`);
+    }
+
+    const fieldNames = Object.keys(values).filter(name => message.fields[name]);
+    const definitionKey = `${messageName}:${fieldNames.join(',')}`;
+
+    let localType = this.localTypes.get(definitionKey);
+    if (localType === undefined) {
+      localType = this.localTypes.size % 16;
+      // Local types are recycled once all 16 slots are used
+      for (const [key, type] of this.localTypes) {
+        if (type === localType) this.localTypes.delete(key);
+      }
+      this.localTypes.set(definitionKey, localType);
+      this.writeDefinition(localType, message, fieldNames);
+    }
+
+    const fields = fieldNames.map(name => message.fields[name]);
+    const size = 1 + fields.reduce((sum, field) => sum + BASE_TYPES[field.type].size, 0);
+    const buffer = Buffer.alloc(size);
+    buffer.writeUInt8(localType, 0);
+
+    let offset = 1;
+    fields.forEach((field, index) => {
+      writeValue(buffer, offset, field.type, encodeFieldValue(field, values[fieldNames[index]]));
+      offset += BASE_TYPES[field.type].size;
+    });
+
+    this.chunks.push(buffer);
+  }
+
+  writeDefinition(localType, message, fieldNames) {
+    const buffer = Buffer.alloc(6 + fieldNames.length * 3);
+    buffer.writeUInt8(0x40 | localType, 0);
+    buffer.writeUInt8(0, 1); // reserved
+    buffer.writeUInt8(0, 2); // little-endian architecture
+    buffer.writeUInt16LE(message.num, 3);
+    buffer.writeUInt8(fieldNames.length, 5);
+
+    fieldNames.forEach((name, index) => {
+      const field = message.fields[name];
+      const baseType = BASE_TYPES[field.type];
+      buffer.writeUInt8(field.num, 6 + index * 3);
+      buffer.writeUInt8(baseType.size, 7 + index * 3);
+      buffer.writeUInt8(baseType.id, 8 + index * 3);
+    });
+
+    this.chunks.push(buffer);
+  }
+
+  /**
+   * Build the complete file: 14-byte header, data records and trailing CRC
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const data = Buffer.concat(this.chunks);
+
+    const header = Buffer.alloc(14);
+    header.writeUInt8(14, 0); // header size
+    header.writeUInt8(0x20, 1); // protocol version 2.0
+    header.writeUInt16LE(2132, 2); // profile version 21.32
+    header.writeUInt32LE(data.length, 4);
+    header.write('.FIT', 8, 'ascii');
+    header.writeUInt16LE(fitCrc(header.subarray(0, 12)), 12);
+
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(fitCrc(data, fitCrc(header)), 0);
+
+    return Buffer.concat([header, data, crc]);
+  }
+}
+
+/**
+ * Read a single numeric value of the given base type, returning null for
+ * the type's invalid marker and for types this decoder does not interpret
+ */
+function readValue(buffer, offset, baseTypeId, size, littleEndian) {
+  const baseNum = baseTypeId & 0x1F;
+  let value;
+
+  switch (baseNum) {
+    case 0: // enum
+    case 2: // uint8
+    case 10: // uint8z
+    case 13: // byte
+      value = buffer.readUInt8(offset);
+      if (value === (baseNum === 10 ? 0 : 0xFF)) return null;
+      return value;
+    case 1: // sint8
+      value = buffer.readInt8(offset);
+      return value === 0x7F ? null : value;
+    case 3: // sint16
+      if (size < 2) return null;
+      value = littleEndian ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset);
+      return value === 0x7FFF ? null : value;
+    case 4: // uint16
+    case 11: // uint16z
+      if (size < 2) return null;
+      value = littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+      return value === (baseNum === 11 ? 0 : 0xFFFF) ? null : value;
+    case 5: // sint32
+      if (size < 4) return null;
+      value = littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+      return value === 0x7FFFFFFF ? null : value;
+    case 6: // uint32
+    case 12: // uint32z
+      if (size < 4) return null;
+      value = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+      return value === (baseNum === 12 ? 0 : 0xFFFFFFFF) ? null : value;
+    case 8: // float32
+      if (size < 4) return null;
+      value = littleEndian ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset);
+      return Number.isFinite(value) ? value : null;
+    case 9: // float64
+      if (size < 8) return null;
+      value = littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+      return Number.isFinite(value) ? value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a raw value into profile units (Date, degrees, metres, seconds...)
+ */
+function decodeFieldValue(field, raw) {
+  if (field.timestamp) return fromFitTimestamp(raw);
+  if (field.semicircles) return semicirclesToDegrees(raw);
+  return raw / (field.scale || 1) - (field.offset || 0);
+}
+
+/**
+ * Parse a FIT file into the messages described in FIT_MESSAGES
+ *
+ * Unknown messages and fields are skipped; developer fields and compressed
+ * timestamp headers are supported so files from common head units decode.
+ *
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} Messages grouped by name ({ file_id: [], record: [], lap: [], session: [], activity: [] })
+ */
+export function decodeFit(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw new Error('Invalid FIT file: too short');
+  }
+
+  const headerSize = buffer.readUInt8(0);
+  if (buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new Error('Invalid FIT file: missing .FIT signature');
+  }
+
+  const dataSize = buffer.readUInt32LE(4);
+  const dataEnd = headerSize + dataSize;
+  if (dataEnd > buffer.length) {
+    throw new Error('Invalid FIT file: truncated data');
+  }
+
+  // The file CRC covers the header and data records
+  if (buffer.length >= dataEnd + 2) {
+    const expectedCrc = buffer.readUInt16LE(dataEnd);
+    if (expectedCrc !== 0 && fitCrc(buffer.subarray(0, dataEnd)) !== expectedCrc) {
+      throw new Error('Invalid FIT file: CRC mismatch');
+    }
+  }
+
+  const messagesByNum = new Map(
+    Object.entries(FIT_MESSAGES).map(([name, message]) => [message.num, { name, ...message }])
+  );
+  const result = Object.fromEntries(Object.keys(FIT_MESSAGES).map(name => [name, []]));
+  const definitions = new Map();
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const recordHeader = buffer.readUInt8(offset);
+    offset += 1;
+
+    let localType;
+    let compressedTimestamp = null;
+
+    if (recordHeader & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last timestamp
+      localType = (recordHeader >> 5) & 0x03;
+      const timeOffset = recordHeader & 0x1F;
+      if (lastTimestamp !== null) {
+        compressedTimestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) compressedTimestamp += 0x20;
+        lastTimestamp = compressedTimestamp;
+      }
+    } else if (recordHeader & 0x40) {
+      localType = recordHeader & 0x0F;
+      const hasDeveloperData = (recordHeader & 0x20) !== 0;
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalNum = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          num: buffer.readUInt8(offset),
+          size: buffer.readUInt8(offset + 1),
+          baseType: buffer.readUInt8(offset + 2)
+        });
+        offset += 3;
+      }
+
+      let developerDataSize = 0;
+      if (hasDeveloperData) {
+        const developerFieldCount = buffer.readUInt8(offset);
+        offset += 1;
+        for (let i = 0; i < developerFieldCount; i++) {
+          developerDataSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, { globalNum, littleEndian, fields, developerDataSize });
+      continue;
+    } else {
+      localType = recordHeader & 0x0F;
+    }
+
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(`Invalid FIT file: no definition for local message ${localType}`);
+    }
+
+    const message = messagesByNum.get(definition.globalNum);
+    const values = {};
+
+    for (const field of definition.fields) {
+      const raw = readValue(buffer, offset, field.baseType, field.size, definition.littleEndian);
+      if (raw !== null && field.num === 253) {
+        lastTimestamp = raw;
+      }
+
+      const profileEntry = message && Object.entries(message.fields).find(([, f]) => f.num === field.num);
+      if (raw !== null && profileEntry) {
+        values[profileEntry[0]] = decodeFieldValue(profileEntry[1], raw);
+      }
+      offset += field.size;
+    }
+    offset += definition.developerDataSize;
+
+    if (message) {
+      if (compressedTimestamp !== null && message.fields.timestamp && !values.timestamp) {
+        values.timestamp = fromFitTimestamp(compressedTimestamp);
+      }
+      result[message.name].push(values);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,15 @@
+/**
+ * An error carrying the HTTP status a route should answer with. Services throw
+ * these for the caller's mistakes (bad input, missing or someone else's
+ * records); routes pass them to sendRouteError (see responseHelpers).
+ * @param {string} message - shown to the client
+ * @param {number} [status]
+ * @param {*} [details] - extra detail for the client, e.g. per-field errors
+ * @returns {Error}
+ */
+export function httpError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+}
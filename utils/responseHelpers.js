@@ -1,3 +1,5 @@
+import logger from './logger.js';
+
 export const errorResponse = (res, statusCode, message, details = null) => {
   res.status(statusCode).json({
     success: false,
@@ -5,3 +7,16 @@ export const errorResponse = (res, statusCode, message, details = null) => {
     ...(details && { details })
   });
 };
+
+/**
+ * Answer with an error a route caught: client errors (see utils/httpError.js)
+ * with their own status and message, anything else as a logged 500.
+ * @param {string} message - what failed, for the 500 response and the log
+ */
+export const sendRouteError = (res, error, message) => {
+  if (error.status && error.status < 500) {
+    return errorResponse(res, error.status, error.message, error.details);
+  }
+  logger.error(`${message}:`, error);
+  errorResponse(res, 500, message, error.message);
+};
@@ -0,0 +1,147 @@
+/**
+ * Telemetry payload encodings
+ *
+ * Devices can send telemetry as JSON, CBOR or MessagePack. The format is
+ * chosen by the request's Content-Type on /esp32/telemetry and by the
+ * WebSocket subprotocol on /esp32-bridge. Binary payloads may also use the
+ * short keys in COMPACT_KEYS to save bytes over BLE and cellular; decoding
+ * expands them, so handlers always see the same shape as a JSON request.
+ */
+
+import { encode as encodeCbor, decode as decodeCbor } from 'cbor-x';
+import { pack as encodeMsgpack, unpack as decodeMsgpack } from 'msgpackr';
+
+export const TELEMETRY_FORMATS = ['json', 'cbor', 'msgpack'];
+
+export const TELEMETRY_CONTENT_TYPES = {
+  json: ['application/json'],
+  cbor: ['application/cbor'],
+  msgpack: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack']
+};
+
+// WebSocket subprotocols, in order of server preference
+export const TELEMETRY_SUBPROTOCOLS = {
+  'sikadvoltz.cbor': 'cbor',
+  'sikadvoltz.msgpack': 'msgpack',
+  'sikadvoltz.json': 'json'
+};
+
+// Short key -> field name. Top-level keys apply to the request envelope and
+// bridge messages; data keys to the reading itself (`data` or `deviceData`)
+export const COMPACT_KEYS = {
+  envelope: { y: 'type', d: 'deviceId', s: 'sessionId', x: 'data', dd: 'deviceData', t: 'timestamp' },
+  data: {
+    v: 'speed',
+    ds: 'distance',
+    c: 'cadence',
+    p: 'power',
+    vb: 'voltage',
+    i: 'intensity',
+    g: 'gear_ratio',
+    pc: 'pulse_count',
+    hr: 'heart_rate',
+    ss: 'session_status',
+    as: 'auto_session',
+    sd: 'session_duration',
+    cl: 'cloud',
+    t: 'timestamp'
+  }
+};
+
+const READING_KEYS = ['data', 'deviceData'];
+
+const renameKeys = (object, keys) => Object.fromEntries(
+  Object.entries(object).map(([key, value]) => [keys[key] || key, value])
+);
+
+const invert = (keys) => Object.fromEntries(Object.entries(keys).map(([short, full]) => [full, short]));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !Buffer.isBuffer(value);
+
+/**
+ * Expand short keys into the field names handlers expect. Full keys pass
+ * through unchanged.
+ */
+export function expandTelemetryKeys(payload) {
+  if (!isPlainObject(payload)) return payload;
+
+  const expanded = renameKeys(payload, COMPACT_KEYS.envelope);
+  for (const key of READING_KEYS) {
+    if (isPlainObject(expanded[key])) {
+      expanded[key] = renameKeys(expanded[key], COMPACT_KEYS.data);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Replace field names with their short keys, the reverse of expandTelemetryKeys.
+ */
+export function compactTelemetryKeys(payload) {
+  if (!isPlainObject(payload)) return payload;
+
+  const compacted = { ...payload };
+  for (const key of READING_KEYS) {
+    if (isPlainObject(compacted[key])) {
+      compacted[key] = renameKeys(compacted[key], invert(COMPACT_KEYS.data));
+    }
+  }
+  return renameKeys(compacted, invert(COMPACT_KEYS.envelope));
+}
+
+/**
+ * Telemetry format for a Content-Type header, or null when it isn't one.
+ */
+export function formatForContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return TELEMETRY_FORMATS.find(format => TELEMETRY_CONTENT_TYPES[format].includes(type)) || null;
+}
+
+/**
+ * Pick the subprotocol to accept from those a client offers.
+ * @param {Iterable<string>} offered
+ * @returns {string|false} the protocol, or false to accept without one (JSON)
+ */
+export function selectSubprotocol(offered) {
+  const protocols = new Set(offered);
+  return Object.keys(TELEMETRY_SUBPROTOCOLS).find(protocol => protocols.has(protocol)) || false;
+}
+
+export function formatForSubprotocol(protocol) {
+  return TELEMETRY_SUBPROTOCOLS[protocol] || 'json';
+}
+
+/**
+ * Encode a payload. Binary formats use compact keys.
+ * @param {Object} payload
+ * @param {string} format - one of TELEMETRY_FORMATS
+ * @returns {Buffer|string} a string for JSON
+ */
+export function encodeTelemetry(payload, format = 'json') {
+  if (format === 'cbor') return encodeCbor(compactTelemetryKeys(payload));
+  if (format === 'msgpack') return encodeMsgpack(compactTelemetryKeys(payload));
+  return JSON.stringify(payload);
+}
+
+/**
+ * Decode a payload into the JSON request shape. Short keys are only expanded
+ * in binary formats.
+ * @param {Buffer|string} raw
+ * @param {string} format - one of TELEMETRY_FORMATS
+ * @returns {Object}
+ * @throws {Error} with status 400 when the payload is malformed
+ */
+export function decodeTelemetry(raw, format = 'json') {
+  let payload;
+  try {
+    if (format === 'cbor') payload = decodeCbor(raw);
+    else if (format === 'msgpack') payload = decodeMsgpack(raw);
+    else payload = JSON.parse(raw.toString());
+  } catch (error) {
+    const decodeError = new Error(`Invalid ${format} payload: ${error.message}`);
+    decodeError.status = 400;
+    throw decodeError;
+  }
+  return format === 'json' ? payload : expandTelemetryKeys(payload);
+}
@@ -0,0 +1,125 @@
+/**
+ * Telemetry rollup helpers
+ *
+ * Downsamples telemetry points into fixed-width buckets and merges the
+ * retention tiers back into one series. A rollup has the same shape as a raw
+ * Telemetry point, so readers don't need to know which tier a point came from:
+ * `metrics` holds averages (cumulative counters keep their last value), `max`
+ * holds peaks, `timestamp` is the bucket start, `resolution` is the bucket
+ * width in seconds, `sampleCount` the raw points it covers and
+ * `quality.flaggedPoints` how many of them the sanity filter flagged.
+ */
+
+export const RAW_RESOLUTION = 1;
+
+// Rollup tiers in seconds, finest first
+export const ROLLUP_RESOLUTIONS = [10, 60];
+
+// Metrics averaged over a bucket; the rest are cumulative and keep their last value
+const AVERAGED_METRICS = ['speed', 'watts', 'cadence'];
+const CUMULATIVE_METRICS = ['distance', 'sessionTime', 'pulseCount'];
+const PEAK_METRICS = ['speed', 'watts', 'cadence', 'heartRate'];
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const bucketStart = (timestamp, resolution) => {
+  const size = resolution * 1000;
+  return new Date(Math.floor(new Date(timestamp).getTime() / size) * size);
+};
+
+/**
+ * Roll points up into buckets of `resolution` seconds. Points may be raw
+ * telemetry or finer rollups (weighted by their sampleCount), so existing
+ * buckets can be merged with late points by rolling them up together.
+ * @param {Array<Object>} points - Telemetry or rollup documents of one session
+ * @param {number} resolution - seconds per bucket
+ * @returns {Array<Object>} rollup documents sorted by timestamp
+ */
+export function rollupPoints(points, resolution) {
+  const buckets = new Map();
+
+  const sorted = [...(points || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  for (const point of sorted) {
+    const start = bucketStart(point.timestamp, resolution);
+    const key = start.getTime();
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        deviceId: point.deviceId,
+        userId: point.userId,
+        sessionId: point.sessionId,
+        resolution,
+        timestamp: start,
+        sampleCount: 0,
+        sums: { speed: 0, watts: 0, cadence: 0, heartRate: 0 },
+        heartRateWeight: 0,
+        metrics: { distance: 0, sessionTime: 0, pulseCount: 0 },
+        max: { speed: 0, watts: 0, cadence: 0, heartRate: null },
+        coordinates: undefined,
+        battery: undefined,
+        workoutActive: false,
+        quality: { flaggedPoints: 0 }
+      });
+    }
+
+    const bucket = buckets.get(key);
+    const metrics = point.metrics || {};
+    const weight = point.sampleCount || 1;
+    bucket.sampleCount += weight;
+
+    for (const field of AVERAGED_METRICS) {
+      bucket.sums[field] += (Number(metrics[field]) || 0) * weight;
+    }
+    if (metrics.heartRate > 0) {
+      bucket.sums.heartRate += metrics.heartRate * weight;
+      bucket.heartRateWeight += weight;
+    }
+    for (const field of CUMULATIVE_METRICS) {
+      bucket.metrics[field] = Math.max(bucket.metrics[field], Number(metrics[field]) || 0);
+    }
+    for (const field of PEAK_METRICS) {
+      const peak = point.max?.[field] ?? metrics[field];
+      if (peak > 0) bucket.max[field] = Math.max(bucket.max[field] || 0, peak);
+    }
+
+    // Position and battery are snapshots, so keep the latest
+    if (point.coordinates?.coordinates?.length === 2) bucket.coordinates = point.coordinates;
+    if (point.battery) bucket.battery = point.battery;
+    bucket.workoutActive = bucket.workoutActive || !!point.workoutActive;
+    bucket.quality.flaggedPoints += point.quality?.flaggedPoints ?? (point.quality?.flagged ? weight : 0);
+  }
+
+  return [...buckets.values()].map(({ sums, heartRateWeight, ...bucket }) => ({
+    ...bucket,
+    metrics: {
+      ...bucket.metrics,
+      speed: round(sums.speed / bucket.sampleCount),
+      watts: round(sums.watts / bucket.sampleCount),
+      cadence: round(sums.cadence / bucket.sampleCount),
+      heartRate: heartRateWeight > 0 ? Math.round(sums.heartRate / heartRateWeight) : null
+    }
+  }));
+}
+
+/**
+ * Merge a session's raw points and rollups into one series, preferring the
+ * finest tier: a rollup is only used for time no finer point covers.
+ * @param {Array<Object>} raw - Raw telemetry points
+ * @param {Array<Object>} rollups - Rollups of any resolution
+ * @returns {Array<Object>} points sorted by timestamp
+ */
+export function mergeTelemetryTiers(raw, rollups) {
+  let merged = [...(raw || [])];
+
+  for (const resolution of ROLLUP_RESOLUTIONS) {
+    const tier = (rollups || []).filter(rollup => rollup.resolution === resolution);
+    if (tier.length === 0) continue;
+
+    const covered = new Set(merged.map(point => bucketStart(point.timestamp, resolution).getTime()));
+    merged = merged.concat(tier.filter(rollup => !covered.has(new Date(rollup.timestamp).getTime())));
+  }
+
+  return merged.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}